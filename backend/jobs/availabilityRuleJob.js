@@ -0,0 +1,84 @@
+/**
+ * Availability Rule Job
+ * Keeps recurring availability rules materialized up to the rolling horizon (see
+ * services/availabilityRuleService.js). Rule, blackout and seasonal price changes expand right away, so this job
+ * only adds the days that came into the horizon since the last run.
+ */
+
+const winston = require('winston');
+const AvailabilityRuleService = require('../services/availabilityRuleService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'availability-rule-job' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const RUN_INTERVAL_MS = parseInt(process.env.AVAILABILITY_EXPANSION_INTERVAL_MS) || 6 * 60 * 60 * 1000; // Every 6 hours
+
+const availabilityRules = new AvailabilityRuleService();
+
+let timer = null;
+let running = false;
+
+/**
+ * Expand the rules of every listing and component once
+ * @returns {Promise<Object|null>} - Run summary, or null when skipped or failed
+ */
+const expandRules = async () => {
+  if (running) return null;
+  running = true;
+  try {
+    const summary = await availabilityRules.materializeAll();
+    if (summary.created > 0 || summary.removed > 0 || summary.failed > 0) {
+      logger.info(`Availability rules expanded for ${summary.targets} target(s): ${summary.created} slot(s) created, ${summary.removed} removed, ${summary.failed} failed`);
+    }
+    return summary;
+  } catch (err) {
+    logger.error('Failed to expand availability rules', { error: err.message });
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start expanding rules on an interval
+ * @param {number} [intervalMs] - Interval between runs
+ */
+const start = (intervalMs = RUN_INTERVAL_MS) => {
+  if (timer) return;
+  expandRules();
+  timer = setInterval(expandRules, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  logger.info(`Availability rule job scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+};
+
+/**
+ * Stop the job (used during graceful shutdown)
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  expandRules
+};
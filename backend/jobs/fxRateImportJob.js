@@ -0,0 +1,74 @@
+/**
+ * Exchange Rate Import Job
+ * Imports the daily exchange rate snapshot from FX_RATE_SOURCE (see services/fxRateService.js) when the server
+ * starts and then once per interval. Importing the same day again replaces its rates.
+ */
+
+const winston = require('winston');
+const FxRateService = require('../services/fxRateService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'fx-rate-import-job' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const IMPORT_INTERVAL_MS = parseInt(process.env.FX_RATE_IMPORT_INTERVAL_MS) || 24 * 60 * 60 * 1000; // Daily
+
+const fxRates = new FxRateService();
+let timer = null;
+
+/**
+ * Import rates from the configured source once
+ * @returns {Promise<number>} - Number of rates stored
+ */
+const importLatestRates = async () => {
+  try {
+    const result = await fxRates.importRates();
+    return result.imported;
+  } catch (err) {
+    logger.error('Failed to import exchange rates', { error: err.message });
+    return 0;
+  }
+};
+
+/**
+ * Start importing rates on an interval
+ * @param {number} [intervalMs] - Interval between runs
+ */
+const start = (intervalMs = IMPORT_INTERVAL_MS) => {
+  if (timer) return;
+  importLatestRates();
+  timer = setInterval(importLatestRates, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  logger.info(`Exchange rate import job scheduled every ${Math.round(intervalMs / 3600000)} hour(s)`);
+};
+
+/**
+ * Stop the job (used during graceful shutdown)
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  importLatestRates
+};
@@ -0,0 +1,91 @@
+/**
+ * Inspiration Job
+ * Works through the queue of pending inspiration images (see services/inspirationService.js). New uploads also
+ * trigger a run right away, so the interval mostly picks up retries and work left over by a restart.
+ */
+
+const winston = require('winston');
+const InspirationService = require('../services/inspirationService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'inspiration-job' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const POLL_INTERVAL_MS = parseInt(process.env.INSPIRATION_POLL_INTERVAL_MS) || 30 * 1000; // Every 30 seconds
+const BATCH_SIZE = parseInt(process.env.INSPIRATION_BATCH_SIZE) || 5;
+
+const inspirationService = new InspirationService();
+
+let timer = null;
+let running = false;
+// Set when a run is requested while one is going, so uploads made during a run are not left for the next interval
+let rerun = false;
+
+/**
+ * Process the pending suggestions once; while a run is going, another one is queued after it
+ * @returns {Promise<Object|null>} - Run summary, or null when queued or failed
+ */
+const processPending = async () => {
+  if (running) {
+    rerun = true;
+    return null;
+  }
+  running = true;
+  try {
+    let summary;
+    do {
+      rerun = false;
+      summary = await inspirationService.runPending(BATCH_SIZE);
+      // A full batch means there may be more waiting
+    } while (rerun || summary.processed === BATCH_SIZE);
+    return summary;
+  } catch (err) {
+    logger.error('Failed to process inspiration images', { error: err.message });
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start processing pending suggestions on an interval
+ * @param {number} [intervalMs] - Interval between runs
+ */
+const start = (intervalMs = POLL_INTERVAL_MS) => {
+  if (timer) return;
+  processPending();
+  timer = setInterval(processPending, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  logger.info(`Inspiration job scheduled every ${Math.round(intervalMs / 1000)} second(s)`);
+};
+
+/**
+ * Stop the job (used during graceful shutdown)
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  processPending
+};
@@ -0,0 +1,80 @@
+/**
+ * Price Watch Job
+ * Periodically re-checks the flight price watches that are due (see services/priceWatchService.js).
+ * Each watch carries its own next check time, so this only decides how often to look for due ones.
+ */
+
+const winston = require('winston');
+const PriceWatchService = require('../services/priceWatchService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'price-watch-job' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const POLL_INTERVAL_MS = parseInt(process.env.PRICE_WATCH_POLL_INTERVAL_MS) || 5 * 60 * 1000; // Every 5 minutes
+const BATCH_SIZE = parseInt(process.env.PRICE_WATCH_BATCH_SIZE) || 20;
+
+const priceWatchService = new PriceWatchService();
+
+let timer = null;
+let running = false;
+
+/**
+ * Check the due watches once; skipped while a previous run is still going
+ * @returns {Promise<Object|null>} - Run summary, or null when skipped or failed
+ */
+const checkDueWatches = async () => {
+  if (running) return null;
+  running = true;
+  try {
+    return await priceWatchService.runDueWatches(BATCH_SIZE);
+  } catch (err) {
+    logger.error('Failed to check price watches', { error: err.message });
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking due watches on an interval
+ * @param {number} [intervalMs] - Interval between runs
+ */
+const start = (intervalMs = POLL_INTERVAL_MS) => {
+  if (timer) return;
+  checkDueWatches();
+  timer = setInterval(checkDueWatches, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  logger.info(`Price watch job scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+};
+
+/**
+ * Stop the job (used during graceful shutdown)
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  checkDueWatches
+};
@@ -0,0 +1,77 @@
+/**
+ * Search Cache Purge Job
+ * Periodically deletes expired flight_cache and hotel_cache rows (see services/searchCacheService.js).
+ * Redis entries expire on their own.
+ */
+
+const winston = require('winston');
+const searchCache = require('../services/searchCacheService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'search-cache-purge-job' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const PURGE_INTERVAL_MS = parseInt(process.env.SEARCH_CACHE_PURGE_INTERVAL_MS) || 30 * 60 * 1000; // Every 30 minutes
+
+let timer = null;
+
+/**
+ * Delete expired cache rows once
+ * @returns {Promise<number>} - Number of deleted rows
+ */
+const purgeExpiredEntries = async () => {
+  try {
+    const deleted = await searchCache.purgeExpired();
+    const total = deleted.flight_cache + deleted.hotel_cache;
+    if (total > 0) {
+      logger.info(`Purged ${deleted.flight_cache} expired flight search(es) and ${deleted.hotel_cache} expired hotel search(es)`);
+    }
+    return total;
+  } catch (err) {
+    logger.error('Failed to purge expired search cache entries', { error: err.message });
+    return 0;
+  }
+};
+
+/**
+ * Start purging expired cache entries on an interval
+ * @param {number} [intervalMs] - Interval between runs
+ */
+const start = (intervalMs = PURGE_INTERVAL_MS) => {
+  if (timer) return;
+  purgeExpiredEntries();
+  timer = setInterval(purgeExpiredEntries, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  logger.info(`Search cache purge job scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+};
+
+/**
+ * Stop the job (used during graceful shutdown)
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  purgeExpiredEntries
+};
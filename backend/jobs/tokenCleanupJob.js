@@ -0,0 +1,77 @@
+/**
+ * Token Cleanup Job
+ * Periodically deletes expired refresh tokens and email verification / password reset tokens
+ * so the token tables do not grow forever.
+ */
+
+const winston = require('winston');
+const { tokenModel, userTokenModel } = require('../models/database');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'token-cleanup-job' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const CLEANUP_INTERVAL_MS = parseInt(process.env.TOKEN_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000; // Hourly
+
+let timer = null;
+
+/**
+ * Delete expired tokens once
+ * @returns {Promise<number>} - Number of deleted tokens
+ */
+const purgeExpiredTokens = async () => {
+  try {
+    const deletedRefreshTokens = await tokenModel.deleteExpired();
+    const deletedUserTokens = await userTokenModel.deleteExpired();
+    if (deletedRefreshTokens + deletedUserTokens > 0) {
+      logger.info(`Purged ${deletedRefreshTokens} expired refresh token(s) and ${deletedUserTokens} expired user token(s)`);
+    }
+    return deletedRefreshTokens + deletedUserTokens;
+  } catch (err) {
+    logger.error('Failed to purge expired tokens', { error: err.message });
+    return 0;
+  }
+};
+
+/**
+ * Start purging expired tokens on an interval
+ * @param {number} [intervalMs] - Interval between runs
+ */
+const start = (intervalMs = CLEANUP_INTERVAL_MS) => {
+  if (timer) return;
+  purgeExpiredTokens();
+  timer = setInterval(purgeExpiredTokens, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  logger.info(`Token cleanup job scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+};
+
+/**
+ * Stop the job (used during graceful shutdown)
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  purgeExpiredTokens
+};
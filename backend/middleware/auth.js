@@ -1,6 +1,8 @@
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const pool = require('../models/database');
+const { providerProfileModel } = require('../models/database');
+const { ROLES, getPermissionsForRole, hasPermission } = require('../utils/permissions');
 const winston = require('winston');
 
 // Configure logger for this middleware
@@ -41,7 +43,7 @@ const authenticateToken = async (req, res, next) => {
     
     // Get user from database
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, is_active FROM users WHERE id = $1',
+      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = $1',
       [decoded.userId]
     );
     
@@ -68,7 +70,9 @@ const authenticateToken = async (req, res, next) => {
       id: user.id,
       email: user.email,
       firstName: user.first_name,
-      lastName: user.last_name
+      lastName: user.last_name,
+      role: user.role,
+      permissions: getPermissionsForRole(user.role) // Derived from the current role, not the token claims
     };
     
     logger.info(`User authenticated: ${user.email} (ID: ${user.id})`, { path: req.path });
@@ -96,9 +100,70 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Simplified authentication middleware for basic tour operator system
-// Additional role-based middleware can be added later as needed
+// ====================================
+// Role-based access control (use after authenticateToken)
+// ====================================
+
+// Allow the request only if the user has one of the given roles, e.g. requireRole('provider', 'admin')
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    logger.warn(`Role check failed. User ID: ${req.user?.id}, role: ${req.user?.role}, required: ${roles.join(', ')}`, { path: req.path });
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have access to this resource.'
+    });
+  }
+  next();
+};
+
+// Allow the request only if the user's role grants every given permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    logger.warn(`Permission check failed. User ID: ${req.user?.id}, missing: ${missing.join(', ')}`, { path: req.path });
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action.'
+    });
+  }
+  next();
+};
+
+// Provider-only routes; attaches the provider profile (null until one is created) as req.providerProfile
+const isProvider = [
+  requireRole(ROLES.PROVIDER),
+  async (req, res, next) => {
+    try {
+      req.providerProfile = await providerProfileModel.findByUserId(req.user.id);
+      next();
+    } catch (err) {
+      logger.error('Failed to load provider profile.', { error: err.message, path: req.path });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load provider profile.'
+      });
+    }
+  }
+];
+
+// Provider routes that change listings, availability or bookings need an admin-verified profile
+const isVerifiedProvider = [
+  ...isProvider,
+  (req, res, next) => {
+    if (!req.providerProfile || req.providerProfile.verification_status !== 'verified') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your provider profile must be verified to perform this action.'
+      });
+    }
+    next();
+  }
+];
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  requireRole,
+  requirePermission,
+  isProvider,
+  isVerifiedProvider
 };
@@ -0,0 +1,82 @@
+// backend/middleware/upload.js
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Message attachments are private: kept outside the static /uploads root and served by GET /api/messages/attachments/:id
+const ATTACHMENTS_DIR = path.join(__dirname, '..', 'private_uploads', 'message-attachments');
+
+// Configure Multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '..', 'uploads', req.user.id.toString()); // User-specific folder
+    fs.mkdirSync(uploadPath, { recursive: true }); // Create directory if it doesn't exist
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${Date.now()}-${file.originalname}`);
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only images and videos are allowed.'), false);
+  }
+};
+
+// Message attachments: images and common document types
+const ATTACHMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain'
+];
+
+const attachmentFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only images, PDF, Word and text files are allowed.'), false);
+  }
+};
+
+const upload = multer({ 
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: { fileSize: 1024 * 1024 * 20 } // 20MB limit
+});
+
+// Random file names, so the stored name reveals nothing about the user or the original file
+const attachmentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+    cb(null, ATTACHMENTS_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, crypto.randomBytes(16).toString('hex'));
+  }
+});
+
+const attachmentUpload = multer({
+  storage: attachmentStorage,
+  fileFilter: attachmentFileFilter,
+  limits: { fileSize: 1024 * 1024 * 10 } // 10MB limit
+});
+
+// Public URL of an uploaded file (served statically from /uploads by server.js)
+const uploadedFileUrl = (req, file) => `/uploads/${req.user.id}/${file.filename}`;
+
+// Path of a stored message attachment, or null for anything that is not an attachment id
+const attachmentFilePath = (attachmentId) => (
+  /^[a-f0-9]{32}$/.test(attachmentId) ? path.join(ATTACHMENTS_DIR, attachmentId) : null
+);
+
+module.exports = {
+  upload,
+  attachmentUpload,
+  uploadedFileUrl,
+  attachmentFilePath
+};
@@ -247,14 +247,16 @@ const tokenModel = {
   /**
    * Create a refresh token
    * @param {number} userId - User ID
-   * @param {string} token - Refresh token
-   * @param {number} expiresInDays - Token expiration in days
+   * @param {string} tokenHash - SHA-256 hash of the refresh token (the raw token is never stored)
+   * @param {Object} options - { familyId, expiresInDays, userAgent }
    * @returns {Promise} - New token object
    */
-  create: async (userId, token, expiresInDays = 7) => {
+  create: async (userId, tokenHash, { familyId, expiresInDays = 7, userAgent = null }) => {
     const result = await query(
-      'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, CURRENT_TIMESTAMP + INTERVAL \'$3 days\') RETURNING *',
-      [userId, token, expiresInDays]
+      `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), $5)
+       RETURNING *`,
+      [userId, tokenHash, familyId, expiresInDays, userAgent]
     );
     
     return result.rows[0];
@@ -262,26 +264,75 @@ const tokenModel = {
   
   /**
    * Find a token
-   * @param {string} token - Refresh token
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
    * @returns {Promise} - Token object or null
    */
-  findByToken: async (token) => {
-    const result = await query('SELECT * FROM refresh_tokens WHERE token = $1', [token]);
+  findByToken: async (tokenHash) => {
+    const result = await query('SELECT * FROM refresh_tokens WHERE token_hash = $1', [tokenHash]);
     return result.rows[0] || null;
   },
+
+  /**
+   * Revoke a token and issue its successor in the same family
+   * @param {Object} token - The token being exchanged
+   * @param {string} newTokenHash - SHA-256 hash of the new refresh token
+   * @param {Object} options - { expiresInDays, userAgent }
+   * @returns {Promise} - New token object, or null if the token was already revoked (reuse)
+   */
+  rotate: async (token, newTokenHash, { expiresInDays = 7, userAgent = null } = {}) => {
+    const client = await beginTransaction();
+    try {
+      // Only one concurrent exchange can win; a second one sees revoked_at set
+      const revoked = await client.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+        [token.id]
+      );
+      if (revoked.rowCount === 0) {
+        await client.rollback();
+        return null;
+      }
+
+      const result = await client.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), $5)
+         RETURNING *`,
+        [token.user_id, newTokenHash, token.family_id, expiresInDays, userAgent]
+      );
+      await client.query('UPDATE refresh_tokens SET replaced_by_id = $1 WHERE id = $2', [result.rows[0].id, token.id]);
+
+      await client.commit();
+      return result.rows[0];
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Revoke every active token of a family (one login session)
+   * @param {string} familyId - Token family ID
+   * @returns {Promise} - Number of revoked tokens
+   */
+  revokeFamily: async (familyId) => {
+    const result = await query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL RETURNING id',
+      [familyId]
+    );
+    return result.rowCount;
+  },
   
   /**
    * Delete a token
-   * @param {string} token - Refresh token
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
    * @returns {Promise} - Success status
    */
-  delete: async (token) => {
-    const result = await query('DELETE FROM refresh_tokens WHERE token = $1 RETURNING id', [token]);
+  delete: async (tokenHash) => {
+    const result = await query('DELETE FROM refresh_tokens WHERE token_hash = $1 RETURNING id', [tokenHash]);
     return result.rows[0] || null;
   },
   
   /**
-   * Delete all tokens for a user
+   * Delete all tokens for a user (log out of all devices)
    * @param {number} userId - User ID
    * @returns {Promise} - Success status
    */
@@ -291,7 +342,7 @@ const tokenModel = {
   },
   
   /**
-   * Delete expired tokens
+   * Delete expired tokens. Revoked tokens are kept until they expire so reuse can still be detected.
    * @returns {Promise} - Number of deleted tokens
    */
   deleteExpired: async () => {
@@ -300,6 +351,126 @@ const tokenModel = {
   }
 };
 
+// ====================================
+// Single-Use User Token Models
+// ====================================
+
+const userTokenModel = {
+  /**
+   * Store a single-use token, invalidating earlier unused tokens of the same purpose
+   * @param {number} userId - User ID
+   * @param {string} purpose - 'email_verification' or 'password_reset'
+   * @param {string} jti - Unique ID embedded in the signed token
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {Promise} - New token object
+   */
+  create: async (userId, purpose, jti, expiresInMinutes) => {
+    const client = await beginTransaction();
+    try {
+      await client.query(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+      );
+      const result = await client.query(
+        `INSERT INTO user_tokens (user_id, purpose, jti, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+         RETURNING *`,
+        [userId, purpose, jti, expiresInMinutes]
+      );
+
+      await client.commit();
+      return result.rows[0];
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Redeem a token: marks it used if it is unused and unexpired
+   * @param {string} jti - Unique ID from the signed token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise} - The redeemed token object, or null if it is unknown, used or expired
+   */
+  consume: async (jti, purpose) => {
+    const result = await query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE jti = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [jti, purpose]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Delete expired tokens
+   * @returns {Promise} - Number of deleted tokens
+   */
+  deleteExpired: async () => {
+    const result = await query('DELETE FROM user_tokens WHERE expires_at < CURRENT_TIMESTAMP RETURNING id');
+    return result.rowCount;
+  }
+};
+
+// ====================================
+// Calendar Feed Models
+// ====================================
+
+const calendarFeedModel = {
+  /**
+   * Get a user's calendar feed
+   * @param {number} userId - User ID
+   * @returns {Promise} - Feed object or null
+   */
+  findByUserId: async (userId) => {
+    const result = await query('SELECT * FROM calendar_feeds WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find a feed by the hash of its URL token and record the access
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @returns {Promise} - Feed object or null
+   */
+  findByTokenHash: async (tokenHash) => {
+    const result = await query(
+      `UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1
+       RETURNING *`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Create the user's feed, or replace its token so the previous URL stops working
+   * @param {number} userId - User ID
+   * @param {string} tokenHash - SHA-256 hash of the new feed token
+   * @returns {Promise} - Feed object
+   */
+  upsert: async (userId, tokenHash) => {
+    const result = await query(
+      `INSERT INTO calendar_feeds (user_id, token_hash)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE
+         SET token_hash = EXCLUDED.token_hash, created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL
+       RETURNING *`,
+      [userId, tokenHash]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Delete a user's feed
+   * @param {number} userId - User ID
+   * @returns {Promise} - Deleted feed ID or null
+   */
+  deleteByUserId: async (userId) => {
+    const result = await query('DELETE FROM calendar_feeds WHERE user_id = $1 RETURNING id', [userId]);
+    return result.rows[0] || null;
+  }
+};
+
 // ====================================
 // Provider Profile Models
 // ====================================
@@ -473,6 +644,156 @@ const providerProfileModel = {
     );
     
     return result.rows;
+  },
+
+  /**
+   * Get provider profiles by verification status for the admin review queue
+   * @param {string|null} status - Verification status to filter by (null for all)
+   * @param {number} limit - Number of providers to return
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<Object>} - { providers, total }
+   */
+  getByVerificationStatus: async (status = null, limit = 20, offset = 0) => {
+    const whereClause = status ? 'WHERE pp.verification_status = $3' : '';
+    const params = status ? [limit, offset, status] : [limit, offset];
+
+    const result = await query(
+      `SELECT pp.*, u.first_name, u.last_name, u.email, u.phone
+       FROM provider_profiles pp
+       JOIN users u ON pp.user_id = u.id
+       ${whereClause}
+       ORDER BY pp.updated_at ASC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
+    const countResult = await query(
+      `SELECT COUNT(*) FROM provider_profiles pp ${status ? 'WHERE pp.verification_status = $1' : ''}`,
+      status ? [status] : []
+    );
+
+    return { providers: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Change a provider's verification status and record the decision in the admin audit log
+   * @param {number} id - Provider profile ID
+   * @param {string} status - New verification status
+   * @param {Object} decision - { adminId, action, reason }
+   * @returns {Promise<Object>} - { profile, auditLog }
+   */
+  updateVerificationStatus: async (id, status, { adminId, action, reason = null }) => {
+    const client = await beginTransaction();
+    try {
+      const current = await client.query(
+        'SELECT verification_status FROM provider_profiles WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      const previousStatus = current.rows[0] ? current.rows[0].verification_status : null;
+
+      const profileResult = await client.query(
+        `UPDATE provider_profiles SET verification_status = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [status, id]
+      );
+      const logResult = await client.query(
+        `INSERT INTO admin_audit_logs (admin_id, action, target_type, target_id, previous_status, new_status, reason)
+         VALUES ($1, $2, 'provider_profile', $3, $4, $5, $6)
+         RETURNING *`,
+        [adminId, action, id, previousStatus, status, reason]
+      );
+
+      await client.commit();
+      return { profile: profileResult.rows[0], auditLog: logResult.rows[0] };
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  }
+};
+
+// ====================================
+// Admin Audit Log Models
+// ====================================
+
+const adminAuditLogModel = {
+  /**
+   * Record an admin action
+   * @param {Object} entry - { adminId, action, targetType, targetId, previousStatus, newStatus, reason, metadata }
+   * @returns {Promise} - New audit log entry
+   */
+  create: async ({ adminId, action, targetType, targetId, previousStatus = null, newStatus = null, reason = null, metadata = {} }) => {
+    const result = await query(
+      `INSERT INTO admin_audit_logs (admin_id, action, target_type, target_id, previous_status, new_status, reason, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [adminId, action, targetType, targetId, previousStatus, newStatus, reason, metadata]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get the audit history of one target, newest first
+   * @param {string} targetType - Target type (e.g. 'provider_profile')
+   * @param {number} targetId - Target ID
+   * @returns {Promise} - Array of audit log entries with the admin's name
+   */
+  getByTarget: async (targetType, targetId) => {
+    const result = await query(
+      `SELECT l.*, u.first_name as admin_first_name, u.last_name as admin_last_name
+       FROM admin_audit_logs l
+       LEFT JOIN users u ON l.admin_id = u.id
+       WHERE l.target_type = $1 AND l.target_id = $2
+       ORDER BY l.created_at DESC`,
+      [targetType, targetId]
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * Get the latest audit entry of one target
+   * @param {string} targetType - Target type
+   * @param {number} targetId - Target ID
+   * @returns {Promise} - Audit log entry or null
+   */
+  getLatestByTarget: async (targetType, targetId) => {
+    const result = await query(
+      `SELECT * FROM admin_audit_logs
+       WHERE target_type = $1 AND target_id = $2
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [targetType, targetId]
+    );
+
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get audit log entries with pagination, newest first
+   * @param {Object} options - { targetType, limit, offset }
+   * @returns {Promise<Object>} - { logs, total }
+   */
+  getAll: async ({ targetType = null, limit = 20, offset = 0 } = {}) => {
+    const whereClause = targetType ? 'WHERE l.target_type = $3' : '';
+    const params = targetType ? [limit, offset, targetType] : [limit, offset];
+
+    const result = await query(
+      `SELECT l.*, u.first_name as admin_first_name, u.last_name as admin_last_name
+       FROM admin_audit_logs l
+       LEFT JOIN users u ON l.admin_id = u.id
+       ${whereClause}
+       ORDER BY l.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
+    const countResult = await query(
+      `SELECT COUNT(*) FROM admin_audit_logs l ${targetType ? 'WHERE l.target_type = $1' : ''}`,
+      targetType ? [targetType] : []
+    );
+
+    return { logs: result.rows, total: parseInt(countResult.rows[0].count) };
   }
 };
 
@@ -1170,18 +1491,18 @@ const availabilityModel = {
   create: async (availabilityData) => {
     const { 
       listing_id, component_id, available_date, start_time, end_time,
-      max_bookings, is_available, price_override
+      max_bookings, is_available, price_override, rule_id
     } = availabilityData;
     
     const result = await query(
       `INSERT INTO service_availability 
         (listing_id, component_id, available_date, start_time, end_time,
-         max_bookings, is_available, price_override) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+         max_bookings, is_available, price_override, rule_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
        RETURNING *`,
       [
         listing_id, component_id, available_date, start_time, end_time,
-        max_bookings, is_available, price_override
+        max_bookings, is_available, price_override, rule_id || null
       ]
     );
     
@@ -1200,13 +1521,13 @@ const availabilityModel = {
     
     const values = availabilities.map(a => [
       a.listing_id, a.component_id, a.available_date, a.start_time, a.end_time,
-      a.max_bookings, a.is_available, a.price_override
+      a.max_bookings, a.is_available, a.price_override, a.rule_id || null
     ]);
     
     const queryString = format(
       `INSERT INTO service_availability 
         (listing_id, component_id, available_date, start_time, end_time,
-         max_bookings, is_available, price_override) 
+         max_bookings, is_available, price_override, rule_id) 
        VALUES %L 
        RETURNING *`,
       values
@@ -1235,9 +1556,14 @@ const availabilityModel = {
    */
   getByListingIdAndDateRange: async (listingId, startDate, endDate) => {
     const result = await query(
-      `SELECT * FROM service_availability 
-       WHERE listing_id = $1 AND available_date BETWEEN $2 AND $3
-       ORDER BY available_date ASC, start_time ASC`,
+      `SELECT sa.*,
+        EXISTS (
+          SELECT 1 FROM availability_blackouts b
+          WHERE b.listing_id = sa.listing_id AND sa.available_date BETWEEN b.start_date AND b.end_date
+        ) as blacked_out
+       FROM service_availability sa
+       WHERE sa.listing_id = $1 AND sa.available_date BETWEEN $2 AND $3
+       ORDER BY sa.available_date ASC, sa.start_time ASC`,
       [listingId, startDate, endDate]
     );
     
@@ -1253,9 +1579,14 @@ const availabilityModel = {
    */
   getByComponentIdAndDateRange: async (componentId, startDate, endDate) => {
     const result = await query(
-      `SELECT * FROM service_availability 
-       WHERE component_id = $1 AND available_date BETWEEN $2 AND $3
-       ORDER BY available_date ASC, start_time ASC`,
+      `SELECT sa.*,
+        EXISTS (
+          SELECT 1 FROM availability_blackouts b
+          WHERE b.component_id = sa.component_id AND sa.available_date BETWEEN b.start_date AND b.end_date
+        ) as blacked_out
+       FROM service_availability sa
+       WHERE sa.component_id = $1 AND sa.available_date BETWEEN $2 AND $3
+       ORDER BY sa.available_date ASC, sa.start_time ASC`,
       [componentId, startDate, endDate]
     );
     
@@ -1271,7 +1602,7 @@ const availabilityModel = {
   update: async (id, availabilityData) => {
     const allowedFields = [
       'available_date', 'start_time', 'end_time', 'max_bookings', 
-      'current_bookings', 'is_available', 'price_override'
+      'current_bookings', 'is_available', 'price_override', 'rule_id'
     ];
     
     const updates = [];
@@ -1307,6 +1638,20 @@ const availabilityModel = {
     return result.rows[0] || null;
   },
   
+  /**
+   * Delete service availabilities that have no bookings
+   * @param {Array<number>} ids - Service availability IDs
+   * @returns {Promise} - Array of deleted IDs (slots with bookings are kept)
+   */
+  deleteUnbooked: async (ids) => {
+    if (!ids || ids.length === 0) return [];
+    const result = await query(
+      'DELETE FROM service_availability WHERE id = ANY($1) AND current_bookings = 0 RETURNING id',
+      [ids]
+    );
+    return result.rows.map(row => row.id);
+  },
+  
   /**
    * Check availability for booking
    * @param {number} listingId - Listing ID
@@ -1316,9 +1661,13 @@ const availabilityModel = {
    */
   checkAvailability: async (listingId, date, travelers) => {
     const result = await query(
-      `SELECT * FROM service_availability 
-       WHERE listing_id = $1 AND available_date = $2 AND is_available = true
-       AND (max_bookings - current_bookings) >= $3
+      `SELECT sa.* FROM service_availability sa
+       WHERE sa.listing_id = $1 AND sa.available_date = $2 AND sa.is_available = true
+       AND (sa.max_bookings - sa.current_bookings) >= $3
+       AND NOT EXISTS (
+         SELECT 1 FROM availability_blackouts b
+         WHERE b.listing_id = sa.listing_id AND sa.available_date BETWEEN b.start_date AND b.end_date
+       )
        LIMIT 1`,
       [listingId, date, travelers]
     );
@@ -1346,125 +1695,356 @@ const availabilityModel = {
 };
 
 // ====================================
-// Service Media Models
+// Availability Rule Models
 // ====================================
 
-const mediaModel = {
+// Rules, blackouts and seasonal prices belong to either a listing or one of its components
+const availabilityTargetColumn = target => (target.listing_id ? 'listing_id' : 'component_id');
+
+const availabilityRuleModel = {
   /**
-   * Create service media
-   * @param {Object} mediaData - Service media data
-   * @returns {Promise} - New service media object
+   * Create a recurring availability rule
+   * @param {Object} ruleData - { provider_id, listing_id | component_id, name, weekdays, start_times,
+   *   duration_minutes, valid_from, valid_until, capacity, price_override }
+   * @returns {Promise} - New rule object
    */
-  create: async (mediaData) => {
-    const { 
-      listing_id, component_id, media_type, url, caption, is_featured, display_order
-    } = mediaData;
-    
+  create: async (ruleData) => {
+    const {
+      provider_id, listing_id, component_id, name, weekdays, start_times, duration_minutes,
+      valid_from, valid_until, capacity, price_override, is_active
+    } = ruleData;
+
     const result = await query(
-      `INSERT INTO service_media 
-        (listing_id, component_id, media_type, url, caption, is_featured, display_order) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+      `INSERT INTO availability_rules
+        (provider_id, listing_id, component_id, name, weekdays, start_times, duration_minutes,
+         valid_from, valid_until, capacity, price_override, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
        RETURNING *`,
       [
-        listing_id, component_id, media_type, url, caption, is_featured, display_order || 0
+        provider_id, listing_id || null, component_id || null, name || null,
+        JSON.stringify(weekdays), JSON.stringify(start_times), duration_minutes || null,
+        valid_from, valid_until || null, capacity, price_override ?? null, is_active !== false
       ]
     );
-    
     return result.rows[0];
   },
-  
-  /**
-   * Create multiple service media
-   * @param {Array} mediaItems - Array of service media data
-   * @returns {Promise} - Success status
-   */
-  createBulk: async (mediaItems) => {
-    if (!mediaItems || mediaItems.length === 0) {
-      return [];
-    }
-    
-    const values = mediaItems.map(m => [
-      m.listing_id, m.component_id, m.media_type, m.url, m.caption, 
-      m.is_featured || false, m.display_order || 0
-    ]);
-    
-    const queryString = format(
-      `INSERT INTO service_media 
-        (listing_id, component_id, media_type, url, caption, is_featured, display_order) 
-       VALUES %L 
-       RETURNING *`,
-      values
-    );
-    
-    const result = await query(queryString);
-    return result.rows;
-  },
-  
+
   /**
-   * Find service media by ID
-   * @param {number} id - Service media ID
-   * @returns {Promise} - Service media object or null
+   * Find a rule by ID
+   * @param {number} id - Rule ID
+   * @returns {Promise} - Rule object or null
    */
   findById: async (id) => {
-    const result = await query('SELECT * FROM service_media WHERE id = $1', [id]);
+    const result = await query('SELECT * FROM availability_rules WHERE id = $1', [id]);
     return result.rows[0] || null;
   },
-  
+
   /**
-   * Get media by listing ID
-   * @param {number} listingId - Listing ID
-   * @returns {Promise} - Array of service media
+   * Rules of a listing or component
+   * @param {Object} target - { listing_id } or { component_id }
+   * @returns {Promise} - Array of rules
    */
-  getByListingId: async (listingId) => {
+  getByTarget: async (target) => {
+    const column = availabilityTargetColumn(target);
     const result = await query(
-      `SELECT * FROM service_media 
-       WHERE listing_id = $1
-       ORDER BY is_featured DESC, display_order ASC, id ASC`,
-      [listingId]
+      `SELECT * FROM availability_rules WHERE ${column} = $1 ORDER BY valid_from ASC, id ASC`,
+      [target[column]]
     );
-    
     return result.rows;
   },
-  
+
   /**
-   * Get media by component ID
-   * @param {number} componentId - Component ID
-   * @returns {Promise} - Array of service media
+   * Listings and components with active rules that still produce slots
+   * @returns {Promise} - Array of { listing_id, component_id }
    */
-  getByComponentId: async (componentId) => {
+  getActiveTargets: async () => {
     const result = await query(
-      `SELECT * FROM service_media 
-       WHERE component_id = $1
-       ORDER BY is_featured DESC, display_order ASC, id ASC`,
-      [componentId]
+      `SELECT DISTINCT listing_id, component_id FROM availability_rules
+       WHERE is_active = true AND (valid_until IS NULL OR valid_until >= CURRENT_DATE)`
     );
-    
     return result.rows;
   },
-  
+
   /**
-   * Update service media
-   * @param {number} id - Service media ID
-   * @param {Object} mediaData - Service media data to update
-   * @returns {Promise} - Updated service media object
+   * Update a rule
+   * @param {number} id - Rule ID
+   * @param {Object} ruleData - Fields to update
+   * @returns {Promise} - Updated rule object
    */
-  update: async (id, mediaData) => {
+  update: async (id, ruleData) => {
     const allowedFields = [
-      'media_type', 'url', 'caption', 'is_featured', 'display_order'
+      'name', 'weekdays', 'start_times', 'duration_minutes', 'valid_from', 'valid_until',
+      'capacity', 'price_override', 'is_active'
     ];
-    
+    const jsonFields = ['weekdays', 'start_times'];
+
     const updates = [];
     const values = [];
     let paramIndex = 1;
-    
-    Object.keys(mediaData).forEach(key => {
+
+    Object.keys(ruleData).forEach(key => {
       if (allowedFields.includes(key)) {
         updates.push(`${key} = $${paramIndex}`);
-        values.push(mediaData[key]);
+        values.push(jsonFields.includes(key) ? JSON.stringify(ruleData[key]) : ruleData[key]);
         paramIndex++;
       }
     });
-    
+
+    if (updates.length === 0) return null;
+
+    values.push(id);
+    const result = await query(
+      `UPDATE availability_rules SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Delete a rule (its slots are kept as hand-managed slots)
+   * @param {number} id - Rule ID
+   * @returns {Promise} - Deleted rule ID or null
+   */
+  delete: async (id) => {
+    const result = await query('DELETE FROM availability_rules WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0] || null;
+  }
+};
+
+const availabilityBlackoutModel = {
+  /**
+   * Create a blackout period
+   * @param {Object} blackoutData - { provider_id, listing_id | component_id, start_date, end_date, reason }
+   * @returns {Promise} - New blackout object
+   */
+  create: async (blackoutData) => {
+    const { provider_id, listing_id, component_id, start_date, end_date, reason } = blackoutData;
+    const result = await query(
+      `INSERT INTO availability_blackouts (provider_id, listing_id, component_id, start_date, end_date, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [provider_id, listing_id || null, component_id || null, start_date, end_date, reason || null]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Find a blackout by ID
+   * @param {number} id - Blackout ID
+   * @returns {Promise} - Blackout object or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM availability_blackouts WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Blackouts of a listing or component that end on or after a date
+   * @param {Object} target - { listing_id } or { component_id }
+   * @param {string} fromDate - Earliest end date (YYYY-MM-DD)
+   * @returns {Promise} - Array of blackouts
+   */
+  getByTarget: async (target, fromDate) => {
+    const column = availabilityTargetColumn(target);
+    const result = await query(
+      `SELECT * FROM availability_blackouts
+       WHERE ${column} = $1 AND end_date >= $2
+       ORDER BY start_date ASC`,
+      [target[column], fromDate]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Delete a blackout
+   * @param {number} id - Blackout ID
+   * @returns {Promise} - Deleted blackout ID or null
+   */
+  delete: async (id) => {
+    const result = await query('DELETE FROM availability_blackouts WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0] || null;
+  }
+};
+
+const seasonalPriceModel = {
+  /**
+   * Create a seasonal price
+   * @param {Object} seasonData - { provider_id, listing_id | component_id, name, start_date, end_date, weekdays, price }
+   * @returns {Promise} - New seasonal price object
+   */
+  create: async (seasonData) => {
+    const { provider_id, listing_id, component_id, name, start_date, end_date, weekdays, price } = seasonData;
+    const result = await query(
+      `INSERT INTO availability_seasonal_prices
+        (provider_id, listing_id, component_id, name, start_date, end_date, weekdays, price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        provider_id, listing_id || null, component_id || null, name || null, start_date, end_date,
+        weekdays ? JSON.stringify(weekdays) : null, price
+      ]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Find a seasonal price by ID
+   * @param {number} id - Seasonal price ID
+   * @returns {Promise} - Seasonal price object or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM availability_seasonal_prices WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Seasonal prices of a listing or component that end on or after a date, newest first
+   * @param {Object} target - { listing_id } or { component_id }
+   * @param {string} fromDate - Earliest end date (YYYY-MM-DD)
+   * @returns {Promise} - Array of seasonal prices
+   */
+  getByTarget: async (target, fromDate) => {
+    const column = availabilityTargetColumn(target);
+    const result = await query(
+      `SELECT * FROM availability_seasonal_prices
+       WHERE ${column} = $1 AND end_date >= $2
+       ORDER BY created_at DESC, id DESC`,
+      [target[column], fromDate]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Delete a seasonal price
+   * @param {number} id - Seasonal price ID
+   * @returns {Promise} - Deleted seasonal price ID or null
+   */
+  delete: async (id) => {
+    const result = await query('DELETE FROM availability_seasonal_prices WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0] || null;
+  }
+};
+
+// ====================================
+// Service Media Models
+// ====================================
+
+const mediaModel = {
+  /**
+   * Create service media
+   * @param {Object} mediaData - Service media data
+   * @returns {Promise} - New service media object
+   */
+  create: async (mediaData) => {
+    const { 
+      listing_id, component_id, media_type, url, caption, is_featured, display_order
+    } = mediaData;
+    
+    const result = await query(
+      `INSERT INTO service_media 
+        (listing_id, component_id, media_type, url, caption, is_featured, display_order) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING *`,
+      [
+        listing_id, component_id, media_type, url, caption, is_featured, display_order || 0
+      ]
+    );
+    
+    return result.rows[0];
+  },
+  
+  /**
+   * Create multiple service media
+   * @param {Array} mediaItems - Array of service media data
+   * @returns {Promise} - Success status
+   */
+  createBulk: async (mediaItems) => {
+    if (!mediaItems || mediaItems.length === 0) {
+      return [];
+    }
+    
+    const values = mediaItems.map(m => [
+      m.listing_id, m.component_id, m.media_type, m.url, m.caption, 
+      m.is_featured || false, m.display_order || 0
+    ]);
+    
+    const queryString = format(
+      `INSERT INTO service_media 
+        (listing_id, component_id, media_type, url, caption, is_featured, display_order) 
+       VALUES %L 
+       RETURNING *`,
+      values
+    );
+    
+    const result = await query(queryString);
+    return result.rows;
+  },
+  
+  /**
+   * Find service media by ID
+   * @param {number} id - Service media ID
+   * @returns {Promise} - Service media object or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM service_media WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+  
+  /**
+   * Get media by listing ID
+   * @param {number} listingId - Listing ID
+   * @returns {Promise} - Array of service media
+   */
+  getByListingId: async (listingId) => {
+    const result = await query(
+      `SELECT * FROM service_media 
+       WHERE listing_id = $1
+       ORDER BY is_featured DESC, display_order ASC, id ASC`,
+      [listingId]
+    );
+    
+    return result.rows;
+  },
+  
+  /**
+   * Get media by component ID
+   * @param {number} componentId - Component ID
+   * @returns {Promise} - Array of service media
+   */
+  getByComponentId: async (componentId) => {
+    const result = await query(
+      `SELECT * FROM service_media 
+       WHERE component_id = $1
+       ORDER BY is_featured DESC, display_order ASC, id ASC`,
+      [componentId]
+    );
+    
+    return result.rows;
+  },
+  
+  /**
+   * Update service media
+   * @param {number} id - Service media ID
+   * @param {Object} mediaData - Service media data to update
+   * @returns {Promise} - Updated service media object
+   */
+  update: async (id, mediaData) => {
+    const allowedFields = [
+      'media_type', 'url', 'caption', 'is_featured', 'display_order'
+    ];
+    
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+    
+    Object.keys(mediaData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(mediaData[key]);
+        paramIndex++;
+      }
+    });
+    
     if (updates.length === 0) return null;
     
     values.push(id);
@@ -1535,15 +2115,26 @@ const customTripModel = {
    * @returns {Promise} - Array of custom trips
    */
   getByTravelerId: async (travelerId, status = null) => {
-    let queryString = 'SELECT * FROM custom_trips WHERE traveler_id = $1';
+    // Include the trip's latest booking so travelers can manage it from their trip list
+    let queryString = `
+      SELECT ct.*, lb.id as booking_id, lb.booking_reference, lb.status as booking_status
+      FROM custom_trips ct
+      LEFT JOIN LATERAL (
+        SELECT id, booking_reference, status FROM bookings
+        WHERE custom_trip_id = ct.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) lb ON true
+      WHERE ct.traveler_id = $1
+    `;
     const values = [travelerId];
     
     if (status) {
-      queryString += ' AND status = $2';
+      queryString += ' AND ct.status = $2';
       values.push(status);
     }
     
-    queryString += ' ORDER BY created_at DESC';
+    queryString += ' ORDER BY ct.created_at DESC';
     
     const result = await query(queryString, values);
     return result.rows;
@@ -1609,7 +2200,8 @@ const customTripModel = {
       `SELECT tc.*, 
         l.name as location_name,
         l.city as location_city,
-        l.country as location_country
+        l.country as location_country,
+        l.timezone as location_timezone
        FROM trip_components tc
        LEFT JOIN locations l ON tc.location_id = l.id
        WHERE tc.trip_id = $1
@@ -1636,20 +2228,20 @@ const tripComponentModel = {
     const { 
       trip_id, component_type, service_component_id, listing_id, external_provider,
       external_reference_id, title, description, start_date, end_date, start_time,
-      end_time, location_id, custom_location, price, currency, status, notes
+      end_time, location_id, custom_location, price, currency, status, notes, price_breakdown
     } = componentData;
     
     const result = await query(
       `INSERT INTO trip_components 
         (trip_id, component_type, service_component_id, listing_id, external_provider,
          external_reference_id, title, description, start_date, end_date, start_time,
-         end_time, location_id, custom_location, price, currency, status, notes) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) 
+         end_time, location_id, custom_location, price, currency, status, notes, price_breakdown) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19) 
        RETURNING *`,
       [
         trip_id, component_type, service_component_id, listing_id, external_provider,
         external_reference_id, title, description, start_date, end_date, start_time,
-        end_time, location_id, custom_location, price, currency, status || 'planned', notes
+        end_time, location_id, custom_location, price, currency, status || 'planned', notes, price_breakdown || null
       ]
     );
     
@@ -1673,20 +2265,20 @@ const tripComponentModel = {
         const { 
           trip_id, component_type, service_component_id, listing_id, external_provider,
           external_reference_id, title, description, start_date, end_date, start_time,
-          end_time, location_id, custom_location, price, currency, status, notes
+          end_time, location_id, custom_location, price, currency, status, notes, price_breakdown
         } = component;
         
         const result = await client.query(
           `INSERT INTO trip_components 
             (trip_id, component_type, service_component_id, listing_id, external_provider,
              external_reference_id, title, description, start_date, end_date, start_time,
-             end_time, location_id, custom_location, price, currency, status, notes) 
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) 
+             end_time, location_id, custom_location, price, currency, status, notes, price_breakdown) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19) 
            RETURNING *`,
           [
             trip_id, component_type, service_component_id, listing_id, external_provider,
             external_reference_id, title, description, start_date, end_date, start_time,
-            end_time, location_id, custom_location, price, currency, status || 'planned', notes
+            end_time, location_id, custom_location, price, currency, status || 'planned', notes, price_breakdown || null
           ]
         );
         
@@ -1711,7 +2303,8 @@ const tripComponentModel = {
       `SELECT tc.*, 
         l.name as location_name,
         l.city as location_city,
-        l.country as location_country
+        l.country as location_country,
+        l.timezone as location_timezone
        FROM trip_components tc
        LEFT JOIN locations l ON tc.location_id = l.id
        WHERE tc.id = $1`,
@@ -1731,7 +2324,8 @@ const tripComponentModel = {
       `SELECT tc.*, 
         l.name as location_name,
         l.city as location_city,
-        l.country as location_country
+        l.country as location_country,
+        l.timezone as location_timezone
        FROM trip_components tc
        LEFT JOIN locations l ON tc.location_id = l.id
        WHERE tc.trip_id = $1
@@ -1752,7 +2346,7 @@ const tripComponentModel = {
     const allowedFields = [
       'title', 'description', 'start_date', 'end_date', 'start_time',
       'end_time', 'location_id', 'custom_location', 'price', 'currency', 
-      'status', 'external_reference_id', 'notes'
+      'status', 'external_reference_id', 'notes', 'price_breakdown'
     ];
     
     const updates = [];
@@ -1809,7 +2403,8 @@ const tripComponentModel = {
       `SELECT tc.*, 
         l.name as location_name,
         l.city as location_city,
-        l.country as location_country
+        l.country as location_country,
+        l.timezone as location_timezone
        FROM trip_components tc
        LEFT JOIN locations l ON tc.location_id = l.id
        WHERE tc.trip_id = $1 AND tc.component_type = $2
@@ -1844,8 +2439,9 @@ const aiTripSuggestionModel = {
        VALUES ($1, $2, $3, $4, $5, $6) 
        RETURNING *`,
       [
-        user_id, image_url, suggested_destinations || {}, suggested_activities || {},
-        suggested_example_trips || {}, processing_status || 'pending'
+        // Stringified so arrays are stored as JSON arrays rather than converted to Postgres arrays
+        user_id, image_url, JSON.stringify(suggested_destinations || {}), JSON.stringify(suggested_activities || {}),
+        JSON.stringify(suggested_example_trips || {}), processing_status || 'pending'
       ]
     );
     
@@ -1912,6 +2508,84 @@ const aiTripSuggestionModel = {
     return result.rows[0];
   },
   
+  /**
+   * Claim suggestions waiting for analysis: pending ones that are due, and ones stuck in processing (e.g. after a
+   * crash) for longer than staleMinutes. Claimed rows are moved to processing, so concurrent workers skip them.
+   * @param {number} limit - Maximum number of suggestions
+   * @param {number} staleMinutes - Minutes after which a processing suggestion is claimed again
+   * @returns {Promise} - Array of claimed suggestions, oldest first
+   */
+  claimPending: async (limit = 5, staleMinutes = 15) => {
+    const result = await query(
+      `UPDATE ai_trip_suggestions
+       SET processing_status = 'processing',
+           attempts = attempts + 1,
+           processing_started_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM ai_trip_suggestions
+         WHERE (processing_status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (processing_status = 'processing' AND processing_started_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+         ORDER BY created_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, staleMinutes]
+    );
+    return result.rows.sort((a, b) => a.created_at - b.created_at);
+  },
+
+  /**
+   * Store the outcome of a successful analysis
+   * @param {number} id - AI trip suggestion ID
+   * @param {Object} outcome - { analyzer, analysis, suggested_destinations, suggested_activities, suggested_example_trips }
+   * @returns {Promise} - Updated AI trip suggestion object
+   */
+  markCompleted: async (id, { analyzer, analysis, suggested_destinations, suggested_activities, suggested_example_trips }) => {
+    const result = await query(
+      `UPDATE ai_trip_suggestions
+       SET processing_status = 'completed',
+           analyzer = $1,
+           analysis = $2,
+           suggested_destinations = $3,
+           suggested_activities = $4,
+           suggested_example_trips = $5,
+           last_error = NULL,
+           processed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [
+        analyzer, JSON.stringify(analysis), JSON.stringify(suggested_destinations),
+        JSON.stringify(suggested_activities), JSON.stringify(suggested_example_trips), id
+      ]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Store a failed analysis: back to pending until nextAttemptAt, or failed when there are no attempts left
+   * @param {number} id - AI trip suggestion ID
+   * @param {string} errorMessage - Why the analysis failed
+   * @param {Date|null} nextAttemptAt - When to retry, null to give up
+   * @returns {Promise} - Updated AI trip suggestion object
+   */
+  markFailed: async (id, errorMessage, nextAttemptAt) => {
+    const result = await query(
+      `UPDATE ai_trip_suggestions
+       SET processing_status = $1,
+           last_error = $2,
+           next_attempt_at = COALESCE($3, next_attempt_at),
+           processed_at = CASE WHEN $3::TIMESTAMP IS NULL THEN CURRENT_TIMESTAMP ELSE processed_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [nextAttemptAt ? 'pending' : 'failed', errorMessage, nextAttemptAt, id]
+    );
+    return result.rows[0] || null;
+  },
+
   /**
    * Delete an AI trip suggestion
    * @param {number} id - AI trip suggestion ID
@@ -1924,40 +2598,114 @@ const aiTripSuggestionModel = {
 };
 
 // ====================================
-// Booking Models
+// AI Usage Models
 // ====================================
 
-const bookingModel = {
+const aiUsageModel = {
   /**
-   * Create a booking
-   * @param {Object} bookingData - Booking data
-   * @returns {Promise} - New booking object
+   * Record an AI gateway request
+   * @param {Object} event - { user_id, feature, provider, model, prompt_version, status, attempts, input_tokens,
+   *   output_tokens, latency_ms, error }
+   * @returns {Promise} - New usage event object
    */
-  create: async (bookingData) => {
-    const { 
-      booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
-      number_of_travelers, total_price, currency, status, special_requests, traveler_contact_info
-    } = bookingData;
-    
+  create: async (event) => {
+    const {
+      user_id, feature, provider, model, prompt_version, status, attempts,
+      input_tokens, output_tokens, latency_ms, error
+    } = event;
+
     const result = await query(
-      `INSERT INTO bookings 
-        (booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
-         number_of_travelers, total_price, currency, status, special_requests, traveler_contact_info) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) 
+      `INSERT INTO ai_usage_events
+        (user_id, feature, provider, model, prompt_version, status, attempts,
+         input_tokens, output_tokens, latency_ms, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        RETURNING *`,
       [
-        booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
-        number_of_travelers, total_price, currency, status || 'pending', special_requests, traveler_contact_info || {}
+        user_id, feature, provider, model || null, prompt_version, status, attempts || 1,
+        input_tokens || 0, output_tokens || 0, latency_ms ?? null, error || null
       ]
     );
-    
     return result.rows[0];
   },
-  
+
   /**
-   * Find a booking by ID
-   * @param {number} id - Booking ID
-   * @returns {Promise} - Booking object or null
+   * A user's requests and tokens within the last windowMinutes
+   * @param {number} userId - User ID
+   * @param {number} windowMinutes - Size of the window
+   * @returns {Promise} - { requests, tokens, oldest } oldest is the time of the earliest request in the window
+   */
+  getUserWindowUsage: async (userId, windowMinutes) => {
+    const result = await query(
+      `SELECT COUNT(*)::INTEGER AS requests,
+              COALESCE(SUM(input_tokens + output_tokens), 0)::INTEGER AS tokens,
+              MIN(created_at) AS oldest
+       FROM ai_usage_events
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)`,
+      [userId, windowMinutes]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Usage per feature and status since a date (admin reporting)
+   * @param {Date} since - Start of the period
+   * @returns {Promise} - Array of { feature, provider, status, requests, input_tokens, output_tokens, users }
+   */
+  getSummary: async (since) => {
+    const result = await query(
+      `SELECT feature, provider, status,
+              COUNT(*)::INTEGER AS requests,
+              COALESCE(SUM(input_tokens), 0)::INTEGER AS input_tokens,
+              COALESCE(SUM(output_tokens), 0)::INTEGER AS output_tokens,
+              COUNT(DISTINCT user_id)::INTEGER AS users
+       FROM ai_usage_events
+       WHERE created_at >= $1
+       GROUP BY feature, provider, status
+       ORDER BY feature, provider, status`,
+      [since]
+    );
+    return result.rows;
+  }
+};
+
+// ====================================
+// Booking Models
+// ====================================
+
+const bookingModel = {
+  /**
+   * Create a booking
+   * @param {Object} bookingData - Booking data
+   * @returns {Promise} - New booking object
+   */
+  create: async (bookingData) => {
+    const { 
+      booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
+      number_of_travelers, total_price, currency, status, special_requests, traveler_contact_info,
+      price_breakdown, exchange_rates
+    } = bookingData;
+    
+    const result = await query(
+      `INSERT INTO bookings 
+        (booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
+         number_of_travelers, total_price, currency, status, special_requests, traveler_contact_info,
+         price_breakdown, exchange_rates) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) 
+       RETURNING *`,
+      [
+        booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
+        number_of_travelers, total_price, currency, status || 'pending', special_requests, traveler_contact_info || {},
+        price_breakdown || null, exchange_rates || null
+      ]
+    );
+    
+    return result.rows[0];
+  },
+  
+  /**
+   * Find a booking by ID
+   * @param {number} id - Booking ID
+   * @returns {Promise} - Booking object or null
    */
   findById: async (id) => {
     const result = await query('SELECT * FROM bookings WHERE id = $1', [id]);
@@ -1974,6 +2722,19 @@ const bookingModel = {
     return result.rows[0] || null;
   },
   
+  /**
+   * Find the most recent booking of a custom trip
+   * @param {number} customTripId - Custom trip ID
+   * @returns {Promise} - Booking object or null
+   */
+  findLatestByCustomTripId: async (customTripId) => {
+    const result = await query(
+      'SELECT * FROM bookings WHERE custom_trip_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [customTripId]
+    );
+    return result.rows[0] || null;
+  },
+
   /**
    * Get bookings by traveler ID
    * @param {number} travelerId - Traveler ID
@@ -2034,6 +2795,25 @@ const bookingModel = {
     return result.rows;
   },
   
+  /**
+   * Check whether a booking covers a listing, either directly or through a custom trip component
+   * @param {number} bookingId - Booking ID
+   * @param {number} listingId - Listing ID
+   * @returns {Promise<boolean>} - True if the listing is part of the booking
+   */
+  includesListing: async (bookingId, listingId) => {
+    const result = await query(
+      `SELECT 1
+       FROM bookings b
+       LEFT JOIN booking_components bc ON bc.booking_id = b.id
+       LEFT JOIN trip_components tc ON bc.component_id = tc.id
+       WHERE b.id = $1 AND (b.listing_id = $2 OR tc.listing_id = $2)
+       LIMIT 1`,
+      [bookingId, listingId]
+    );
+    return result.rows.length > 0;
+  },
+
   /**
    * Get bookings by provider ID (for their direct listings or components they own in custom trips)
    * @param {number} providerId - Provider ID
@@ -2127,7 +2907,7 @@ const bookingModel = {
   update: async (id, bookingData) => {
     const allowedFields = [
       'start_date', 'end_date', 'number_of_travelers', 'total_price', 
-      'currency', 'status', 'special_requests', 'traveler_contact_info'
+      'currency', 'status', 'payment_status', 'special_requests', 'traveler_contact_info'
     ];
     
     const updates = [];
@@ -2198,7 +2978,8 @@ const bookingModel = {
         tc.start_date as trip_component_start_date, tc.end_date as trip_component_end_date,
         tc.start_time as trip_component_start_time, tc.end_time as trip_component_end_time,
         pp.business_name as provider_business_name,
-        prov_user.first_name as provider_first_name, prov_user.last_name as provider_last_name
+        prov_user.first_name as provider_first_name, prov_user.last_name as provider_last_name,
+        prov_user.email as provider_email, prov_user.phone as provider_phone
        FROM booking_components bc
        LEFT JOIN trip_components tc ON bc.component_id = tc.id -- For custom trips
        -- If direct listing booking, component_id might be null or link to service_components
@@ -2323,6 +3104,24 @@ const bookingComponentModel = {
     return result.rows;
   },
   
+  /**
+   * Update the status of every component in a booking
+   * @param {number} bookingId - Booking ID
+   * @param {string} status - New component status
+   * @returns {Promise} - Array of updated booking components
+   */
+  updateStatusByBookingId: async (bookingId, status) => {
+    const result = await query(
+      `UPDATE booking_components
+       SET status = $1,
+           confirmation_date = CASE WHEN $1 = 'confirmed' THEN CURRENT_TIMESTAMP ELSE confirmation_date END
+       WHERE booking_id = $2
+       RETURNING *`,
+      [status, bookingId]
+    );
+    return result.rows;
+  },
+
   /**
    * Get components by provider ID for a specific booking
    * @param {number} bookingId - Booking ID
@@ -2341,6 +3140,27 @@ const bookingComponentModel = {
     return result.rows;
   },
 
+  /**
+   * Get booking components with what is needed to quote a cancellation
+   * (service start and the cancellation policy of the originating listing)
+   * @param {number} bookingId - Booking ID
+   * @returns {Promise} - Array of booking components
+   */
+  getForCancellation: async (bookingId) => {
+    const result = await query(
+      `SELECT bc.*, tc.title as trip_component_title, tc.component_type,
+        tc.start_date as trip_component_start_date, tc.start_time as trip_component_start_time,
+        sl.cancellation_policy
+       FROM booking_components bc
+       LEFT JOIN trip_components tc ON bc.component_id = tc.id
+       LEFT JOIN service_listings sl ON tc.listing_id = sl.id
+       WHERE bc.booking_id = $1
+       ORDER BY tc.start_date ASC NULLS LAST, tc.start_time ASC NULLS LAST, bc.id ASC`,
+      [bookingId]
+    );
+    return result.rows;
+  },
+
   /**
    * Get components by provider ID (across all bookings)
    * @param {number} providerId - Provider ID
@@ -2397,62 +3217,1691 @@ const locationModel = {
     // Add more location functions as needed (create, update, delete, search by city/country etc.)
 };
 
-
 // ====================================
-// Payment Models (Placeholders)
+// Search Cache Models
 // ====================================
-const paymentModel = {
-    // Example:
-    // createPayment: async (paymentData) => { ... },
-    // findByBookingId: async (bookingId) => { ... },
-    // updateStatus: async (paymentId, status) => { ... },
-    // getTotalRevenueForProvider: async (providerId) => { ... count from provider_payouts ... },
-    // getPayoutsForProvider: async (providerId, startDate, endDate) => { ... from provider_payouts ... },
-    // getEarningsBreakdownForProvider: async (providerId, period) => { ... }
+
+const flightCacheModel = {
+  /**
+   * Get a cached flight search that has not expired
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise} - { results, created_at, expires_at } or null
+   */
+  get: async (cacheKey) => {
+    const result = await query(
+      'SELECT results, created_at, expires_at FROM flight_cache WHERE cache_key = $1 AND expires_at > CURRENT_TIMESTAMP',
+      [cacheKey]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Store flight search results
+   * @param {string} cacheKey - Cache key
+   * @param {Object} searchParams - Search parameters the results are for
+   * @param {Object} results - Search results
+   * @param {Date} expiresAt - When the results go stale
+   * @returns {Promise} - Success status
+   */
+  set: async (cacheKey, searchParams, results, expiresAt) => {
+    await query(
+      `INSERT INTO flight_cache (cache_key, search_params, results, expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (cache_key) DO UPDATE
+         SET search_params = EXCLUDED.search_params, results = EXCLUDED.results,
+             expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP`,
+      [cacheKey, JSON.stringify(searchParams), JSON.stringify(results), expiresAt]
+    );
+    return true;
+  },
+
+  /**
+   * Delete expired cache rows
+   * @returns {Promise<number>} - Number of deleted rows
+   */
+  deleteExpired: async () => {
+    const result = await query('DELETE FROM flight_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
 };
 
-// ====================================
-// Review Models (Placeholders)
-// ====================================
-const reviewModel = {
-    // Example:
-    // createReview: async (reviewData) => { ... },
-    // getByListingId: async (listingId) => { ... },
-    // getByProviderId: async (providerId) => { ... },
-    // calculateAverageRatingForListing: async (listingId) => { ... },
-    // calculateAverageRatingForProvider: async (providerId) => { ... }
+const hotelCacheModel = {
+  /**
+   * Get a cached hotel search that has not expired
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise} - { results, created_at, expires_at } or null
+   */
+  get: async (cacheKey) => {
+    const result = await query(
+      'SELECT results, created_at, expires_at FROM hotel_cache WHERE cache_key = $1 AND expires_at > CURRENT_TIMESTAMP',
+      [cacheKey]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Store hotel search results
+   * @param {string} cacheKey - Cache key
+   * @param {Object} searchParams - Search parameters the results are for
+   * @param {Object} results - Search results
+   * @param {Date} expiresAt - When the results go stale
+   * @returns {Promise} - Success status
+   */
+  set: async (cacheKey, searchParams, results, expiresAt) => {
+    await query(
+      `INSERT INTO hotel_cache (cache_key, search_params, results, expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (cache_key) DO UPDATE
+         SET search_params = EXCLUDED.search_params, results = EXCLUDED.results,
+             expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP`,
+      [cacheKey, JSON.stringify(searchParams), JSON.stringify(results), expiresAt]
+    );
+    return true;
+  },
+
+  /**
+   * Delete expired cache rows
+   * @returns {Promise<number>} - Number of deleted rows
+   */
+  deleteExpired: async () => {
+    const result = await query('DELETE FROM hotel_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
 };
 
 // ====================================
-// Wishlist Models (Placeholders)
+// Pricing Rule Models
 // ====================================
-const wishlistModel = {
-    // Example:
-    // createWishlist: async (userId, name) => { ... },
-    // addItemToWishlist: async (wishlistId, listingId) => { ... },
-    // getWishlistsByUserId: async (userId) => { ... },
-    // getWishlistItems: async (wishlistId) => { ... }
+
+const pricingRuleModel = {
+  /**
+   * Get pricing rules with pagination, highest priority first
+   * @param {Object} options - { ruleType, isActive, limit, offset }
+   * @returns {Promise<Object>} - { rules, total }
+   */
+  getAll: async ({ ruleType = null, isActive = null, limit = 20, offset = 0 } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (ruleType) {
+      params.push(ruleType);
+      conditions.push(`rule_type = $${params.length}`);
+    }
+    if (isActive !== null) {
+      params.push(isActive);
+      conditions.push(`is_active = $${params.length}`);
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT * FROM pricing_rules
+       ${whereClause}
+       ORDER BY rule_type, priority DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    const countResult = await query(`SELECT COUNT(*) FROM pricing_rules ${whereClause}`, params);
+
+    return { rules: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Get every active rule, highest priority first
+   * @returns {Promise} - Array of pricing rules
+   */
+  getActive: async () => {
+    const result = await query(
+      'SELECT * FROM pricing_rules WHERE is_active = true ORDER BY priority DESC, id DESC'
+    );
+    return result.rows;
+  },
+
+  /**
+   * Find a pricing rule by ID
+   * @param {number} id - Rule ID
+   * @returns {Promise} - Pricing rule or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM pricing_rules WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Create a pricing rule
+   * @param {Object} ruleData - Rule data
+   * @returns {Promise} - New pricing rule
+   */
+  create: async (ruleData) => {
+    const {
+      rule_name, rule_type, route_pattern, priority, markup_type, markup_value,
+      currency, valid_from, valid_to, is_active
+    } = ruleData;
+
+    const result = await query(
+      `INSERT INTO pricing_rules
+        (rule_name, rule_type, route_pattern, priority, markup_type, markup_value,
+         currency, valid_from, valid_to, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        rule_name, rule_type, route_pattern || null, priority || 0, markup_type, markup_value,
+        currency || 'USD', valid_from || null, valid_to || null, is_active !== false
+      ]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Update a pricing rule
+   * @param {number} id - Rule ID
+   * @param {Object} ruleData - Fields to update
+   * @returns {Promise} - Updated pricing rule or null
+   */
+  update: async (id, ruleData) => {
+    const allowedFields = [
+      'rule_name', 'rule_type', 'route_pattern', 'priority', 'markup_type', 'markup_value',
+      'currency', 'valid_from', 'valid_to', 'is_active'
+    ];
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(ruleData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(ruleData[key]);
+        paramIndex++;
+      }
+    });
+
+    if (updates.length === 0) return null;
+
+    values.push(id);
+    const result = await query(
+      `UPDATE pricing_rules SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Delete a pricing rule
+   * @param {number} id - Rule ID
+   * @returns {Promise} - Deleted pricing rule or null
+   */
+  delete: async (id) => {
+    const result = await query('DELETE FROM pricing_rules WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
 };
 
 // ====================================
-// Notification Models (Placeholders)
+// Exchange Rate Models
 // ====================================
-const notificationModel = {
-    // Example:
-    // createNotification: async (notificationData) => { ... },
-    // getNotificationsByUserId: async (userId, isRead) => { ... },
-    // markAsRead: async (notificationId) => { ... }
+
+const fxRateModel = {
+  /**
+   * Store exchange rates, replacing rates already stored for the same day and currency pair
+   * @param {Array<Object>} rates - [{ date, base, quote, rate }]
+   * @param {string} source - Name of the rate source
+   * @returns {Promise<number>} - Number of rates stored
+   */
+  upsertMany: async (rates, source) => {
+    if (rates.length === 0) return 0;
+
+    const values = [];
+    const placeholders = rates.map((rate, index) => {
+      const offset = index * 5;
+      values.push(rate.date, rate.base, rate.quote, rate.rate, source);
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`;
+    });
+
+    const result = await query(
+      `INSERT INTO fx_rates (rate_date, base_currency, quote_currency, rate, source)
+       VALUES ${placeholders.join(', ')}
+       ON CONFLICT (rate_date, base_currency, quote_currency) DO UPDATE
+         SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_at = CURRENT_TIMESTAMP`,
+      values
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Latest rate on or before a date of every pair involving one of the currencies
+   * @param {Array<string>} currencies - Currency codes
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise} - Array of { base_currency, quote_currency, rate, rate_date, source }
+   */
+  getLatestRates: async (currencies, date) => {
+    const result = await query(
+      `SELECT DISTINCT ON (base_currency, quote_currency)
+              base_currency, quote_currency, rate, rate_date, source
+       FROM fx_rates
+       WHERE rate_date <= $1 AND (base_currency = ANY($2) OR quote_currency = ANY($2))
+       ORDER BY base_currency, quote_currency, rate_date DESC`,
+      [date, currencies]
+    );
+    return result.rows;
+  },
+
+  /**
+   * All rates of one day for a base currency
+   * @param {string} baseCurrency - Base currency
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise} - Array of rates
+   */
+  getSnapshot: async (baseCurrency, date) => {
+    const result = await query(
+      `SELECT * FROM fx_rates
+       WHERE base_currency = $1 AND rate_date = $2
+       ORDER BY quote_currency`,
+      [baseCurrency, date]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Most recent day with stored rates, on or before a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise} - { rate_date, rates } or null when nothing is stored
+   */
+  getLatestDate: async (date) => {
+    const result = await query(
+      `SELECT rate_date, COUNT(*) AS rates FROM fx_rates
+       WHERE rate_date <= $1
+       GROUP BY rate_date
+       ORDER BY rate_date DESC
+       LIMIT 1`,
+      [date]
+    );
+    return result.rows[0] || null;
+  }
 };
 
 // ====================================
-// Messaging Models (Placeholders)
+// Entry Requirement Models
 // ====================================
-const messageModel = {
-    // Example:
-    // createConversation: async (participantIds) => { ... },
-    // sendMessage: async (conversationId, senderId, text) => { ... },
-    // getMessagesByConversationId: async (conversationId) => { ... },
-    // getConversationsByUserId: async (userId) => { ... }
+
+const ENTRY_REQUIREMENT_BATCH_SIZE = 500;
+
+// Insert rows in batches of multi-row INSERTs (columns in the order of the row arrays)
+const insertRows = async (client, table, columns, rows) => {
+  for (let start = 0; start < rows.length; start += ENTRY_REQUIREMENT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + ENTRY_REQUIREMENT_BATCH_SIZE);
+    const values = [];
+    const placeholders = batch.map((row, index) => {
+      values.push(...row);
+      return `(${row.map((value, column) => `$${index * row.length + column + 1}`).join(', ')})`;
+    });
+    await client.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')}`, values);
+  }
+};
+
+const entryRequirementModel = {
+  /**
+   * Store a dataset version with its countries and requirements
+   * @param {Object} dataset - { version, source, published_on, notes, zones, countries, requirements, imported_by }
+   * @param {boolean} [activate] - Make it the active version
+   * @returns {Promise} - New dataset object
+   */
+  createDataset: async (dataset, activate = false) => {
+    const { version, source, published_on, notes, zones, countries, requirements, imported_by } = dataset;
+    const client = await beginTransaction();
+    try {
+      const result = await client.query(
+        `INSERT INTO entry_requirement_datasets
+          (version, source, published_on, notes, zones, country_count, requirement_count, imported_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [version, source, published_on, notes, JSON.stringify(zones || {}), countries.length, requirements.length, imported_by]
+      );
+      const created = result.rows[0];
+
+      await insertRows(client, 'entry_requirement_countries',
+        ['dataset_id', 'country_code', 'name', 'aliases', 'zone', 'passport_validity_months', 'passport_validity_from',
+          'blank_pages', 'notes'],
+        countries.map(country => [
+          created.id, country.code, country.name, JSON.stringify(country.aliases || []), country.zone,
+          country.passport_validity_months, country.passport_validity_from, country.blank_pages, country.notes
+        ]));
+      await insertRows(client, 'entry_requirements',
+        ['dataset_id', 'nationality', 'destination', 'requirement', 'max_stay_days', 'multiple_entry', 'transit',
+          'effective_from', 'notes'],
+        requirements.map(requirement => [
+          created.id, requirement.nationality, requirement.destination, requirement.requirement,
+          requirement.max_stay_days, requirement.multiple_entry, requirement.transit, requirement.effective_from,
+          requirement.notes
+        ]));
+
+      if (activate) {
+        await client.query('UPDATE entry_requirement_datasets SET is_active = false WHERE is_active = true');
+        const activated = await client.query(
+          `UPDATE entry_requirement_datasets SET is_active = true, activated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 RETURNING *`,
+          [created.id]
+        );
+        await client.commit();
+        return activated.rows[0];
+      }
+
+      await client.commit();
+      return created;
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Make a dataset version the one used for lookups
+   * @param {number} id - Dataset ID
+   * @returns {Promise} - Activated dataset object or null
+   */
+  activateDataset: async (id) => {
+    const client = await beginTransaction();
+    try {
+      await client.query('UPDATE entry_requirement_datasets SET is_active = false WHERE is_active = true AND id <> $1', [id]);
+      const result = await client.query(
+        `UPDATE entry_requirement_datasets SET is_active = true, activated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      if (!result.rows[0]) {
+        await client.rollback();
+        return null;
+      }
+      await client.commit();
+      return result.rows[0];
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Find a dataset by version
+   * @param {string} version - Dataset version
+   * @returns {Promise} - Dataset object or null
+   */
+  findDatasetByVersion: async (version) => {
+    const result = await query('SELECT * FROM entry_requirement_datasets WHERE version = $1', [version]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * The dataset used for lookups
+   * @returns {Promise} - Dataset object or null when nothing has been imported
+   */
+  getActiveDataset: async () => {
+    const result = await query('SELECT * FROM entry_requirement_datasets WHERE is_active = true');
+    return result.rows[0] || null;
+  },
+
+  /**
+   * All dataset versions, newest first
+   * @returns {Promise} - Array of datasets
+   */
+  getDatasets: async () => {
+    const result = await query(
+      `SELECT d.*, u.first_name AS imported_by_first_name, u.last_name AS imported_by_last_name
+       FROM entry_requirement_datasets d
+       LEFT JOIN users u ON d.imported_by = u.id
+       ORDER BY d.created_at DESC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Countries of a dataset
+   * @param {number} datasetId - Dataset ID
+   * @returns {Promise} - Array of countries
+   */
+  getCountries: async (datasetId) => {
+    const result = await query(
+      'SELECT * FROM entry_requirement_countries WHERE dataset_id = $1 ORDER BY name',
+      [datasetId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Requirements of a dataset for one nationality, oldest effective_from first
+   * @param {number} datasetId - Dataset ID
+   * @param {string} nationality - Nationality (ISO 3166-1 alpha-2)
+   * @param {Array<string>} destinations - Destination country codes
+   * @returns {Promise} - Array of requirements
+   */
+  getRequirements: async (datasetId, nationality, destinations) => {
+    const result = await query(
+      `SELECT * FROM entry_requirements
+       WHERE dataset_id = $1 AND nationality = $2 AND destination = ANY($3)
+       ORDER BY destination, effective_from`,
+      [datasetId, nationality, destinations]
+    );
+    return result.rows;
+  }
+};
+
+// ====================================
+// Flight Price Watch Models
+// ====================================
+
+const priceWatchModel = {
+  /**
+   * Create a price watch
+   * @param {Object} watchData - Price watch data
+   * @returns {Promise} - New price watch object
+   */
+  create: async (watchData) => {
+    const {
+      user_id, origin, destination, departure_date, return_date, adults, cabin_class, currency, max_price
+    } = watchData;
+
+    const result = await query(
+      `INSERT INTO price_watches
+        (user_id, origin, destination, departure_date, return_date, adults, cabin_class, currency, max_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [user_id, origin, destination, departure_date, return_date || null, adults || 1, cabin_class || 'ECONOMY', currency || 'USD', max_price]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Find a price watch by ID
+   * @param {number} id - Price watch ID
+   * @returns {Promise} - Price watch object or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM price_watches WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get a user's price watches
+   * @param {number} userId - User ID
+   * @returns {Promise} - Array of price watches
+   */
+  getByUserId: async (userId) => {
+    const result = await query(
+      `SELECT * FROM price_watches
+       WHERE user_id = $1
+       ORDER BY is_active DESC, departure_date ASC, id ASC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Count a user's active price watches
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of active watches
+   */
+  countActiveByUserId: async (userId) => {
+    const result = await query(
+      'SELECT COUNT(*) FROM price_watches WHERE user_id = $1 AND is_active = true',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Update the user-editable fields of a price watch
+   * @param {number} id - Price watch ID
+   * @param {Object} watchData - { max_price, is_active }
+   * @returns {Promise} - Updated price watch object or null
+   */
+  update: async (id, watchData) => {
+    const allowedFields = ['max_price', 'is_active'];
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(watchData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(watchData[key]);
+        paramIndex++;
+      }
+    });
+
+    if (updates.length === 0) return null;
+
+    // A new threshold or a resumed watch is judged afresh on its next check, which is due now
+    updates.push('below_threshold = false', 'last_alerted_price = NULL', 'next_check_at = CURRENT_TIMESTAMP', 'consecutive_failures = 0');
+    values.push(id);
+    const result = await query(
+      `UPDATE price_watches SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Delete a price watch
+   * @param {number} id - Price watch ID
+   * @returns {Promise} - Deleted price watch ID or null
+   */
+  delete: async (id) => {
+    const result = await query('DELETE FROM price_watches WHERE id = $1 RETURNING id', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get active watches whose next check is due
+   * @param {number} limit - Maximum number of watches
+   * @returns {Promise} - Array of price watches, most overdue first
+   */
+  getDue: async (limit = 20) => {
+    const result = await query(
+      `SELECT * FROM price_watches
+       WHERE is_active = true AND next_check_at <= CURRENT_TIMESTAMP
+       ORDER BY next_check_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Stop watching flights that have already departed
+   * @returns {Promise<number>} - Number of deactivated watches
+   */
+  deactivateDeparted: async () => {
+    const result = await query(
+      `UPDATE price_watches SET is_active = false
+       WHERE is_active = true AND departure_date < CURRENT_DATE`
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Store the outcome of a successful check
+   * @param {number} id - Price watch ID
+   * @param {Object} check - { price, currency, resultsCount, belowThreshold, alertedPrice, nextCheckAt }
+   * @returns {Promise} - Updated price watch object
+   */
+  recordCheck: async (id, { price, currency, resultsCount, belowThreshold, alertedPrice, nextCheckAt }) => {
+    const client = await beginTransaction();
+    try {
+      await client.query(
+        'INSERT INTO price_watch_history (watch_id, price, currency, results_count) VALUES ($1, $2, $3, $4)',
+        [id, price, currency, resultsCount]
+      );
+      const result = await client.query(
+        `UPDATE price_watches
+         SET last_price = $1,
+             lowest_price = CASE WHEN $1::DECIMAL IS NOT NULL AND (lowest_price IS NULL OR $1::DECIMAL < lowest_price) THEN $1::DECIMAL ELSE lowest_price END,
+             below_threshold = $2,
+             last_alerted_price = $3,
+             last_checked_at = CURRENT_TIMESTAMP,
+             next_check_at = $4,
+             consecutive_failures = 0,
+             last_error = NULL
+         WHERE id = $5
+         RETURNING *`,
+        [price, belowThreshold, alertedPrice, nextCheckAt, id]
+      );
+      await client.commit();
+      return result.rows[0];
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Store a failed check and when to retry
+   * @param {number} id - Price watch ID
+   * @param {string} errorMessage - Why the check failed
+   * @param {Date} nextCheckAt - When to retry
+   * @returns {Promise} - Updated price watch object
+   */
+  recordFailure: async (id, errorMessage, nextCheckAt) => {
+    const result = await query(
+      `UPDATE price_watches
+       SET consecutive_failures = consecutive_failures + 1,
+           last_error = $1,
+           last_checked_at = CURRENT_TIMESTAMP,
+           next_check_at = $2
+       WHERE id = $3
+       RETURNING *`,
+      [errorMessage, nextCheckAt, id]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Get the price history of a watch
+   * @param {number} watchId - Price watch ID
+   * @param {number} limit - Maximum number of checks, most recent kept
+   * @returns {Promise} - Array of history rows, oldest first
+   */
+  getHistory: async (watchId, limit = 100) => {
+    const result = await query(
+      `SELECT * FROM (
+         SELECT id, price, currency, results_count, checked_at FROM price_watch_history
+         WHERE watch_id = $1
+         ORDER BY checked_at DESC
+         LIMIT $2
+       ) recent
+       ORDER BY checked_at ASC`,
+      [watchId, limit]
+    );
+    return result.rows;
+  }
+};
+
+
+// ====================================
+// Payment Models
+// ====================================
+const paymentModel = {
+  /**
+   * Create a payment intent
+   * @param {Object} intentData - Payment intent data
+   * @returns {Promise} - New payment intent object
+   */
+  createIntent: async (intentData) => {
+    const {
+      booking_id, user_id, provider, provider_intent_id, idempotency_key,
+      amount, currency, status, metadata
+    } = intentData;
+
+    const result = await query(
+      `INSERT INTO payment_intents
+        (booking_id, user_id, provider, provider_intent_id, idempotency_key,
+         amount, currency, status, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        booking_id, user_id, provider, provider_intent_id, idempotency_key,
+        amount, currency || 'USD', status || 'requires_authorization', metadata || {}
+      ]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Create a booking, its components and its payment intent in one transaction
+   * @param {Object} bookingData - Booking data
+   * @param {Array} componentsData - Booking component data (booking_id is filled in)
+   * @param {Object} intentData - Payment intent data (booking_id is filled in)
+   * @returns {Promise} - { booking, components, intent }, or null if the intent's idempotency key is already used
+   */
+  createBookingWithIntent: async (bookingData, componentsData, intentData) => {
+    const {
+      booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
+      number_of_travelers, total_price, currency, status, special_requests, traveler_contact_info,
+      price_breakdown, exchange_rates
+    } = bookingData;
+
+    const client = await beginTransaction();
+    try {
+      const bookingResult = await client.query(
+        `INSERT INTO bookings
+          (booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
+           number_of_travelers, total_price, currency, status, special_requests, traveler_contact_info,
+           price_breakdown, exchange_rates)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING *`,
+        [
+          booking_reference, traveler_id, custom_trip_id, listing_id, start_date, end_date,
+          number_of_travelers, total_price, currency, status || 'pending', special_requests, traveler_contact_info || {},
+          price_breakdown || null, exchange_rates || null
+        ]
+      );
+      const booking = bookingResult.rows[0];
+
+      const components = [];
+      for (const component of componentsData) {
+        const componentResult = await client.query(
+          `INSERT INTO booking_components
+            (booking_id, component_id, provider_id, status, provider_confirmation_reference,
+             confirmation_date, price, currency, notes)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            booking.id, component.component_id, component.provider_id, component.status || 'pending',
+            component.provider_confirmation_reference, component.confirmation_date, component.price,
+            component.currency, component.notes
+          ]
+        );
+        components.push(componentResult.rows[0]);
+      }
+
+      const intentResult = await client.query(
+        `INSERT INTO payment_intents
+          (booking_id, user_id, provider, provider_intent_id, idempotency_key,
+           amount, currency, status, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          booking.id, intentData.user_id, intentData.provider, intentData.provider_intent_id, intentData.idempotency_key,
+          intentData.amount, intentData.currency || 'USD', intentData.status || 'requires_authorization',
+          intentData.metadata || {}
+        ]
+      );
+
+      await client.commit();
+      return { booking, components, intent: intentResult.rows[0] };
+    } catch (err) {
+      await client.rollback();
+      // Unique violation on the idempotency key: a concurrent request with the same key got there first
+      if (err.code === '23505' && err.constraint === 'payment_intents_idempotency_key_key') return null;
+      throw err;
+    }
+  },
+
+  /**
+   * Find a payment intent by ID
+   * @param {number} id - Payment intent ID
+   * @returns {Promise} - Payment intent object or null
+   */
+  findIntentById: async (id) => {
+    const result = await query('SELECT * FROM payment_intents WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find a payment intent by idempotency key
+   * @param {string} idempotencyKey - Idempotency key supplied by the client
+   * @returns {Promise} - Payment intent object or null
+   */
+  findIntentByIdempotencyKey: async (idempotencyKey) => {
+    const result = await query('SELECT * FROM payment_intents WHERE idempotency_key = $1', [idempotencyKey]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find a payment intent by the gateway's own intent ID
+   * @param {string} provider - Gateway name
+   * @param {string} providerIntentId - Gateway intent ID
+   * @returns {Promise} - Payment intent object or null
+   */
+  findIntentByProviderIntentId: async (provider, providerIntentId) => {
+    const result = await query(
+      'SELECT * FROM payment_intents WHERE provider = $1 AND provider_intent_id = $2',
+      [provider, providerIntentId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get payment intents for a booking
+   * @param {number} bookingId - Booking ID
+   * @returns {Promise} - Array of payment intents, newest first
+   */
+  getIntentsByBookingId: async (bookingId) => {
+    const result = await query(
+      'SELECT * FROM payment_intents WHERE booking_id = $1 ORDER BY created_at DESC, id DESC',
+      [bookingId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Update a payment intent
+   * @param {number} id - Payment intent ID
+   * @param {Object} intentData - Payment intent data to update
+   * @returns {Promise} - Updated payment intent object
+   */
+  updateIntent: async (id, intentData) => {
+    const allowedFields = [
+      'booking_id', 'provider_intent_id', 'status', 'captured_amount', 'refunded_amount',
+      'failure_reason', 'metadata'
+    ];
+
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(intentData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(intentData[key]);
+        paramIndex++;
+      }
+    });
+
+    if (updates.length === 0) return null;
+
+    values.push(id);
+    const result = await query(
+      `UPDATE payment_intents SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Record a webhook event. Returns null if the event was already recorded.
+   * @param {Object} eventData - Webhook event data (provider, event_id, event_type, payload)
+   * @returns {Promise} - New webhook event object or null for duplicates
+   */
+  recordWebhookEvent: async (eventData) => {
+    const { provider, event_id, event_type, payload } = eventData;
+
+    const result = await query(
+      `INSERT INTO payment_webhook_events (provider, event_id, event_type, payload)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, event_id) DO NOTHING
+       RETURNING *`,
+      [provider, event_id, event_type, payload]
+    );
+
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Mark a webhook event as processed
+   * @param {number} id - Webhook event ID
+   * @returns {Promise} - Success status
+   */
+  markWebhookEventProcessed: async (id) => {
+    const result = await query(
+      'UPDATE payment_webhook_events SET processed_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Provider payouts (not implemented yet):
+  // getTotalRevenueForProvider: async (providerId) => { ... count from provider_payouts ... },
+  // getPayoutsForProvider: async (providerId, startDate, endDate) => { ... from provider_payouts ... },
+  // getEarningsBreakdownForProvider: async (providerId, period) => { ... }
+};
+
+// ====================================
+// Booking Cancellation Models
+// ====================================
+const cancellationModel = {
+  /**
+   * Record a booking cancellation with its per-component refund lines. The booking row is locked first, so only
+   * one cancellation can be recorded per booking.
+   * @param {Object} cancellationData - Cancellation data (booking_id, cancelled_by, reason, refund_amount, currency,
+   *                                    payment_intent_id, payment_action, refunded_before)
+   * @param {Array} items - Refund lines (booking_component_id, provider_id, cancellation_policy, hours_before_start,
+   *                        component_price, refund_percentage, refund_amount, currency)
+   * @returns {Promise} - New cancellation object with items, or null if the booking already has one
+   */
+  create: async (cancellationData, items = []) => {
+    const {
+      booking_id, cancelled_by, reason, refund_amount, currency, payment_intent_id, payment_action, refunded_before
+    } = cancellationData;
+
+    const client = await beginTransaction();
+    try {
+      await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [booking_id]);
+      const existing = await client.query('SELECT id FROM booking_cancellations WHERE booking_id = $1', [booking_id]);
+      if (existing.rows.length > 0) {
+        await client.rollback();
+        return null;
+      }
+
+      const result = await client.query(
+        `INSERT INTO booking_cancellations
+          (booking_id, cancelled_by, reason, refund_amount, currency, payment_intent_id, payment_action, refunded_before)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          booking_id, cancelled_by, reason, refund_amount || 0, currency || 'USD', payment_intent_id,
+          payment_action || 'none', refunded_before || 0
+        ]
+      );
+      const cancellation = result.rows[0];
+
+      cancellation.items = [];
+      for (const item of items) {
+        const itemResult = await client.query(
+          `INSERT INTO booking_cancellation_items
+            (cancellation_id, booking_component_id, provider_id, cancellation_policy, hours_before_start,
+             component_price, refund_percentage, refund_amount, currency)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            cancellation.id, item.booking_component_id, item.provider_id, item.cancellation_policy,
+            item.hours_before_start, item.component_price, item.refund_percentage, item.refund_amount,
+            item.currency || cancellation.currency
+          ]
+        );
+        cancellation.items.push(itemResult.rows[0]);
+      }
+
+      await client.commit();
+      return cancellation;
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Mark a cancellation as completed once its refund or void went through
+   * @param {number} id - Cancellation ID
+   * @returns {Promise} - Updated cancellation object (without items)
+   */
+  markCompleted: async (id) => {
+    const result = await query(
+      `UPDATE booking_cancellations SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Find the cancellation of a booking
+   * @param {number} bookingId - Booking ID
+   * @returns {Promise} - Cancellation object with items or null
+   */
+  findByBookingId: async (bookingId) => {
+    const result = await query('SELECT * FROM booking_cancellations WHERE booking_id = $1', [bookingId]);
+    const cancellation = result.rows[0];
+    if (!cancellation) return null;
+
+    const itemsResult = await query(
+      'SELECT * FROM booking_cancellation_items WHERE cancellation_id = $1 ORDER BY id ASC',
+      [cancellation.id]
+    );
+    cancellation.items = itemsResult.rows;
+    return cancellation;
+  },
+
+  /**
+   * Get cancelled components for a provider
+   * @param {number} providerId - Provider ID
+   * @param {Object} options - { since } only cancellations after this date
+   * @returns {Promise} - Array of cancellation items with booking details
+   */
+  getItemsByProviderId: async (providerId, options = {}) => {
+    let queryString = `
+      SELECT bci.*, bcn.reason, bcn.created_at as cancelled_at,
+        b.id as booking_id, b.booking_reference, b.start_date,
+        tc.title as trip_component_title, tc.component_type,
+        u.first_name as traveler_first_name, u.last_name as traveler_last_name
+      FROM booking_cancellation_items bci
+      JOIN booking_cancellations bcn ON bci.cancellation_id = bcn.id
+      JOIN bookings b ON bcn.booking_id = b.id
+      JOIN users u ON b.traveler_id = u.id
+      LEFT JOIN booking_components bc ON bci.booking_component_id = bc.id
+      LEFT JOIN trip_components tc ON bc.component_id = tc.id
+      WHERE bci.provider_id = $1
+    `;
+    const values = [providerId];
+
+    if (options.since) {
+      queryString += ' AND bcn.created_at >= $2';
+      values.push(options.since);
+    }
+
+    queryString += ' ORDER BY bcn.created_at DESC, bci.id ASC';
+    const result = await query(queryString, values);
+    return result.rows;
+  }
+};
+
+// ====================================
+// Review Models
+// ====================================
+const reviewModel = {
+  /**
+   * Create a review (pending moderation)
+   * @param {Object} reviewData - Review data
+   * @returns {Promise} - New review object
+   */
+  create: async (reviewData) => {
+    const { booking_id, listing_id, provider_id, reviewer_id, rating, title, comment } = reviewData;
+
+    const result = await query(
+      `INSERT INTO reviews (booking_id, listing_id, provider_id, reviewer_id, rating, title, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [booking_id, listing_id, provider_id, reviewer_id, rating, title, comment]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Find a review by ID
+   * @param {number} id - Review ID
+   * @returns {Promise} - Review object or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM reviews WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find the review left for a booking
+   * @param {number} bookingId - Booking ID
+   * @returns {Promise} - Review object or null
+   */
+  findByBookingId: async (bookingId) => {
+    const result = await query('SELECT * FROM reviews WHERE booking_id = $1', [bookingId]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get approved reviews for a listing with pagination
+   * @param {number} listingId - Listing ID
+   * @param {number} limit - Number of reviews to return
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<Object>} - { reviews, total }
+   */
+  getByListingId: async (listingId, limit = 10, offset = 0) => {
+    const result = await query(
+      `SELECT r.id, r.listing_id, r.provider_id, r.rating, r.title, r.comment,
+        r.provider_response, r.provider_responded_at, r.created_at,
+        u.first_name as reviewer_first_name, LEFT(u.last_name, 1) as reviewer_last_initial,
+        u.profile_image_url as reviewer_image
+       FROM reviews r
+       LEFT JOIN users u ON r.reviewer_id = u.id
+       WHERE r.listing_id = $1 AND r.status = 'approved'
+       ORDER BY r.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [listingId, limit, offset]
+    );
+    const countResult = await query(
+      "SELECT COUNT(*) FROM reviews WHERE listing_id = $1 AND status = 'approved'",
+      [listingId]
+    );
+
+    return { reviews: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Get approved reviews across all of a provider's listings with pagination
+   * @param {number} providerId - Provider ID
+   * @param {number} limit - Number of reviews to return
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<Object>} - { reviews, total }
+   */
+  getByProviderId: async (providerId, limit = 10, offset = 0) => {
+    const result = await query(
+      `SELECT r.id, r.listing_id, r.provider_id, r.rating, r.title, r.comment,
+        r.provider_response, r.provider_responded_at, r.created_at,
+        sl.title as listing_title,
+        u.first_name as reviewer_first_name, LEFT(u.last_name, 1) as reviewer_last_initial
+       FROM reviews r
+       LEFT JOIN service_listings sl ON r.listing_id = sl.id
+       LEFT JOIN users u ON r.reviewer_id = u.id
+       WHERE r.provider_id = $1 AND r.status = 'approved'
+       ORDER BY r.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [providerId, limit, offset]
+    );
+    const countResult = await query(
+      "SELECT COUNT(*) FROM reviews WHERE provider_id = $1 AND status = 'approved'",
+      [providerId]
+    );
+
+    return { reviews: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Get reviews waiting for moderation, oldest first
+   * @param {number} limit - Number of reviews to return
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<Object>} - { reviews, total }
+   */
+  getPendingModeration: async (limit = 20, offset = 0) => {
+    const result = await query(
+      `SELECT r.*, sl.title as listing_title,
+        u.first_name as reviewer_first_name, u.last_name as reviewer_last_name, u.email as reviewer_email
+       FROM reviews r
+       LEFT JOIN service_listings sl ON r.listing_id = sl.id
+       LEFT JOIN users u ON r.reviewer_id = u.id
+       WHERE r.status = 'pending'
+       ORDER BY r.created_at ASC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    const countResult = await query("SELECT COUNT(*) FROM reviews WHERE status = 'pending'");
+
+    return { reviews: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Approve or reject a review
+   * @param {number} id - Review ID
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {number} moderatorId - Admin user ID
+   * @param {string} [note] - Moderation note
+   * @returns {Promise} - Updated review object
+   */
+  moderate: async (id, status, moderatorId, note = null) => {
+    const result = await query(
+      `UPDATE reviews
+       SET status = $1, moderated_by = $2, moderation_note = $3, moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [status, moderatorId, note, id]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Set the provider's public response to a review
+   * @param {number} id - Review ID
+   * @param {string} response - Response text
+   * @returns {Promise} - Updated review object
+   */
+  addProviderResponse: async (id, response) => {
+    const result = await query(
+      `UPDATE reviews
+       SET provider_response = $1, provider_responded_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [response, id]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Calculate the average approved rating for a listing
+   * @param {number} listingId - Listing ID
+   * @returns {Promise<Object>} - { average_rating, total_reviews }
+   */
+  calculateAverageRatingForListing: async (listingId) => {
+    const result = await query(
+      `SELECT ROUND(AVG(rating)::numeric, 2) as average_rating, COUNT(*) as total_reviews
+       FROM reviews WHERE listing_id = $1 AND status = 'approved'`,
+      [listingId]
+    );
+    return {
+      average_rating: result.rows[0].average_rating !== null ? parseFloat(result.rows[0].average_rating) : null,
+      total_reviews: parseInt(result.rows[0].total_reviews)
+    };
+  },
+
+  /**
+   * Calculate the average approved rating across a provider's listings
+   * @param {number} providerId - Provider ID
+   * @returns {Promise<Object>} - { average_rating, total_reviews }
+   */
+  calculateAverageRatingForProvider: async (providerId) => {
+    const result = await query(
+      `SELECT ROUND(AVG(rating)::numeric, 2) as average_rating, COUNT(*) as total_reviews
+       FROM reviews WHERE provider_id = $1 AND status = 'approved'`,
+      [providerId]
+    );
+    return {
+      average_rating: result.rows[0].average_rating !== null ? parseFloat(result.rows[0].average_rating) : null,
+      total_reviews: parseInt(result.rows[0].total_reviews)
+    };
+  }
+};
+
+// ====================================
+// Wishlist Models
+// ====================================
+const wishlistModel = {
+  /**
+   * Create a wishlist
+   * @param {Object} wishlistData - Wishlist data (user_id, name, description)
+   * @returns {Promise} - New wishlist object
+   */
+  create: async (wishlistData) => {
+    const { user_id, name, description } = wishlistData;
+
+    const result = await query(
+      `INSERT INTO wishlists (user_id, name, description)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [user_id, name, description]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Find a wishlist by ID
+   * @param {number} id - Wishlist ID
+   * @returns {Promise} - Wishlist object or null
+   */
+  findById: async (id) => {
+    const result = await query('SELECT * FROM wishlists WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find a shared wishlist by its share token
+   * @param {string} shareToken - Share token
+   * @returns {Promise} - Wishlist { id, name, description }, or null
+   */
+  findByShareToken: async (shareToken) => {
+    const result = await query(
+      `SELECT w.id, w.name, w.description
+       FROM wishlists w
+       WHERE w.share_token = $1`,
+      [shareToken]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get a user's wishlists with their item counts
+   * @param {number} userId - User ID
+   * @returns {Promise} - Array of wishlists
+   */
+  getByUserId: async (userId) => {
+    const result = await query(
+      `SELECT w.*, COUNT(wi.id)::int as item_count
+       FROM wishlists w
+       LEFT JOIN wishlist_items wi ON wi.wishlist_id = w.id
+       WHERE w.user_id = $1
+       GROUP BY w.id
+       ORDER BY w.updated_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Update a wishlist's name, description or share token
+   * @param {number} id - Wishlist ID
+   * @param {Object} wishlistData - Fields to update (name, description, share_token)
+   * @returns {Promise} - Updated wishlist object
+   */
+  update: async (id, wishlistData) => {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    ['name', 'description', 'share_token'].forEach(field => {
+      if (wishlistData[field] !== undefined) {
+        fields.push(`${field} = $${paramIndex++}`);
+        values.push(wishlistData[field]);
+      }
+    });
+
+    if (fields.length === 0) {
+      return wishlistModel.findById(id);
+    }
+
+    values.push(id);
+    const result = await query(
+      `UPDATE wishlists SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Delete a wishlist and its items
+   * @param {number} id - Wishlist ID
+   * @returns {Promise} - Success status
+   */
+  delete: async (id) => {
+    await query('DELETE FROM wishlists WHERE id = $1', [id]);
+    return true;
+  },
+
+  /**
+   * Add an item to a wishlist
+   * @param {number} wishlistId - Wishlist ID
+   * @param {Object} itemData - Item data (item_type, listing_id, external_reference_id, title, item_data, notes)
+   * @returns {Promise} - New wishlist item object
+   * @throws {Error} - Unique violation (23505) if the item is already in the wishlist
+   */
+  addItem: async (wishlistId, itemData) => {
+    const { item_type, listing_id, external_reference_id, title, item_data, notes } = itemData;
+
+    const result = await query(
+      `INSERT INTO wishlist_items (wishlist_id, item_type, listing_id, external_reference_id, title, item_data, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [wishlistId, item_type, listing_id, external_reference_id, title, item_data || {}, notes]
+    );
+    await query('UPDATE wishlists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [wishlistId]);
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get the items of a wishlist, with current details for listing items
+   * @param {number} wishlistId - Wishlist ID
+   * @returns {Promise} - Array of wishlist items
+   */
+  getItems: async (wishlistId) => {
+    const result = await query(
+      `SELECT wi.*,
+        sl.title as listing_title,
+        sl.base_price as listing_base_price,
+        sl.currency as listing_currency,
+        sl.status as listing_status
+       FROM wishlist_items wi
+       LEFT JOIN service_listings sl ON wi.item_type = 'listing' AND wi.listing_id = sl.id
+       WHERE wi.wishlist_id = $1
+       ORDER BY wi.created_at ASC`,
+      [wishlistId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Remove an item from a wishlist
+   * @param {number} wishlistId - Wishlist ID
+   * @param {number} itemId - Wishlist item ID
+   * @returns {Promise} - The removed item, or null if it was not in the wishlist
+   */
+  removeItem: async (wishlistId, itemId) => {
+    const result = await query(
+      'DELETE FROM wishlist_items WHERE id = $1 AND wishlist_id = $2 RETURNING *',
+      [itemId, wishlistId]
+    );
+    return result.rows[0] || null;
+  }
+};
+
+// ====================================
+// Notification Models
+// ====================================
+const notificationModel = {
+  /**
+   * Create a notification
+   * @param {Object} notificationData - Notification data (user_id, title, message, type, category, data, action_url)
+   * @returns {Promise} - New notification object
+   */
+  create: async (notificationData) => {
+    const { user_id, title, message, type, category, data, action_url } = notificationData;
+
+    const result = await query(
+      `INSERT INTO notifications (user_id, title, message, type, category, data, action_url)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [user_id, title, message, type || 'info', category || 'general', data || {}, action_url]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Get notifications for a user, newest first
+   * @param {number} userId - User ID
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Object>} - { notifications, total }
+   */
+  getByUserId: async (userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) => {
+    const filter = unreadOnly ? ' AND is_read = false' : '';
+
+    const result = await query(
+      `SELECT * FROM notifications
+       WHERE user_id = $1${filter}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+    const countResult = await query(
+      `SELECT COUNT(*) FROM notifications WHERE user_id = $1${filter}`,
+      [userId]
+    );
+
+    return { notifications: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Count unread notifications for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Unread count
+   */
+  countUnread: async (userId) => {
+    const result = await query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Mark a notification as read
+   * @param {number} id - Notification ID
+   * @param {number} userId - Owner user ID
+   * @returns {Promise} - Updated notification or null if not found for this user
+   */
+  markAsRead: async (id, userId) => {
+    const result = await query(
+      `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Number of notifications updated
+   */
+  markAllAsRead: async (userId) => {
+    const result = await query(
+      `UPDATE notifications SET is_read = true, read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND is_read = false`,
+      [userId]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Delete a notification
+   * @param {number} id - Notification ID
+   * @param {number} userId - Owner user ID
+   * @returns {Promise} - Success status
+   */
+  delete: async (id, userId) => {
+    const result = await query('DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id', [id, userId]);
+    return result.rows[0] || null;
+  }
+};
+
+// ====================================
+// Messaging Models
+// ====================================
+const messageModel = {
+  /**
+   * Create a conversation between a traveler and a provider
+   * @param {Object} conversationData - Conversation data (traveler_id, provider_user_id, provider_id, listing_id, booking_id, subject)
+   * @returns {Promise} - New conversation object
+   */
+  createConversation: async (conversationData) => {
+    const { traveler_id, provider_user_id, provider_id, listing_id, booking_id, subject } = conversationData;
+
+    const result = await query(
+      `INSERT INTO conversations (traveler_id, provider_user_id, provider_id, listing_id, booking_id, subject)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [traveler_id, provider_user_id, provider_id, listing_id, booking_id, subject]
+    );
+
+    return result.rows[0];
+  },
+
+  /**
+   * Find the existing conversation for a scope (a booking and provider, or a listing without a booking)
+   * @param {Object} scope - { travelerId, providerUserId, listingId, bookingId }
+   * @returns {Promise} - Conversation object or null
+   */
+  findConversationByScope: async ({ travelerId, providerUserId, listingId, bookingId }) => {
+    const result = bookingId
+      ? await query(
+        'SELECT * FROM conversations WHERE booking_id = $1 AND provider_user_id = $2',
+        [bookingId, providerUserId]
+      )
+      : await query(
+        'SELECT * FROM conversations WHERE traveler_id = $1 AND listing_id = $2 AND booking_id IS NULL',
+        [travelerId, listingId]
+      );
+
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Find a conversation by ID
+   * @param {number} id - Conversation ID
+   * @returns {Promise} - Conversation object or null
+   */
+  findConversationById: async (id) => {
+    const result = await query('SELECT * FROM conversations WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get a user's conversations (as traveler or provider) with the last message and unread count
+   * @param {number} userId - User ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { conversations, total }
+   */
+  getConversationsByUserId: async (userId, { limit = 20, offset = 0 } = {}) => {
+    const result = await query(
+      `SELECT c.*,
+        sl.title as listing_title,
+        b.booking_reference,
+        CASE WHEN c.traveler_id = $1 THEN c.provider_user_id ELSE c.traveler_id END as other_user_id,
+        ou.first_name as other_first_name,
+        ou.last_name as other_last_name,
+        ou.profile_image_url as other_image,
+        lm.content as last_message,
+        lm.sender_id as last_message_sender_id,
+        (SELECT COUNT(*) FROM messages m
+          WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.read_at IS NULL)::int as unread_count
+       FROM conversations c
+       LEFT JOIN service_listings sl ON c.listing_id = sl.id
+       LEFT JOIN bookings b ON c.booking_id = b.id
+       LEFT JOIN users ou ON ou.id = CASE WHEN c.traveler_id = $1 THEN c.provider_user_id ELSE c.traveler_id END
+       LEFT JOIN LATERAL (
+         SELECT content, sender_id FROM messages
+         WHERE conversation_id = c.id
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       ) lm ON true
+       WHERE c.traveler_id = $1 OR c.provider_user_id = $1
+       ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+    const countResult = await query(
+      'SELECT COUNT(*) FROM conversations WHERE traveler_id = $1 OR provider_user_id = $1',
+      [userId]
+    );
+
+    return { conversations: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  /**
+   * Add a message to a conversation and bump its last activity
+   * @param {number} conversationId - Conversation ID
+   * @param {number} senderId - Sender user ID
+   * @param {string} content - Message text (may be empty when attachments are sent)
+   * @param {Array} attachments - Attachments ({ id, url, name, mime_type, size })
+   * @returns {Promise} - New message object
+   */
+  sendMessage: async (conversationId, senderId, content, attachments = []) => {
+    const client = await beginTransaction();
+    try {
+      const result = await client.query(
+        `INSERT INTO messages (conversation_id, sender_id, content, attachments)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [conversationId, senderId, content || null, JSON.stringify(attachments)]
+      );
+      await client.query(
+        'UPDATE conversations SET last_message_at = $2 WHERE id = $1',
+        [conversationId, result.rows[0].created_at]
+      );
+
+      await client.commit();
+      return result.rows[0];
+    } catch (err) {
+      await client.rollback();
+      throw err;
+    }
+  },
+
+  /**
+   * Find a message attachment with the participants of its conversation
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise} - { attachment, conversation_id, traveler_id, provider_user_id } or null
+   */
+  findAttachment: async (attachmentId) => {
+    const result = await query(
+      `SELECT a.attachment, m.conversation_id, c.traveler_id, c.provider_user_id
+       FROM messages m
+       JOIN conversations c ON m.conversation_id = c.id
+       CROSS JOIN LATERAL jsonb_array_elements(m.attachments) AS a(attachment)
+       WHERE m.attachments @> $1::jsonb AND a.attachment->>'id' = $2
+       LIMIT 1`,
+      [JSON.stringify([{ id: attachmentId }]), attachmentId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Get messages of a conversation, oldest first
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} options - { limit, before } where before is a message ID for loading older pages
+   * @returns {Promise} - Array of messages
+   */
+  getMessagesByConversationId: async (conversationId, { limit = 50, before = null } = {}) => {
+    const params = [conversationId, limit];
+    let beforeClause = '';
+    if (before) {
+      params.push(before);
+      beforeClause = 'AND m.id < $3';
+    }
+
+    const result = await query(
+      `SELECT * FROM (
+         SELECT m.*, u.first_name as sender_first_name, u.last_name as sender_last_name
+         FROM messages m
+         LEFT JOIN users u ON m.sender_id = u.id
+         WHERE m.conversation_id = $1 ${beforeClause}
+         ORDER BY m.id DESC
+         LIMIT $2
+       ) page
+       ORDER BY id ASC`,
+      params
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * Mark the messages a user received in a conversation as read
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - Reader user ID
+   * @returns {Promise<number>} - Number of messages marked as read
+   */
+  markConversationAsRead: async (conversationId, userId) => {
+    const result = await query(
+      `UPDATE messages SET read_at = CURRENT_TIMESTAMP
+       WHERE conversation_id = $1 AND sender_id <> $2 AND read_at IS NULL`,
+      [conversationId, userId]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Count unread messages across all of a user's conversations
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Unread message count
+   */
+  countUnreadByUserId: async (userId) => {
+    const result = await query(
+      `SELECT COUNT(*) FROM messages m
+       JOIN conversations c ON m.conversation_id = c.id
+       WHERE (c.traveler_id = $1 OR c.provider_user_id = $1)
+         AND m.sender_id <> $1 AND m.read_at IS NULL`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
 };
 
 
@@ -2464,21 +4913,35 @@ module.exports = {
   get redisClient() { return redisClient; }, // Export redisClient instance (getter for dynamic assignment)
   userModel,
   tokenModel,
+  userTokenModel,
+  calendarFeedModel,
   providerProfileModel,
+  adminAuditLogModel,
   categoryModel,
   listingModel,
   componentModel,
   availabilityModel,
+  availabilityRuleModel,
+  availabilityBlackoutModel,
+  seasonalPriceModel,
   mediaModel,
   customTripModel,
   tripComponentModel,
   aiTripSuggestionModel,
+  aiUsageModel,
   bookingModel,
   bookingComponentModel,
   locationModel,
-  paymentModel, // Export placeholder
-  reviewModel,  // Export placeholder
-  wishlistModel, // Export placeholder
-  notificationModel, // Export placeholder
-  messageModel // Export placeholder
+  flightCacheModel,
+  hotelCacheModel,
+  pricingRuleModel,
+  fxRateModel,
+  entryRequirementModel,
+  priceWatchModel,
+  paymentModel,
+  cancellationModel,
+  reviewModel,
+  wishlistModel,
+  notificationModel,
+  messageModel
 };
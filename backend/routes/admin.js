@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { providerProfileModel, adminAuditLogModel } = require('../models/database');
+const { notifyProviderVerification } = require('../services/notificationService');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const PROVIDER_TARGET = 'provider_profile';
+
+// Allowed verification decisions: the statuses each one applies to and the status it sets
+const VERIFICATION_ACTIONS = {
+  approve: { from: ['pending', 'rejected'], to: 'verified', requiresReason: false },
+  reject: { from: ['pending'], to: 'rejected', requiresReason: true },
+  suspend: { from: ['pending', 'verified'], to: 'suspended', requiresReason: true },
+  reinstate: { from: ['suspended'], to: 'verified', requiresReason: false }
+};
+
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const paginated = (key, items, total, page, limit) => ({
+  [key]: items,
+  pagination: {
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit)
+  }
+});
+
+// verification_documents was historically stored as a JSON string; always hand out an array
+const parseDocuments = (documents) => {
+  if (!documents) return [];
+  if (Array.isArray(documents)) return documents;
+  try {
+    const parsed = JSON.parse(documents);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Provider profile as shown to admins (payout details stay private)
+const toAdminProviderResponse = (profile) => {
+  const { payout_information, ...publicProfile } = profile;
+  return { ...publicProfile, verification_documents: parseDocuments(profile.verification_documents) };
+};
+
+// Load the provider profile from :providerId; sends the error response and returns null when missing
+const loadProvider = async (req, res) => {
+  const profile = await providerProfileModel.findById(req.params.providerId);
+  if (!profile) {
+    res.status(404).json({ message: 'Provider not found.' });
+    return null;
+  }
+  return profile;
+};
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.PROVIDERS_VERIFY));
+
+// ====================================
+// Provider Verification Routes
+// ====================================
+
+const providerListSchema = paginationSchema.keys({
+  status: Joi.string().valid('pending', 'verified', 'rejected', 'suspended', 'all').default('pending')
+});
+
+// GET /api/admin/providers - List providers by verification status (pending by default)
+router.get('/providers', async (req, res) => {
+  try {
+    const { error, value } = providerListSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { status, page, limit } = value;
+    const result = await providerProfileModel.getByVerificationStatus(
+      status === 'all' ? null : status,
+      limit,
+      (page - 1) * limit
+    );
+    const providers = result.providers.map(toAdminProviderResponse);
+    res.status(200).json(paginated('providers', providers, result.total, page, limit));
+  } catch (err) {
+    console.error('Error fetching providers for verification:', err);
+    res.status(500).json({ message: 'Failed to fetch providers', error: err.message });
+  }
+});
+
+// GET /api/admin/providers/:providerId - Provider details with uploaded documents and decision history
+router.get('/providers/:providerId', async (req, res) => {
+  try {
+    const profile = await loadProvider(req, res);
+    if (!profile) return;
+
+    const history = await adminAuditLogModel.getByTarget(PROVIDER_TARGET, profile.id);
+    res.status(200).json({ ...toAdminProviderResponse(profile), history });
+  } catch (err) {
+    console.error('Error fetching provider details:', err);
+    res.status(500).json({ message: 'Failed to fetch provider details', error: err.message });
+  }
+});
+
+const decisionSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).optional().allow(null, '')
+});
+
+// POST /api/admin/providers/:providerId/:action - Approve, reject, suspend or reinstate a provider
+router.post('/providers/:providerId/:action(approve|reject|suspend|reinstate)', async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { action } = req.params;
+    const rule = VERIFICATION_ACTIONS[action];
+    if (rule.requiresReason && !value.reason) {
+      return res.status(400).json({ message: `A reason is required to ${action} a provider.` });
+    }
+
+    const profile = await loadProvider(req, res);
+    if (!profile) return;
+
+    if (!rule.from.includes(profile.verification_status)) {
+      return res.status(409).json({
+        message: `Cannot ${action} a provider whose verification status is '${profile.verification_status || 'not submitted'}'.`
+      });
+    }
+
+    const { profile: updatedProfile, auditLog } = await providerProfileModel.updateVerificationStatus(profile.id, rule.to, {
+      adminId: req.user.id,
+      action,
+      reason: value.reason || null
+    });
+    await notifyProviderVerification(updatedProfile, { reason: value.reason });
+
+    res.status(200).json({
+      message: `Provider ${auditLog.new_status}.`,
+      provider: toAdminProviderResponse(updatedProfile),
+      audit_log: auditLog
+    });
+  } catch (err) {
+    console.error(`Error processing provider ${req.params.action}:`, err);
+    res.status(500).json({ message: 'Failed to update provider verification', error: err.message });
+  }
+});
+
+// ====================================
+// Audit Log Routes
+// ====================================
+
+// GET /api/admin/audit-log - Admin decisions, newest first
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { page, limit } = value;
+    const result = await adminAuditLogModel.getAll({ limit, offset: (page - 1) * limit });
+    res.status(200).json(paginated('logs', result.logs, result.total, page, limit));
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ message: 'Failed to fetch audit log', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+/**
+ * AI Routes
+ * AI features served through the AI gateway (services/aiGatewayService.js), so provider keys never reach the
+ * browser: trip optimization and the caller's usage against the AI limits
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const AiGatewayService = require('../services/aiGatewayService');
+const TripOptimizationService = require('../services/tripOptimizationService');
+const { customTripModel } = require('../models/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, canAccessResource } = require('../utils/permissions');
+
+const router = express.Router();
+const aiGateway = new AiGatewayService();
+const tripOptimization = new TripOptimizationService(aiGateway);
+
+// Validation schemas
+const optimizeSchema = Joi.object({
+  // A saved trip, or the trip builder's draft (demo trips are not saved yet)
+  trip_id: Joi.number().integer().positive(),
+  trip: Joi.object({
+    title: Joi.string().max(255).allow('', null),
+    // Comma-separated as in the trip builder, or a list
+    destinations: Joi.alternatives().try(Joi.string().max(1000).allow(''), Joi.array().items(Joi.string().max(100)).max(20)),
+    start_date: Joi.string().max(30).allow('', null),
+    end_date: Joi.string().max(30).allow('', null),
+    budget_amount: Joi.number().min(0).allow(null),
+    currency: Joi.string().length(3).uppercase(),
+    number_of_travelers: Joi.number().integer().min(1),
+    components: Joi.array().items(Joi.object({ component_type: Joi.string().required() }).unknown(true)).max(200).default([])
+  }).unknown(true)
+}).xor('trip_id', 'trip');
+
+const summarySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30)
+});
+
+const validationError = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors
+});
+
+// Send AI errors with their status: 400/403/404 for bad input, 429 over a limit, 502/503 when the provider fails
+const sendAiError = (res, error, message) => {
+  const status = [400, 403, 404, 429, 502, 503].includes(error.status) ? error.status : 500;
+  if (status === 429 && error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    ...(status === 429 && { retry_after: error.retryAfter || null }),
+    ...(status === 500 && { error: error.message })
+  });
+};
+
+/**
+ * POST /api/ai/optimize-trip
+ * Review a trip and return suggestions plus changes (diffs) the trip builder can apply to its components
+ */
+router.post('/optimize-trip', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = optimizeSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    let trip = value.trip;
+    if (value.trip_id) {
+      trip = await customTripModel.getWithComponents(value.trip_id);
+      if (!trip) {
+        return res.status(404).json({ success: false, message: 'Custom trip not found' });
+      }
+      if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
+        return res.status(403).json({ success: false, message: 'You are not authorized to view this trip' });
+      }
+      // Saved trips keep their destinations on the components
+      trip.destinations = [...new Set(trip.components.map(c => c.location_city).filter(Boolean))];
+    }
+
+    const optimization = await tripOptimization.optimize(req.user.id, trip);
+
+    res.json({
+      success: true,
+      message: 'Trip optimized successfully',
+      data: optimization
+    });
+  } catch (error) {
+    console.error('Trip optimization error:', error);
+    sendAiError(res, error, 'Failed to optimize trip');
+  }
+});
+
+/**
+ * GET /api/ai/usage
+ * The caller's AI requests and tokens against the hourly and daily limits
+ */
+router.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    const usage = await aiGateway.getUsage(req.user.id);
+    res.json({
+      success: true,
+      message: 'AI usage retrieved successfully',
+      data: usage
+    });
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    sendAiError(res, error, 'Failed to get AI usage');
+  }
+});
+
+/**
+ * GET /api/ai/usage/summary
+ * Requests and tokens per feature, provider and outcome over the last `days` days
+ */
+router.get('/usage/summary', authenticateToken, requirePermission(PERMISSIONS.AI_USAGE_READ), async (req, res) => {
+  try {
+    const { error, value } = summarySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const summary = await aiGateway.getSummary(value.days);
+    res.json({
+      success: true,
+      message: 'AI usage summary retrieved successfully',
+      data: { days: value.days, limits: AiGatewayService.LIMITS, summary }
+    });
+  } catch (error) {
+    console.error('Get AI usage summary error:', error);
+    sendAiError(res, error, 'Failed to get AI usage summary');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,19 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const pool = require('../models/database');
+const { tokenModel, userTokenModel, userModel } = pool;
 const { authenticateToken } = require('../middleware/auth');
+const { ROLES, getPermissionsForRole } = require('../utils/permissions');
+const { sendEmail } = require('../services/emailService');
+const {
+  formatWelcomeEmailHTML,
+  formatEmailVerificationHTML,
+  formatPasswordResetEmailHTML,
+  formatPasswordChangedEmailHTML
+} = require('../utils/emailTemplates');
 
 const router = express.Router();
 
@@ -11,6 +21,130 @@ const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback_jwt_secret_change_in_production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+// The access token carries role and permissions for clients;
+// the API itself re-reads the role from the database on every request.
+const generateAccessToken = (user) => jwt.sign(
+  { 
+    userId: user.id, 
+    email: user.email,
+    role: user.role,
+    permissions: getPermissionsForRole(user.role)
+  },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Access and refresh tokens for a new login session (a new refresh token family)
+const generateTokens = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  await tokenModel.create(user.id, refreshToken.hash, {
+    familyId: crypto.randomBytes(16).toString('hex'),
+    expiresInDays: REFRESH_TOKEN_EXPIRES_DAYS,
+    userAgent: req.get('User-Agent') || null
+  });
+
+  return { accessToken: generateAccessToken(user), refreshToken: refreshToken.token };
+};
+
+// ====================================
+// Email Verification and Password Reset Tokens
+// ====================================
+
+// Separate secret so a link token can never pass as an access token
+const USER_TOKEN_SECRET = process.env.USER_TOKEN_SECRET || `${JWT_SECRET}:user-tokens`;
+const FRONTEND_URL = process.env.FRONTEND_URL || (process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',')[0] : 'http://localhost:3000');
+const EMAIL_VERIFICATION_EXPIRES_HOURS = 24;
+const PASSWORD_RESET_EXPIRES_MINUTES = 60;
+
+// Signed single-use token: the JWT proves origin and expiry, its jti row in user_tokens makes it single-use
+const createUserToken = async (userId, purpose, expiresInMinutes) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  await userTokenModel.create(userId, purpose, jti, expiresInMinutes);
+  return jwt.sign({ userId, purpose, jti }, USER_TOKEN_SECRET, { expiresIn: expiresInMinutes * 60 });
+};
+
+// Marks a valid token as used and returns its user ID; null for bad, expired or already used tokens
+const redeemUserToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, USER_TOKEN_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+  const storedToken = await userTokenModel.consume(decoded.jti, purpose);
+  return storedToken && storedToken.user_id === decoded.userId ? storedToken.user_id : null;
+};
+
+// Emails a fresh verification link; best-effort so registration never fails on email problems
+const sendVerificationEmail = async (user, { welcome = false } = {}) => {
+  try {
+    const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_EXPIRES_HOURS * 60);
+    const verificationUrl = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return await sendEmail({
+      to: user.email,
+      subject: welcome ? 'Welcome to AdventureConnect! Please verify your email' : 'Verify your AdventureConnect email address',
+      html: (welcome ? formatWelcomeEmailHTML : formatEmailVerificationHTML)(user, verificationUrl, EMAIL_VERIFICATION_EXPIRES_HOURS)
+    });
+  } catch (err) {
+    console.error('Error sending verification email:', err);
+    return false;
+  }
+};
+
+// Emails a password reset link; best-effort so the answer is the same whether or not an account exists
+const sendPasswordResetEmail = async (user) => {
+  try {
+    const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_EXPIRES_MINUTES);
+    const resetUrl = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return await sendEmail({
+      to: user.email,
+      subject: 'Reset your AdventureConnect password',
+      html: formatPasswordResetEmailHTML(user, resetUrl, PASSWORD_RESET_EXPIRES_MINUTES)
+    });
+  } catch (err) {
+    console.error('Error sending password reset email:', err);
+    return false;
+  }
+};
+
+// Tells the user their password changed; best-effort because the new password is already saved
+const sendPasswordChangedEmail = async (user) => {
+  try {
+    return await sendEmail({
+      to: user.email,
+      subject: 'Your AdventureConnect password was changed',
+      html: formatPasswordChangedEmailHTML(user)
+    });
+  } catch (err) {
+    console.error('Error sending password changed email:', err);
+    return false;
+  }
+};
+
+// User fields returned to the client
+const toUserResponse = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  role: user.role,
+  permissions: getPermissionsForRole(user.role),
+  emailVerified: !!user.email_verified,
+  createdAt: user.created_at
+});
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -18,7 +152,9 @@ const registerSchema = Joi.object({
   firstName: Joi.string().min(2).max(50).required(),
   lastName: Joi.string().min(2).max(50).required(),
   phone: Joi.string().optional(),
-  dateOfBirth: Joi.date().optional()
+  dateOfBirth: Joi.date().optional(),
+  // Agents and admins are appointed, not self-registered
+  role: Joi.string().valid(ROLES.TRAVELER, ROLES.PROVIDER).default(ROLES.TRAVELER)
 });
 
 const loginSchema = Joi.object({
@@ -39,7 +175,7 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    const { email, password, firstName, lastName, phone, dateOfBirth } = value;
+    const { email, password, firstName, lastName, phone, dateOfBirth, role } = value;
 
     // Check if user already exists
     const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
@@ -56,46 +192,23 @@ router.post('/register', async (req, res) => {
 
     // Insert user into database
     const result = await pool.query(
-      `INSERT INTO users (email, password_hash, first_name, last_name, phone, date_of_birth) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, email, first_name, last_name, created_at`,
-      [email, passwordHash, firstName, lastName, phone, dateOfBirth]
+      `INSERT INTO users (email, password_hash, first_name, last_name, phone, date_of_birth, role) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING id, email, first_name, last_name, role, email_verified, created_at`,
+      [email, passwordHash, firstName, lastName, phone, dateOfBirth, role]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email 
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
-
-    // Generate refresh token (longer expiry)
-    const refreshToken = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        type: 'refresh'
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate JWT tokens
+    const { accessToken, refreshToken } = await generateTokens(user, req);
+    await sendVerificationEmail(user, { welcome: true });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        createdAt: user.created_at
-      },
-      accessToken: token,
+      user: toUserResponse(user),
+      accessToken,
       refreshToken: refreshToken
     });
 
@@ -125,7 +238,7 @@ router.post('/login', async (req, res) => {
 
     // Find user by email
     const result = await pool.query(
-      'SELECT id, email, password_hash, first_name, last_name, is_active FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, first_name, last_name, role, is_active, email_verified, created_at FROM users WHERE email = $1',
       [email]
     );
 
@@ -155,37 +268,14 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email 
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
-
-    // Generate refresh token (longer expiry)
-    const refreshToken = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        type: 'refresh'
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate JWT tokens
+    const { accessToken, refreshToken } = await generateTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name
-      },
-      accessToken: token,
+      user: toUserResponse(user),
+      accessToken,
       refreshToken: refreshToken
     });
 
@@ -203,8 +293,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
   try {
     // Get user details from database
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name, created_at FROM users WHERE id = $1 AND is_active = true',
-      [req.user.userId]
+      'SELECT id, email, first_name, last_name, role, email_verified, created_at FROM users WHERE id = $1 AND is_active = true',
+      [req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -218,13 +308,7 @@ router.get('/verify', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        createdAt: user.created_at
-      }
+      user: toUserResponse(user)
     });
 
   } catch (error) {
@@ -236,7 +320,7 @@ router.get('/verify', authenticateToken, async (req, res) => {
   }
 });
 
-// Refresh token
+// Refresh token - exchanges a refresh token for a new pair; each refresh token works only once
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -248,60 +332,281 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
+    const storedToken = await tokenModel.findByToken(hashToken(refreshToken));
+    if (!storedToken || new Date(storedToken.expires_at) < new Date()) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    // Generate new access token
-    const newAccessToken = jwt.sign(
-      { 
-        userId: decoded.userId, 
-        email: decoded.email 
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // A revoked token being presented again means it was copied: end the whole session
+    if (storedToken.revoked_at) {
+      await tokenModel.revokeFamily(storedToken.family_id);
+      console.warn(`Refresh token reuse detected for user ${storedToken.user_id}; revoked token family ${storedToken.family_id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
 
-    // Generate new refresh token
-    const newRefreshToken = jwt.sign(
-      { 
-        userId: decoded.userId, 
-        email: decoded.email,
-        type: 'refresh'
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+    // Re-read the user so role changes and deactivations apply to the new tokens
+    const result = await pool.query(
+      'SELECT id, email, role, is_active FROM users WHERE id = $1',
+      [storedToken.user_id]
     );
+    const user = result.rows[0];
+    if (!user || !user.is_active) {
+      await tokenModel.revokeFamily(storedToken.family_id);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    const newRefreshToken = generateRefreshToken();
+    const rotated = await tokenModel.rotate(storedToken, newRefreshToken.hash, {
+      expiresInDays: REFRESH_TOKEN_EXPIRES_DAYS,
+      userAgent: req.get('User-Agent') || null
+    });
+    if (!rotated) {
+      // Lost a race against another exchange of the same token, which is reuse as well
+      await tokenModel.revokeFamily(storedToken.family_id);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please log in again.'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken
+      accessToken: generateAccessToken(user),
+      refreshToken: newRefreshToken.token
     });
 
   } catch (error) {
     console.error('Token refresh error:', error);
-    res.status(401).json({
+    res.status(500).json({
       success: false,
-      message: 'Invalid or expired refresh token'
+      message: 'Internal server error during token refresh'
     });
   }
 });
 
-// Logout (client-side token removal, but we can blacklist tokens here if needed)
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a more advanced setup, you'd add the token to a blacklist
-  res.json({
-    success: true,
-    message: 'Logout successful. Please remove token from client storage.'
-  });
+// Logout - revokes the session of the presented refresh token. Does not require a valid
+// access token, since clients often log out after it has expired.
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const storedToken = await tokenModel.findByToken(hashToken(refreshToken));
+      if (storedToken) {
+        await tokenModel.revokeFamily(storedToken.family_id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful. Please remove token from client storage.'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+// Log out of all devices - revokes every refresh token of the user.
+// Access tokens already issued stay valid until they expire (JWT_EXPIRES_IN).
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await tokenModel.deleteAllForUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices.'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+// ====================================
+// Email Verification
+// ====================================
+
+const tokenSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+// Verify email - redeems the link from the welcome / verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const userId = await redeemUserToken(value.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid, expired or has already been used.'
+      });
+    }
+
+    await userModel.verifyEmail(userId);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during email verification'
+    });
+  }
+});
+
+// Resend verification email to the logged-in user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user.id);
+    if (user.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sent = await sendVerificationEmail(user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending verification email'
+    });
+  }
+});
+
+// ====================================
+// Password Reset
+// ====================================
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required()
+});
+
+// Forgot password - emails a reset link. Always answers the same way so it cannot be used
+// to find out which emails have an account.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const user = await userModel.findByEmail(value.email);
+    if (user && user.is_active) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while requesting password reset'
+    });
+  }
+});
+
+// Reset password - sets a new password from a reset link and signs the user out everywhere
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const userId = await redeemUserToken(value.token, 'password_reset');
+    const user = userId ? await userModel.findById(userId) : null;
+    if (!user || !user.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid, expired or has already been used.'
+      });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(value.password, saltRounds);
+    await userModel.updatePassword(user.id, passwordHash);
+    // Whoever knew the old password may still hold a session
+    await tokenModel.deleteAllForUser(user.id);
+    // Receiving the reset link proves ownership of the inbox
+    if (!user.email_verified) {
+      await userModel.verifyEmail(user.id);
+    }
+
+    await sendPasswordChangedEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during password reset'
+    });
+  }
 });
 
 module.exports = router;
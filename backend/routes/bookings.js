@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { bookingModel, cancellationModel } = require('../models/database');
+const CancellationService = require('../services/cancellationService');
+const VoucherService = require('../services/voucherService');
+const { PERMISSIONS, canAccessResource } = require('../utils/permissions');
+
+const cancellationService = new CancellationService();
+const voucherService = new VoucherService();
+
+// Load the booking and make sure it belongs to the current traveler (or the user holds the permission)
+const loadOwnedBooking = async (req, res, permission = PERMISSIONS.BOOKINGS_READ_ANY) => {
+  const booking = await bookingModel.findById(req.params.bookingId);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found.' });
+    return null;
+  }
+  if (!canAccessResource(req.user, booking.traveler_id, permission)) {
+    res.status(403).json({ message: 'Unauthorized to access this booking.' });
+    return null;
+  }
+  return booking;
+};
+
+// ====================================
+// Booking Cancellation Routes
+// ====================================
+
+// GET /api/bookings/:bookingId/cancellation-quote - Preview the refund for cancelling now
+router.get('/:bookingId/cancellation-quote', authenticateToken, async (req, res) => {
+  try {
+    const booking = await loadOwnedBooking(req, res);
+    if (!booking) return;
+
+    const quote = await cancellationService.quote(booking);
+    res.status(200).json(quote);
+  } catch (err) {
+    console.error('Error quoting booking cancellation:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to quote cancellation', error: err.message });
+  }
+});
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().max(1000).optional().allow(null, '')
+});
+
+// POST /api/bookings/:bookingId/cancel - Cancel a booking and refund it per its cancellation policies
+router.post('/:bookingId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = cancelSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const booking = await loadOwnedBooking(req, res, PERMISSIONS.BOOKINGS_MANAGE_ANY);
+    if (!booking) return;
+
+    const result = await cancellationService.cancel(booking, { userId: req.user.id, reason: value.reason });
+    res.status(200).json({
+      message: result.cancellation.refund_amount > 0
+        ? `Booking cancelled. ${result.cancellation.currency} ${parseFloat(result.cancellation.refund_amount).toFixed(2)} will be refunded.`
+        : 'Booking cancelled.',
+      ...result
+    });
+  } catch (err) {
+    console.error('Error cancelling booking:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to cancel booking', error: err.message });
+  }
+});
+
+// GET /api/bookings/:bookingId/cancellation - Get the cancellation record of a booking
+router.get('/:bookingId/cancellation', authenticateToken, async (req, res) => {
+  try {
+    const booking = await loadOwnedBooking(req, res);
+    if (!booking) return;
+
+    const cancellation = await cancellationModel.findByBookingId(booking.id);
+    if (!cancellation) return res.status(404).json({ message: 'Booking has not been cancelled.' });
+    res.status(200).json(cancellation);
+  } catch (err) {
+    console.error('Error fetching booking cancellation:', err);
+    res.status(500).json({ message: 'Failed to fetch booking cancellation', error: err.message });
+  }
+});
+
+// ====================================
+// Booking Documents
+// ====================================
+
+// GET /api/bookings/:bookingId/voucher.pdf - Download the booking's itinerary and activity vouchers
+router.get('/:bookingId/voucher.pdf', authenticateToken, async (req, res) => {
+  try {
+    const booking = await loadOwnedBooking(req, res);
+    if (!booking) return;
+
+    const pdf = await voucherService.generateBookingVoucher(booking);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="voucher-${booking.booking_reference}.pdf"`
+    });
+    res.status(200).send(pdf);
+  } catch (err) {
+    console.error('Error generating booking voucher:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to generate booking voucher', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { calendarFeedModel } = require('../models/database');
+const CalendarService = require('../services/calendarService');
+
+const calendarService = new CalendarService();
+
+// Calendar apps fetch the feed without our auth headers, so the URL itself is the credential
+const buildFeedUrls = (req, token) => {
+  const baseUrl = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+const toSubscriptionResponse = (feed) => ({
+  active: !!feed,
+  createdAt: feed?.created_at || null,
+  lastAccessedAt: feed?.last_accessed_at || null
+});
+
+// ====================================
+// Subscription Management
+// ====================================
+
+// GET /api/calendar/subscription - Whether the user has an active feed
+router.get('/subscription', authenticateToken, async (req, res) => {
+  try {
+    const feed = await calendarFeedModel.findByUserId(req.user.id);
+    res.status(200).json(toSubscriptionResponse(feed));
+  } catch (err) {
+    console.error('Error fetching calendar subscription:', err);
+    res.status(500).json({ message: 'Failed to fetch calendar subscription', error: err.message });
+  }
+});
+
+// POST /api/calendar/subscription - Create the feed, or replace its URL (the old URL stops working)
+router.post('/subscription', authenticateToken, async (req, res) => {
+  try {
+    const { token, feed } = await calendarService.rotateFeedToken(req.user.id);
+    res.status(201).json({
+      ...toSubscriptionResponse(feed),
+      ...buildFeedUrls(req, token)
+    });
+  } catch (err) {
+    console.error('Error creating calendar subscription:', err);
+    res.status(500).json({ message: 'Failed to create calendar subscription', error: err.message });
+  }
+});
+
+// DELETE /api/calendar/subscription - Turn the feed off
+router.delete('/subscription', authenticateToken, async (req, res) => {
+  try {
+    await calendarFeedModel.deleteByUserId(req.user.id);
+    res.status(200).json({ message: 'Calendar subscription removed' });
+  } catch (err) {
+    console.error('Error removing calendar subscription:', err);
+    res.status(500).json({ message: 'Failed to remove calendar subscription', error: err.message });
+  }
+});
+
+// ====================================
+// Feed
+// ====================================
+
+// GET /api/calendar/feed/:token.ics - iCalendar feed of the owner's confirmed bookings
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const feed = await calendarService.findFeedByToken(req.params.token);
+    if (!feed) return res.status(404).json({ message: 'Calendar feed not found.' });
+
+    const calendar = await calendarService.generateUserFeed(feed.user_id);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  } catch (err) {
+    console.error('Error generating calendar feed:', err);
+    res.status(500).json({ message: 'Failed to generate calendar feed', error: err.message });
+  }
+});
+
+module.exports = router;
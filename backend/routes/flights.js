@@ -1,16 +1,25 @@
 /**
  * Flight Routes
- * Handles flight search, details, and related operations using Google Flights API
+ * Handles flight search, details, and related operations. Searches go to every enabled flight provider
+ * (services/flightProviders); details, destinations and airport lookups use FlightAPI.io
  */
 
 const express = require('express');
 const Joi = require('joi');
 const FlightApiService = require('../services/flightApiService');
+const FlightSearchService = require('../services/flightSearchService');
+const PriceWatchService = require('../services/priceWatchService');
+const FareCalendarService = require('../services/fareCalendarService');
+const MultiCityFlightService = require('../services/multiCityFlightService');
 const { authenticateToken } = require('../middleware/auth');
 const pool = require('../models/database');
+const { priceWatchModel } = require('../models/database');
 
 const router = express.Router();
 const flightApi = new FlightApiService();
+const flightSearch = new FlightSearchService();
+const fareCalendar = new FareCalendarService(flightSearch);
+const multiCityFlights = new MultiCityFlightService(flightSearch);
 
 // Validation schemas
 const flightSearchSchema = Joi.object({
@@ -40,7 +49,9 @@ const flightSearchSchema = Joi.object({
   maxPrice: Joi.number().positive().optional(),
   currency: Joi.string().length(3).uppercase().default('USD'),
   directFlights: Joi.boolean().default(false),
-  maxStops: Joi.number().integer().min(0).max(3).optional()
+  maxStops: Joi.number().integer().min(0).max(3).optional(),
+  // Search only these providers instead of all enabled ones
+  providers: Joi.array().items(Joi.string().lowercase()).min(1).optional()
 });
 
 /**
@@ -59,7 +70,8 @@ router.post('/search', async (req, res) => {
       });
     }
 
-    const searchParams = value;
+    const { providers, ...searchParams } = value;
+    const searchService = providers ? new FlightSearchService({ providers }) : flightSearch;
 
     // Format dates for API
     searchParams.departureDate = new Date(searchParams.departureDate).toISOString().split('T')[0];
@@ -67,8 +79,8 @@ router.post('/search', async (req, res) => {
       searchParams.returnDate = new Date(searchParams.returnDate).toISOString().split('T')[0];
     }
 
-    // Search flights using FlightAPI.io
-    const flightResults = await flightApi.searchFlights(searchParams);
+    // Search flights across providers
+    const flightResults = await searchService.searchFlights(searchParams);
 
     // Save search history if user is authenticated
     if (req.user) {
@@ -76,7 +88,7 @@ router.post('/search', async (req, res) => {
         await pool.query(
           'INSERT INTO search_history (user_id, search_type, search_params, results_count) VALUES ($1, $2, $3, $4)',
           [
-            req.user.userId,
+            req.user.id,
             'flight',
             JSON.stringify(searchParams),
             flightResults.results.totalResults
@@ -88,22 +100,6 @@ router.post('/search', async (req, res) => {
       }
     }
 
-    // Cache results for performance (optional)
-    if (flightResults.results.totalResults > 0) {
-      try {
-        const cacheKey = `flight_search_${Buffer.from(JSON.stringify(searchParams)).toString('base64')}`;
-        const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
-
-        await pool.query(
-          'INSERT INTO flight_cache (cache_key, search_params, results, expires_at) VALUES ($1, $2, $3, $4) ON CONFLICT (cache_key) DO UPDATE SET results = $2, expires_at = $4',
-          [cacheKey, JSON.stringify(searchParams), JSON.stringify(flightResults), expiresAt]
-        );
-      } catch (cacheError) {
-        console.error('Failed to cache results:', cacheError);
-        // Don't fail the request if caching fails
-      }
-    }
-
     res.json({
       success: true,
       message: 'Flight search completed successfully',
@@ -113,7 +109,14 @@ router.post('/search', async (req, res) => {
   } catch (error) {
     console.error('Flight search error:', error);
     
-    if (error.message.includes('Invalid API key')) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid API key') || error.status === 503) {
       return res.status(503).json({
         success: false,
         message: 'Flight search service is temporarily unavailable',
@@ -137,6 +140,191 @@ router.post('/search', async (req, res) => {
   }
 });
 
+const fareCalendarSchema = Joi.object({
+  origin: Joi.string().length(3).uppercase().required()
+    .messages({
+      'string.length': 'Origin must be a 3-letter airport code',
+      'any.required': 'Origin airport code is required'
+    }),
+  destination: Joi.string().length(3).uppercase().required()
+    .messages({
+      'string.length': 'Destination must be a 3-letter airport code',
+      'any.required': 'Destination airport code is required'
+    }),
+  departureDate: Joi.date().iso().min('now').required()
+    .messages({
+      'date.min': 'Departure date must be in the future',
+      'any.required': 'Departure date is required'
+    }),
+  returnDate: Joi.date().iso().min(Joi.ref('departureDate')).optional()
+    .messages({
+      'date.min': 'Return date must be after departure date'
+    }),
+  // flexible: departure (and return) date ±flexDays; month: every day of the departure date's month
+  mode: Joi.string().valid('flexible', 'month').default('flexible'),
+  flexDays: Joi.number().integer().min(1).max(3).default(3),
+  adults: Joi.number().integer().min(1).max(9).default(1),
+  children: Joi.number().integer().min(0).max(8).default(0),
+  infants: Joi.number().integer().min(0).max(8).default(0),
+  cabinClass: Joi.string().valid('ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST').default('ECONOMY'),
+  currency: Joi.string().length(3).uppercase().default('USD')
+});
+
+/**
+ * POST /api/flights/fare-calendar
+ * Lowest fare per day around the requested dates or across a month, for a calendar view
+ */
+router.post('/fare-calendar', async (req, res) => {
+  try {
+    const { error, value } = fareCalendarSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    value.departureDate = new Date(value.departureDate).toISOString().split('T')[0];
+    if (value.returnDate) {
+      value.returnDate = new Date(value.returnDate).toISOString().split('T')[0];
+    }
+
+    const calendar = await fareCalendar.getFareCalendar(value);
+
+    // Every attempted search failing means the flight API itself is down, not that there are no fares
+    const attempted = calendar.stats.searches - calendar.stats.skipped;
+    if (attempted > 0 && calendar.stats.failed === attempted) {
+      return res.status(503).json({
+        success: false,
+        message: 'Flight search service is temporarily unavailable',
+        error: calendar.cells.find(cell => cell.error).error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fare calendar retrieved successfully',
+      data: calendar
+    });
+
+  } catch (error) {
+    console.error('Fare calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build fare calendar',
+      error: error.message
+    });
+  }
+});
+
+const multiCityLegSchema = Joi.object({
+  origin: Joi.string().length(3).uppercase().required()
+    .messages({
+      'string.length': 'Leg origin must be a 3-letter airport code',
+      'any.required': 'Every leg needs an origin airport code'
+    }),
+  destination: Joi.string().length(3).uppercase().required()
+    .messages({
+      'string.length': 'Leg destination must be a 3-letter airport code',
+      'any.required': 'Every leg needs a destination airport code'
+    }),
+  departureDate: Joi.date().iso().min('now').required()
+    .messages({
+      'date.min': 'Leg departure dates must be in the future',
+      'any.required': 'Every leg needs a departure date'
+    })
+});
+
+const multiCitySearchSchema = Joi.object({
+  legs: Joi.array().items(multiCityLegSchema)
+    .min(MultiCityFlightService.MIN_LEGS).max(MultiCityFlightService.MAX_LEGS).required()
+    .messages({
+      'array.min': `A multi-city trip needs at least ${MultiCityFlightService.MIN_LEGS} legs`,
+      'array.max': `A multi-city trip can have at most ${MultiCityFlightService.MAX_LEGS} legs`,
+      'any.required': 'Flight legs are required'
+    }),
+  adults: Joi.number().integer().min(1).max(9).default(1),
+  children: Joi.number().integer().min(0).max(8).default(0),
+  infants: Joi.number().integer().min(0).max(8).default(0),
+  cabinClass: Joi.string().valid('ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST').default('ECONOMY'),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  maxResults: Joi.number().integer().min(1).max(50).default(20)
+});
+
+/**
+ * POST /api/flights/multi-city
+ * Search a trip of 2-6 one-way legs (open jaw allowed) and combine them into priced itineraries
+ */
+router.post('/multi-city', async (req, res) => {
+  try {
+    const { error, value } = multiCitySearchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    value.legs = value.legs.map(leg => ({
+      ...leg,
+      departureDate: new Date(leg.departureDate).toISOString().split('T')[0]
+    }));
+
+    const legErrors = multiCityFlights.validateLegs(value.legs);
+    if (legErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: legErrors
+      });
+    }
+
+    const flightResults = await multiCityFlights.searchMultiCity(value);
+
+    res.json({
+      success: true,
+      message: flightResults.results.totalResults > 0
+        ? 'Multi-city search completed successfully'
+        : 'No combination of these flights leaves enough time between legs',
+      data: flightResults
+    });
+
+  } catch (error) {
+    console.error('Multi-city flight search error:', error);
+
+    if (error.noFlights) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid API key') || error.status === 503) {
+      return res.status(503).json({
+        success: false,
+        message: 'Flight search service is temporarily unavailable',
+        error: 'API configuration issue'
+      });
+    }
+
+    if (error.message.includes('rate limit')) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests. Please try again later.',
+        error: 'Rate limit exceeded'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Multi-city flight search failed',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/flights/details/:flightId
  * Get detailed information about a specific flight
@@ -323,12 +511,12 @@ router.get('/history', authenticateToken, async (req, res) => {
        WHERE user_id = $1 AND search_type = 'flight'
        ORDER BY created_at DESC 
        LIMIT $2 OFFSET $3`,
-      [req.user.userId, limit, offset]
+      [req.user.id, limit, offset]
     );
 
     const totalResult = await pool.query(
       'SELECT COUNT(*) FROM search_history WHERE user_id = $1 AND search_type = \'flight\'',
-      [req.user.userId]
+      [req.user.id]
     );
 
     const searchHistory = result.rows.map(row => ({
@@ -365,11 +553,11 @@ router.get('/history', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/flights/status
- * Get flight service status
+ * Get flight search status with the health of each provider
  */
 router.get('/status', (req, res) => {
   try {
-    const status = flightApi.getStatus();
+    const status = flightSearch.getStatus();
     
     res.json({
       success: true,
@@ -405,7 +593,7 @@ router.post('/favorites', authenticateToken, async (req, res) => {
 
     await pool.query(
       'INSERT INTO user_favorites (user_id, favorite_type, favorite_data) VALUES ($1, $2, $3)',
-      [req.user.userId, 'flight', JSON.stringify(flightData)]
+      [req.user.id, 'flight', JSON.stringify(flightData)]
     );
 
     res.json({
@@ -439,7 +627,7 @@ router.get('/favorites', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT id, favorite_data, created_at FROM user_favorites WHERE user_id = $1 AND favorite_type = \'flight\' ORDER BY created_at DESC',
-      [req.user.userId]
+      [req.user.id]
     );
 
     const favorites = result.rows.map(row => ({
@@ -467,4 +655,243 @@ router.get('/favorites', authenticateToken, async (req, res) => {
   }
 });
 
+// Validation schemas for price watches
+const priceWatchSchema = Joi.object({
+  origin: Joi.string().length(3).uppercase().required(),
+  destination: Joi.string().length(3).uppercase().required(),
+  departureDate: Joi.date().iso().min('now').required()
+    .messages({
+      'date.min': 'Departure date must be in the future'
+    }),
+  returnDate: Joi.date().iso().min(Joi.ref('departureDate')).optional().allow(null)
+    .messages({
+      'date.min': 'Return date must be after departure date'
+    }),
+  adults: Joi.number().integer().min(1).max(9).default(1),
+  cabinClass: Joi.string().valid('ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST').default('ECONOMY'),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  maxPrice: Joi.number().positive().required()
+    .messages({
+      'any.required': 'A maximum price is required to know when to alert you'
+    })
+});
+
+const priceWatchUpdateSchema = Joi.object({
+  maxPrice: Joi.number().positive().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Load a watch owned by the current user; someone else's watch is reported as missing
+const loadOwnedWatch = async (req, res) => {
+  const watch = await priceWatchModel.findById(req.params.watchId);
+  if (!watch || watch.user_id !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Price watch not found'
+    });
+    return null;
+  }
+  return watch;
+};
+
+/**
+ * GET /api/flights/watches
+ * Get the user's price watches with their recent price history (requires authentication)
+ */
+router.get('/watches', authenticateToken, async (req, res) => {
+  try {
+    const watches = await priceWatchModel.getByUserId(req.user.id);
+    const data = await Promise.all(watches.map(async (watch) => ({
+      ...watch,
+      history: await priceWatchModel.getHistory(watch.id, 30)
+    })));
+
+    res.json({
+      success: true,
+      message: 'Price watches retrieved successfully',
+      data: {
+        watches: data
+      }
+    });
+
+  } catch (error) {
+    console.error('Get price watches error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get price watches',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/flights/watches
+ * Watch a route's fares and get alerted below a maximum price (requires authentication)
+ */
+router.post('/watches', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = priceWatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const activeWatches = await priceWatchModel.countActiveByUserId(req.user.id);
+    if (activeWatches >= PriceWatchService.MAX_WATCHES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can watch up to ${PriceWatchService.MAX_WATCHES_PER_USER} routes at a time. Pause or remove one first.`
+      });
+    }
+
+    // The first check is due immediately and picked up by the price watch job
+    const watch = await priceWatchModel.create({
+      user_id: req.user.id,
+      origin: value.origin,
+      destination: value.destination,
+      departure_date: new Date(value.departureDate).toISOString().split('T')[0],
+      return_date: value.returnDate ? new Date(value.returnDate).toISOString().split('T')[0] : null,
+      adults: value.adults,
+      cabin_class: value.cabinClass,
+      currency: value.currency,
+      max_price: value.maxPrice
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Price watch created successfully',
+      data: {
+        watch: { ...watch, history: [] }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create price watch error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create price watch',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/flights/watches/:watchId/history
+ * Get the full price history of a watch (requires authentication)
+ */
+router.get('/watches/:watchId/history', authenticateToken, async (req, res) => {
+  try {
+    const watch = await loadOwnedWatch(req, res);
+    if (!watch) return;
+
+    const history = await priceWatchModel.getHistory(watch.id);
+    res.json({
+      success: true,
+      message: 'Price history retrieved successfully',
+      data: {
+        watch,
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('Get price history error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get price history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/flights/watches/:watchId
+ * Change a watch's maximum price, or pause / resume it (requires authentication)
+ */
+router.patch('/watches/:watchId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = priceWatchUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const watch = await loadOwnedWatch(req, res);
+    if (!watch) return;
+
+    if (value.isActive && !watch.is_active) {
+      if (new Date(watch.departure_date) < new Date(new Date().toDateString())) {
+        return res.status(400).json({
+          success: false,
+          message: 'This flight has already departed'
+        });
+      }
+      const activeWatches = await priceWatchModel.countActiveByUserId(req.user.id);
+      if (activeWatches >= PriceWatchService.MAX_WATCHES_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          message: `You can watch up to ${PriceWatchService.MAX_WATCHES_PER_USER} routes at a time. Pause or remove one first.`
+        });
+      }
+    }
+
+    const updatedWatch = await priceWatchModel.update(watch.id, {
+      ...(value.maxPrice !== undefined && { max_price: value.maxPrice }),
+      ...(value.isActive !== undefined && { is_active: value.isActive })
+    });
+
+    res.json({
+      success: true,
+      message: 'Price watch updated successfully',
+      data: {
+        watch: updatedWatch
+      }
+    });
+
+  } catch (error) {
+    console.error('Update price watch error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update price watch',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/flights/watches/:watchId
+ * Stop watching a route and delete its price history (requires authentication)
+ */
+router.delete('/watches/:watchId', authenticateToken, async (req, res) => {
+  try {
+    const watch = await loadOwnedWatch(req, res);
+    if (!watch) return;
+
+    await priceWatchModel.delete(watch.id);
+    res.json({
+      success: true,
+      message: 'Price watch deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete price watch error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete price watch',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Exchange Rate Routes
+ * Stored daily exchange rates (services/fxRateService.js): rate tables, conversions for a date and rate imports
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const FxRateService = require('../services/fxRateService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+const fxRates = new FxRateService();
+
+// Validation schemas
+const currencyCode = Joi.string().length(3).uppercase()
+  .messages({ 'string.length': '{{#label}} must be a 3-letter currency code' });
+
+const ratesSchema = Joi.object({
+  base: currencyCode.default('USD'),
+  date: Joi.date().iso().optional()
+});
+
+const convertSchema = Joi.object({
+  amount: Joi.number().min(0).required(),
+  from: currencyCode.required(),
+  to: currencyCode.required(),
+  date: Joi.date().iso().optional()
+});
+
+const importSchema = Joi.object({
+  // Defaults to FX_RATE_SOURCE; file paths are only accepted from the command line script
+  source: Joi.string().lowercase().optional()
+});
+
+// Send FX errors with their status: 400 for bad input, 503 when no rate is stored
+const sendFxError = (res, error, message) => {
+  const status = error.status === 400 || error.status === 503 ? error.status : 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    ...(status === 500 && { error: error.message })
+  });
+};
+
+/**
+ * GET /api/fx/rates
+ * Rates of one base currency on a date (the most recent snapshot on or before it)
+ */
+router.get('/rates', async (req, res) => {
+  try {
+    const { error, value } = ratesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const rates = await fxRates.getRates(value.base, value.date);
+    res.json({
+      success: true,
+      message: 'Exchange rates retrieved successfully',
+      data: rates
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    sendFxError(res, error, 'Failed to get exchange rates');
+  }
+});
+
+/**
+ * GET /api/fx/convert
+ * Convert an amount at the rate of a date (today by default)
+ */
+router.get('/convert', async (req, res) => {
+  try {
+    const { error, value } = convertSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const conversion = await fxRates.convert(value.amount, value.from, value.to, value.date);
+    res.json({
+      success: true,
+      message: 'Amount converted successfully',
+      data: conversion
+    });
+
+  } catch (error) {
+    console.error('Currency conversion error:', error);
+    sendFxError(res, error, 'Failed to convert amount');
+  }
+});
+
+/**
+ * POST /api/fx/import
+ * Import rates from a rate source now (requires the pricing permission)
+ */
+router.post('/import', authenticateToken, requirePermission(PERMISSIONS.PRICING_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = importSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const result = await fxRates.importRates({ source: value.source });
+    res.json({
+      success: true,
+      message: `Imported ${result.imported} exchange rate(s)`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Exchange rate import error:', error);
+    sendFxError(res, error, 'Failed to import exchange rates');
+  }
+});
+
+/**
+ * GET /api/fx/status
+ * Rate sources and the most recent stored snapshot
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const status = await fxRates.getStatus();
+
+    res.json({
+      success: true,
+      message: 'Exchange rate service status retrieved successfully',
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get exchange rate status error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get service status',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -88,7 +88,7 @@ router.post('/search', async (req, res) => {
         await pool.query(
           'INSERT INTO search_history (user_id, search_type, search_params, results_count) VALUES ($1, $2, $3, $4)',
           [
-            req.user.userId,
+            req.user.id,
             'hotel',
             JSON.stringify(searchParams),
             hotelResults.results.totalResults
@@ -100,22 +100,6 @@ router.post('/search', async (req, res) => {
       }
     }
 
-    // Cache results for performance (optional)
-    if (hotelResults.results.totalResults > 0) {
-      try {
-        const cacheKey = `hotel_search_${Buffer.from(JSON.stringify(searchParams)).toString('base64')}`;
-        const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-
-        await pool.query(
-          'INSERT INTO hotel_cache (cache_key, search_params, results, expires_at) VALUES ($1, $2, $3, $4) ON CONFLICT (cache_key) DO UPDATE SET results = $2, expires_at = $4',
-          [cacheKey, JSON.stringify(searchParams), JSON.stringify(hotelResults), expiresAt]
-        );
-      } catch (cacheError) {
-        console.error('Failed to cache results:', cacheError);
-        // Don't fail the request if caching fails
-      }
-    }
-
     res.json({
       success: true,
       message: 'Hotel search completed successfully',
@@ -219,7 +203,8 @@ router.get('/details/:hotelId', async (req, res) => {
       currency
     };
 
-    const hotelDetails = await hotelApi.searchHotelByHotelId(searchParams);
+    // Same path as a search so the details show the priced (marked-up) rate
+    const hotelDetails = await hotelApi.searchHotels(searchParams);
 
     res.json({
       success: true,
@@ -253,12 +238,12 @@ router.get('/history', authenticateToken, async (req, res) => {
        WHERE user_id = $1 AND search_type = 'hotel'
        ORDER BY created_at DESC 
        LIMIT $2 OFFSET $3`,
-      [req.user.userId, limit, offset]
+      [req.user.id, limit, offset]
     );
 
     const totalResult = await pool.query(
       'SELECT COUNT(*) FROM search_history WHERE user_id = $1 AND search_type = \'hotel\'',
-      [req.user.userId]
+      [req.user.id]
     );
 
     const searchHistory = result.rows.map(row => ({
@@ -335,7 +320,7 @@ router.post('/favorites', authenticateToken, async (req, res) => {
 
     await pool.query(
       'INSERT INTO user_favorites (user_id, favorite_type, favorite_data) VALUES ($1, $2, $3)',
-      [req.user.userId, 'hotel', JSON.stringify(hotelData)]
+      [req.user.id, 'hotel', JSON.stringify(hotelData)]
     );
 
     res.json({
@@ -369,7 +354,7 @@ router.get('/favorites', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT id, favorite_data, created_at FROM user_favorites WHERE user_id = $1 AND favorite_type = \'hotel\' ORDER BY created_at DESC',
-      [req.user.userId]
+      [req.user.id]
     );
 
     const favorites = result.rows.map(row => ({
@@ -427,10 +412,10 @@ router.get('/popular/:cityId', async (req, res) => {
       currency: 'USD'
     };
 
-    const hotelResults = await hotelApi.searchHotelsByCityId(searchParams);
+    const hotelResults = await hotelApi.searchHotels(searchParams);
 
     // Sort by rating and limit to top 10
-    const popularHotels = hotelResults.results.hotels
+    const popularHotels = [...hotelResults.results.hotels]
       .sort((a, b) => (b.rating.score || 0) - (a.rating.score || 0))
       .slice(0, 10);
 
@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const fs = require('fs');
+const { authenticateToken } = require('../middleware/auth');
+const { attachmentUpload, attachmentFilePath } = require('../middleware/upload');
+const {
+  messageModel,
+  listingModel,
+  bookingModel,
+  providerProfileModel
+} = require('../models/database');
+const { emitToUser } = require('../services/socketServer');
+
+const MAX_ATTACHMENTS = 5;
+
+const conversationSchema = Joi.object({
+  listing_id: Joi.number().integer().positive().optional(),
+  booking_id: Joi.number().integer().positive().optional(),
+  subject: Joi.string().max(255).optional(),
+  content: Joi.string().trim().max(5000).allow('').optional()
+}).or('listing_id', 'booking_id');
+
+const messageSchema = Joi.object({
+  content: Joi.string().trim().max(5000).allow('').optional()
+});
+
+const listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const messagesQuerySchema = Joi.object({
+  before: Joi.number().integer().positive().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Run the attachment upload and answer upload errors (bad type, too large) with a 400
+const uploadAttachments = (req, res, next) => {
+  attachmentUpload.array('attachments', MAX_ATTACHMENTS)(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+};
+
+// Remove files that were uploaded for a request that was then rejected
+const discardUploads = (req) => {
+  (req.files || []).forEach(file => fs.unlink(file.path, () => {}));
+};
+
+// Attachments are only downloadable by the conversation's participants, through GET /attachments/:attachmentId
+const toAttachments = (req) => (req.files || []).map(file => ({
+  id: file.filename,
+  url: `/api/messages/attachments/${file.filename}`,
+  name: file.originalname,
+  mime_type: file.mimetype,
+  size: file.size
+}));
+
+const isParticipant = (conversation, userId) =>
+  conversation.traveler_id === userId || conversation.provider_user_id === userId;
+
+// Push a new message to both participants and refresh the recipient's unread badge
+const deliverMessage = async (conversation, message) => {
+  const recipientId = message.sender_id === conversation.traveler_id
+    ? conversation.provider_user_id
+    : conversation.traveler_id;
+  const payload = { conversation_id: conversation.id, message };
+
+  emitToUser(recipientId, 'message:new', payload);
+  emitToUser(message.sender_id, 'message:new', payload); // Keeps the sender's other tabs in sync
+  emitToUser(recipientId, 'message:unread_count', { count: await messageModel.countUnreadByUserId(recipientId) });
+};
+
+// Resolve the listing and provider a new conversation is with, checking the traveler may open it
+const resolveConversationScope = async (value, userId) => {
+  let booking = null;
+  let listingId = value.listing_id;
+
+  if (value.booking_id) {
+    booking = await bookingModel.findById(value.booking_id);
+    if (!booking) return { status: 404, message: 'Booking not found.' };
+    if (booking.traveler_id !== userId) {
+      return { status: 403, message: 'You can only message providers about your own bookings.' };
+    }
+
+    listingId = listingId || booking.listing_id;
+    if (!listingId) {
+      // Custom trips span several providers, so the listing picks which one to contact
+      return { status: 400, message: 'listing_id is required to contact a provider about a custom trip booking.' };
+    }
+    if (!(await bookingModel.includesListing(booking.id, listingId))) {
+      return { status: 400, message: 'This booking does not include the given listing.' };
+    }
+  }
+
+  const listing = await listingModel.findById(listingId);
+  if (!listing || (!booking && listing.status !== 'published')) {
+    return { status: 404, message: 'Listing not found.' };
+  }
+
+  const providerProfile = await providerProfileModel.findById(listing.provider_id);
+  if (!providerProfile) return { status: 404, message: 'Provider not found.' };
+  if (providerProfile.user_id === userId) {
+    return { status: 400, message: 'You cannot start a conversation with yourself.' };
+  }
+
+  return { booking, listing, providerProfile };
+};
+
+// ====================================
+// Conversation Routes
+// ====================================
+
+// GET /api/messages/conversations - List the current user's conversations
+router.get('/conversations', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { page, limit } = value;
+    const result = await messageModel.getConversationsByUserId(req.user.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      conversations: result.conversations,
+      pagination: {
+        page,
+        limit,
+        total: result.total,
+        totalPages: Math.ceil(result.total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching conversations:', err);
+    res.status(500).json({ message: 'Failed to fetch conversations', error: err.message });
+  }
+});
+
+// POST /api/messages/conversations - Contact a provider about a listing or booking (reuses an existing conversation)
+router.post('/conversations', authenticateToken, uploadAttachments, async (req, res) => {
+  try {
+    const { error, value } = conversationSchema.validate(req.body);
+    if (error) {
+      discardUploads(req);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    if (!value.content && !(req.files && req.files.length)) {
+      return res.status(400).json({ message: 'A message or at least one attachment is required.' });
+    }
+
+    const scope = await resolveConversationScope(value, req.user.id);
+    if (scope.status) {
+      discardUploads(req);
+      return res.status(scope.status).json({ message: scope.message });
+    }
+    const { booking, listing, providerProfile } = scope;
+
+    let conversation = await messageModel.findConversationByScope({
+      travelerId: req.user.id,
+      providerUserId: providerProfile.user_id,
+      listingId: listing.id,
+      bookingId: booking ? booking.id : null
+    });
+    const created = !conversation;
+    if (created) {
+      conversation = await messageModel.createConversation({
+        traveler_id: req.user.id,
+        provider_user_id: providerProfile.user_id,
+        provider_id: providerProfile.id,
+        listing_id: listing.id,
+        booking_id: booking ? booking.id : null,
+        subject: value.subject || (booking ? `Booking ${booking.booking_reference}` : listing.title)
+      });
+    }
+
+    const message = await messageModel.sendMessage(conversation.id, req.user.id, value.content, toAttachments(req));
+    await deliverMessage(conversation, message);
+
+    res.status(created ? 201 : 200).json({ conversation, message });
+  } catch (err) {
+    discardUploads(req);
+    console.error('Error starting conversation:', err);
+    res.status(500).json({ message: 'Failed to start conversation', error: err.message });
+  }
+});
+
+// GET /api/messages/unread-count - Count unread messages across all conversations
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({ count: await messageModel.countUnreadByUserId(req.user.id) });
+  } catch (err) {
+    console.error('Error counting unread messages:', err);
+    res.status(500).json({ message: 'Failed to count unread messages', error: err.message });
+  }
+});
+
+// ====================================
+// Message Routes
+// ====================================
+
+// GET /api/messages/conversations/:conversationId/messages - Get a page of messages (oldest first)
+router.get('/conversations/:conversationId/messages', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = messagesQuerySchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const conversation = await messageModel.findConversationById(req.params.conversationId);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found.' });
+    if (!isParticipant(conversation, req.user.id)) {
+      return res.status(403).json({ message: 'You are not part of this conversation.' });
+    }
+
+    const messages = await messageModel.getMessagesByConversationId(conversation.id, value);
+    res.status(200).json({ conversation, messages, has_more: messages.length === value.limit });
+  } catch (err) {
+    console.error('Error fetching messages:', err);
+    res.status(500).json({ message: 'Failed to fetch messages', error: err.message });
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/messages - Send a message with optional attachments
+router.post('/conversations/:conversationId/messages', authenticateToken, uploadAttachments, async (req, res) => {
+  try {
+    const { error, value } = messageSchema.validate(req.body);
+    if (error) {
+      discardUploads(req);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    if (!value.content && !(req.files && req.files.length)) {
+      return res.status(400).json({ message: 'A message or at least one attachment is required.' });
+    }
+
+    const conversation = await messageModel.findConversationById(req.params.conversationId);
+    if (!conversation || !isParticipant(conversation, req.user.id)) {
+      discardUploads(req);
+      return res.status(conversation ? 403 : 404).json({
+        message: conversation ? 'You are not part of this conversation.' : 'Conversation not found.'
+      });
+    }
+
+    const message = await messageModel.sendMessage(conversation.id, req.user.id, value.content, toAttachments(req));
+    await deliverMessage(conversation, message);
+
+    res.status(201).json(message);
+  } catch (err) {
+    discardUploads(req);
+    console.error('Error sending message:', err);
+    res.status(500).json({ message: 'Failed to send message', error: err.message });
+  }
+});
+
+// GET /api/messages/attachments/:attachmentId - Download an attachment (participants only)
+router.get('/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const filePath = attachmentFilePath(req.params.attachmentId);
+    const found = filePath && await messageModel.findAttachment(req.params.attachmentId);
+    if (!found) return res.status(404).json({ message: 'Attachment not found.' });
+    if (!isParticipant(found, req.user.id)) {
+      return res.status(403).json({ message: 'You are not part of this conversation.' });
+    }
+
+    const { attachment } = found;
+    // Only images are shown inline; documents are always downloaded
+    res.attachment(attachment.name);
+    if (attachment.mime_type.startsWith('image/')) {
+      res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(filePath, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ message: 'Attachment not found.' });
+    });
+  } catch (err) {
+    console.error('Error fetching attachment:', err);
+    res.status(500).json({ message: 'Failed to fetch attachment', error: err.message });
+  }
+});
+
+// PUT /api/messages/conversations/:conversationId/read - Mark received messages as read
+router.put('/conversations/:conversationId/read', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await messageModel.findConversationById(req.params.conversationId);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found.' });
+    if (!isParticipant(conversation, req.user.id)) {
+      return res.status(403).json({ message: 'You are not part of this conversation.' });
+    }
+
+    const updated = await messageModel.markConversationAsRead(conversation.id, req.user.id);
+    const count = await messageModel.countUnreadByUserId(req.user.id);
+    emitToUser(req.user.id, 'message:unread_count', { count });
+
+    res.status(200).json({ updated, unread_count: count });
+  } catch (err) {
+    console.error('Error marking conversation as read:', err);
+    res.status(500).json({ message: 'Failed to mark conversation as read', error: err.message });
+  }
+});
+
+module.exports = router;
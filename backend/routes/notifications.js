@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { notificationModel } = require('../models/database');
+const { emitToUser } = require('../services/socketServer');
+
+const listSchema = Joi.object({
+  unread_only: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Keep every open tab's badge in sync after a read-state change
+const pushUnreadCount = async (userId) => {
+  emitToUser(userId, 'notification:unread_count', { count: await notificationModel.countUnread(userId) });
+};
+
+// GET /api/notifications - List the current user's notifications
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { unread_only: unreadOnly, page, limit } = value;
+    const result = await notificationModel.getByUserId(req.user.id, {
+      unreadOnly,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      notifications: result.notifications,
+      unread_count: await notificationModel.countUnread(req.user.id),
+      pagination: {
+        page,
+        limit,
+        total: result.total,
+        totalPages: Math.ceil(result.total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ message: 'Failed to fetch notifications', error: err.message });
+  }
+});
+
+// GET /api/notifications/unread-count - Count unread notifications
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({ count: await notificationModel.countUnread(req.user.id) });
+  } catch (err) {
+    console.error('Error counting unread notifications:', err);
+    res.status(500).json({ message: 'Failed to count unread notifications', error: err.message });
+  }
+});
+
+// PUT /api/notifications/read-all - Mark all notifications as read
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const updated = await notificationModel.markAllAsRead(req.user.id);
+    await pushUnreadCount(req.user.id);
+    res.status(200).json({ message: 'All notifications marked as read.', updated });
+  } catch (err) {
+    console.error('Error marking all notifications as read:', err);
+    res.status(500).json({ message: 'Failed to mark notifications as read', error: err.message });
+  }
+});
+
+// PUT /api/notifications/:notificationId/read - Mark one notification as read
+router.put('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await notificationModel.markAsRead(req.params.notificationId, req.user.id);
+    if (!notification) return res.status(404).json({ message: 'Notification not found.' });
+
+    await pushUnreadCount(req.user.id);
+    res.status(200).json(notification);
+  } catch (err) {
+    console.error('Error marking notification as read:', err);
+    res.status(500).json({ message: 'Failed to mark notification as read', error: err.message });
+  }
+});
+
+// DELETE /api/notifications/:notificationId - Delete a notification
+router.delete('/:notificationId', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await notificationModel.delete(req.params.notificationId, req.user.id);
+    if (!deleted) return res.status(404).json({ message: 'Notification not found.' });
+
+    await pushUnreadCount(req.user.id);
+    res.status(200).json({ message: 'Notification deleted.' });
+  } catch (err) {
+    console.error('Error deleting notification:', err);
+    res.status(500).json({ message: 'Failed to delete notification', error: err.message });
+  }
+});
+
+module.exports = router;
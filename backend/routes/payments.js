@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken } = require('../middleware/auth');
+const { paymentModel } = require('../models/database');
+const PaymentService = require('../services/paymentService');
+const { PERMISSIONS, canAccessResource } = require('../utils/permissions');
+
+const paymentService = new PaymentService();
+
+// Load the intent and make sure it belongs to the current user
+const loadOwnedIntent = async (req, res) => {
+  const intent = await paymentModel.findIntentById(req.params.intentId);
+  if (!intent) {
+    res.status(404).json({ message: 'Payment intent not found.' });
+    return null;
+  }
+  if (!canAccessResource(req.user, intent.user_id, PERMISSIONS.PAYMENTS_MANAGE_ANY)) {
+    res.status(403).json({ message: 'Unauthorized to access this payment intent.' });
+    return null;
+  }
+  return intent;
+};
+
+// ====================================
+// Payment Intent Routes
+// ====================================
+
+// GET /api/payments/intents/:intentId - Get a payment intent
+router.get('/intents/:intentId', authenticateToken, async (req, res) => {
+  try {
+    const intent = await loadOwnedIntent(req, res);
+    if (!intent) return;
+    res.status(200).json(intent);
+  } catch (err) {
+    console.error('Error fetching payment intent:', err);
+    res.status(500).json({ message: 'Failed to fetch payment intent', error: err.message });
+  }
+});
+
+const authorizeSchema = Joi.object({
+  payment_method: Joi.string().max(255).required()
+});
+
+// POST /api/payments/intents/:intentId/authorize - Authorize a payment intent
+router.post('/intents/:intentId/authorize', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = authorizeSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const intent = await loadOwnedIntent(req, res);
+    if (!intent) return;
+
+    const updatedIntent = await paymentService.authorize(intent, value.payment_method);
+    if (updatedIntent.status === 'failed') {
+      return res.status(402).json({ message: 'Payment authorization failed.', payment: updatedIntent });
+    }
+    res.status(200).json({ message: 'Payment authorized.', payment: updatedIntent });
+  } catch (err) {
+    console.error('Error authorizing payment intent:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to authorize payment', error: err.message });
+  }
+});
+
+const captureSchema = Joi.object({
+  amount: Joi.number().positive().optional()
+});
+
+// POST /api/payments/intents/:intentId/capture - Capture an authorized payment intent
+router.post('/intents/:intentId/capture', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = captureSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const intent = await loadOwnedIntent(req, res);
+    if (!intent) return;
+
+    const updatedIntent = await paymentService.capture(intent, value.amount);
+    res.status(200).json({ message: 'Payment captured.', payment: updatedIntent });
+  } catch (err) {
+    console.error('Error capturing payment intent:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to capture payment', error: err.message });
+  }
+});
+
+// POST /api/payments/intents/:intentId/void - Void a payment intent
+router.post('/intents/:intentId/void', authenticateToken, async (req, res) => {
+  try {
+    const intent = await loadOwnedIntent(req, res);
+    if (!intent) return;
+
+    const updatedIntent = await paymentService.void(intent);
+    res.status(200).json({ message: 'Payment voided.', payment: updatedIntent });
+  } catch (err) {
+    console.error('Error voiding payment intent:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to void payment', error: err.message });
+  }
+});
+
+// ====================================
+// Provider Webhooks
+// ====================================
+
+// POST /api/payments/webhooks/:provider - Receive a signed provider webhook
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, req.rawBody || '', req.headers);
+    res.status(200).json({ received: true, duplicate: result.duplicate });
+  } catch (err) {
+    console.error('Error handling payment webhook:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to handle payment webhook' });
+  }
+});
+
+module.exports = router;
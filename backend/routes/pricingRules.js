@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { pricingRuleModel, adminAuditLogModel } = require('../models/database');
+const pricingRules = require('../services/pricingRulesService');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const PRICING_RULE_TARGET = 'pricing_rule';
+
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// Route patterns are IATA codes, city names or destinations with '*' wildcards, e.g. 'MAD-*', '*-JFK', 'Paris'
+const routePattern = Joi.string().trim().max(100).pattern(/^[\p{L}0-9*\-., ']+$/u)
+  .messages({ 'string.pattern.base': 'route_pattern may only contain letters, digits, spaces, "-", "," and "*"' });
+
+const ruleFields = {
+  rule_name: Joi.string().trim().max(100),
+  rule_type: Joi.string().valid(...pricingRules.RULE_TYPES),
+  route_pattern: routePattern.allow(null, ''),
+  priority: Joi.number().integer().min(-1000).max(1000),
+  markup_type: Joi.string().valid('percentage', 'fixed'),
+  markup_value: Joi.number().min(0).precision(4)
+    .when('markup_type', { is: 'percentage', then: Joi.number().max(100), otherwise: Joi.number().max(9999) }),
+  currency: Joi.string().length(3).uppercase(),
+  valid_from: Joi.date().iso().allow(null),
+  valid_to: Joi.date().iso().allow(null)
+    .when('valid_from', { is: Joi.date().required(), then: Joi.date().min(Joi.ref('valid_from')) }),
+  is_active: Joi.boolean()
+};
+
+const ruleSchema = Joi.object({
+  ...ruleFields,
+  rule_name: ruleFields.rule_name.required(),
+  rule_type: ruleFields.rule_type.required(),
+  markup_type: ruleFields.markup_type.required(),
+  markup_value: ruleFields.markup_value.required(),
+  priority: ruleFields.priority.default(0),
+  currency: ruleFields.currency.default('USD'),
+  is_active: ruleFields.is_active.default(true)
+});
+
+const ruleUpdateSchema = Joi.object(ruleFields).min(1);
+
+const ruleListSchema = paginationSchema.keys({
+  rule_type: Joi.string().valid(...pricingRules.RULE_TYPES).optional(),
+  status: Joi.string().valid('active', 'inactive', 'all').default('all')
+});
+
+const simulationSchema = Joi.object({
+  rule_type: Joi.string().valid(...pricingRules.RULE_TYPES).required(),
+  // 'MAD-JFK' for flights, a city for hotels, one or more comma separated destinations for packages
+  route: Joi.string().trim().max(255).allow('').default(''),
+  travel_date: Joi.date().iso().optional(),
+  amount: Joi.number().min(0).required(),
+  taxes: Joi.number().min(0).default(0),
+  fees: Joi.number().min(0).default(0),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  // A saved rule (active or not) or an unsaved draft to try against the current rules
+  rule_id: Joi.number().integer().optional(),
+  rule: ruleSchema.keys({ rule_name: ruleFields.rule_name.default('Simulated rule'), rule_type: ruleFields.rule_type }).optional()
+}).oxor('rule_id', 'rule');
+
+const paginated = (key, items, total, page, limit) => ({
+  [key]: items,
+  pagination: {
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit)
+  }
+});
+
+const getRuleStatus = rule => (rule.is_active ? 'active' : 'inactive');
+
+// Load the pricing rule from :ruleId; sends the error response and returns null when missing
+const loadRule = async (req, res) => {
+  const rule = await pricingRuleModel.findById(req.params.ruleId);
+  if (!rule) {
+    res.status(404).json({ message: 'Pricing rule not found.' });
+    return null;
+  }
+  return rule;
+};
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.PRICING_MANAGE));
+
+// ====================================
+// Pricing Rule Routes
+// ====================================
+
+// GET /api/admin/pricing-rules - List pricing rules, highest priority first
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = ruleListSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { rule_type, status, page, limit } = value;
+    const result = await pricingRuleModel.getAll({
+      ruleType: rule_type || null,
+      isActive: status === 'all' ? null : status === 'active',
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.status(200).json(paginated('rules', result.rules, result.total, page, limit));
+  } catch (err) {
+    console.error('Error fetching pricing rules:', err);
+    res.status(500).json({ message: 'Failed to fetch pricing rules', error: err.message });
+  }
+});
+
+// GET /api/admin/pricing-rules/:ruleId - Pricing rule with its change history
+router.get('/:ruleId(\\d+)', async (req, res) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    const history = await adminAuditLogModel.getByTarget(PRICING_RULE_TARGET, rule.id);
+    res.status(200).json({ ...rule, history });
+  } catch (err) {
+    console.error('Error fetching pricing rule:', err);
+    res.status(500).json({ message: 'Failed to fetch pricing rule', error: err.message });
+  }
+});
+
+// POST /api/admin/pricing-rules - Create a pricing rule
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const rule = await pricingRuleModel.create(value);
+    await adminAuditLogModel.create({
+      adminId: req.user.id,
+      action: 'create',
+      targetType: PRICING_RULE_TARGET,
+      targetId: rule.id,
+      newStatus: getRuleStatus(rule),
+      metadata: { rule }
+    });
+    pricingRules.invalidateRules();
+
+    res.status(201).json({ message: 'Pricing rule created.', rule });
+  } catch (err) {
+    console.error('Error creating pricing rule:', err);
+    res.status(500).json({ message: 'Failed to create pricing rule', error: err.message });
+  }
+});
+
+// PUT /api/admin/pricing-rules/:ruleId - Update some or all fields of a pricing rule
+router.put('/:ruleId(\\d+)', async (req, res) => {
+  try {
+    const { error, value } = ruleUpdateSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const existing = await loadRule(req, res);
+    if (!existing) return;
+
+    // Check the rule as it will be saved, so a partial update cannot break the date window or markup limits
+    const { id, created_at, updated_at, ...existingFields } = existing;
+    const { error: mergedError } = ruleSchema.validate({ ...existingFields, ...value });
+    if (mergedError) return res.status(400).json({ message: mergedError.details[0].message });
+
+    const rule = await pricingRuleModel.update(existing.id, value);
+    await adminAuditLogModel.create({
+      adminId: req.user.id,
+      action: 'update',
+      targetType: PRICING_RULE_TARGET,
+      targetId: rule.id,
+      previousStatus: getRuleStatus(existing),
+      newStatus: getRuleStatus(rule),
+      metadata: { changes: value, previous: existing }
+    });
+    pricingRules.invalidateRules();
+
+    res.status(200).json({ message: 'Pricing rule updated.', rule });
+  } catch (err) {
+    console.error('Error updating pricing rule:', err);
+    res.status(500).json({ message: 'Failed to update pricing rule', error: err.message });
+  }
+});
+
+// DELETE /api/admin/pricing-rules/:ruleId - Delete a pricing rule (set is_active to false to keep it around)
+router.delete('/:ruleId(\\d+)', async (req, res) => {
+  try {
+    const existing = await loadRule(req, res);
+    if (!existing) return;
+
+    await pricingRuleModel.delete(existing.id);
+    await adminAuditLogModel.create({
+      adminId: req.user.id,
+      action: 'delete',
+      targetType: PRICING_RULE_TARGET,
+      targetId: existing.id,
+      previousStatus: getRuleStatus(existing),
+      metadata: { rule: existing }
+    });
+    pricingRules.invalidateRules();
+
+    res.status(200).json({ message: 'Pricing rule deleted.' });
+  } catch (err) {
+    console.error('Error deleting pricing rule:', err);
+    res.status(500).json({ message: 'Failed to delete pricing rule', error: err.message });
+  }
+});
+
+// POST /api/admin/pricing-rules/simulate - Price a sample item with the current rules, and with a saved or draft rule added
+router.post('/simulate', async (req, res) => {
+  try {
+    const { error, value } = simulationSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    let candidate = null;
+    if (value.rule_id) {
+      candidate = await pricingRuleModel.findById(value.rule_id);
+      if (!candidate) return res.status(404).json({ message: 'Pricing rule not found.' });
+    } else if (value.rule) {
+      candidate = { id: null, ...value.rule, rule_type: value.rule.rule_type || value.rule_type };
+    }
+
+    const item = {
+      ruleType: value.rule_type,
+      routeKeys: value.rule_type === 'package' ? value.route.split(',').map(key => key.trim()) : [value.route],
+      travelDate: value.travel_date,
+      amount: value.amount,
+      taxes: value.taxes,
+      fees: value.fees,
+      currency: value.currency
+    };
+    const activeRules = await pricingRules.getActiveRules();
+    const current = await pricingRules.priceItem(item, activeRules);
+
+    let simulated = null;
+    let matchingRules = pricingRules.getMatchingRules(activeRules, item);
+    let simulatedRule = null;
+    if (candidate) {
+      // The simulated rule counts as active and replaces its saved version
+      simulatedRule = { ...candidate, is_active: true };
+      const rules = [...activeRules.filter(rule => !candidate.id || rule.id !== candidate.id), simulatedRule];
+      simulated = await pricingRules.priceItem(item, rules);
+      matchingRules = pricingRules.getMatchingRules(rules, item);
+    }
+
+    res.status(200).json({
+      current,
+      simulated,
+      difference: simulated ? Math.round((simulated.total - current.total) * 100) / 100 : null,
+      // Whether the simulated rule matches and wins over the other matching rules
+      rule_matches: simulatedRule ? matchingRules.includes(simulatedRule) : null,
+      rule_applied: simulatedRule ? matchingRules[0] === simulatedRule : null,
+      matching_rules: matchingRules.map(rule => ({
+        id: rule.id,
+        rule_name: rule.rule_name,
+        route_pattern: rule.route_pattern,
+        priority: rule.priority,
+        markup_type: rule.markup_type,
+        markup_value: parseFloat(rule.markup_value)
+      }))
+    });
+  } catch (err) {
+    console.error('Error simulating pricing rule:', err);
+    res.status(500).json({ message: 'Failed to simulate pricing rule', error: err.message });
+  }
+});
+
+module.exports = router;
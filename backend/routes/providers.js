@@ -3,44 +3,29 @@ const router = express.Router();
 const { authenticateToken, isProvider, isVerifiedProvider } = require('../middleware/auth');
 const { 
   providerProfileModel, 
+  adminAuditLogModel,
   listingModel, 
   componentModel, 
   availabilityModel, 
+  availabilityRuleModel,
+  availabilityBlackoutModel,
+  seasonalPriceModel,
   mediaModel,
   bookingModel,
-  // paymentModel, // Assuming paymentModel will handle payouts
+  bookingComponentModel,
+  cancellationModel,
+  paymentModel,
   // reviewModel 
 } = require('../models/database'); // Assuming models are in database.js
+const { CANCELLATION_POLICIES, BOOKING_STATUSES, isValidStatusTransition } = require('../utils/bookingUtils');
+const { notifyBookingStatusChange } = require('../services/notificationService');
+const AvailabilityRuleService = require('../services/availabilityRuleService');
+const CancellationService = require('../services/cancellationService');
 const Joi = require('joi');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const { upload, uploadedFileUrl } = require('../middleware/upload');
 
-// Configure Multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '..', 'uploads', req.user.id.toString()); // User-specific folder
-    fs.mkdirSync(uploadPath, { recursive: true }); // Create directory if it doesn't exist
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid file type. Only images and videos are allowed.'), false);
-  }
-};
-
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: { fileSize: 1024 * 1024 * 20 } // 20MB limit
-});
+const availabilityRules = new AvailabilityRuleService();
+const cancellationService = new CancellationService();
 
 
 // ====================================
@@ -105,8 +90,11 @@ router.post('/profile/verify', authenticateToken, isProvider, upload.array('veri
     if (!profile) {
       return res.status(404).json({ message: 'Provider profile not found.' });
     }
+    if (profile.verification_status === 'suspended') {
+      return res.status(403).json({ message: 'Your provider account is suspended. Please contact support.' });
+    }
 
-    const documentPaths = req.files ? req.files.map(file => `/uploads/${req.user.id}/${file.filename}`) : [];
+    const documentPaths = req.files ? req.files.map(file => uploadedFileUrl(req, file)) : [];
     
     // In a real app, save documentPaths to profile.verification_documents
     // For now, just simulate by changing status
@@ -129,7 +117,13 @@ router.get('/profile/verification-status', authenticateToken, isProvider, async
     if (!profile) {
       return res.status(404).json({ message: 'Provider profile not found.' });
     }
-    res.status(200).json({ verification_status: profile.verification_status });
+    // Surface the reason of the latest admin decision (e.g. why verification was rejected)
+    const lastDecision = await adminAuditLogModel.getLatestByTarget('provider_profile', profile.id);
+    res.status(200).json({
+      verification_status: profile.verification_status,
+      reason: lastDecision ? lastDecision.reason : null,
+      decided_at: lastDecision ? lastDecision.created_at : null
+    });
   } catch (err) {
     console.error('Error fetching verification status:', err);
     res.status(500).json({ message: 'Failed to fetch verification status', error: err.message });
@@ -164,7 +158,7 @@ const listingSchema = Joi.object({
   inclusions: Joi.array().items(Joi.string()).optional(),
   exclusions: Joi.array().items(Joi.string()).optional(),
   requirements: Joi.string().optional().allow(null, ''),
-  cancellation_policy: Joi.string().optional().allow(null, '')
+  cancellation_policy: Joi.string().valid(...Object.keys(CANCELLATION_POLICIES)).optional().allow(null)
 });
 
 // POST /api/providers/listings - Create a new service listing
@@ -299,7 +293,7 @@ router.post('/listings/:listingId/media', authenticateToken, isVerifiedProvider,
     const mediaItems = req.files.map(file => ({
       listing_id: parseInt(listingId),
       media_type: file.mimetype.startsWith('image') ? 'image' : 'video',
-      url: `/uploads/${req.user.id}/${file.filename}`, // Relative path, serve statically or via S3
+      url: uploadedFileUrl(req, file), // Relative path, serve statically or via S3
       caption: req.body.caption || file.originalname,
       is_featured: req.body.is_featured === 'true' || false,
       display_order: parseInt(req.body.display_order) || 0
@@ -582,7 +576,8 @@ router.put('/availability/:availabilityId', authenticateToken, isVerifiedProvide
       }
     }
 
-    const updatedAvailability = await availabilityModel.update(availabilityId, req.body);
+    // A slot edited by hand is no longer managed by its recurring rule
+    const updatedAvailability = await availabilityModel.update(availabilityId, { ...req.body, rule_id: null });
     res.status(200).json(updatedAvailability);
   } catch (err) {
     console.error('Error updating availability:', err);
@@ -615,6 +610,12 @@ router.delete('/availability/:availabilityId', authenticateToken, isVerifiedProv
         }
       }
 
+    // Deleting a rule slot would only bring it back on the next expansion, so it is closed instead
+    if (availability.rule_id) {
+      await availabilityModel.update(availabilityId, { is_available: false, rule_id: null });
+      return res.status(200).json({ message: 'Availability slot closed (it was generated by a recurring rule).' });
+    }
+
     await availabilityModel.delete(availabilityId);
     res.status(200).json({ message: 'Availability slot deleted successfully.' });
   } catch (err) {
@@ -623,6 +624,246 @@ router.delete('/availability/:availabilityId', authenticateToken, isVerifiedProv
   }
 });
 
+// ====================================
+// Recurring Availability Routes
+// ====================================
+// Rules, blackouts and seasonal prices are expanded into availability slots by services/availabilityRuleService.js
+
+const timeOfDay = Joi.string().regex(/^([01]\d|2[0-3]):([0-5]\d)$/); // HH:MM format
+const calendarDate = Joi.date().iso().raw(); // Kept as sent (YYYY-MM-DD)
+const weekdays = Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).max(7).unique(); // 0 = Sunday
+
+const availabilityRuleFields = {
+  name: Joi.string().max(100).optional().allow(null, ''),
+  weekdays,
+  start_times: Joi.array().items(timeOfDay).min(1).max(48).unique(),
+  duration_minutes: Joi.number().integer().min(1).max(1440).optional().allow(null),
+  valid_from: calendarDate,
+  valid_until: calendarDate.optional().allow(null),
+  capacity: Joi.number().integer().min(0),
+  price_override: Joi.number().min(0).optional().allow(null),
+  is_active: Joi.boolean()
+};
+
+const availabilityRuleSchema = Joi.object({
+  listing_id: Joi.number().integer().optional(),
+  component_id: Joi.number().integer().optional(),
+  ...availabilityRuleFields,
+  weekdays: weekdays.required(),
+  start_times: availabilityRuleFields.start_times.required(),
+  valid_from: calendarDate.required(),
+  valid_until: calendarDate.min(Joi.ref('valid_from')).optional().allow(null),
+  capacity: availabilityRuleFields.capacity.required()
+}).xor('listing_id', 'component_id');
+
+const availabilityRuleUpdateSchema = Joi.object(availabilityRuleFields).min(1);
+
+const blackoutSchema = Joi.object({
+  listing_id: Joi.number().integer().optional(),
+  component_id: Joi.number().integer().optional(),
+  start_date: calendarDate.required(),
+  end_date: calendarDate.min(Joi.ref('start_date')).required(),
+  reason: Joi.string().max(255).optional().allow(null, '')
+}).xor('listing_id', 'component_id');
+
+const seasonalPriceSchema = Joi.object({
+  listing_id: Joi.number().integer().optional(),
+  component_id: Joi.number().integer().optional(),
+  name: Joi.string().max(100).optional().allow(null, ''),
+  start_date: calendarDate.required(),
+  end_date: calendarDate.min(Joi.ref('start_date')).required(),
+  weekdays: weekdays.optional().allow(null), // Every day when not set
+  price: Joi.number().min(0).required()
+}).xor('listing_id', 'component_id');
+
+const bulkAvailabilitySchema = Joi.object({
+  listing_id: Joi.number().integer().optional(),
+  component_id: Joi.number().integer().optional(),
+  dates: Joi.array().items(calendarDate).min(1).max(366).unique().required(),
+  start_times: Joi.array().items(timeOfDay).max(48).unique().optional(), // One all-day slot per date when not set
+  duration_minutes: Joi.number().integer().min(1).max(1440).optional().allow(null),
+  max_bookings: Joi.number().integer().min(0).optional().allow(null),
+  is_available: Joi.boolean().default(true),
+  price_override: Joi.number().min(0).optional().allow(null)
+}).xor('listing_id', 'component_id');
+
+const availabilityCalendarSchema = Joi.object({
+  listing_id: Joi.number().integer().optional(),
+  component_id: Joi.number().integer().optional(),
+  startDate: calendarDate.required(),
+  endDate: calendarDate.min(Joi.ref('startDate')).required()
+}).xor('listing_id', 'component_id');
+
+// Provider profile that owns the listing or component, or null
+const findAvailabilityOwner = async (userId, { listing_id, component_id }) => {
+  const providerProfile = await providerProfileModel.findByUserId(userId);
+  if (!providerProfile) return null;
+
+  let listingId = listing_id;
+  if (component_id) {
+    const component = await componentModel.findById(component_id);
+    if (!component) return null;
+    listingId = component.listing_id;
+  }
+  const listing = await listingModel.findById(listingId);
+  return listing && listing.provider_id === providerProfile.id ? providerProfile : null;
+};
+
+const availabilityTarget = ({ listing_id, component_id }) => (listing_id ? { listing_id } : { component_id });
+
+// Rule, blackout or seasonal price owned by the provider, or null
+const findOwnedAvailabilityRecord = async (userId, model, id) => {
+  const [record, providerProfile] = await Promise.all([
+    model.findById(id),
+    providerProfileModel.findByUserId(userId)
+  ]);
+  return record && providerProfile && record.provider_id === providerProfile.id ? record : null;
+};
+
+// GET /api/providers/availability/calendar - Slots, rules, blackouts and seasonal prices of a listing or component
+router.get('/availability/calendar', authenticateToken, isProvider, async (req, res) => {
+  try {
+    const { error, value } = availabilityCalendarSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const providerProfile = await findAvailabilityOwner(req.user.id, value);
+    if (!providerProfile) return res.status(403).json({ message: 'Unauthorized' });
+
+    const calendar = await availabilityRules.getCalendar(availabilityTarget(value), value.startDate, value.endDate);
+    res.status(200).json(calendar);
+  } catch (err) {
+    console.error('Error fetching availability calendar:', err);
+    res.status(500).json({ message: 'Failed to fetch availability calendar', error: err.message });
+  }
+});
+
+// POST /api/providers/availability/bulk - Add slots on many dates at once
+router.post('/availability/bulk', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const { error, value } = bulkAvailabilitySchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const providerProfile = await findAvailabilityOwner(req.user.id, value);
+    if (!providerProfile) return res.status(403).json({ message: 'Unauthorized to manage availability for this listing.' });
+
+    const { listing_id, component_id, ...slotData } = value;
+    const result = await availabilityRules.createSlots(availabilityTarget({ listing_id, component_id }), slotData);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('Error adding availability in bulk:', err);
+    res.status(err.status === 400 ? 400 : 500).json({ message: err.status === 400 ? err.message : 'Failed to add availability', error: err.message });
+  }
+});
+
+// POST /api/providers/availability/rules - Create a recurring availability rule and generate its slots
+router.post('/availability/rules', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const { error, value } = availabilityRuleSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const providerProfile = await findAvailabilityOwner(req.user.id, value);
+    if (!providerProfile) return res.status(403).json({ message: 'Unauthorized to manage availability for this listing.' });
+
+    const result = await availabilityRules.createRule(providerProfile.id, value);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('Error creating availability rule:', err);
+    res.status(500).json({ message: 'Failed to create availability rule', error: err.message });
+  }
+});
+
+// PUT /api/providers/availability/rules/:ruleId - Update a rule and re-generate its slots
+router.put('/availability/rules/:ruleId', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const { error, value } = availabilityRuleUpdateSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const rule = await findOwnedAvailabilityRecord(req.user.id, availabilityRuleModel, req.params.ruleId);
+    if (!rule) return res.status(404).json({ message: 'Availability rule not found.' });
+
+    const result = await availabilityRules.updateRule(rule, value);
+    res.status(200).json(result);
+  } catch (err) {
+    console.error('Error updating availability rule:', err);
+    res.status(err.status === 400 ? 400 : 500).json({ message: err.status === 400 ? err.message : 'Failed to update availability rule', error: err.message });
+  }
+});
+
+// DELETE /api/providers/availability/rules/:ruleId - Delete a rule and its unbooked future slots
+router.delete('/availability/rules/:ruleId', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const rule = await findOwnedAvailabilityRecord(req.user.id, availabilityRuleModel, req.params.ruleId);
+    if (!rule) return res.status(404).json({ message: 'Availability rule not found.' });
+
+    const expansion = await availabilityRules.deleteRule(rule);
+    res.status(200).json({ message: 'Availability rule deleted successfully.', expansion });
+  } catch (err) {
+    console.error('Error deleting availability rule:', err);
+    res.status(500).json({ message: 'Failed to delete availability rule', error: err.message });
+  }
+});
+
+// POST /api/providers/availability/blackouts - Block a date range
+router.post('/availability/blackouts', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const { error, value } = blackoutSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const providerProfile = await findAvailabilityOwner(req.user.id, value);
+    if (!providerProfile) return res.status(403).json({ message: 'Unauthorized to manage availability for this listing.' });
+
+    const result = await availabilityRules.addBlackout(providerProfile.id, value);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('Error adding blackout:', err);
+    res.status(500).json({ message: 'Failed to add blackout dates', error: err.message });
+  }
+});
+
+// DELETE /api/providers/availability/blackouts/:blackoutId - Remove a blackout (rule slots come back)
+router.delete('/availability/blackouts/:blackoutId', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const blackout = await findOwnedAvailabilityRecord(req.user.id, availabilityBlackoutModel, req.params.blackoutId);
+    if (!blackout) return res.status(404).json({ message: 'Blackout not found.' });
+
+    const expansion = await availabilityRules.deleteBlackout(blackout);
+    res.status(200).json({ message: 'Blackout deleted successfully.', expansion });
+  } catch (err) {
+    console.error('Error deleting blackout:', err);
+    res.status(500).json({ message: 'Failed to delete blackout', error: err.message });
+  }
+});
+
+// POST /api/providers/availability/seasonal-prices - Set a price for rule slots within a date range
+router.post('/availability/seasonal-prices', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const { error, value } = seasonalPriceSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const providerProfile = await findAvailabilityOwner(req.user.id, value);
+    if (!providerProfile) return res.status(403).json({ message: 'Unauthorized to manage availability for this listing.' });
+
+    const result = await availabilityRules.addSeasonalPrice(providerProfile.id, value);
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('Error adding seasonal price:', err);
+    res.status(500).json({ message: 'Failed to add seasonal price', error: err.message });
+  }
+});
+
+// DELETE /api/providers/availability/seasonal-prices/:seasonalPriceId - Remove a seasonal price
+router.delete('/availability/seasonal-prices/:seasonalPriceId', authenticateToken, isVerifiedProvider, async (req, res) => {
+  try {
+    const seasonalPrice = await findOwnedAvailabilityRecord(req.user.id, seasonalPriceModel, req.params.seasonalPriceId);
+    if (!seasonalPrice) return res.status(404).json({ message: 'Seasonal price not found.' });
+
+    const expansion = await availabilityRules.deleteSeasonalPrice(seasonalPrice);
+    res.status(200).json({ message: 'Seasonal price deleted successfully.', expansion });
+  } catch (err) {
+    console.error('Error deleting seasonal price:', err);
+    res.status(500).json({ message: 'Failed to delete seasonal price', error: err.message });
+  }
+});
 
 // ====================================
 // Booking Management Routes (for providers)
@@ -726,13 +967,57 @@ router.put('/bookings/:bookingId/status', authenticateToken, isVerifiedProvider,
     }
 
 
+    if (req.body.status === 'cancelled') {
+      // A provider's cancellation refunds the whole booking, so it may only cancel bookings it fully owns
+      if (booking.custom_trip_id && !booking.listing_id) {
+        const components = await bookingComponentModel.getByBookingId(bookingId);
+        if (components.some(component => component.provider_id !== providerProfile.id)) {
+          return res.status(409).json({ message: 'This booking includes services from other providers and cannot be cancelled by a single provider.' });
+        }
+      }
+
+      // Cancelled by the provider: the traveler gets everything back, whatever the cancellation policy
+      const result = await cancellationService.cancel(booking, {
+        userId: req.user.id,
+        reason: req.body.cancellation_reason,
+        fullRefund: true
+      });
+      return res.status(200).json(result.booking);
+    }
+
+    if (!isValidStatusTransition(booking.status, req.body.status)) {
+      return res.status(409).json({ message: `Booking cannot move from ${booking.status} to ${req.body.status}.` });
+    }
+    // A booking is only confirmed once its payment has been captured
+    if (req.body.status === BOOKING_STATUSES.CONFIRMED) {
+      const [intent] = await paymentModel.getIntentsByBookingId(bookingId);
+      if (!intent || intent.status !== 'captured') {
+        return res.status(409).json({ message: 'Booking cannot be confirmed before its payment is captured.' });
+      }
+    }
+
     const updatedBooking = await bookingModel.update(bookingId, { status: req.body.status });
-    // TODO: Add logic for notifications, refunds if 'cancelled', inventory updates.
+    await notifyBookingStatusChange(updatedBooking, { reason: req.body.cancellation_reason });
 
     res.status(200).json(updatedBooking);
   } catch (err) {
     console.error('Error updating booking status:', err);
-    res.status(500).json({ message: 'Failed to update booking status', error: err.message });
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to update booking status', error: err.message });
+  }
+});
+
+// GET /api/providers/cancellations - Get cancelled components of the provider's services with their refunds
+router.get('/cancellations', authenticateToken, isProvider, async (req, res) => {
+  try {
+    const providerProfile = await providerProfileModel.findByUserId(req.user.id);
+    if (!providerProfile) {
+      return res.status(404).json({ message: 'Provider profile not found.' });
+    }
+    const cancellations = await cancellationModel.getItemsByProviderId(providerProfile.id, { since: req.query.since });
+    res.status(200).json(cancellations);
+  } catch (err) {
+    console.error('Error fetching provider cancellations:', err);
+    res.status(500).json({ message: 'Failed to fetch provider cancellations', error: err.message });
   }
 });
 
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken, requirePermission, isProvider } = require('../middleware/auth');
+const {
+  reviewModel,
+  bookingModel,
+  listingModel,
+  providerProfileModel
+} = require('../models/database');
+const { BOOKING_STATUSES } = require('../utils/bookingUtils');
+const { PERMISSIONS, canAccessResource } = require('../utils/permissions');
+
+// Recalculate the aggregated rating of the review's listing and provider
+const refreshRatings = async (review) => {
+  const listingStats = await reviewModel.calculateAverageRatingForListing(review.listing_id);
+  await listingModel.updateRating(review.listing_id, listingStats.average_rating, listingStats.total_reviews);
+
+  if (review.provider_id) {
+    const providerStats = await reviewModel.calculateAverageRatingForProvider(review.provider_id);
+    await providerProfileModel.updateRating(review.provider_id, providerStats.average_rating, providerStats.total_reviews);
+  }
+};
+
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const paginated = (result, page, limit) => ({
+  reviews: result.reviews,
+  pagination: {
+    page,
+    limit,
+    total: result.total,
+    totalPages: Math.ceil(result.total / limit)
+  }
+});
+
+// ====================================
+// Traveler Review Routes
+// ====================================
+
+const reviewSchema = Joi.object({
+  booking_id: Joi.number().integer().required(),
+  listing_id: Joi.number().integer().optional(), // Defaults to the booking's listing
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().max(200).optional().allow(null, ''),
+  comment: Joi.string().max(5000).optional().allow(null, '')
+});
+
+// POST /api/reviews - Review a listing from a completed booking
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const booking = await bookingModel.findById(value.booking_id);
+    if (!booking) return res.status(404).json({ message: 'Booking not found.' });
+    if (!canAccessResource(req.user, booking.traveler_id)) {
+      return res.status(403).json({ message: 'You can only review your own bookings.' });
+    }
+    if (booking.status !== BOOKING_STATUSES.COMPLETED) {
+      return res.status(400).json({ message: 'Only completed bookings can be reviewed.' });
+    }
+
+    const listingId = value.listing_id || booking.listing_id;
+    if (!listingId) {
+      return res.status(400).json({ message: 'listing_id is required for custom trip bookings.' });
+    }
+    if (!(await bookingModel.includesListing(booking.id, listingId))) {
+      return res.status(400).json({ message: 'This listing is not part of the booking.' });
+    }
+    if (await reviewModel.findByBookingId(booking.id)) {
+      return res.status(409).json({ message: 'This booking has already been reviewed.' });
+    }
+
+    const listing = await listingModel.findById(listingId);
+    if (!listing) return res.status(404).json({ message: 'Listing not found.' });
+
+    const review = await reviewModel.create({
+      booking_id: booking.id,
+      listing_id: listing.id,
+      provider_id: listing.provider_id,
+      reviewer_id: req.user.id,
+      rating: value.rating,
+      title: value.title,
+      comment: value.comment
+    });
+
+    res.status(201).json({
+      message: 'Thanks for your review! It will be published once it has been moderated.',
+      review
+    });
+  } catch (err) {
+    console.error('Error creating review:', err);
+    res.status(500).json({ message: 'Failed to create review', error: err.message });
+  }
+});
+
+// GET /api/reviews/listings/:listingId - Get published reviews for a listing
+router.get('/listings/:listingId', async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { page, limit } = value;
+    const result = await reviewModel.getByListingId(req.params.listingId, limit, (page - 1) * limit);
+    const stats = await reviewModel.calculateAverageRatingForListing(req.params.listingId);
+
+    res.status(200).json({ ...paginated(result, page, limit), ...stats });
+  } catch (err) {
+    console.error('Error fetching listing reviews:', err);
+    res.status(500).json({ message: 'Failed to fetch listing reviews', error: err.message });
+  }
+});
+
+// GET /api/reviews/providers/:providerId - Get published reviews across a provider's listings
+router.get('/providers/:providerId', async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { page, limit } = value;
+    const result = await reviewModel.getByProviderId(req.params.providerId, limit, (page - 1) * limit);
+    const stats = await reviewModel.calculateAverageRatingForProvider(req.params.providerId);
+
+    res.status(200).json({ ...paginated(result, page, limit), ...stats });
+  } catch (err) {
+    console.error('Error fetching provider reviews:', err);
+    res.status(500).json({ message: 'Failed to fetch provider reviews', error: err.message });
+  }
+});
+
+// ====================================
+// Provider Response Route
+// ====================================
+
+const responseSchema = Joi.object({
+  response: Joi.string().max(2000).required()
+});
+
+// POST /api/reviews/:reviewId/response - Provider replies publicly to a review of their listing
+router.post('/:reviewId/response', authenticateToken, isProvider, async (req, res) => {
+  try {
+    const { error, value } = responseSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const review = await reviewModel.findById(req.params.reviewId);
+    if (!review) return res.status(404).json({ message: 'Review not found.' });
+
+    const { providerProfile } = req;
+    if (!providerProfile || providerProfile.id !== review.provider_id) {
+      return res.status(403).json({ message: 'Only the listing provider can respond to this review.' });
+    }
+
+    const updatedReview = await reviewModel.addProviderResponse(review.id, value.response);
+    res.status(200).json(updatedReview);
+  } catch (err) {
+    console.error('Error responding to review:', err);
+    res.status(500).json({ message: 'Failed to respond to review', error: err.message });
+  }
+});
+
+// ====================================
+// Admin Moderation Routes
+// ====================================
+
+// GET /api/reviews/moderation - Queue of reviews awaiting moderation
+router.get('/moderation', authenticateToken, requirePermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { error, value } = paginationSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { page, limit } = value;
+    const result = await reviewModel.getPendingModeration(limit, (page - 1) * limit);
+    res.status(200).json(paginated(result, page, limit));
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err);
+    res.status(500).json({ message: 'Failed to fetch moderation queue', error: err.message });
+  }
+});
+
+const moderationSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  moderation_note: Joi.string().max(1000).optional().allow(null, '')
+});
+
+// PUT /api/reviews/:reviewId/moderation - Approve or reject a review
+router.put('/:reviewId/moderation', authenticateToken, requirePermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { error, value } = moderationSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const review = await reviewModel.findById(req.params.reviewId);
+    if (!review) return res.status(404).json({ message: 'Review not found.' });
+
+    const updatedReview = await reviewModel.moderate(review.id, value.status, req.user.id, value.moderation_note);
+    // Approving adds to the averages; rejecting a previously approved review removes from them
+    if (value.status === 'approved' || review.status === 'approved') {
+      await refreshRatings(updatedReview);
+    }
+
+    res.status(200).json(updatedReview);
+  } catch (err) {
+    console.error('Error moderating review:', err);
+    res.status(500).json({ message: 'Failed to moderate review', error: err.message });
+  }
+});
+
+module.exports = router;
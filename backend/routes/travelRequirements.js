@@ -0,0 +1,175 @@
+/**
+ * Travel Requirement Routes
+ * Visa, stay and passport requirements for a trip (services/entryRequirementsService.js) and the versioned
+ * entry requirement datasets they come from
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const EntryRequirementsService = require('../services/entryRequirementsService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+const entryRequirements = new EntryRequirementsService();
+
+// Validation schemas
+const requirementsSchema = Joi.object({
+  // ISO 3166-1 alpha-2 code or country name
+  nationality: Joi.string().trim().max(100).required(),
+  // Countries in visiting order, each optionally with its own dates: "France:2026-11-02:2026-11-06,Germany"
+  destinations: Joi.string().trim().max(1000).required(),
+  start_date: Joi.date().iso().optional(),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')).optional(),
+  // Countries only connected through on the way
+  transits: Joi.string().trim().max(500).allow('').optional(),
+  passport_expiry: Joi.date().iso().optional()
+});
+
+const destinationSchema = Joi.object({
+  country: Joi.string().required(),
+  arrival: Joi.date().iso().optional(),
+  departure: Joi.date().iso().min(Joi.ref('arrival')).optional()
+});
+
+const importSchema = Joi.object({
+  // A dataset in the format of database/entry-requirements.json; file paths are only accepted by the import script
+  dataset: Joi.object().required(),
+  activate: Joi.boolean().default(true)
+});
+
+const listItems = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// "France:2026-11-02:2026-11-06" -> { country, arrival, departure }
+const parseDestination = (item) => {
+  const [country, arrival, departure] = item.split(':').map(part => part.trim());
+  return { country, ...(arrival && { arrival }), ...(departure && { departure }) };
+};
+
+const validationError = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors
+});
+
+// Send entry requirement errors with their status: 400/404/409 for bad input, 503 when no dataset is imported
+const sendRequirementsError = (res, error, message) => {
+  const status = [400, 404, 409, 503].includes(error.status) ? error.status : 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    ...(status === 500 && { error: error.message })
+  });
+};
+
+/**
+ * GET /api/travel-requirements
+ * Entry requirements for a nationality visiting one or more countries on the trip's dates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = requirementsSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const destinations = [];
+    const errors = [];
+    listItems(value.destinations).forEach((item) => {
+      const { error: destinationError, value: destination } = destinationSchema.validate(parseDestination(item));
+      if (destinationError) errors.push(`${item}: ${destinationError.details[0].message}`);
+      else destinations.push(destination);
+    });
+    if (errors.length > 0 || destinations.length === 0) {
+      return validationError(res, errors.length > 0 ? errors : ['"destinations" must list at least one country']);
+    }
+
+    const requirements = await entryRequirements.evaluate({
+      nationality: value.nationality,
+      destinations,
+      startDate: value.start_date,
+      endDate: value.end_date,
+      transits: listItems(value.transits),
+      passportExpiry: value.passport_expiry
+    });
+    res.json({
+      success: true,
+      message: 'Travel requirements retrieved successfully',
+      data: requirements
+    });
+
+  } catch (error) {
+    console.error('Get travel requirements error:', error);
+    sendRequirementsError(res, error, 'Failed to get travel requirements');
+  }
+});
+
+/**
+ * GET /api/travel-requirements/datasets
+ * Imported dataset versions, newest first
+ */
+router.get('/datasets', authenticateToken, requirePermission(PERMISSIONS.TRAVEL_REQUIREMENTS_MANAGE), async (req, res) => {
+  try {
+    const datasets = await entryRequirements.getDatasets();
+
+    res.json({
+      success: true,
+      message: 'Entry requirement datasets retrieved successfully',
+      data: datasets
+    });
+
+  } catch (error) {
+    console.error('Get entry requirement datasets error:', error);
+    sendRequirementsError(res, error, 'Failed to get entry requirement datasets');
+  }
+});
+
+/**
+ * POST /api/travel-requirements/datasets
+ * Import a dataset as a new version (activated unless activate is false)
+ */
+router.post('/datasets', authenticateToken, requirePermission(PERMISSIONS.TRAVEL_REQUIREMENTS_MANAGE), async (req, res) => {
+  try {
+    const { error, value } = importSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const result = await entryRequirements.importDataset({
+      data: value.dataset,
+      activate: value.activate,
+      importedBy: req.user.id
+    });
+    res.status(201).json({
+      success: true,
+      message: `Imported entry requirement dataset ${result.version}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Entry requirement import error:', error);
+    sendRequirementsError(res, error, 'Failed to import entry requirement dataset');
+  }
+});
+
+/**
+ * POST /api/travel-requirements/datasets/:version/activate
+ * Use an imported version for lookups (e.g. to roll back an import)
+ */
+router.post('/datasets/:version/activate', authenticateToken, requirePermission(PERMISSIONS.TRAVEL_REQUIREMENTS_MANAGE), async (req, res) => {
+  try {
+    const dataset = await entryRequirements.activateVersion(req.params.version);
+
+    res.json({
+      success: true,
+      message: `Entry requirement dataset ${dataset.version} activated`,
+      data: dataset
+    });
+
+  } catch (error) {
+    console.error('Entry requirement activation error:', error);
+    sendRequirementsError(res, error, 'Failed to activate entry requirement dataset');
+  }
+});
+
+module.exports = router;
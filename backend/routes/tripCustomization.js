@@ -6,11 +6,13 @@
 const express = require('express');
 const Joi = require('joi');
 const TripCustomizationService = require('../services/tripCustomizationService');
+const RouteOptimizationService = require('../services/routeOptimizationService');
 const { authenticateToken } = require('../middleware/auth');
 const pool = require('../models/database');
 
 const router = express.Router();
 const tripService = new TripCustomizationService();
+const routeOptimizer = new RouteOptimizationService();
 
 // Validation schemas
 const tripPackageSearchSchema = Joi.object({
@@ -51,6 +53,43 @@ const tripPackageSearchSchema = Joi.object({
   }).default({})
 });
 
+const coordinatesSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+const timeOfDaySchema = Joi.string().pattern(/^([01]?\d|2[0-3]):[0-5]\d$/)
+  .messages({ 'string.pattern.base': 'Opening hours must use the HH:mm format' });
+
+const routeOptimizationSchema = Joi.object({
+  attractions: Joi.array().items(Joi.object({
+    id: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    name: Joi.string().required(),
+    location: coordinatesSchema.required(),
+    visitDurationMinutes: Joi.number().integer().min(5).max(720).optional(),
+    openingHours: Joi.object({
+      open: timeOfDaySchema.optional(),
+      close: timeOfDaySchema.optional()
+    }).unknown(true).optional()
+  }).unknown(true)).min(1).max(50).unique('id').required()
+    .messages({
+      'array.min': 'At least one attraction is required',
+      'array.max': 'Maximum 50 attractions allowed',
+      'array.unique': 'Attraction ids must be unique'
+    }),
+  travelMode: Joi.string().valid('DRIVING', 'TRANSIT', 'WALKING').default('DRIVING'),
+  pace: Joi.string().valid('relaxed', 'moderate', 'fast').default('moderate'),
+  start: Joi.object({
+    name: Joi.string().optional(),
+    location: coordinatesSchema.required()
+  }).optional(),
+  startDate: Joi.date().iso().optional(),
+  distanceMatrix: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.object({
+    distanceKm: Joi.number().min(0).required(),
+    durationMinutes: Joi.number().min(0).required()
+  }))).optional()
+});
+
 const tripBookingSchema = Joi.object({
   packageId: Joi.string().required(),
   tripData: Joi.object().required(),
@@ -403,6 +442,41 @@ router.get('/booking/:bookingId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/trip-customization/optimize-route
+ * Order attractions into an optimized route that respects opening hours and split it into days by pace
+ */
+router.post('/optimize-route', async (req, res) => {
+  try {
+    const { error, value } = routeOptimizationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route parameters',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const route = routeOptimizer.optimizeRoute({
+      ...value,
+      startDate: value.startDate ? value.startDate.toISOString() : null
+    });
+
+    res.json({
+      success: true,
+      data: route
+    });
+
+  } catch (error) {
+    console.error('Route optimization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to optimize route',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET /api/trip-customization/status
  * Get service status
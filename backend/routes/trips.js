@@ -11,9 +11,18 @@ const {
   bookingModel,
   userModel, // For traveler details
   // paymentModel, // For payment processing during booking
+  locationModel,
   // notificationModel // For notifications after booking
 } = require('../models/database');
 const { generateBookingReference } = require('../utils/bookingUtils'); // Assuming a utility function
+const PaymentService = require('../services/paymentService');
+const ItinerarySchedulerService = require('../services/itinerarySchedulerService');
+const CalendarService = require('../services/calendarService');
+const VoucherService = require('../services/voucherService');
+const { pricePackage } = require('../services/pricingRulesService');
+const FxRateService = require('../services/fxRateService');
+const inspirationJob = require('../jobs/inspirationJob');
+const { PERMISSIONS, canAccessResource } = require('../utils/permissions');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -51,10 +60,58 @@ const aiUpload = multer({
   limits: { fileSize: 1024 * 1024 * 10 } // 10MB limit for AI images
 });
 
-// Helper function to calculate total trip cost
+const paymentService = new PaymentService();
+const itineraryScheduler = new ItinerarySchedulerService();
+const calendarService = new CalendarService();
+const voucherService = new VoucherService();
+const fxRates = new FxRateService();
+
+// Component prices converted into the trip's currency at today's rates. With { skipMissing }, components whose
+// currency has no rate are left unconverted and listed in `missing` instead of failing.
+const getTripCosts = (trip, components, options) => fxRates.convertAll(components, trip.currency || 'USD', undefined, options);
+
+// Helper function to calculate total trip cost (in the trip's currency)
 const calculateTotalTripCost = async (tripId) => {
-  const components = await tripComponentModel.getByTripId(tripId);
-  return components.reduce((total, component) => total + parseFloat(component.price || 0), 0);
+  const [trip, components] = await Promise.all([
+    customTripModel.findById(tripId),
+    tripComponentModel.getByTripId(tripId)
+  ]);
+  const { total } = await getTripCosts(trip || {}, components);
+  return total;
+};
+
+// Store a trip's new total after its components changed. The change itself is already saved, so without an
+// exchange rate for some component the previous total is kept rather than failing the request.
+const updateTripTotal = async (tripId) => {
+  try {
+    return await customTripModel.update(tripId, { total_price: await calculateTotalTripCost(tripId) });
+  } catch (err) {
+    if (err.status !== 503) throw err;
+    console.warn(`Kept the previous total of trip ${tripId}:`, err.message);
+    return null;
+  }
+};
+
+// Convert a trip price into the traveler's preferred currency (preferences.currency, else the trip's own).
+// Returns null when no rate is available, so the price is still shown in the trip's currency.
+const toPreferredCurrency = async (trip, amount, requestedCurrency) => {
+  const traveler = requestedCurrency ? null : await userModel.findById(trip.traveler_id);
+  const currency = (requestedCurrency || traveler?.preferences?.currency || trip.currency || 'USD').toUpperCase();
+  try {
+    return await fxRates.convert(amount, trip.currency || 'USD', currency);
+  } catch (err) {
+    if (err.status !== 503) throw err;
+    console.warn(`No exchange rate to show trip ${trip.id} in ${currency}:`, err.message);
+    return null;
+  }
+};
+
+// Breakdown of a search result priced with a flight or hotel rule, kept on the component so package pricing does not
+// mark it up again. Ignored unless it adds up to the price being stored.
+const ruleBreakdown = (price) => {
+  const breakdown = price?.breakdown;
+  if (!breakdown || Math.abs((parseFloat(breakdown.total) || 0) - parseFloat(price.total)) > 0.01) return null;
+  return breakdown;
 };
 
 // ====================================
@@ -67,7 +124,7 @@ const customTripSchema = Joi.object({
   start_date: Joi.date().iso().optional().allow(null),
   end_date: Joi.date().iso().optional().allow(null).min(Joi.ref('start_date')),
   number_of_travelers: Joi.number().integer().min(1).optional().allow(null),
-  inspiration_source: Joi.string().valid('example_trip', 'ai_image', 'manual').optional().allow(null),
+  inspiration_source: Joi.string().valid('example_trip', 'ai_image', 'manual', 'wishlist').optional().allow(null),
   inspiration_reference_id: Joi.number().integer().optional().allow(null),
   // Fields that might be updated but not strictly part of initial creation schema
   currency: Joi.string().length(3).optional().default('USD'),
@@ -114,7 +171,7 @@ router.get('/custom/:tripId', authenticateToken, async (req, res) => {
     const trip = await customTripModel.getWithComponents(tripId);
 
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id && req.user.role !== 'admin') { // Admins can view any trip
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) { // Admins and agents can view any trip
       return res.status(403).json({ message: 'You are not authorized to view this trip.' });
     }
     res.status(200).json(trip);
@@ -138,7 +195,7 @@ router.put('/custom/:tripId', authenticateToken, async (req, res) => {
 
     const existingTrip = await customTripModel.findById(tripId);
     if (!existingTrip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (existingTrip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, existingTrip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'You are not authorized to update this trip.' });
     }
     if (existingTrip.status === 'booked' || existingTrip.status === 'completed') {
@@ -165,7 +222,7 @@ router.delete('/custom/:tripId', authenticateToken, async (req, res) => {
     const { tripId } = req.params;
     const existingTrip = await customTripModel.findById(tripId);
     if (!existingTrip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (existingTrip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, existingTrip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'You are not authorized to delete this trip.' });
     }
     if (existingTrip.status === 'booked' || existingTrip.status === 'completed') {
@@ -214,7 +271,7 @@ router.post('/custom/:tripId/components', authenticateToken, async (req, res) =>
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'Unauthorized.' });
     }
     if (trip.status === 'booked' || trip.status === 'completed') {
@@ -224,8 +281,7 @@ router.post('/custom/:tripId/components', authenticateToken, async (req, res) =>
     const componentData = { ...req.body, trip_id: parseInt(tripId) };
     const newComponent = await tripComponentModel.create(componentData);
 
-    const newTotalPrice = await calculateTotalTripCost(tripId);
-    await customTripModel.update(tripId, { total_price: newTotalPrice });
+    await updateTripTotal(tripId);
 
     res.status(201).json(newComponent);
   } catch (err) {
@@ -239,7 +295,7 @@ router.get('/custom/:tripId/components', authenticateToken, async (req, res) =>
       const { tripId } = req.params;
       const trip = await customTripModel.findById(tripId);
       if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-      if (trip.traveler_id !== req.user.id && req.user.role !== 'admin') {
+      if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
         return res.status(403).json({ message: 'Unauthorized.' });
       }
       const components = await tripComponentModel.getByTripId(tripId);
@@ -258,7 +314,7 @@ router.put('/custom/:tripId/components/:componentId', authenticateToken, async (
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) return res.status(403).json({ message: 'Unauthorized.' });
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) return res.status(403).json({ message: 'Unauthorized.' });
     if (trip.status === 'booked' || trip.status === 'completed') {
         return res.status(403).json({ message: `Cannot update components for trip with status: ${trip.status}` });
     }
@@ -268,10 +324,12 @@ router.put('/custom/:tripId/components/:componentId', authenticateToken, async (
       return res.status(404).json({ message: 'Trip component not found or does not belong to this trip.' });
     }
 
-    const updatedComponent = await tripComponentModel.update(componentId, req.body);
+    // A price set by hand replaces the rule-priced one, so its breakdown no longer applies
+    const priceChanged = parseFloat(req.body.price) !== parseFloat(component.price) ||
+      (req.body.currency && req.body.currency !== component.currency);
+    const updatedComponent = await tripComponentModel.update(componentId, priceChanged ? { ...req.body, price_breakdown: null } : req.body);
 
-    const newTotalPrice = await calculateTotalTripCost(tripId);
-    await customTripModel.update(tripId, { total_price: newTotalPrice });
+    await updateTripTotal(tripId);
 
     res.status(200).json(updatedComponent);
   } catch (err) {
@@ -286,7 +344,7 @@ router.delete('/custom/:tripId/components/:componentId', authenticateToken, asyn
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) return res.status(403).json({ message: 'Unauthorized.' });
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) return res.status(403).json({ message: 'Unauthorized.' });
     if (trip.status === 'booked' || trip.status === 'completed') {
         return res.status(403).json({ message: `Cannot delete components from trip with status: ${trip.status}` });
     }
@@ -298,8 +356,7 @@ router.delete('/custom/:tripId/components/:componentId', authenticateToken, asyn
 
     await tripComponentModel.delete(componentId);
 
-    const newTotalPrice = await calculateTotalTripCost(tripId);
-    await customTripModel.update(tripId, { total_price: newTotalPrice });
+    await updateTripTotal(tripId);
 
     res.status(200).json({ message: 'Trip component deleted successfully.' });
   } catch (err) {
@@ -319,22 +376,23 @@ router.post('/inspire/image', authenticateToken, aiUpload.single('inspirationIma
     }
 
     const imageUrl = `/uploads/ai_inspiration_images/${req.user.id}/${req.file.filename}`;
-    console.log(`AI Image Uploaded: ${imageUrl}. User: ${req.user.id}. TODO: Process image for suggestions.`);
 
-    const placeholderSuggestion = {
+    // Filled in by the inspiration worker (jobs/inspirationJob.js), which pushes 'inspiration:updated' when done
+    const suggestionRecord = await aiTripSuggestionModel.create({
       user_id: req.user.id,
       image_url: imageUrl,
-      suggested_destinations: { message: "AI processing pending for destinations." },
-      suggested_activities: { message: "AI processing pending for activities." },
-      suggested_example_trips: { message: "AI processing pending for example trips." },
+      suggested_destinations: [],
+      suggested_activities: [],
+      suggested_example_trips: [],
       processing_status: 'pending'
-    };
-    const suggestionRecord = await aiTripSuggestionModel.create(placeholderSuggestion);
+    });
+    inspirationJob.processPending();
 
     res.status(202).json({
       message: 'Image uploaded successfully. AI analysis is pending.',
       imageUrl: imageUrl,
       suggestionId: suggestionRecord.id,
+      status: suggestionRecord.processing_status
     });
   } catch (err) {
     console.error('Error processing AI inspiration image:', err);
@@ -348,7 +406,7 @@ router.get('/inspire/suggestions/:suggestionId', authenticateToken, async (req,
         const suggestion = await aiTripSuggestionModel.findById(suggestionId);
 
         if (!suggestion) return res.status(404).json({ message: 'AI suggestion not found.' });
-        if (suggestion.user_id !== req.user.id && req.user.role !== 'admin') {
+        if (!canAccessResource(req.user, suggestion.user_id, PERMISSIONS.TRIPS_READ_ANY)) {
             return res.status(403).json({ message: 'Unauthorized to view this suggestion.' });
         }
         res.status(200).json(suggestion);
@@ -368,36 +426,145 @@ router.get('/custom/:tripId/cost', authenticateToken, async (req, res) => {
     const trip = await customTripModel.findById(tripId);
 
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
       return res.status(403).json({ message: 'Unauthorized.' });
     }
 
+    const { error } = Joi.string().length(3).uppercase().optional().validate(req.query.currency);
+    if (error) return res.status(400).json({ message: 'currency must be a 3-letter currency code' });
+
     const components = await tripComponentModel.getByTripId(tripId);
-    const totalCost = components.reduce((total, component) => total + parseFloat(component.price || 0), 0);
+    const costs = await getTripCosts(trip, components, { skipMissing: true });
+    const totalCost = costs.total;
+    // Components without an exchange rate are left out of an incomplete total, which is not stored
+    const incomplete = costs.missing.length > 0;
 
-    if (parseFloat(trip.total_price) !== totalCost) {
+    if (!incomplete && parseFloat(trip.total_price) !== totalCost) {
         await customTripModel.update(tripId, { total_price: totalCost });
         trip.total_price = totalCost; 
     }
 
+    const priceBreakdown = await pricePackage(trip, costs.items.filter(c => c.converted_price !== null));
+    // total_price and cost_per_person stay the subtotal before markup in both currencies; total includes it
+    const preferred = await toPreferredCurrency(trip, totalCost, req.query.currency);
+
     res.status(200).json({
       tripId: trip.id,
       title: trip.title,
       total_price: totalCost,
+      subtotal: totalCost,
+      total: priceBreakdown.total,
       currency: trip.currency || 'USD',
+      incomplete,
+      missing_rates: costs.missing,
       number_of_travelers: trip.number_of_travelers,
       cost_per_person: trip.number_of_travelers > 0 ? totalCost / trip.number_of_travelers : totalCost,
-      components: components.map(c => ({
+      // What booking the trip will charge once package pricing rules are applied
+      price_breakdown: priceBreakdown,
+      preferred_currency: preferred && {
+        currency: preferred.currency,
+        total_price: preferred.amount,
+        subtotal: preferred.amount,
+        total: Math.round(priceBreakdown.total * preferred.rate.rate * 100) / 100,
+        cost_per_person: trip.number_of_travelers > 0
+          ? Math.round(preferred.amount / trip.number_of_travelers * 100) / 100
+          : preferred.amount,
+        exchange_rate: preferred.rate
+      },
+      // Rates used to convert components priced in another currency
+      exchange_rates: costs.rates,
+      components: costs.items.map(c => ({
         id: c.id,
         title: c.title,
         type: c.component_type,
         price: c.price,
-        currency: c.currency
+        currency: c.currency,
+        converted_price: c.converted_price
       }))
     });
   } catch (err) {
     console.error('Error calculating trip cost:', err);
-    res.status(500).json({ message: 'Failed to calculate trip cost', error: err.message });
+    res.status(err.status || 500).json({ message: 'Failed to calculate trip cost', error: err.message });
+  }
+});
+
+// ====================================
+// Itinerary Scheduling Route
+// ====================================
+
+// GET /api/trips/custom/:tripId/schedule - Timed day-by-day plan of the trip's components, with conflicts
+router.get('/custom/:tripId/schedule', authenticateToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const trip = await customTripModel.findById(tripId);
+
+    if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
+      return res.status(403).json({ message: 'Unauthorized.' });
+    }
+
+    const components = await tripComponentModel.getByTripId(tripId);
+
+    // Flights only know their airports; look up the cities so they can be matched with hotels and activities
+    const airportCities = {};
+    await Promise.all(itineraryScheduler.getAirportCodes(components).map(async (code) => {
+      const location = await locationModel.findByIataCode(code);
+      if (location) airportCities[code] = location.city || location.name;
+    }));
+
+    const schedule = itineraryScheduler.buildSchedule(trip, components, { airportCities });
+    res.status(200).json(schedule);
+  } catch (err) {
+    console.error('Error building trip schedule:', err);
+    res.status(500).json({ message: 'Failed to build trip schedule', error: err.message });
+  }
+});
+
+// GET /api/trips/custom/:tripId/calendar.ics - Download the trip as an iCalendar file
+router.get('/custom/:tripId/calendar.ics', authenticateToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const trip = await customTripModel.findById(tripId);
+
+    if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
+      return res.status(403).json({ message: 'Unauthorized.' });
+    }
+
+    const calendar = await calendarService.generateTripCalendar(trip);
+    const fileName = `${(trip.title || 'trip').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'trip'}.ics`;
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.status(200).send(calendar);
+  } catch (err) {
+    console.error('Error exporting trip calendar:', err);
+    res.status(500).json({ message: 'Failed to export trip calendar', error: err.message });
+  }
+});
+
+// GET /api/trips/custom/:tripId/itinerary.pdf - Download the trip itinerary (with vouchers once booked)
+router.get('/custom/:tripId/itinerary.pdf', authenticateToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const trip = await customTripModel.findById(tripId);
+
+    if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
+      return res.status(403).json({ message: 'Unauthorized.' });
+    }
+
+    const pdf = await voucherService.generateTripItinerary(trip);
+    const fileName = `${(trip.title || 'trip').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'trip'}-itinerary.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.status(200).send(pdf);
+  } catch (err) {
+    console.error('Error generating trip itinerary:', err);
+    res.status(500).json({ message: 'Failed to generate trip itinerary', error: err.message });
   }
 });
 
@@ -409,20 +576,35 @@ const bookingSchema = Joi.object({
     traveler_contact_info: Joi.object({ 
         phone: Joi.string().optional().allow(null, ''),
         email: Joi.string().email().optional().allow(null, '') 
-    }).optional()
+    }).optional(),
+    payment_method: Joi.string().max(255).required(),
+    // 'manual' leaves the payment authorized; capture it later via /api/payments/intents/:intentId/capture
+    capture_method: Joi.string().valid('automatic', 'manual').optional().default('automatic')
 });
 
 router.post('/custom/:tripId/book', authenticateToken, async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { error } = bookingSchema.validate(req.body);
+    const { error, value } = bookingSchema.validate(req.body);
     if (error) return res.status(400).json({ message: error.details[0].message });
 
     const trip = await customTripModel.getWithComponents(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, trip.traveler_id)) { // Only the traveler can pay for their trip
       return res.status(403).json({ message: 'Unauthorized to book this trip.' });
     }
+
+    // Replayed request: return the booking created by the first attempt
+    const clientKey = req.get('Idempotency-Key');
+    const idempotencyKey = clientKey ? `${req.user.id}:${clientKey}` : null;
+    const replayed = (existing) => res.status(200).json({
+      message: 'Booking already processed for this idempotency key.',
+      booking: existing.booking,
+      payment: existing.intent
+    });
+    const existing = await paymentService.findByIdempotencyKey(idempotencyKey);
+    if (existing) return replayed(existing);
+
     if (trip.status !== 'draft' && trip.status !== 'planned') {
       return res.status(400).json({ message: `Trip cannot be booked. Current status: ${trip.status}` });
     }
@@ -430,12 +612,11 @@ router.post('/custom/:tripId/book', authenticateToken, async (req, res) => {
         return res.status(400).json({ message: 'Trip has no components and cannot be booked.' });
     }
 
-    const paymentSuccessful = true; 
-
-    if (!paymentSuccessful) {
-      return res.status(402).json({ message: 'Payment failed.' }); 
-    }
-
+    // Package pricing rules add the markup on top of the component prices (converted into the trip's currency);
+    // flights and hotels already carry their own rule's markup
+    const costs = await getTripCosts(trip, trip.components);
+    const priceBreakdown = await pricePackage(trip, costs.items);
+    const preferred = await toPreferredCurrency(trip, priceBreakdown.total);
     const bookingReference = generateBookingReference(); 
     const bookingData = {
       booking_reference: bookingReference,
@@ -445,41 +626,67 @@ router.post('/custom/:tripId/book', authenticateToken, async (req, res) => {
       start_date: trip.start_date,
       end_date: trip.end_date,
       number_of_travelers: trip.number_of_travelers,
-      total_price: trip.total_price,
+      total_price: priceBreakdown.total,
       currency: trip.currency || 'USD',
-      status: 'confirmed', 
-      special_requests: req.body.special_requests,
-      traveler_contact_info: req.body.traveler_contact_info || { email: req.user.email }
-    };
-    const newBooking = await bookingModel.create(bookingData);
-
-    const bookingComponentsData = trip.components.map(tc => ({
-        booking_id: newBooking.id,
-        component_id: tc.id, 
-        provider_id: tc.listing_id ? (async () => { 
-            const listing = await listingModel.findById(tc.listing_id);
-            return listing ? listing.provider_id : null;
-        })() : null, 
-        status: 'confirmed', 
-        price: tc.price,
-        currency: tc.currency
-    }));
-    for (let i = 0; i < bookingComponentsData.length; i++) {
-        if (typeof bookingComponentsData[i].provider_id === 'function') {
-            bookingComponentsData[i].provider_id = await bookingComponentsData[i].provider_id;
+      status: 'pending', // Confirmed once the payment is captured
+      special_requests: value.special_requests,
+      traveler_contact_info: value.traveler_contact_info || { email: req.user.email },
+      price_breakdown: priceBreakdown,
+      exchange_rates: {
+        captured_at: new Date().toISOString(),
+        rates: costs.rates,
+        preferred_currency: preferred && {
+          currency: preferred.currency,
+          total_price: preferred.amount,
+          exchange_rate: preferred.rate
         }
+      }
+    };
+
+    const bookingComponentsData = [];
+    for (const tc of trip.components) {
+        const listing = tc.listing_id ? await listingModel.findById(tc.listing_id) : null;
+        bookingComponentsData.push({
+            component_id: tc.id, 
+            provider_id: listing ? listing.provider_id : null,
+            status: 'pending', 
+            price: tc.price,
+            currency: tc.currency
+        });
     }
-    await bookingComponentModel.createBulk(bookingComponentsData);
 
-    await customTripModel.update(tripId, { status: 'booked' });
+    // Booking, components and intent are created together, so a concurrent replay cannot leave an orphaned booking
+    const { booking: newBooking, intent, created } = await paymentService.createBookingWithIntent(bookingData, bookingComponentsData, {
+      userId: req.user.id,
+      idempotencyKey,
+      metadata: { custom_trip_id: trip.id }
+    });
+    if (!created) return replayed({ booking: newBooking, intent });
+
+    let payment = await paymentService.authorize(intent, value.payment_method);
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        message: 'Payment failed.',
+        booking: await bookingModel.findById(newBooking.id),
+        payment
+      });
+    }
 
+    if (value.capture_method === 'automatic') {
+      payment = await paymentService.capture(payment);
+    }
+
+    const booking = await bookingModel.findById(newBooking.id);
     res.status(201).json({
-      message: 'Trip booked successfully!',
-      booking: newBooking
+      message: booking.status === 'confirmed'
+        ? 'Trip booked successfully!'
+        : 'Payment authorized. The booking will be confirmed once the payment is captured.',
+      booking,
+      payment
     });
   } catch (err) {
     console.error('Error booking custom trip:', err);
-    res.status(500).json({ message: 'Failed to book custom trip', error: err.message });
+    res.status(err.status || 500).json({ message: 'Failed to book custom trip', error: err.message });
   }
 });
 
@@ -505,7 +712,7 @@ router.post('/custom/:tripId/components/flights/search', authenticateToken, asyn
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'Unauthorized.' });
     }
 
@@ -553,7 +760,7 @@ router.post('/custom/:tripId/components/flights/add', authenticateToken, async (
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'Unauthorized.' });
     }
     if (trip.status === 'booked' || trip.status === 'completed') {
@@ -587,13 +794,26 @@ router.post('/custom/:tripId/components/flights/add', authenticateToken, async (
             end_time: arrivalTime,
             price: parseFloat(selectedFlightOffer.price.total),
             currency: selectedFlightOffer.price.currency,
+            price_breakdown: ruleBreakdown(selectedFlightOffer.price),
             status: 'planned',
-            notes: `Travelers: ${selectedFlightOffer.travelerPricings?.length || 1}. Offer source: ${selectedFlightOffer.source}`
+            notes: `Travelers: ${selectedFlightOffer.travelerPricings?.length || 1}. Offer source: ${selectedFlightOffer.source}`,
+            // Keep every leg (local airport times) for the itinerary scheduler and calendar export
+            custom_location: {
+                origin: firstSegment.departure.iataCode,
+                destination: lastSegment.arrival.iataCode,
+                segments: selectedFlightOffer.itineraries.flatMap(itin => itin.segments.map(segment => ({
+                    from: segment.departure.iataCode,
+                    to: segment.arrival.iataCode,
+                    departureAt: segment.departure.at,
+                    arrivalAt: segment.arrival.at,
+                    carrier: segment.carrierCode,
+                    flightNumber: segment.number
+                })))
+            }
         };
 
         const newComponent = await tripComponentModel.create(componentData);
-        const newTotalPrice = await calculateTotalTripCost(tripId);
-        await customTripModel.update(tripId, { total_price: newTotalPrice });
+        await updateTripTotal(tripId);
 
         res.status(201).json(newComponent);
 
@@ -629,7 +849,7 @@ router.post('/custom/:tripId/components/hotels/search', authenticateToken, async
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'Unauthorized.' });
     }
 
@@ -682,7 +902,7 @@ router.post('/custom/:tripId/components/hotels/add', authenticateToken, async (r
 
     const trip = await customTripModel.findById(tripId);
     if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-    if (trip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
       return res.status(403).json({ message: 'Unauthorized.' });
     }
     if (trip.status === 'booked' || trip.status === 'completed') {
@@ -714,13 +934,13 @@ router.post('/custom/:tripId/components/hotels/add', authenticateToken, async (r
             },
             price: parseFloat(offer.price.total),
             currency: offer.price.currency,
+            price_breakdown: ruleBreakdown(offer.price),
             status: 'planned',
             notes: `Hotel ID: ${hotel.hotelId}. Guests: ${offer.guests?.adults || 1}. Room Quantity: ${offer.roomQuantity || 1}.`
         };
 
         const newComponent = await tripComponentModel.create(componentData);
-        const newTotalPrice = await calculateTotalTripCost(tripId);
-        await customTripModel.update(tripId, { total_price: newTotalPrice });
+        await updateTripTotal(tripId);
 
         res.status(201).json(newComponent);
 
@@ -754,7 +974,7 @@ router.post('/custom/:tripId/components/activities/search', authenticateToken, a
     try {
         const trip = await customTripModel.findById(tripId);
         if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-        if (trip.traveler_id !== req.user.id) {
+        if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
             return res.status(403).json({ message: 'Unauthorized.' });
         }
 
@@ -801,7 +1021,7 @@ router.post('/custom/:tripId/components/activities/add', authenticateToken, asyn
     try {
         const trip = await customTripModel.findById(tripId);
         if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-        if (trip.traveler_id !== req.user.id) {
+        if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
           return res.status(403).json({ message: 'Unauthorized.' });
         }
         if (trip.status === 'booked' || trip.status === 'completed') {
@@ -827,8 +1047,7 @@ router.post('/custom/:tripId/components/activities/add', authenticateToken, asyn
         };
         
         const newComponent = await tripComponentModel.create(componentData);
-        const newTotalPrice = await calculateTotalTripCost(tripId); // Recalculate after adding component
-        await customTripModel.update(tripId, { total_price: newTotalPrice });
+        await updateTripTotal(tripId);
 
         res.status(201).json(newComponent);
 
@@ -863,7 +1082,7 @@ router.post('/custom/:tripId/components/pois/search', authenticateToken, async (
     try {
         const trip = await customTripModel.findById(tripId);
         if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-        if (trip.traveler_id !== req.user.id) {
+        if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
             return res.status(403).json({ message: 'Unauthorized.' });
         }
 
@@ -916,7 +1135,7 @@ router.post('/custom/:tripId/components/pois/add', authenticateToken, async (req
     try {
         const trip = await customTripModel.findById(tripId);
         if (!trip) return res.status(404).json({ message: 'Custom trip not found.' });
-        if (trip.traveler_id !== req.user.id) {
+        if (!canAccessResource(req.user, trip.traveler_id, PERMISSIONS.TRIPS_MANAGE_ANY)) {
           return res.status(403).json({ message: 'Unauthorized.' });
         }
          if (trip.status === 'booked' || trip.status === 'completed') {
@@ -1012,8 +1231,7 @@ router.post('/custom/from-template/:templateId', authenticateToken, async (req,
       await tripComponentModel.createBulk(newTripComponentsData);
     }
     
-    const finalPrice = await calculateTotalTripCost(newCustomTrip.id);
-    const finalTrip = await customTripModel.update(newCustomTrip.id, { total_price: finalPrice });
+    const finalTrip = (await updateTripTotal(newCustomTrip.id)) || newCustomTrip;
 
 
     res.status(201).json(finalTrip);
@@ -1033,7 +1251,7 @@ router.post('/custom/:tripId/clone', authenticateToken, async (req, res) => {
     const originalTrip = await customTripModel.getWithComponents(tripId);
 
     if (!originalTrip) return res.status(404).json({ message: 'Original custom trip not found.' });
-    if (originalTrip.traveler_id !== req.user.id) {
+    if (!canAccessResource(req.user, originalTrip.traveler_id, PERMISSIONS.TRIPS_READ_ANY)) {
       return res.status(403).json({ message: 'You are not authorized to clone this trip.' });
     }
 
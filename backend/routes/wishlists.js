@@ -0,0 +1,364 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const crypto = require('crypto');
+const { authenticateToken } = require('../middleware/auth');
+const { canAccessResource } = require('../utils/permissions');
+const {
+  wishlistModel,
+  listingModel,
+  customTripModel,
+  tripComponentModel
+} = require('../models/database');
+const FxRateService = require('../services/fxRateService');
+
+const fxRates = new FxRateService();
+
+const wishlistSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().max(1000).optional().allow(null, '')
+});
+
+const wishlistUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  description: Joi.string().max(1000).optional().allow(null, '')
+}).min(1);
+
+// Listings are referenced by ID; hotels, flights and destinations by their external ID
+// (Amadeus hotelId, flight offer ID, IATA city code) with a snapshot of the data in item_data
+const wishlistItemSchema = Joi.object({
+  item_type: Joi.string().valid('listing', 'hotel', 'flight', 'destination').required(),
+  listing_id: Joi.when('item_type', {
+    is: 'listing',
+    then: Joi.number().integer().positive().required(),
+    otherwise: Joi.forbidden()
+  }),
+  external_reference_id: Joi.when('item_type', {
+    is: 'listing',
+    then: Joi.forbidden(),
+    otherwise: Joi.string().max(255).required()
+  }),
+  title: Joi.when('item_type', {
+    is: 'listing',
+    then: Joi.string().max(255).optional(),
+    otherwise: Joi.string().max(255).required()
+  }),
+  item_data: Joi.object().optional().default({}),
+  notes: Joi.string().max(1000).optional().allow(null, '')
+});
+
+const convertSchema = Joi.object({
+  title: Joi.string().max(255).optional(),
+  start_date: Joi.date().iso().optional().allow(null),
+  end_date: Joi.date().iso().optional().allow(null).min(Joi.ref('start_date')),
+  number_of_travelers: Joi.number().integer().min(1).optional().default(1),
+  currency: Joi.string().length(3).uppercase().optional().default('USD')
+});
+
+// Load a wishlist and check it belongs to the current user; sends the error response otherwise
+const loadOwnWishlist = async (req, res) => {
+  const wishlist = await wishlistModel.findById(req.params.wishlistId);
+  if (!wishlist) {
+    res.status(404).json({ message: 'Wishlist not found.' });
+    return null;
+  }
+  if (!canAccessResource(req.user, wishlist.user_id)) {
+    res.status(403).json({ message: 'Unauthorized.' });
+    return null;
+  }
+  return wishlist;
+};
+
+/**
+ * Map a wishlist item to trip component data. Destinations have no component of their own.
+ * @param {Object} item - Wishlist item (with listing details for listing items)
+ * @param {number} tripId - Custom trip ID
+ * @returns {Object|null} - Trip component data, or null for destinations
+ */
+const toTripComponent = (item, tripId) => {
+  const data = item.item_data || {};
+  const base = {
+    trip_id: tripId,
+    title: item.title,
+    start_date: null,
+    end_date: null,
+    status: 'planned',
+    notes: item.notes || null
+  };
+
+  switch (item.item_type) {
+    case 'listing':
+      return {
+        ...base,
+        component_type: 'activity',
+        listing_id: item.listing_id,
+        title: item.listing_title || item.title,
+        price: item.listing_base_price != null ? parseFloat(item.listing_base_price) : null,
+        currency: item.listing_currency || 'USD'
+      };
+    case 'hotel':
+      return {
+        ...base,
+        component_type: 'accommodation',
+        external_provider: 'Amadeus',
+        external_reference_id: item.external_reference_id,
+        custom_location: {
+          address: data.address || null,
+          city: data.city || data.cityCode || null,
+          country: data.country || null,
+          latitude: data.latitude || null,
+          longitude: data.longitude || null
+        },
+        price: data.price != null ? parseFloat(data.price) : null,
+        currency: data.currency || 'USD'
+      };
+    case 'flight':
+      return {
+        ...base,
+        component_type: 'flight',
+        external_provider: 'Amadeus',
+        external_reference_id: item.external_reference_id,
+        price: data.price != null ? parseFloat(data.price) : null,
+        currency: data.currency || 'USD'
+      };
+    default:
+      return null;
+  }
+};
+
+// ====================================
+// Shared Wishlist Routes (public, read-only)
+// ====================================
+
+// GET /api/wishlists/shared/:shareToken - View a wishlist through its share link
+router.get('/shared/:shareToken', async (req, res) => {
+  try {
+    const wishlist = await wishlistModel.findByShareToken(req.params.shareToken);
+    if (!wishlist) return res.status(404).json({ message: 'Shared wishlist not found or no longer shared.' });
+
+    // Only what the owner chose to share: no ids, owner details or private notes
+    const items = await wishlistModel.getItems(wishlist.id);
+    res.status(200).json({
+      name: wishlist.name,
+      description: wishlist.description,
+      items: items.map(({ notes, wishlist_id, ...item }) => item)
+    });
+  } catch (err) {
+    console.error('Error fetching shared wishlist:', err);
+    res.status(500).json({ message: 'Failed to fetch shared wishlist', error: err.message });
+  }
+});
+
+// ====================================
+// Wishlist CRUD Routes
+// ====================================
+
+// GET /api/wishlists - List the current user's wishlists
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const wishlists = await wishlistModel.getByUserId(req.user.id);
+    res.status(200).json(wishlists);
+  } catch (err) {
+    console.error('Error fetching wishlists:', err);
+    res.status(500).json({ message: 'Failed to fetch wishlists', error: err.message });
+  }
+});
+
+// POST /api/wishlists - Create a wishlist
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = wishlistSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const wishlist = await wishlistModel.create({ ...value, user_id: req.user.id });
+    res.status(201).json(wishlist);
+  } catch (err) {
+    console.error('Error creating wishlist:', err);
+    res.status(500).json({ message: 'Failed to create wishlist', error: err.message });
+  }
+});
+
+// GET /api/wishlists/:wishlistId - Get a wishlist with its items
+router.get('/:wishlistId', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const items = await wishlistModel.getItems(wishlist.id);
+    res.status(200).json({ ...wishlist, items });
+  } catch (err) {
+    console.error('Error fetching wishlist:', err);
+    res.status(500).json({ message: 'Failed to fetch wishlist', error: err.message });
+  }
+});
+
+// PUT /api/wishlists/:wishlistId - Rename or describe a wishlist
+router.put('/:wishlistId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = wishlistUpdateSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const updatedWishlist = await wishlistModel.update(wishlist.id, value);
+    res.status(200).json(updatedWishlist);
+  } catch (err) {
+    console.error('Error updating wishlist:', err);
+    res.status(500).json({ message: 'Failed to update wishlist', error: err.message });
+  }
+});
+
+// DELETE /api/wishlists/:wishlistId - Delete a wishlist
+router.delete('/:wishlistId', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    await wishlistModel.delete(wishlist.id);
+    res.status(200).json({ message: 'Wishlist deleted successfully.' });
+  } catch (err) {
+    console.error('Error deleting wishlist:', err);
+    res.status(500).json({ message: 'Failed to delete wishlist', error: err.message });
+  }
+});
+
+// ====================================
+// Wishlist Item Routes
+// ====================================
+
+// POST /api/wishlists/:wishlistId/items - Add a listing, hotel, flight or destination
+router.post('/:wishlistId/items', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = wishlistItemSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const itemData = { ...value };
+    if (value.item_type === 'listing') {
+      const listing = await listingModel.findById(value.listing_id);
+      if (!listing || listing.status !== 'published') {
+        return res.status(404).json({ message: 'Listing not found.' });
+      }
+      itemData.title = value.title || listing.title;
+      itemData.item_data = {
+        ...value.item_data,
+        base_price: listing.base_price,
+        currency: listing.currency,
+        location_name: listing.location_name
+      };
+    }
+
+    const item = await wishlistModel.addItem(wishlist.id, itemData);
+    res.status(201).json(item);
+  } catch (err) {
+    if (err.code === '23505') { // Duplicate key error
+      return res.status(409).json({ message: 'This item is already in the wishlist.' });
+    }
+    console.error('Error adding wishlist item:', err);
+    res.status(500).json({ message: 'Failed to add item to wishlist', error: err.message });
+  }
+});
+
+// DELETE /api/wishlists/:wishlistId/items/:itemId - Remove an item
+router.delete('/:wishlistId/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const removed = await wishlistModel.removeItem(wishlist.id, req.params.itemId);
+    if (!removed) return res.status(404).json({ message: 'Wishlist item not found.' });
+
+    res.status(200).json({ message: 'Item removed from wishlist.' });
+  } catch (err) {
+    console.error('Error removing wishlist item:', err);
+    res.status(500).json({ message: 'Failed to remove item from wishlist', error: err.message });
+  }
+});
+
+// ====================================
+// Sharing and Conversion Routes
+// ====================================
+
+// POST /api/wishlists/:wishlistId/share - Enable the read-only share link
+router.post('/:wishlistId/share', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const updatedWishlist = wishlist.share_token
+      ? wishlist
+      : await wishlistModel.update(wishlist.id, { share_token: crypto.randomBytes(24).toString('hex') });
+    res.status(200).json({ share_token: updatedWishlist.share_token });
+  } catch (err) {
+    console.error('Error sharing wishlist:', err);
+    res.status(500).json({ message: 'Failed to share wishlist', error: err.message });
+  }
+});
+
+// DELETE /api/wishlists/:wishlistId/share - Revoke the share link
+router.delete('/:wishlistId/share', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    await wishlistModel.update(wishlist.id, { share_token: null });
+    res.status(200).json({ message: 'Wishlist is no longer shared.' });
+  } catch (err) {
+    console.error('Error revoking wishlist share link:', err);
+    res.status(500).json({ message: 'Failed to revoke share link', error: err.message });
+  }
+});
+
+// POST /api/wishlists/:wishlistId/convert - Seed a draft custom trip from the wishlist's items
+router.post('/:wishlistId/convert', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = convertSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const wishlist = await loadOwnWishlist(req, res);
+    if (!wishlist) return;
+
+    const items = await wishlistModel.getItems(wishlist.id);
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'Add something to the wishlist before turning it into a trip.' });
+    }
+
+    const destinations = items.filter(item => item.item_type === 'destination').map(item => item.title);
+    const descriptionParts = [wishlist.description, destinations.length ? `Destinations: ${destinations.join(', ')}` : null];
+
+    const newTrip = await customTripModel.create({
+      traveler_id: req.user.id,
+      title: value.title || wishlist.name,
+      description: descriptionParts.filter(Boolean).join('\n\n') || null,
+      start_date: value.start_date || null,
+      end_date: value.end_date || null,
+      number_of_travelers: value.number_of_travelers,
+      total_price: 0,
+      currency: value.currency,
+      status: 'draft',
+      inspiration_source: 'wishlist',
+      inspiration_reference_id: wishlist.id
+    });
+
+    const componentsData = items
+      .map(item => toTripComponent(item, newTrip.id))
+      .filter(Boolean);
+    const components = await tripComponentModel.createBulk(componentsData);
+
+    // Items keep the currency they were saved in; the total is only stored once all of them convert
+    const costs = await fxRates.convertAll(components, value.currency, undefined, { skipMissing: true });
+    const finalTrip = costs.missing.length === 0
+      ? await customTripModel.update(newTrip.id, { total_price: costs.total })
+      : newTrip;
+
+    res.status(201).json({ ...finalTrip, components });
+  } catch (err) {
+    console.error('Error converting wishlist to custom trip:', err);
+    res.status(500).json({ message: 'Failed to convert wishlist to custom trip', error: err.message });
+  }
+});
+
+module.exports = router;
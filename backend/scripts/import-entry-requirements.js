@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Entry Requirement Import Script
+ * Imports an entry requirement dataset (see database/entry-requirements.json) as a new version and activates it.
+ *
+ * Usage:
+ *   node scripts/import-entry-requirements.js [file] [--no-activate]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { pool } = require('../models/database');
+const EntryRequirementsService = require('../services/entryRequirementsService');
+
+async function importEntryRequirements() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const activate = !args.includes('--no-activate');
+
+  try {
+    console.log('🛂 Importing entry requirements...');
+    const result = await new EntryRequirementsService().importDataset({
+      activate,
+      ...(file && { file: path.resolve(file) })
+    });
+
+    console.log(`✅ Imported dataset ${result.version}${result.activated ? ' (active)' : ''}`);
+    console.log(`   - ${result.countries} countries, ${result.requirements} requirements`);
+    if (result.skipped > 0) {
+      console.log(`   - skipped ${result.skipped} invalid row(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Entry requirement import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+importEntryRequirements();
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Exchange Rate Import Script
+ * Imports exchange rates into fx_rates from a CSV or JSON file (see services/fxRateSources/FileFxRateSource.js),
+ * or from another registered source.
+ *
+ * Usage:
+ *   node scripts/import-fx-rates.js [file] [--source <name>]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { pool } = require('../models/database');
+const FxRateService = require('../services/fxRateService');
+
+async function importFxRates() {
+  const args = process.argv.slice(2);
+  const sourceIndex = args.indexOf('--source');
+  const source = sourceIndex >= 0 ? args[sourceIndex + 1] : undefined;
+  const file = args.find((arg, index) => !arg.startsWith('--') && (sourceIndex < 0 || index !== sourceIndex + 1));
+
+  try {
+    console.log('💱 Importing exchange rates...');
+    const result = await new FxRateService().importRates({
+      source,
+      ...(file && { file: path.resolve(file) })
+    });
+
+    console.log(`✅ Imported ${result.imported} rate(s) from ${result.source}`);
+    console.log(`   - dates: ${result.dates.join(', ') || 'none'}`);
+    if (result.skipped > 0) {
+      console.log(`   - skipped ${result.skipped} invalid row(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Exchange rate import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+importFxRates();
@@ -42,6 +42,30 @@ async function initializeDatabase() {
     console.log('   - user_favorites');
     console.log('   - custom_trips');
     console.log('   - notifications');
+    console.log('   - payment_intents');
+    console.log('   - payment_webhook_events');
+    console.log('   - booking_cancellations');
+    console.log('   - booking_cancellation_items');
+    console.log('   - reviews');
+    console.log('   - conversations');
+    console.log('   - messages');
+    console.log('   - wishlists');
+    console.log('   - wishlist_items');
+    console.log('   - refresh_tokens');
+    console.log('   - user_tokens');
+    console.log('   - admin_audit_logs');
+    console.log('   - calendar_feeds');
+    console.log('   - price_watches');
+    console.log('   - price_watch_history');
+    console.log('   - fx_rates');
+    console.log('   - entry_requirement_datasets');
+    console.log('   - entry_requirement_countries');
+    console.log('   - entry_requirements');
+    console.log('   - ai_trip_suggestions');
+    console.log('   - ai_usage_events');
+    console.log('   - availability_rules');
+    console.log('   - availability_blackouts');
+    console.log('   - availability_seasonal_prices');
 
     // Verify tables were created
     const result = await pool.query(`
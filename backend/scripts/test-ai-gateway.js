@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * AI Gateway Test
+ * Drives the AI gateway with the mock provider, without network access or a database: invalid replies are
+ * repaired up to AI_MAX_ATTEMPTS, per-user limits answer 429, and every request leaves a usage event.
+ * Usage events are kept in memory in place of the ai_usage_events table.
+ */
+
+const { aiUsageModel } = require('../models/database');
+const MockAiProvider = require('../services/aiProviders/MockAiProvider');
+const AiGatewayService = require('../services/aiGatewayService');
+
+const PROMPT_ID = 'trip-optimization';
+const INPUT = {
+  trip: { title: 'Long weekend in Lisbon', destinations: ['Lisbon'], start_date: '2030-05-01', currency: 'EUR' },
+  components: [{ id: 11, type: 'activity', title: 'Tram 28 ride', price: 30 }]
+};
+
+// In-memory ai_usage_events: the gateway counts its limits from what it records
+let usageEvents = [];
+aiUsageModel.create = async (event) => {
+  const row = { id: usageEvents.length + 1, ...event, created_at: new Date() };
+  usageEvents.push(row);
+  return row;
+};
+aiUsageModel.getUserWindowUsage = async (userId) => {
+  const rows = usageEvents.filter(event => event.user_id === userId);
+  return {
+    requests: rows.length,
+    tokens: rows.reduce((sum, event) => sum + event.input_tokens + event.output_tokens, 0),
+    oldest: rows.length ? rows[0].created_at : null
+  };
+};
+
+// Fails the current test with a readable message
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function createGateway() {
+  const provider = new MockAiProvider();
+  return { provider, gateway: new AiGatewayService(provider) };
+}
+
+async function testRepairLoop() {
+  console.log('🧪 Testing repair of invalid replies...');
+
+  try {
+    usageEvents = [];
+    const { provider, gateway } = createGateway();
+    const requests = [];
+    provider.setResponder((request) => {
+      requests.push(request);
+      return requests.length === 1 ? '{"summary": "cut off' : request.prompt.mockResponse(request.input);
+    });
+
+    const result = await gateway.run({ userId: 1, feature: 'trip_optimization', promptId: PROMPT_ID, input: INPUT });
+    expect(result.attempts === 2, `expected 2 attempts, got ${result.attempts}`);
+    expect(result.output.summary && Array.isArray(result.output.changes), 'the repaired reply was not returned');
+    const repairMessage = requests[1].messages[requests[1].messages.length - 1];
+    expect(/not valid/.test(repairMessage.text), 'the second attempt did not ask for a corrected reply');
+
+    // A reply that stays invalid fails once the attempts are used up
+    provider.setResponder(() => ({ summary: 'missing everything else' }));
+    let error = null;
+    try {
+      await gateway.run({ userId: 2, feature: 'trip_optimization', promptId: PROMPT_ID, input: INPUT });
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.status === 502, 'an invalid reply was accepted');
+    const failed = usageEvents.find(event => event.user_id === 2);
+    expect(failed && failed.status === 'invalid_output', 'the invalid reply was not recorded as invalid_output');
+
+    console.log(`✅ Broken JSON repaired on attempt ${result.attempts}; schema failures end in a 502`);
+    return { success: true };
+  } catch (error) {
+    console.log('❌ Repair loop error:', error.message);
+    return { success: false };
+  }
+}
+
+async function testRateLimits() {
+  console.log('\n🧪 Testing per-user limits...');
+
+  try {
+    usageEvents = [];
+    const { provider, gateway } = createGateway();
+    const run = userId => gateway.run({ userId, feature: 'trip_optimization', promptId: PROMPT_ID, input: INPUT });
+
+    for (let i = 0; i < AiGatewayService.LIMITS.requestsPerHour; i++) {
+      await run(3);
+    }
+    let error = null;
+    try {
+      await run(3);
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.status === 429, 'the request over the hourly limit was not refused');
+    expect(error.retryAfter > 0, 'the 429 carries no retryAfter');
+    expect(usageEvents.length === AiGatewayService.LIMITS.requestsPerHour, 'a refused request was sent to the provider');
+
+    // One request in flight per user
+    let release;
+    provider.setResponder(request => new Promise((resolve) => {
+      release = () => resolve(request.prompt.mockResponse(request.input));
+    }));
+    const first = run(4);
+    error = null;
+    try {
+      await run(4);
+    } catch (err) {
+      error = err;
+    }
+    while (!release) await new Promise(resolve => setImmediate(resolve));
+    release();
+    await first;
+    expect(error && error.status === 429, 'a second concurrent request was not refused');
+
+    console.log(`✅ Request ${AiGatewayService.LIMITS.requestsPerHour + 1} in an hour and concurrent requests answer 429`);
+    return { success: true };
+  } catch (error) {
+    console.log('❌ Rate limit error:', error.message);
+    return { success: false };
+  }
+}
+
+async function testUsageRecording() {
+  console.log('\n🧪 Testing usage recording...');
+
+  try {
+    usageEvents = [];
+    const { provider, gateway } = createGateway();
+    const result = await gateway.run({ userId: 5, feature: 'trip_optimization', promptId: PROMPT_ID, input: INPUT });
+
+    expect(usageEvents.length === 1, `expected 1 usage event, got ${usageEvents.length}`);
+    const [event] = usageEvents;
+    expect(event.user_id === 5 && event.feature === 'trip_optimization', 'the event is not tied to the user and feature');
+    expect(event.provider === 'mock' && event.model === 'mock', 'the event does not name the provider and model');
+    expect(event.prompt_version === `${PROMPT_ID}@1`, `unexpected prompt version ${event.prompt_version}`);
+    expect(event.status === 'success' && event.attempts === 1, 'the event does not record a successful single attempt');
+    expect(event.input_tokens > 0 && event.output_tokens > 0, 'the event has no token counts');
+    expect(event.input_tokens === result.usage.input_tokens, 'recorded tokens differ from the ones returned');
+
+    provider.setResponder(() => {
+      throw new Error('connection reset');
+    });
+    try {
+      await gateway.run({ userId: 5, feature: 'trip_optimization', promptId: PROMPT_ID, input: INPUT });
+    } catch (err) {
+      // Expected: the provider failed
+    }
+    expect(usageEvents[1] && usageEvents[1].status === 'provider_error', 'a provider failure was not recorded');
+
+    const usage = await gateway.getUsage(5);
+    expect(usage.hour.requests === 2 && usage.day.tokens === event.input_tokens + event.output_tokens,
+      'limits are not counted from the recorded events');
+
+    console.log(`✅ Usage recorded (${event.input_tokens} in / ${event.output_tokens} out tokens) and counted towards the limits`);
+    return { success: true };
+  } catch (error) {
+    console.log('❌ Usage recording error:', error.message);
+    return { success: false };
+  }
+}
+
+async function runAllTests() {
+  console.log('🤖 AI Gateway Test (mock provider, no database)');
+  console.log('=' .repeat(60));
+
+  const results = {
+    repairLoop: (await testRepairLoop()).success,
+    rateLimits: (await testRateLimits()).success,
+    usageRecording: (await testUsageRecording()).success
+  };
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 AI GATEWAY TEST RESULTS SUMMARY');
+  console.log('=' .repeat(60));
+
+  const passed = Object.values(results).filter(Boolean).length;
+  const total = Object.keys(results).length;
+
+  Object.entries(results).forEach(([test, passed]) => {
+    const displayName = test.replace(/([A-Z])/g, ' $1').toLowerCase();
+    console.log(`   ${passed ? '✅' : '❌'} ${displayName.padEnd(25)} ${passed ? 'PASSED' : 'FAILED'}`);
+  });
+
+  console.log('\n' + '=' .repeat(60));
+  console.log(`🎯 Overall Result: ${passed}/${total} tests passed`);
+  console.log('=' .repeat(60));
+
+  return passed === total;
+}
+
+// Run if called directly
+if (require.main === module) {
+  runAllTests()
+    .then(allPassed => process.exit(allPassed ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
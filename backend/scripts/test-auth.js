@@ -20,6 +20,7 @@ const testUser = {
 
 let accessToken = '';
 let refreshToken = '';
+let usedRefreshToken = '';
 
 async function testRegister() {
   console.log('🧪 Testing user registration...');
@@ -131,6 +132,7 @@ async function testRefreshToken() {
       console.log(`   New Refresh Token: ${response.data.refreshToken ? '✓' : '✗'}`);
       
       // Update tokens
+      usedRefreshToken = refreshToken;
       accessToken = response.data.accessToken;
       refreshToken = response.data.refreshToken;
       
@@ -145,6 +147,40 @@ async function testRefreshToken() {
   }
 }
 
+async function testRefreshTokenReuse() {
+  console.log('\n🧪 Testing refresh token reuse detection...');
+  
+  if (!usedRefreshToken) {
+    console.log('❌ No rotated refresh token available for testing');
+    return false;
+  }
+  
+  try {
+    await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken: usedRefreshToken });
+    console.log('❌ Reused refresh token was accepted (this should not happen)');
+    return false;
+  } catch (error) {
+    if (error.response?.status !== 401) {
+      console.log('❌ Unexpected error with reused refresh token:', error.message);
+      return false;
+    }
+  }
+  
+  // Reuse revokes the whole session, including the latest refresh token
+  try {
+    await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    console.log('❌ Session was not revoked after refresh token reuse');
+    return false;
+  } catch (error) {
+    if (error.response?.status === 401) {
+      console.log('✅ Refresh token reuse detected and session revoked');
+      return true;
+    }
+    console.log('❌ Unexpected error after refresh token reuse:', error.message);
+    return false;
+  }
+}
+
 async function testLogout() {
   console.log('\n🧪 Testing logout...');
   
@@ -208,6 +244,7 @@ async function runAllTests() {
     login: false,
     verify: false,
     refresh: false,
+    refreshReuse: false,
     logout: false,
     invalidToken: false
   };
@@ -217,6 +254,7 @@ async function runAllTests() {
   results.login = await testLogin();
   results.verify = await testVerifyToken();
   results.refresh = await testRefreshToken();
+  results.refreshReuse = await testRefreshTokenReuse();
   results.logout = await testLogout();
   results.invalidToken = await testInvalidToken();
   
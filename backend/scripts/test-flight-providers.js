@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Flight Provider Fan-out Test
+ * Drives the flight search across several fixture providers without network access or a database:
+ * every provider is searched, the same flight from two sources is kept once at the cheaper price, and a slow or
+ * failing provider only drops its own offers.
+ */
+
+const { registerProvider } = require('../services/flightProviders');
+const FixtureFlightProvider = require('../services/flightProviders/FixtureFlightProvider');
+const defaultFixture = require('../services/flightProviders/fixtures/flightOffers.json');
+const FlightSearchService = require('../services/flightSearchService');
+
+const SEARCH = {
+  origin: 'JFK',
+  destination: 'LHR',
+  departureDate: '2030-06-01',
+  returnDate: '2030-06-08',
+  adults: 2,
+  cabinClass: 'ECONOMY',
+  currency: 'USD'
+};
+
+// Fails the current test with a readable message
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// A fixture provider registered under another name, so several can be searched side by side
+function fixtureProvider(name, options = {}) {
+  const provider = new FixtureFlightProvider(options);
+  provider.name = name;
+  registerProvider(provider);
+  return provider;
+}
+
+// Same schedules as the default fixture at half the fares: the same flights, sold cheaper
+const cheaperFixture = {
+  ...defaultFixture,
+  defaultBaseFare: defaultFixture.defaultBaseFare / 2,
+  baseFares: Object.fromEntries(Object.entries(defaultFixture.baseFares).map(([route, fare]) => [route, fare / 2]))
+};
+
+fixtureProvider('fixture_discount', { fixture: cheaperFixture });
+fixtureProvider('fixture_slow', { delayMs: 500, timeoutMs: 100 });
+fixtureProvider('fixture_down', { failWith: 'Service unavailable' });
+
+async function testFanOut() {
+  console.log('🧪 Testing fan-out to every provider...');
+
+  try {
+    const service = new FlightSearchService({ providers: ['fixture', 'fixture_discount'] });
+    const { offers, providers } = await service.searchOffers(SEARCH);
+
+    expect(providers.length === 2, `expected 2 provider reports, got ${providers.length}`);
+    providers.forEach((report) => {
+      expect(report.status === 'ok' && report.offers > 0, `${report.provider} reported ${report.status} with ${report.offers} offers`);
+    });
+    expect(offers.length > 0, 'no offers were returned');
+
+    console.log(`✅ Both providers searched (${providers.map(report => `${report.provider}: ${report.offers}`).join(', ')})`);
+    return { success: true };
+  } catch (error) {
+    console.log('❌ Fan-out error:', error.message);
+    return { success: false };
+  }
+}
+
+async function testDedupe() {
+  console.log('\n🧪 Testing de-duplication across providers...');
+
+  try {
+    const single = await new FlightSearchService({ providers: ['fixture'] }).searchOffers(SEARCH);
+    const merged = await new FlightSearchService({ providers: ['fixture', 'fixture_discount'] }).searchOffers(SEARCH);
+
+    expect(merged.offers.length === single.offers.length,
+      `the same flights from two sources gave ${merged.offers.length} offers instead of ${single.offers.length}`);
+    merged.offers.forEach((offer) => {
+      expect(offer.provider === 'fixture_discount', `${offer.id} was not kept at the cheaper source`);
+      expect(offer.sources.length === 2, `${offer.id} lists ${offer.sources.length} sources`);
+      expect(offer.sources[0].price <= offer.sources[1].price, `${offer.id} sources are not cheapest first`);
+    });
+    for (let i = 1; i < merged.offers.length; i++) {
+      expect(merged.offers[i - 1].price.total <= merged.offers[i].price.total, 'offers are not sorted by price');
+    }
+
+    console.log(`✅ ${merged.offers.length} flights kept once each, at the cheaper source`);
+    return { success: true };
+  } catch (error) {
+    console.log('❌ Dedupe error:', error.message);
+    return { success: false };
+  }
+}
+
+async function testProviderTimeout() {
+  console.log('\n🧪 Testing per-provider timeouts and failures...');
+
+  try {
+    const service = new FlightSearchService({ providers: ['fixture', 'fixture_slow', 'fixture_down'] });
+    const startedAt = Date.now();
+    const { offers, providers } = await service.searchOffers(SEARCH);
+    const elapsed = Date.now() - startedAt;
+
+    const status = Object.fromEntries(providers.map(report => [report.provider, report.status]));
+    expect(status.fixture === 'ok', `fixture reported ${status.fixture}`);
+    expect(status.fixture_slow === 'timeout', `fixture_slow reported ${status.fixture_slow}`);
+    expect(status.fixture_down === 'failed', `fixture_down reported ${status.fixture_down}`);
+    expect(offers.length > 0, 'the healthy provider\'s offers were dropped');
+    expect(elapsed < 500, `the search waited ${elapsed}ms for the slow provider`);
+
+    let error = null;
+    try {
+      await new FlightSearchService({ providers: ['fixture_slow', 'fixture_down'] }).searchOffers(SEARCH);
+    } catch (err) {
+      error = err;
+    }
+    expect(error, 'a search where every provider failed did not fail');
+
+    console.log(`✅ Slow provider timed out after ~100ms, failing provider skipped, search finished in ${elapsed}ms`);
+    return { success: true };
+  } catch (error) {
+    console.log('❌ Provider timeout error:', error.message);
+    return { success: false };
+  }
+}
+
+async function runAllTests() {
+  console.log('✈️  Flight Provider Fan-out Test (fixture providers, no network)');
+  console.log('=' .repeat(60));
+
+  const results = {
+    fanOut: (await testFanOut()).success,
+    dedupe: (await testDedupe()).success,
+    providerTimeout: (await testProviderTimeout()).success
+  };
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 FLIGHT PROVIDER TEST RESULTS SUMMARY');
+  console.log('=' .repeat(60));
+
+  const passed = Object.values(results).filter(Boolean).length;
+  const total = Object.keys(results).length;
+
+  Object.entries(results).forEach(([test, passed]) => {
+    const displayName = test.replace(/([A-Z])/g, ' $1').toLowerCase();
+    console.log(`   ${passed ? '✅' : '❌'} ${displayName.padEnd(25)} ${passed ? 'PASSED' : 'FAILED'}`);
+  });
+
+  console.log('\n' + '=' .repeat(60));
+  console.log(`🎯 Overall Result: ${passed}/${total} tests passed`);
+  console.log('=' .repeat(60));
+
+  return passed === total;
+}
+
+// Run if called directly
+if (require.main === module) {
+  runAllTests()
+    .then(allPassed => process.exit(allPassed ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -20,10 +20,30 @@ const authRoutes = require('./routes/auth');
 const flightRoutes = require('./routes/flights');
 const hotelRoutes = require('./routes/hotels');
 const tripCustomizationRoutes = require('./routes/tripCustomization');
-// const providerRoutes = require('./routes/providers'); // Temporarily disabled - complex provider system
+const providerRoutes = require('./routes/providers');
 const tripRoutes = require('./routes/trips');
 const searchRoutes = require('./routes/search');
+const paymentRoutes = require('./routes/payments');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const wishlistRoutes = require('./routes/wishlists');
+const bookingRoutes = require('./routes/bookings');
+const reviewRoutes = require('./routes/reviews');
+const adminRoutes = require('./routes/admin');
+const pricingRuleRoutes = require('./routes/pricingRules');
+const calendarRoutes = require('./routes/calendar');
+const fxRoutes = require('./routes/fx');
+const travelRequirementRoutes = require('./routes/travelRequirements');
+const aiRoutes = require('./routes/ai');
 // const recommendationsRoutes = require('./routes/recommendations'); // Temporarily disabled
+const { initializeSocketServer } = require('./services/socketServer');
+const tokenCleanupJob = require('./jobs/tokenCleanupJob');
+const priceWatchJob = require('./jobs/priceWatchJob');
+const searchCachePurgeJob = require('./jobs/searchCachePurgeJob');
+const fxRateImportJob = require('./jobs/fxRateImportJob');
+const inspirationJob = require('./jobs/inspirationJob');
+const availabilityRuleJob = require('./jobs/availabilityRuleJob');
+const searchCache = require('./services/searchCacheService');
 
 // --- Winston Logger Setup ---
 const logger = winston.createLogger({
@@ -93,12 +113,7 @@ const io = new Server(server, {
   }
 });
 
-io.on('connection', (socket) => {
-  logger.info(`Socket.IO: User connected ${socket.id}`);
-  socket.on('disconnect', () => {
-    logger.info(`Socket.IO: User disconnected ${socket.id}`);
-  });
-});
+initializeSocketServer(io); // JWT-authenticated sockets joined to per-user rooms
 app.set('socketio', io);
 
 
@@ -107,11 +122,17 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 app.use(helmet()); 
 app.use(compression()); 
-app.use(express.json({ limit: '10mb' })); 
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for payment webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks')) req.rawBody = buf;
+  }
+})); 
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); 
 app.use(morgan(':method :url :status :res[content-length] - :response-time ms', { stream: morganStream }));
 
@@ -143,6 +164,21 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
+
+// One fare calendar request can fan out to dozens of flight searches
+const fareCalendarLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many fare calendar requests, please try again after 15 minutes.',
+  handler: (req, res, next, options) => {
+    logger.warn(`Fare calendar rate limit exceeded for IP ${req.ip}`, { path: req.path, limit: options.max, windowMs: options.windowMs });
+    res.status(options.statusCode).json({ message: options.message });
+  }
+});
+app.use('/api/flights/fare-calendar', fareCalendarLimiter);
 
 
 // --- API Routes ---
@@ -150,9 +186,22 @@ app.use('/api/auth', authRoutes);
 app.use('/api/flights', flightRoutes);
 app.use('/api/hotels', hotelRoutes);
 app.use('/api/trip-customization', tripCustomizationRoutes);
-// app.use('/api/providers', providerRoutes); // Temporarily disabled
+app.use('/api/providers', providerRoutes);
 app.use('/api/trips', tripRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/reviews', reviewRoutes);
+// Mounted before /api/admin, whose routes all require the provider verification permission
+app.use('/api/admin/pricing-rules', pricingRuleRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/travel-requirements', travelRequirementRoutes);
+app.use('/api/ai', aiRoutes);
 // app.use('/api/recommendations', recommendationsRoutes); // Temporarily disabled
 
 // Health Check Endpoint
@@ -182,6 +231,7 @@ app.get('/api/health', async (req, res) => {
         makcorps: process.env.MAKCORPS_API_KEY ? 'Configured' : 'Not Configured',
         tripCustomization: 'Operational'
       },
+      searchCache: searchCache.getStats(),
       uptime: process.uptime() 
     });
   } catch (error) {
@@ -236,11 +286,23 @@ const startServer = () => {
     logger.info(`🚀 AdventureConnect Backend running on port ${port} in ${process.env.NODE_ENV || 'development'} mode`);
     logger.info(`✅ Health check available at http://localhost:${port}/api/health`);
     logger.info('Press Ctrl-C to stop\n');
+    tokenCleanupJob.start();
+    priceWatchJob.start();
+    searchCachePurgeJob.start();
+    fxRateImportJob.start();
+    inspirationJob.start();
+    availabilityRuleJob.start();
   });
 };
 
 const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Shutting down gracefully...`);
+  tokenCleanupJob.stop();
+  priceWatchJob.stop();
+  searchCachePurgeJob.stop();
+  fxRateImportJob.stop();
+  inspirationJob.stop();
+  availabilityRuleJob.stop();
   server.close(async () => {
     logger.info('HTTP server closed.');
     try {
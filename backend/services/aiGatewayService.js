@@ -0,0 +1,246 @@
+/**
+ * AI Gateway Service
+ * The single path from the API to language model providers (services/aiProviders). For every request it:
+ *   - enforces per-user limits (one request in flight, requests per hour and per day, tokens per day)
+ *   - renders a versioned prompt template (services/aiPrompts) and calls the configured provider
+ *   - parses the JSON reply and validates it against the template's Joi schema, asking the model to repair an
+ *     invalid reply up to AI_MAX_ATTEMPTS times
+ *   - records an ai_usage_events row (tokens, latency, outcome), which is also what the limits are counted from
+ * Provider API keys only ever live on the server.
+ */
+
+const winston = require('winston');
+const { aiUsageModel } = require('../models/database');
+const { getProvider } = require('./aiProviders');
+const { getPrompt } = require('./aiPrompts');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'ai-gateway-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const LIMITS = {
+  requestsPerHour: parseInt(process.env.AI_RATE_LIMIT_PER_HOUR) || 10,
+  requestsPerDay: parseInt(process.env.AI_RATE_LIMIT_PER_DAY) || 50,
+  tokensPerDay: parseInt(process.env.AI_DAILY_TOKEN_LIMIT) || 100000
+};
+// Total provider calls per request, including repairs of invalid output
+const MAX_ATTEMPTS = parseInt(process.env.AI_MAX_ATTEMPTS) || 2;
+
+const HOUR_MINUTES = 60;
+const DAY_MINUTES = 24 * 60;
+
+// Users with a request in flight (per process; limits are counted after each request is recorded)
+const inFlight = new Set();
+
+const createError = (message, status, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Seconds until the oldest request of a window leaves it
+const secondsUntilExpiry = (oldest, windowMinutes) => {
+  if (!oldest) return windowMinutes * 60;
+  const expiresAt = new Date(oldest).getTime() + windowMinutes * 60 * 1000;
+  return Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+};
+
+/**
+ * Parse a model reply as JSON, tolerating code fences or text around the object
+ * @param {string} text - Model reply
+ * @returns {Object} - Parsed value
+ */
+const parseJson = (text) => {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch (err) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) throw createError('Response is not JSON', 502);
+    try {
+      return JSON.parse(unfenced.slice(start, end + 1));
+    } catch (innerErr) {
+      throw createError(`Response is not valid JSON: ${innerErr.message}`, 502);
+    }
+  }
+};
+
+class AiGatewayService {
+  /**
+   * @param {AiProvider} [provider] - Provider to use instead of the registry default (AI_PROVIDER)
+   */
+  constructor(provider = null) {
+    this.provider = provider;
+  }
+
+  getProvider() {
+    return this.provider || getProvider();
+  }
+
+  /**
+   * A user's usage against the limits
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - { hour: { requests, limit, remaining, reset_in }, day: { requests, tokens, ... } }
+   */
+  async getUsage(userId) {
+    const [hour, day] = await Promise.all([
+      aiUsageModel.getUserWindowUsage(userId, HOUR_MINUTES),
+      aiUsageModel.getUserWindowUsage(userId, DAY_MINUTES)
+    ]);
+
+    return {
+      hour: {
+        requests: hour.requests,
+        limit: LIMITS.requestsPerHour,
+        remaining: Math.max(0, LIMITS.requestsPerHour - hour.requests),
+        reset_in: hour.oldest ? secondsUntilExpiry(hour.oldest, HOUR_MINUTES) : null
+      },
+      day: {
+        requests: day.requests,
+        limit: LIMITS.requestsPerDay,
+        remaining: Math.max(0, LIMITS.requestsPerDay - day.requests),
+        tokens: day.tokens,
+        token_limit: LIMITS.tokensPerDay,
+        tokens_remaining: Math.max(0, LIMITS.tokensPerDay - day.tokens),
+        reset_in: day.oldest ? secondsUntilExpiry(day.oldest, DAY_MINUTES) : null
+      }
+    };
+  }
+
+  /**
+   * Throw a 429 error (with retryAfter in seconds) when a user is over a limit
+   * @param {number} userId - User ID
+   */
+  async checkLimits(userId) {
+    const usage = await this.getUsage(userId);
+    if (usage.hour.remaining === 0) {
+      throw createError(`AI request limit reached (${LIMITS.requestsPerHour} per hour)`, 429, { retryAfter: usage.hour.reset_in });
+    }
+    if (usage.day.remaining === 0) {
+      throw createError(`AI request limit reached (${LIMITS.requestsPerDay} per day)`, 429, { retryAfter: usage.day.reset_in });
+    }
+    if (usage.day.tokens_remaining === 0) {
+      throw createError('Daily AI token allowance used up', 429, { retryAfter: usage.day.reset_in });
+    }
+    return usage;
+  }
+
+  /**
+   * Run a prompt for a user and return its validated output
+   * @param {Object} request - { userId, feature, promptId, promptVersion?, input }
+   * @returns {Promise<Object>} - { output, provider, model, prompt_version, attempts, usage: { input_tokens, output_tokens } }
+   */
+  async run({ userId, feature, promptId, promptVersion, input }) {
+    const prompt = getPrompt(promptId, promptVersion);
+    const provider = this.getProvider();
+    if (!provider.isConfigured()) {
+      throw createError(`AI provider ${provider.name} is not configured`, 503);
+    }
+    if (inFlight.has(userId)) {
+      throw createError('Another AI request is still running', 429, { retryAfter: 5 });
+    }
+
+    inFlight.add(userId);
+    try {
+      await this.checkLimits(userId);
+      return await this.generate({ userId, feature, prompt, provider, input });
+    } finally {
+      inFlight.delete(userId);
+    }
+  }
+
+  async generate({ userId, feature, prompt, provider, input }) {
+    const promptVersion = `${prompt.id}@${prompt.version}`;
+    const messages = [{ role: 'user', text: prompt.build(input) }];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    const startedAt = Date.now();
+    let model = null;
+    let attempts = 0;
+    let validationError = null;
+
+    const record = (status, error = null) => this.recordUsage({
+      user_id: userId,
+      feature,
+      provider: provider.name,
+      model,
+      prompt_version: promptVersion,
+      status,
+      attempts,
+      ...usage,
+      latency_ms: Date.now() - startedAt,
+      error
+    });
+
+    while (attempts < MAX_ATTEMPTS) {
+      attempts++;
+      let response;
+      try {
+        response = await provider.generate({ system: prompt.system, messages, prompt, input });
+      } catch (err) {
+        logger.error(`${promptVersion} request to ${provider.name} failed: ${err.message}`);
+        await record('provider_error', err.message);
+        throw createError('The AI provider could not be reached, please try again later', err.status === 503 ? 503 : 502);
+      }
+
+      model = response.model || model;
+      usage.input_tokens += response.usage?.inputTokens || 0;
+      usage.output_tokens += response.usage?.outputTokens || 0;
+
+      try {
+        const { error, value } = prompt.schema.validate(parseJson(response.text), { abortEarly: false, stripUnknown: true });
+        if (error) throw createError(error.details.map(d => d.message).join('; '), 502);
+
+        await record('success');
+        return { output: value, provider: provider.name, model, prompt_version: promptVersion, attempts, usage };
+      } catch (err) {
+        validationError = err.message;
+        logger.warn(`${promptVersion} attempt ${attempts} returned invalid output: ${validationError}`);
+        messages.push(
+          { role: 'model', text: response.text },
+          { role: 'user', text: `That response was not valid: ${validationError}. Reply again with only the corrected JSON object.` }
+        );
+      }
+    }
+
+    await record('invalid_output', validationError);
+    throw createError('The AI provider returned an invalid response, please try again', 502);
+  }
+
+  // Usage rows feed the rate limits, but a failed insert should not fail the user's request
+  async recordUsage(event) {
+    try {
+      await aiUsageModel.create(event);
+    } catch (err) {
+      logger.error(`Failed to record AI usage for user ${event.user_id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Usage per feature, provider and outcome (admin reporting)
+   * @param {number} days - Days to look back
+   * @returns {Promise<Array>} - Summary rows
+   */
+  async getSummary(days) {
+    return aiUsageModel.getSummary(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+  }
+}
+
+AiGatewayService.LIMITS = LIMITS;
+
+module.exports = AiGatewayService;
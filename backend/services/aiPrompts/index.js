@@ -0,0 +1,43 @@
+/**
+ * AI Prompt Templates
+ * Prompts are versioned in code: a template is { id, version, system, build(input), schema, mockResponse(input) }
+ * and changing a prompt's wording or output format means adding a new version, so usage events
+ * (ai_usage_events.prompt_version) always point at the exact prompt that produced a response.
+ */
+
+const tripOptimization = require('./tripOptimization');
+
+const templates = new Map();
+
+/**
+ * Register a prompt template version
+ * @param {Object} template - Prompt template
+ */
+const registerPrompt = (template) => {
+  if (!templates.has(template.id)) templates.set(template.id, new Map());
+  templates.get(template.id).set(template.version, template);
+};
+
+/**
+ * Get a prompt template
+ * @param {string} id - Template id
+ * @param {number} [version] - Template version, defaults to the latest
+ * @returns {Object} - Prompt template
+ */
+const getPrompt = (id, version) => {
+  const versions = templates.get(id);
+  const template = versions && (version ? versions.get(version) : versions.get(Math.max(...versions.keys())));
+  if (!template) {
+    const error = new Error(`Unknown prompt template: ${id}${version ? `@${version}` : ''}`);
+    error.status = 400;
+    throw error;
+  }
+  return template;
+};
+
+registerPrompt(tripOptimization);
+
+module.exports = {
+  registerPrompt,
+  getPrompt
+};
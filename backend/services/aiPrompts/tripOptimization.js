@@ -0,0 +1,181 @@
+/**
+ * Trip Optimization Prompt (trip-optimization@1)
+ * Asks the model to review a trip and return suggestions per category plus concrete changes to the trip's
+ * components. Changes may only reference component ids from the input; services/tripOptimizationService.js turns
+ * them into diffs the trip builder can apply.
+ *
+ * Input (built by tripOptimizationService.buildPromptInput):
+ *   { trip: { title, destinations, start_date, end_date, budget, currency, travelers },
+ *     components: [{ id, type, title, start_date, end_date, start_time, end_time, price, currency, location, notes }] }
+ */
+
+const Joi = require('joi');
+
+const CATEGORIES = ['route', 'budget', 'time', 'experience', 'logistics'];
+const OPERATIONS = ['update', 'remove', 'add', 'update_trip'];
+// Component types the model may add; flights and hotels need provider offers, so they can only be changed
+const ADDABLE_TYPES = ['activity', 'poi'];
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': '{{#label}} must be a YYYY-MM-DD date' });
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({ 'string.pattern.base': '{{#label}} must be an HH:MM time' });
+
+// Fields an 'update' change may set on an existing component
+const componentFieldsSchema = Joi.object({
+  title: Joi.string().max(200),
+  start_date: isoDate,
+  end_date: isoDate,
+  start_time: time,
+  end_time: time,
+  price: Joi.number().min(0),
+  notes: Joi.string().max(1000)
+}).min(1);
+
+// Fields an 'update_trip' change may set on the trip itself
+const tripFieldsSchema = Joi.object({
+  destinations: Joi.array().items(Joi.string().max(100)).min(1).max(20),
+  start_date: isoDate,
+  end_date: isoDate
+}).min(1);
+
+const newComponentSchema = Joi.object({
+  component_type: Joi.string().valid(...ADDABLE_TYPES).required(),
+  title: Joi.string().max(200).required(),
+  start_date: isoDate,
+  start_time: time,
+  end_time: time,
+  price: Joi.number().min(0),
+  location: Joi.string().max(200),
+  notes: Joi.string().max(1000)
+});
+
+const changeSchema = Joi.object({
+  category: Joi.string().valid(...CATEGORIES).required(),
+  title: Joi.string().max(200).required(),
+  reason: Joi.string().max(1000).required(),
+  operation: Joi.string().valid(...OPERATIONS).required(),
+  component_id: Joi.alternatives().try(Joi.string().max(100), Joi.number())
+    .when('operation', { is: Joi.valid('update', 'remove'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  fields: Joi.when('operation', {
+    switch: [
+      { is: 'update', then: componentFieldsSchema.required() },
+      { is: 'update_trip', then: tripFieldsSchema.required() }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  component: Joi.when('operation', { is: 'add', then: newComponentSchema.required(), otherwise: Joi.forbidden() }),
+  estimated_savings: Joi.number().allow(null)
+});
+
+const schema = Joi.object({
+  summary: Joi.string().max(2000).required(),
+  overall_score: Joi.number().min(0).max(10).required(),
+  categories: Joi.array().items(Joi.object({
+    key: Joi.string().valid(...CATEGORIES).required(),
+    suggestions: Joi.array().items(Joi.string().max(500)).max(10).default([]),
+    estimate: Joi.string().max(200).allow('', null)
+  })).max(CATEGORIES.length).default([]),
+  changes: Joi.array().items(changeSchema).max(20).default([])
+});
+
+const system = `You are a travel planning expert reviewing a trip a traveler is building.
+Reply with a single JSON object and nothing else.
+Only reference components by the ids given in the input. Dates are YYYY-MM-DD and times HH:MM (24 hour).
+Never invent prices for components; only lower a price when the input shows a cheaper option is realistic.
+Keep changes small and concrete; leave a category's changes out rather than guessing.`;
+
+const OUTPUT_FORMAT = `{
+  "summary": "two or three sentences on the trip as a whole",
+  "overall_score": 0-10,
+  "categories": [
+    { "key": "route" | "budget" | "time" | "experience" | "logistics", "suggestions": ["..."], "estimate": "e.g. saves 2 hours" }
+  ],
+  "changes": [
+    { "category": "<category key>", "title": "short label", "reason": "why this helps",
+      "operation": "update", "component_id": "<id>",
+      "fields": { "title"?, "start_date"?, "end_date"?, "start_time"?, "end_time"?, "price"?, "notes"? },
+      "estimated_savings": number or null },
+    { ..., "operation": "remove", "component_id": "<id>" },
+    { ..., "operation": "add", "component": { "component_type": "activity" | "poi", "title": "...", "start_date"?, "start_time"?, "end_time"?, "price"?, "location"?, "notes"? } },
+    { ..., "operation": "update_trip", "fields": { "destinations"?: ["..."], "start_date"?, "end_date"? } }
+  ]
+}`;
+
+/**
+ * Render the user prompt
+ * @param {Object} input - Prompt input (see above)
+ * @returns {string} - Prompt text
+ */
+const build = ({ trip, components }) => `Review this trip and suggest optimizations for route, budget, time, experience and logistics.
+
+Trip:
+${JSON.stringify(trip, null, 2)}
+
+Components (flights, hotels, activities and places to visit):
+${JSON.stringify(components, null, 2)}
+
+Respond with JSON in this format:
+${OUTPUT_FORMAT}`;
+
+/**
+ * Deterministic response used by the mock provider, always valid against the schema
+ * @param {Object} input - Prompt input (see above)
+ * @returns {Object} - Response object
+ */
+const mockResponse = ({ trip, components }) => {
+  const destinations = trip.destinations || [];
+  const changes = [];
+
+  const untimed = components.find(c => (c.type === 'activity' || c.type === 'poi') && !c.start_time);
+  if (untimed) {
+    changes.push({
+      category: 'time',
+      title: `Schedule ${untimed.title}`,
+      reason: 'Giving the activity a start time avoids clashes with the rest of the day.',
+      operation: 'update',
+      component_id: untimed.id,
+      fields: { start_time: '10:00' },
+      estimated_savings: null
+    });
+  }
+
+  if (destinations.length > 0 && !components.some(c => c.type === 'activity')) {
+    changes.push({
+      category: 'experience',
+      title: `Add a walking tour of ${destinations[0]}`,
+      reason: 'The trip has no activities yet; a walking tour is an easy way to get to know the city.',
+      operation: 'add',
+      component: {
+        component_type: 'activity',
+        title: `Walking tour of ${destinations[0]}`,
+        ...(trip.start_date && { start_date: trip.start_date }),
+        start_time: '10:00',
+        end_time: '12:00',
+        location: destinations[0]
+      },
+      estimated_savings: null
+    });
+  }
+
+  const total = components.reduce((sum, c) => sum + (Number(c.price) || 0), 0);
+  return {
+    summary: `Reviewed ${components.length} component${components.length === 1 ? '' : 's'}` +
+      `${destinations.length ? ` for ${destinations.join(', ')}` : ''}.`,
+    overall_score: Math.max(5, 8 - changes.length),
+    categories: [
+      { key: 'route', suggestions: destinations.length > 1 ? ['Visit the destinations in geographic order to cut travel time.'] : [], estimate: null },
+      { key: 'budget', suggestions: total > 0 ? [`Current components total ${total.toFixed(2)} ${trip.currency || 'USD'}.`] : [], estimate: null },
+      { key: 'time', suggestions: untimed ? ['Some activities have no start time yet.'] : [], estimate: null }
+    ],
+    changes
+  };
+};
+
+module.exports = {
+  id: 'trip-optimization',
+  version: 1,
+  categories: CATEGORIES,
+  system,
+  build,
+  schema,
+  mockResponse
+};
@@ -0,0 +1,44 @@
+/**
+ * AI Provider Interface
+ * Every language model provider adapter extends this class and implements generate(). Requests and responses are
+ * provider neutral so the gateway (services/aiGatewayService.js) can switch providers without touching prompts:
+ *   request:  { system, messages: [{ role: 'user' | 'model', text }], temperature, maxOutputTokens, prompt, input }
+ *             prompt is the prompt template and input its variables (only used by the mock provider)
+ *   response: { text, model, usage: { inputTokens, outputTokens } }
+ * Providers are asked for JSON; the gateway parses and validates the text.
+ */
+
+class AiProvider {
+  /**
+   * @param {string} name - Provider name used in AI_PROVIDER and stored on ai_usage_events.provider
+   */
+  constructor(name) {
+    if (new.target === AiProvider) {
+      throw new Error('AiProvider is an interface and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Request in the format above
+   * @returns {Promise<Object>} - Response in the format above
+   */
+  async generate() {
+    throw new Error(`${this.name}: generate() is not implemented`);
+  }
+
+  getStatus() {
+    return { name: this.name, configured: this.isConfigured() };
+  }
+}
+
+module.exports = AiProvider;
@@ -0,0 +1,84 @@
+/**
+ * Gemini AI Provider
+ * Google Gemini through the Generative Language REST API. The API key (GEMINI_API_KEY) stays on the server and is
+ * sent as a header, never in the URL.
+ */
+
+const axios = require('axios');
+const AiProvider = require('./AiProvider');
+
+const API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 30000;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class GeminiAiProvider extends AiProvider {
+  constructor(options = {}) {
+    super('gemini');
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.model = options.model || process.env.GEMINI_MODEL || DEFAULT_MODEL;
+    this.client = options.client || axios.create({
+      baseURL: API_URL,
+      timeout: options.timeoutMs || DEFAULT_TIMEOUT_MS
+    });
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async generate({ system, messages, temperature = 0.4, maxOutputTokens = 2048 }) {
+    if (!this.isConfigured()) {
+      throw createError('Gemini is not configured (GEMINI_API_KEY is missing)', 503);
+    }
+
+    let response;
+    try {
+      response = await this.client.post(
+        `/models/${this.model}:generateContent`,
+        {
+          ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+          contents: messages.map(({ role, text }) => ({ role, parts: [{ text }] })),
+          generationConfig: {
+            responseMimeType: 'application/json',
+            temperature,
+            maxOutputTokens
+          }
+        },
+        { headers: { 'x-goog-api-key': this.apiKey } }
+      );
+    } catch (err) {
+      const status = err.response?.status;
+      const detail = err.response?.data?.error?.message || err.message;
+      // Quota and outages are temporary, anything else is reported as a bad gateway
+      throw createError(`Gemini request failed${status ? ` (${status})` : ''}: ${detail}`, status === 429 || status === 503 ? 503 : 502);
+    }
+
+    const candidate = response.data?.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    if (!text) {
+      throw createError(`Gemini returned no content${candidate?.finishReason ? ` (${candidate.finishReason})` : ''}`, 502);
+    }
+
+    const usage = response.data.usageMetadata || {};
+    return {
+      text,
+      model: response.data.modelVersion || this.model,
+      usage: {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+      }
+    };
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), model: this.model };
+  }
+}
+
+module.exports = GeminiAiProvider;
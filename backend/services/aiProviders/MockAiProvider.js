@@ -0,0 +1,50 @@
+/**
+ * Mock AI Provider
+ * Answers without any network access, for tests and local development: the response is the prompt template's
+ * mockResponse(input), so it always matches the template's output schema. Tests can replace the responder to
+ * return invalid output or fail.
+ */
+
+const AiProvider = require('./AiProvider');
+
+// Rough token estimate (about four characters per token)
+const estimateTokens = text => Math.ceil((text || '').length / 4);
+
+class MockAiProvider extends AiProvider {
+  constructor() {
+    super('mock');
+    this.responder = null;
+  }
+
+  /**
+   * Replace the responses (pass null to go back to the templates' mock responses)
+   * @param {Function|null} responder - (request) => text or a value to serialize; may throw
+   */
+  setResponder(responder) {
+    this.responder = responder;
+  }
+
+  async generate(request) {
+    const { system, messages, prompt, input } = request;
+    let output;
+    if (this.responder) {
+      output = await this.responder(request);
+    } else if (prompt && typeof prompt.mockResponse === 'function') {
+      output = prompt.mockResponse(input);
+    } else {
+      output = {};
+    }
+
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+    return {
+      text,
+      model: 'mock',
+      usage: {
+        inputTokens: estimateTokens(system) + messages.reduce((sum, message) => sum + estimateTokens(message.text), 0),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+}
+
+module.exports = MockAiProvider;
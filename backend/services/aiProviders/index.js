@@ -0,0 +1,47 @@
+/**
+ * AI Provider Registry
+ * Resolves language model providers by name. The default provider comes from AI_PROVIDER (falls back to 'gemini').
+ */
+
+const GeminiAiProvider = require('./GeminiAiProvider');
+const MockAiProvider = require('./MockAiProvider');
+
+const providers = new Map();
+
+/**
+ * Register a provider instance under its name
+ * @param {AiProvider} provider - Provider adapter instance
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name
+ * @param {string} [name] - Provider name, defaults to AI_PROVIDER
+ * @returns {AiProvider} - Provider adapter
+ */
+const getProvider = (name = process.env.AI_PROVIDER || 'gemini') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    const error = new Error(`Unknown AI provider: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+  return provider;
+};
+
+/**
+ * Every registered provider
+ * @returns {Array<AiProvider>}
+ */
+const getAllProviders = () => [...providers.values()];
+
+registerProvider(new GeminiAiProvider());
+registerProvider(new MockAiProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getAllProviders
+};
@@ -0,0 +1,383 @@
+/**
+ * Availability Rule Service
+ * Bulk availability for provider listings and components. Providers describe availability with:
+ *   - recurring rules: weekdays x start times between two dates, with a capacity and optional price
+ *     (e.g. every Tuesday and Thursday at 09:00 and 14:00 from April to October, capacity 12)
+ *   - blackouts: date ranges that take no bookings
+ *   - seasonal prices: prices for rule slots within a date range (optionally only on some weekdays)
+ * The expansion engine materializes rules into service_availability slots from today to AVAILABILITY_HORIZON_DAYS
+ * ahead, after every change and daily from jobs/availabilityRuleJob.js so the horizon keeps rolling. Expansion
+ * is a sync: generated slots (rule_id set) are created, updated or removed to match the rules, while slots added
+ * by hand are never touched and win over a rule slot at the same date and time. Generated slots that already
+ * have bookings are never removed; they are closed to new bookings, detached from their rule and reported as
+ * conflicts.
+ */
+
+const winston = require('winston');
+const {
+  availabilityModel,
+  availabilityRuleModel,
+  availabilityBlackoutModel,
+  seasonalPriceModel
+} = require('../models/database');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'availability-rule-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const HORIZON_DAYS = parseInt(process.env.AVAILABILITY_HORIZON_DAYS) || 180;
+// Limit for slots added in one bulk request
+const MAX_BULK_SLOTS = 1000;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+// DATE columns come back from pg as local midnight; request values are YYYY-MM-DD strings
+const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  return String(value).slice(0, 10);
+};
+
+const today = () => toDateString(new Date());
+
+// Calendar arithmetic on YYYY-MM-DD strings (UTC, so daylight saving changes never skip a day)
+const addDays = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().slice(0, 10);
+};
+
+const weekdayOf = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const toTime = value => (value ? String(value).slice(0, 5) : null);
+
+// End of a slot, capped at 23:59 as slots cannot run past midnight
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+};
+
+const slotKey = (date, time) => `${date} ${time || ''}`;
+
+const targetOf = record => (record.listing_id ? { listing_id: record.listing_id } : { component_id: record.component_id });
+
+const isBlackedOut = (date, blackouts) => blackouts.some(b => date >= toDateString(b.start_date) && date <= toDateString(b.end_date));
+
+/**
+ * Price of a slot under the seasonal prices (the newest matching season wins)
+ * @param {string} date - Slot date (YYYY-MM-DD)
+ * @param {Array} seasons - Seasonal prices, newest first
+ * @returns {number|null} - Seasonal price, or null outside every season
+ */
+const seasonalPriceFor = (date, seasons) => {
+  const weekday = weekdayOf(date);
+  const season = seasons.find(s => date >= toDateString(s.start_date) && date <= toDateString(s.end_date) &&
+    (!s.weekdays || s.weekdays.includes(weekday)));
+  return season ? parseFloat(season.price) : null;
+};
+
+/**
+ * Expand a rule into slots between two dates (inclusive)
+ * @param {Object} rule - Availability rule
+ * @param {Object} options - { from, to, blackouts, seasons }
+ * @returns {Array<Object>} - Slots in service_availability format
+ */
+const expandRule = (rule, { from, to, blackouts = [], seasons = [] }) => {
+  const validFrom = toDateString(rule.valid_from);
+  const validUntil = toDateString(rule.valid_until);
+  const start = validFrom > from ? validFrom : from;
+  const end = validUntil && validUntil < to ? validUntil : to;
+  const times = [...rule.start_times].sort();
+  const slots = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    if (!rule.weekdays.includes(weekdayOf(date)) || isBlackedOut(date, blackouts)) continue;
+    const seasonalPrice = seasonalPriceFor(date, seasons);
+    const price = seasonalPrice ?? (rule.price_override !== null && rule.price_override !== undefined ? parseFloat(rule.price_override) : null);
+    times.forEach(time => slots.push({
+      ...targetOf(rule),
+      rule_id: rule.id,
+      available_date: date,
+      start_time: time,
+      end_time: rule.duration_minutes ? addMinutes(time, rule.duration_minutes) : null,
+      max_bookings: rule.capacity,
+      is_available: true,
+      price_override: price
+    }));
+  }
+  return slots;
+};
+
+// One expansion per listing or component at a time (changes and the daily job may overlap)
+const locks = new Map();
+const withTargetLock = (target, fn) => {
+  const key = target.listing_id ? `listing:${target.listing_id}` : `component:${target.component_id}`;
+  const run = (locks.get(key) || Promise.resolve()).then(fn, fn);
+  locks.set(key, run);
+  const release = () => {
+    if (locks.get(key) === run) locks.delete(key);
+  };
+  run.then(release, release);
+  return run;
+};
+
+class AvailabilityRuleService {
+  /**
+   * Slots of a listing or component between two dates
+   */
+  getSlots(target, from, to) {
+    return target.listing_id
+      ? availabilityModel.getByListingIdAndDateRange(target.listing_id, from, to)
+      : availabilityModel.getByComponentIdAndDateRange(target.component_id, from, to);
+  }
+
+  /**
+   * Everything the availability calendar shows for a listing or component
+   * @param {Object} target - { listing_id } or { component_id }
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { rules, blackouts, seasonal_prices, slots, horizon_days }
+   */
+  async getCalendar(target, from, to) {
+    const [rules, blackouts, seasonalPrices, slots] = await Promise.all([
+      availabilityRuleModel.getByTarget(target),
+      availabilityBlackoutModel.getByTarget(target, from),
+      seasonalPriceModel.getByTarget(target, from),
+      this.getSlots(target, from, to)
+    ]);
+    return { rules, blackouts, seasonal_prices: seasonalPrices, slots, horizon_days: HORIZON_DAYS };
+  }
+
+  /**
+   * Sync the generated slots of a listing or component with its rules, blackouts and seasonal prices
+   * @param {Object} target - { listing_id } or { component_id }
+   * @param {Object} [options] - { from, horizonDays }
+   * @returns {Promise<Object>} - { from, to, created, updated, removed, conflicts }
+   */
+  materialize(target, { from = today(), horizonDays = HORIZON_DAYS } = {}) {
+    return withTargetLock(target, () => this.sync(target, from, addDays(from, horizonDays)));
+  }
+
+  async sync(target, from, to) {
+    const [rules, blackouts, seasons, existing] = await Promise.all([
+      availabilityRuleModel.getByTarget(target),
+      availabilityBlackoutModel.getByTarget(target, from),
+      seasonalPriceModel.getByTarget(target, from),
+      this.getSlots(target, from, to)
+    ]);
+
+    const manualKeys = new Set(existing
+      .filter(slot => !slot.rule_id)
+      .map(slot => slotKey(toDateString(slot.available_date), toTime(slot.start_time))));
+
+    // Rules are ordered by start date, so where rules overlap the earlier rule's slot is kept
+    const desired = new Map();
+    rules.filter(rule => rule.is_active).forEach((rule) => {
+      expandRule(rule, { from, to, blackouts, seasons }).forEach((slot) => {
+        const key = slotKey(slot.available_date, slot.start_time);
+        if (!manualKeys.has(key) && !desired.has(key)) desired.set(key, slot);
+      });
+    });
+
+    const updates = [];
+    const obsolete = [];
+    existing.filter(slot => slot.rule_id).forEach((slot) => {
+      const key = slotKey(toDateString(slot.available_date), toTime(slot.start_time));
+      const wanted = desired.get(key);
+      if (!wanted) {
+        obsolete.push(slot);
+        return;
+      }
+      desired.delete(key);
+
+      const changes = {};
+      const maxBookings = Math.max(wanted.max_bookings, slot.current_bookings || 0);
+      if (slot.rule_id !== wanted.rule_id) changes.rule_id = wanted.rule_id;
+      if (toTime(slot.end_time) !== wanted.end_time) changes.end_time = wanted.end_time;
+      if (slot.max_bookings !== maxBookings) changes.max_bookings = maxBookings;
+      const price = slot.price_override === null ? null : parseFloat(slot.price_override);
+      if (price !== wanted.price_override) changes.price_override = wanted.price_override;
+      if (!slot.is_available) changes.is_available = true;
+      if (Object.keys(changes).length > 0) updates.push({ id: slot.id, changes });
+    });
+
+    const created = await availabilityModel.createBulk([...desired.values()]);
+    for (const { id, changes } of updates) {
+      await availabilityModel.update(id, changes);
+    }
+
+    const removedIds = await availabilityModel.deleteUnbooked(obsolete.map(slot => slot.id));
+    const removed = new Set(removedIds);
+    const conflicts = obsolete.filter(slot => !removed.has(slot.id));
+    for (const slot of conflicts) {
+      // Existing bookings stand, but the remaining capacity must not be sold on a blacked-out or dropped slot
+      await availabilityModel.update(slot.id, { rule_id: null, is_available: false });
+    }
+    if (conflicts.length > 0) {
+      logger.warn(`${conflicts.length} booked slot(s) no longer match the availability rules`, { target });
+    }
+
+    return {
+      from,
+      to,
+      created: created.length,
+      updated: updates.length,
+      removed: removedIds.length,
+      conflicts: conflicts.map(slot => ({
+        id: slot.id,
+        available_date: toDateString(slot.available_date),
+        start_time: toTime(slot.start_time),
+        current_bookings: slot.current_bookings
+      }))
+    };
+  }
+
+  /**
+   * Create a rule and materialize its slots
+   * @param {number} providerId - Provider profile ID
+   * @param {Object} ruleData - Validated rule fields including listing_id or component_id
+   * @returns {Promise<Object>} - { rule, expansion }
+   */
+  async createRule(providerId, ruleData) {
+    const rule = await availabilityRuleModel.create({ ...ruleData, provider_id: providerId });
+    const expansion = await this.materialize(targetOf(rule));
+    return { rule, expansion };
+  }
+
+  /**
+   * Update a rule and re-sync its slots
+   * @param {Object} rule - Existing rule
+   * @param {Object} ruleData - Validated fields to change
+   * @returns {Promise<Object>} - { rule, expansion }
+   */
+  async updateRule(rule, ruleData) {
+    const validFrom = ruleData.valid_from || toDateString(rule.valid_from);
+    const validUntil = ruleData.valid_until !== undefined ? ruleData.valid_until : toDateString(rule.valid_until);
+    if (validUntil && validUntil < validFrom) {
+      throw createError('valid_until must not be before valid_from', 400);
+    }
+
+    const updated = await availabilityRuleModel.update(rule.id, ruleData);
+    const expansion = await this.materialize(targetOf(rule));
+    return { rule: updated || rule, expansion };
+  }
+
+  /**
+   * Delete a rule; its unbooked future slots go with it, booked ones stay as hand-managed slots
+   * @param {Object} rule - Existing rule
+   * @returns {Promise<Object>} - Expansion summary
+   */
+  async deleteRule(rule) {
+    await availabilityRuleModel.update(rule.id, { is_active: false });
+    const expansion = await this.materialize(targetOf(rule));
+    await availabilityRuleModel.delete(rule.id);
+    return expansion;
+  }
+
+  async addBlackout(providerId, blackoutData) {
+    const blackout = await availabilityBlackoutModel.create({ ...blackoutData, provider_id: providerId });
+    const expansion = await this.materialize(targetOf(blackout));
+    return { blackout, expansion };
+  }
+
+  async deleteBlackout(blackout) {
+    await availabilityBlackoutModel.delete(blackout.id);
+    return this.materialize(targetOf(blackout));
+  }
+
+  async addSeasonalPrice(providerId, seasonData) {
+    const seasonalPrice = await seasonalPriceModel.create({ ...seasonData, provider_id: providerId });
+    const expansion = await this.materialize(targetOf(seasonalPrice));
+    return { seasonal_price: seasonalPrice, expansion };
+  }
+
+  async deleteSeasonalPrice(seasonalPrice) {
+    await seasonalPriceModel.delete(seasonalPrice.id);
+    return this.materialize(targetOf(seasonalPrice));
+  }
+
+  /**
+   * Add hand-managed slots on many dates at once; dates and times that already have a slot are skipped
+   * @param {Object} target - { listing_id } or { component_id }
+   * @param {Object} slotData - { dates, start_times, duration_minutes, max_bookings, price_override, is_available }
+   * @returns {Promise<Object>} - { created: slots, skipped }
+   */
+  async createSlots(target, { dates, start_times: startTimes, duration_minutes: duration, max_bookings, price_override, is_available }) {
+    const times = startTimes && startTimes.length > 0 ? startTimes : [null];
+    if (dates.length * times.length > MAX_BULK_SLOTS) {
+      throw createError(`At most ${MAX_BULK_SLOTS} slots can be added at once`, 400);
+    }
+
+    const sorted = [...dates].sort();
+    const existing = await this.getSlots(target, sorted[0], sorted[sorted.length - 1]);
+    const taken = new Set(existing.map(slot => slotKey(toDateString(slot.available_date), toTime(slot.start_time))));
+
+    const slots = [];
+    let skipped = 0;
+    sorted.forEach(date => times.forEach((time) => {
+      if (taken.has(slotKey(date, time))) {
+        skipped++;
+        return;
+      }
+      taken.add(slotKey(date, time));
+      slots.push({
+        ...target,
+        available_date: date,
+        start_time: time,
+        end_time: time && duration ? addMinutes(time, duration) : null,
+        max_bookings: max_bookings ?? null,
+        is_available: is_available !== false,
+        price_override: price_override ?? null
+      });
+    }));
+
+    const created = await availabilityModel.createBulk(slots);
+    return { created, skipped };
+  }
+
+  /**
+   * Roll the horizon forward for every listing and component with active rules
+   * @returns {Promise<Object>} - { targets, created, removed, failed }
+   */
+  async materializeAll() {
+    const targets = await availabilityRuleModel.getActiveTargets();
+    const summary = { targets: targets.length, created: 0, removed: 0, failed: 0 };
+    for (const target of targets) {
+      try {
+        const result = await this.materialize(targetOf(target));
+        summary.created += result.created;
+        summary.removed += result.removed;
+      } catch (err) {
+        summary.failed++;
+        logger.error('Failed to expand availability rules', { target, error: err.message });
+      }
+    }
+    return summary;
+  }
+}
+
+AvailabilityRuleService.expandRule = expandRule;
+AvailabilityRuleService.HORIZON_DAYS = HORIZON_DAYS;
+
+module.exports = AvailabilityRuleService;
@@ -0,0 +1,257 @@
+/**
+ * Calendar Service
+ * Exports trips as iCalendar (.ics) files and serves each user's private subscription feed of confirmed bookings.
+ * Component times are local to where they happen; they are converted to UTC with the time zone of the component's
+ * location (locations.timezone) or, for flights, of the departure and arrival airports. Times whose zone is unknown
+ * are left floating so calendar apps show them as written.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const {
+  tripComponentModel,
+  bookingModel,
+  locationModel,
+  calendarFeedModel
+} = require('../models/database');
+const ItinerarySchedulerService = require('./itinerarySchedulerService');
+const { addMinutesToLocal, buildCalendar } = require('../utils/icalendar');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'calendar-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const UID_DOMAIN = 'adventureconnect';
+const FEED_REFRESH_HOURS = 6;
+const DEFAULT_EVENT_MINUTES = 120;
+const ACCOMMODATION_TYPES = ['accommodation', 'hotel'];
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// DATE columns come back from pg as local-midnight Date objects
+const toDateKey = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const toTime = (value) => (value ? String(value).slice(0, 5) : null);
+
+// "2026-11-02T07:30:00" (Amadeus local airport time) -> { date, time }
+const splitLocalDateTime = (value) => {
+  const [date, time] = String(value).split('T');
+  return { date, time: time ? time.slice(0, 5) : null };
+};
+
+const describeLocation = (component) => {
+  const location = component.custom_location || {};
+  return location.address || [location.city || component.location_city, location.country || component.location_country]
+    .filter(Boolean).join(', ') || component.location_name || null;
+};
+
+const geoOf = (component) => {
+  const location = component.custom_location || {};
+  return location.latitude && location.longitude
+    ? { lat: parseFloat(location.latitude), lng: parseFloat(location.longitude) }
+    : null;
+};
+
+class CalendarService {
+  /**
+   * Resolve airport codes to their time zones
+   * @param {Array} components - Trip components
+   * @returns {Promise<Object>} - { [iataCode]: timeZone }
+   */
+  async getAirportTimezones(components) {
+    const codes = new Set();
+    components.filter(component => component.component_type === 'flight').forEach((component) => {
+      const airports = ItinerarySchedulerService.getFlightAirports(component);
+      [airports.origin, airports.destination].filter(Boolean).forEach(code => codes.add(code));
+      (component.custom_location?.segments || []).forEach((segment) => {
+        codes.add(segment.from);
+        codes.add(segment.to);
+      });
+    });
+
+    const timezones = {};
+    await Promise.all([...codes].map(async (code) => {
+      const location = await locationModel.findByIataCode(code);
+      if (location?.timezone) timezones[code] = location.timezone;
+    }));
+    return timezones;
+  }
+
+  /**
+   * Turn a trip's components into calendar events
+   * @param {Object} trip - Custom trip row
+   * @param {Array} components - Rows from tripComponentModel.getByTripId
+   * @param {Object} options - { airportTimezones, confirmed } confirmed marks events CONFIRMED instead of TENTATIVE
+   * @returns {Array} - Events for buildCalendar
+   */
+  buildTripEvents(trip, components, { airportTimezones = {}, confirmed = false } = {}) {
+    const status = confirmed ? 'CONFIRMED' : 'TENTATIVE';
+    const events = [];
+
+    components
+      .filter(component => component.status !== 'cancelled' && component.start_date)
+      .forEach((component) => {
+        const uid = `trip-${trip.id}-component-${component.id}@${UID_DOMAIN}`;
+        const base = {
+          uid,
+          description: [component.description, `Trip: ${trip.title}`].filter(Boolean).join('\n'),
+          status,
+          lastModified: component.updated_at
+        };
+        const startDate = toDateKey(component.start_date);
+        const endDate = toDateKey(component.end_date) || startDate;
+        const startTime = toTime(component.start_time);
+        const endTime = toTime(component.end_time);
+
+        if (component.component_type === 'flight') {
+          const segments = component.custom_location?.segments || [];
+          if (segments.length > 0) {
+            segments.forEach((segment, index) => {
+              events.push({
+                ...base,
+                uid: `trip-${trip.id}-component-${component.id}-segment-${index + 1}@${UID_DOMAIN}`,
+                summary: `Flight ${segment.carrier || ''}${segment.flightNumber || ''} ${segment.from} → ${segment.to}`.replace(/\s+/g, ' '),
+                location: `${segment.from} airport`,
+                start: { ...splitLocalDateTime(segment.departureAt), timeZone: airportTimezones[segment.from] },
+                end: { ...splitLocalDateTime(segment.arrivalAt), timeZone: airportTimezones[segment.to] }
+              });
+            });
+            return;
+          }
+
+          const airports = ItinerarySchedulerService.getFlightAirports(component);
+          events.push({
+            ...base,
+            summary: component.title,
+            location: airports.origin ? `${airports.origin} airport` : null,
+            ...this.timedOrAllDay(startDate, startTime, endDate, endTime,
+              airportTimezones[airports.origin], airportTimezones[airports.destination])
+          });
+          return;
+        }
+
+        const timeZone = component.location_timezone || component.custom_location?.timezone;
+        const event = { ...base, summary: component.title, location: describeLocation(component), geo: geoOf(component) };
+
+        if (ACCOMMODATION_TYPES.includes(component.component_type)) {
+          // A stay covers its nights: an all-day event ending on (exclusive) the check-out date
+          const checkOut = endDate > startDate ? endDate : addMinutesToLocal({ date: startDate, time: '00:00' }, 24 * 60).date;
+          events.push({ ...event, summary: `Stay: ${component.title}`, start: { date: startDate }, end: { date: checkOut } });
+          return;
+        }
+
+        events.push({ ...event, ...this.timedOrAllDay(startDate, startTime, endDate, endTime, timeZone, timeZone) });
+      });
+
+    return events;
+  }
+
+  // Timed when there is a start time (lasting DEFAULT_EVENT_MINUTES if the end is unknown), otherwise all-day
+  timedOrAllDay(startDate, startTime, endDate, endTime, startZone, endZone) {
+    if (startTime && endTime) {
+      return {
+        start: { date: startDate, time: startTime, timeZone: startZone },
+        end: { date: endDate, time: endTime, timeZone: endZone }
+      };
+    }
+    if (startTime) {
+      return {
+        start: { date: startDate, time: startTime, timeZone: startZone },
+        end: { ...addMinutesToLocal({ date: startDate, time: startTime }, DEFAULT_EVENT_MINUTES), timeZone: startZone }
+      };
+    }
+    return {
+      start: { date: startDate },
+      end: { date: addMinutesToLocal({ date: endDate, time: '00:00' }, 24 * 60).date }
+    };
+  }
+
+  /**
+   * Build the .ics file of one trip
+   * @param {Object} trip - Custom trip row
+   * @returns {Promise<string>} - iCalendar document
+   */
+  async generateTripCalendar(trip) {
+    const components = await tripComponentModel.getByTripId(trip.id);
+    const airportTimezones = await this.getAirportTimezones(components);
+    const events = this.buildTripEvents(trip, components, { airportTimezones, confirmed: trip.status === 'booked' });
+    return buildCalendar({ name: trip.title || 'AdventureConnect Trip', events });
+  }
+
+  /**
+   * Build a user's subscription feed with every confirmed booking
+   * @param {number} userId - User ID
+   * @returns {Promise<string>} - iCalendar document
+   */
+  async generateUserFeed(userId) {
+    const bookings = await bookingModel.getByTravelerId(userId, 'confirmed');
+    const events = [];
+
+    for (const booking of bookings) {
+      if (booking.custom_trip_id) {
+        const components = await tripComponentModel.getByTripId(booking.custom_trip_id);
+        const airportTimezones = await this.getAirportTimezones(components);
+        const trip = { id: booking.custom_trip_id, title: booking.trip_title || booking.booking_reference };
+        events.push(...this.buildTripEvents(trip, components, { airportTimezones, confirmed: true }));
+      } else if (booking.start_date) {
+        // Listing bookings have no components with times; show the booked dates
+        const startDate = toDateKey(booking.start_date);
+        events.push({
+          uid: `booking-${booking.id}@${UID_DOMAIN}`,
+          summary: booking.trip_title || `Booking ${booking.booking_reference}`,
+          description: `Booking reference: ${booking.booking_reference}`,
+          status: 'CONFIRMED',
+          ...this.timedOrAllDay(startDate, null, toDateKey(booking.end_date) || startDate, null),
+          lastModified: booking.updated_at
+        });
+      }
+    }
+
+    logger.info('Calendar feed generated', { userId, bookings: bookings.length, events: events.length });
+    return buildCalendar({ name: 'AdventureConnect Trips', events, refreshIntervalHours: FEED_REFRESH_HOURS });
+  }
+
+  /**
+   * Issue a new feed token for a user, replacing the previous one
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - { token, feed } the raw token is only available here
+   */
+  async rotateFeedToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const feed = await calendarFeedModel.upsert(userId, hashFeedToken(token));
+    logger.info('Calendar feed token issued', { userId });
+    return { token, feed };
+  }
+
+  /**
+   * Look up the feed a token belongs to
+   * @param {string} token - Raw token from the feed URL
+   * @returns {Promise<Object|null>} - Feed object or null
+   */
+  async findFeedByToken(token) {
+    if (!/^[a-f0-9]{64}$/.test(token)) return null;
+    return calendarFeedModel.findByTokenHash(hashFeedToken(token));
+  }
+}
+
+module.exports = CalendarService;
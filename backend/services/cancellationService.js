@@ -0,0 +1,226 @@
+/**
+ * Cancellation Service
+ * Quotes and applies booking cancellations. Each booking component is refunded according to the
+ * cancellation policy of the listing it came from (see CANCELLATION_POLICIES in utils/bookingUtils.js).
+ */
+
+const winston = require('winston');
+const moment = require('moment');
+const {
+  bookingModel,
+  bookingComponentModel,
+  customTripModel,
+  listingModel,
+  paymentModel,
+  cancellationModel
+} = require('../models/database');
+const {
+  BOOKING_STATUSES,
+  isValidStatusTransition,
+  quoteComponentRefund
+} = require('../utils/bookingUtils');
+const PaymentService = require('./paymentService');
+const { notifyBookingStatusChange } = require('./notificationService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'cancellation-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Combine a component's start date and optional start time into one moment
+const componentStart = (component, booking) => {
+  const date = component.trip_component_start_date || booking.start_date;
+  if (!date) return null;
+  const start = moment(date);
+  if (component.trip_component_start_time) {
+    const [hours, minutes] = component.trip_component_start_time.split(':');
+    start.hours(parseInt(hours, 10)).minutes(parseInt(minutes, 10));
+  }
+  return start.toDate();
+};
+
+class CancellationService {
+  constructor(paymentService = new PaymentService()) {
+    this.paymentService = paymentService;
+  }
+
+  /**
+   * Quote the refund for cancelling a booking now
+   * @param {Object} booking - Booking row
+   * @param {Date} [cancelledAt] - Cancellation time, defaults to now
+   * @param {Object} [options] - { fullRefund } refunds every component in full, ignoring the cancellation policies
+   * @returns {Promise<Object>} - Quote { booking_id, currency, amount_paid, refund_amount, payment_action, items }
+   * @throws {Error} - 409 if the booking can no longer be cancelled
+   */
+  async quote(booking, cancelledAt = new Date(), { fullRefund = false } = {}) {
+    if (!isValidStatusTransition(booking.status, BOOKING_STATUSES.CANCELLED)) {
+      throw createError(`Booking cannot be cancelled from status ${booking.status}`, 409);
+    }
+
+    let components = await bookingComponentModel.getForCancellation(booking.id);
+    if (components.length === 0 && booking.listing_id) {
+      // Direct listing bookings have no component rows; the whole booking is one refund line
+      const listing = await listingModel.findById(booking.listing_id);
+      components = [{
+        id: null,
+        provider_id: listing ? listing.provider_id : null,
+        price: booking.total_price,
+        currency: booking.currency,
+        cancellation_policy: listing ? listing.cancellation_policy : null
+      }];
+    }
+
+    const [intent] = await paymentModel.getIntentsByBookingId(booking.id);
+    const captured = intent && ['captured', 'partially_refunded'].includes(intent.status);
+    const amountPaid = captured
+      ? parseFloat(intent.captured_amount) - parseFloat(intent.refunded_amount || 0)
+      : 0;
+
+    const items = components.map(component => {
+      let line = quoteComponentRefund(component, componentStart(component, booking), cancelledAt);
+      if (fullRefund) {
+        line = { ...line, refund_percentage: 100, refund_amount: line.component_price };
+      }
+      // Nothing was charged, so there is nothing to give back
+      return captured ? line : { ...line, refund_amount: 0 };
+    });
+    const totalRefund = items.reduce((sum, item) => sum + item.refund_amount, 0);
+
+    let paymentAction = 'none';
+    if (captured) {
+      paymentAction = 'refund';
+    } else if (intent && ['requires_authorization', 'authorized'].includes(intent.status)) {
+      paymentAction = 'void';
+    }
+
+    return {
+      booking_id: booking.id,
+      booking_reference: booking.booking_reference,
+      currency: booking.currency || 'USD',
+      amount_paid: parseFloat(amountPaid.toFixed(2)),
+      refund_amount: parseFloat(Math.min(totalRefund, amountPaid).toFixed(2)),
+      payment_action: paymentAction,
+      payment_intent_id: intent ? intent.id : null,
+      items
+    };
+  }
+
+  /**
+   * Cancel a booking and refund it per its cancellation policies.
+   * The cancellation is recorded before any money moves, so concurrent cancels of one booking cannot both refund.
+   * If the refund or void fails, the cancellation stays pending and cancelling again finishes it.
+   * @param {Object} booking - Booking row
+   * @param {Object} options - { userId, reason, fullRefund } (fullRefund for cancellations by the provider)
+   * @returns {Promise<Object>} - { booking, cancellation, payment }
+   */
+  async cancel(booking, { userId, reason, fullRefund = false } = {}) {
+    let cancellation = await cancellationModel.findByBookingId(booking.id);
+    if (cancellation && cancellation.status === 'completed') {
+      throw createError('Booking has already been cancelled', 409);
+    }
+
+    if (cancellation) {
+      logger.info('Resuming pending booking cancellation', { bookingId: booking.id, cancellationId: cancellation.id });
+    } else {
+      const quote = await this.quote(booking, new Date(), { fullRefund });
+      const intent = quote.payment_intent_id ? await paymentModel.findIntentById(quote.payment_intent_id) : null;
+
+      cancellation = await cancellationModel.create({
+        booking_id: booking.id,
+        cancelled_by: userId,
+        reason,
+        refund_amount: quote.refund_amount,
+        currency: quote.currency,
+        payment_intent_id: quote.payment_intent_id,
+        payment_action: quote.refund_amount > 0 || quote.payment_action === 'void' ? quote.payment_action : 'none',
+        refunded_before: intent ? parseFloat(intent.refunded_amount || 0) : 0
+      }, quote.items);
+      if (!cancellation) {
+        // Another request recorded the cancellation first and is settling the payment
+        throw createError('Booking has already been cancelled', 409);
+      }
+    }
+
+    const payment = await this.settlePayment(cancellation);
+    const refundAmount = parseFloat(cancellation.refund_amount);
+
+    // A void already settles the booking as cancelled; otherwise move it here
+    let current = await bookingModel.findById(booking.id);
+    if (current.status !== BOOKING_STATUSES.CANCELLED && current.status !== BOOKING_STATUSES.REFUNDED) {
+      current = await bookingModel.update(booking.id, { status: BOOKING_STATUSES.CANCELLED });
+    }
+    if (refundAmount > 0 && isValidStatusTransition(current.status, BOOKING_STATUSES.REFUNDED)) {
+      const amountPaid = parseFloat(payment.captured_amount) - parseFloat(cancellation.refunded_before || 0);
+      current = await bookingModel.update(booking.id, {
+        status: BOOKING_STATUSES.REFUNDED,
+        payment_status: refundAmount >= amountPaid ? 'refunded' : 'partially_refunded'
+      });
+    }
+    await bookingComponentModel.updateStatusByBookingId(booking.id, 'cancelled');
+
+    if (booking.custom_trip_id) {
+      await customTripModel.update(booking.custom_trip_id, { status: 'cancelled' });
+    }
+
+    cancellation = { ...(await cancellationModel.markCompleted(cancellation.id)), items: cancellation.items };
+
+    // Voiding already announced the cancellation through the payment service
+    if (cancellation.payment_action !== 'void') {
+      await notifyBookingStatusChange(current, { reason: cancellation.reason });
+    }
+
+    logger.info('Booking cancelled', {
+      bookingId: booking.id,
+      refundAmount,
+      paymentAction: cancellation.payment_action
+    });
+
+    return { booking: current, cancellation, payment };
+  }
+
+  /**
+   * Refund or void the payment of a recorded cancellation. Safe to repeat: only the part of the refund the
+   * intent does not show yet is requested, under an idempotency key tied to the cancellation.
+   * @param {Object} cancellation - Cancellation row
+   * @returns {Promise<Object|null>} - Payment intent after settling, or null without one
+   */
+  async settlePayment(cancellation) {
+    if (!cancellation.payment_intent_id) return null;
+    let payment = await paymentModel.findIntentById(cancellation.payment_intent_id);
+
+    if (cancellation.payment_action === 'void' && payment.status !== 'voided') {
+      payment = await this.paymentService.void(payment);
+    } else if (cancellation.payment_action === 'refund') {
+      const target = parseFloat(cancellation.refunded_before || 0) + parseFloat(cancellation.refund_amount);
+      const outstanding = parseFloat((target - parseFloat(payment.refunded_amount || 0)).toFixed(2));
+      if (outstanding > 0) {
+        payment = await this.paymentService.refund(payment, outstanding, {
+          idempotencyKey: `booking-cancellation-${cancellation.id}`
+        });
+      }
+    }
+
+    return payment;
+  }
+}
+
+module.exports = CancellationService;
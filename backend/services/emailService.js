@@ -0,0 +1,147 @@
+/**
+ * Email Service
+ * Sends transactional emails through a pluggable transport, selected with EMAIL_TRANSPORT:
+ *  - 'file' (default outside production): writes each email to EMAIL_OUTBOX_DIR as an .html file with a .json envelope
+ *  - 'smtp': delivers through SMTP_HOST/SMTP_PORT, e.g. a local MailHog/Mailpit catcher (port 1025) or a real relay
+ * Sending is best-effort: failures are logged and never break the request that triggered the email.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'email-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'AdventureConnect <no-reply@adventureconnect.local>';
+
+// ====================================
+// Transports
+// ====================================
+
+/**
+ * Writes emails to disk so they can be opened in a browser during development
+ * @param {string} outboxDir - Directory to write emails to
+ */
+const createFileTransport = (outboxDir) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50);
+    const baseName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}`;
+
+    const { html, ...envelope } = message;
+    await fs.promises.writeFile(path.join(outboxDir, `${baseName}.html`), html);
+    await fs.promises.writeFile(path.join(outboxDir, `${baseName}.json`), JSON.stringify(envelope, null, 2));
+    return { messageId: baseName };
+  }
+});
+
+/**
+ * Delivers emails over SMTP with nodemailer
+ * @param {Object} options - { host, port, secure, user, pass }
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Build the transport configured by the environment
+ * @returns {Object} - Transport with name and send(message)
+ */
+const createTransport = () => {
+  const transportName = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+  if (transportName === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+
+  return createFileTransport(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'logs', 'emails'));
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+    logger.info(`Email transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+// ====================================
+// Sending
+// ====================================
+
+// Plain-text alternative for clients that do not render HTML
+const htmlToText = (html) => html
+  .replace(/<head>[\s\S]*?<\/head>/i, '')
+  .replace(/<br\s*\/?>|<\/(p|h\d|li|div)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim();
+
+/**
+ * Send an email
+ * @param {Object} email - { to, subject, html, text }
+ * @returns {Promise<boolean>} - True if the transport accepted the email
+ */
+const sendEmail = async ({ to, subject, html, text }) => {
+  try {
+    const result = await getTransport().send({
+      from: EMAIL_FROM,
+      to,
+      subject,
+      html,
+      text: text || htmlToText(html)
+    });
+    logger.info('Email sent', { to, subject, messageId: result.messageId });
+    return true;
+  } catch (err) {
+    logger.error('Failed to send email', { to, subject, error: err.message });
+    return false;
+  }
+};
+
+module.exports = {
+  sendEmail,
+  createFileTransport,
+  createSmtpTransport
+};
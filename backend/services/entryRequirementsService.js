@@ -0,0 +1,557 @@
+/**
+ * Entry Requirements Service
+ * Visa, stay and passport rules for a nationality visiting one or more countries, from the locally maintained dataset
+ * in database/entry-requirements.json. Every import is stored as a new dataset version and lookups use the active
+ * version, so a bad import can be rolled back by activating the previous one.
+ *
+ * A trip is evaluated on its actual dates: the rule in force on the arrival date is used, stays are checked against
+ * the allowed length (countries sharing a zone such as Schengen share one allowance), passport validity is worked out
+ * from arrival or departure, and countries that are re-entered or only transited are flagged.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const moment = require('moment');
+const winston = require('winston');
+const { entryRequirementModel } = require('../models/database');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'entry-requirements-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const DEFAULT_DATASET_FILE = path.join(__dirname, '..', 'database', 'entry-requirements.json');
+// The active dataset changes rarely, so its countries are kept for a few minutes
+const DATASET_CACHE_MS = 5 * 60 * 1000;
+
+const REQUIREMENT_TYPES = ['freedom_of_movement', 'visa_free', 'eta', 'evisa', 'visa_on_arrival', 'visa_required', 'no_admission'];
+const TRANSIT_TYPES = ['not_required', 'airside_only', 'required'];
+
+const REQUIREMENT_LABELS = {
+  citizen: 'Citizen - no entry requirements',
+  freedom_of_movement: 'Freedom of movement - no visa needed',
+  visa_free: 'Visa free entry',
+  eta: 'Electronic travel authorization required before travel',
+  evisa: 'eVisa required before travel',
+  visa_on_arrival: 'Visa on arrival',
+  visa_required: 'Visa required - apply before travel',
+  no_admission: 'Entry not permitted',
+  unknown: 'No information - check with the embassy'
+};
+
+// Requirements that have to be arranged before departure
+const PRE_TRAVEL_REQUIREMENTS = ['eta', 'evisa', 'visa_required'];
+// Requirements that do not limit how often the country can be entered
+const UNRESTRICTED_REQUIREMENTS = ['citizen', 'freedom_of_movement', 'visa_free'];
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toDate = value => (value ? moment(value).format(DATE_FORMAT) : null);
+const normalizeName = value => String(value || '').trim().toLowerCase();
+
+class EntryRequirementsService {
+  constructor() {
+    this.active = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Validate a dataset file and expand its rows into one requirement per nationality and destination
+   * @param {Object} data - Parsed dataset (see database/entry-requirements.json)
+   * @returns {Object} - { version, source, published_on, notes, zones, countries, requirements, skipped }
+   */
+  parseDataset(data) {
+    if (!data || typeof data !== 'object') {
+      throw createError('Entry requirement dataset must be a JSON object', 400);
+    }
+    const version = String(data.version || '').trim();
+    if (!version || version.length > 50) {
+      throw createError('Entry requirement dataset needs a version of at most 50 characters', 400);
+    }
+    if (!Array.isArray(data.countries) || !Array.isArray(data.requirements)) {
+      throw createError('Entry requirement dataset needs countries and requirements arrays', 400);
+    }
+
+    const zones = data.zones || {};
+    const countries = data.countries.map((country) => {
+      const code = String(country.code || '').toUpperCase();
+      const passport = country.passport || {};
+      if (!COUNTRY_CODE_PATTERN.test(code) || !country.name) {
+        throw createError(`Invalid country in entry requirement dataset: ${JSON.stringify(country)}`, 400);
+      }
+      if (country.zone && !zones[country.zone]) {
+        throw createError(`Country ${code} belongs to unknown zone ${country.zone}`, 400);
+      }
+      return {
+        code,
+        name: country.name,
+        aliases: country.aliases || [],
+        zone: country.zone || null,
+        passport_validity_months: parseInt(passport.validity_months) || 0,
+        passport_validity_from: passport.from === 'arrival' ? 'arrival' : 'departure',
+        blank_pages: parseInt(passport.blank_pages) || 0,
+        notes: country.notes || null
+      };
+    });
+
+    // A zone (e.g. SCHENGEN) or group (e.g. EU_EEA) name stands for all of its countries
+    const groups = { ...(data.groups || {}) };
+    Object.keys(zones).forEach((zone) => {
+      groups[zone] = countries.filter(country => country.zone === zone).map(country => country.code);
+    });
+    const expand = codes => [].concat(codes || []).flatMap(code => groups[code] || [String(code).toUpperCase()]);
+
+    // Later rows replace earlier ones for the same pair and effective date
+    const requirements = new Map();
+    let skipped = 0;
+    data.requirements.forEach((row) => {
+      const effectiveFrom = moment(row.effective_from || '2000-01-01', DATE_FORMAT, true);
+      const valid = REQUIREMENT_TYPES.includes(row.requirement) &&
+        (!row.transit || TRANSIT_TYPES.includes(row.transit)) &&
+        (row.max_stay_days === undefined || parseInt(row.max_stay_days) > 0) &&
+        effectiveFrom.isValid();
+      const nationalities = expand(row.nationalities || row.nationality);
+      const destinations = expand(row.destinations || row.destination);
+      if (!valid || nationalities.length === 0 || destinations.length === 0) {
+        logger.warn('Skipping invalid entry requirement row', { row: JSON.stringify(row) });
+        skipped++;
+        return;
+      }
+
+      const visaFree = ['freedom_of_movement', 'visa_free'].includes(row.requirement);
+      nationalities.forEach((nationality) => {
+        destinations.forEach((destination) => {
+          // Group rows (EU_EEA to SCHENGEN) include a country's own citizens, who need no rule
+          if (nationality === destination) return;
+          if (!COUNTRY_CODE_PATTERN.test(nationality) || !COUNTRY_CODE_PATTERN.test(destination)) {
+            skipped++;
+            return;
+          }
+          requirements.set(`${nationality}:${destination}:${effectiveFrom.format(DATE_FORMAT)}`, {
+            nationality,
+            destination,
+            requirement: row.requirement,
+            max_stay_days: row.max_stay_days ? parseInt(row.max_stay_days) : null,
+            multiple_entry: row.multiple_entry !== false,
+            // Visitors who may enter freely may also pass through; others can usually stay airside without a visa
+            transit: row.transit || (visaFree ? 'not_required' : 'airside_only'),
+            effective_from: effectiveFrom.format(DATE_FORMAT),
+            notes: row.notes || null
+          });
+        });
+      });
+    });
+
+    if (requirements.size === 0) {
+      throw createError('Entry requirement dataset contains no valid requirements', 400);
+    }
+
+    return {
+      version,
+      source: data.source || null,
+      published_on: toDate(data.published_on),
+      notes: data.notes || null,
+      zones,
+      countries,
+      requirements: [...requirements.values()],
+      skipped
+    };
+  }
+
+  /**
+   * Import a dataset as a new version
+   * @param {Object} [options] - { data (parsed dataset) or file (defaults to ENTRY_REQUIREMENTS_FILE or the bundled
+   *   dataset), activate (default true), importedBy }
+   * @returns {Promise<Object>} - { version, activated, countries, requirements, skipped }
+   */
+  async importDataset({ data, file, activate = true, importedBy = null } = {}) {
+    let content = data;
+    if (!content) {
+      const datasetFile = file || process.env.ENTRY_REQUIREMENTS_FILE || DEFAULT_DATASET_FILE;
+      try {
+        content = JSON.parse(await fs.readFile(datasetFile, 'utf8'));
+      } catch (err) {
+        throw createError(`Could not read entry requirement dataset ${datasetFile}: ${err.message}`, 400);
+      }
+    }
+
+    const dataset = this.parseDataset(content);
+    if (await entryRequirementModel.findDatasetByVersion(dataset.version)) {
+      throw createError(`Entry requirement dataset version ${dataset.version} already exists`, 409);
+    }
+
+    const created = await entryRequirementModel.createDataset({ ...dataset, imported_by: importedBy }, activate);
+    this.loadedAt = 0;
+
+    logger.info('Entry requirement dataset imported', {
+      version: created.version,
+      activated: created.is_active,
+      countries: created.country_count,
+      requirements: created.requirement_count,
+      skipped: dataset.skipped
+    });
+    return {
+      version: created.version,
+      activated: created.is_active,
+      countries: created.country_count,
+      requirements: created.requirement_count,
+      skipped: dataset.skipped
+    };
+  }
+
+  /**
+   * Use a previously imported version for lookups
+   * @param {string} version - Dataset version
+   * @returns {Promise<Object>} - Activated dataset
+   */
+  async activateVersion(version) {
+    const dataset = await entryRequirementModel.findDatasetByVersion(version);
+    if (!dataset) {
+      throw createError(`Entry requirement dataset version ${version} not found`, 404);
+    }
+
+    const activated = await entryRequirementModel.activateDataset(dataset.id);
+    this.loadedAt = 0;
+    logger.info('Entry requirement dataset activated', { version });
+    return activated;
+  }
+
+  /**
+   * All imported versions, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDatasets() {
+    return entryRequirementModel.getDatasets();
+  }
+
+  /**
+   * The active dataset with its countries, cached for DATASET_CACHE_MS
+   * @returns {Promise<Object>} - { dataset, countries: Map<code, country>, names: Map<name, code> }
+   */
+  async getActiveDataset() {
+    if (this.active && Date.now() - this.loadedAt < DATASET_CACHE_MS) return this.active;
+
+    const dataset = await entryRequirementModel.getActiveDataset();
+    if (!dataset) {
+      throw createError('No entry requirement dataset has been imported', 503);
+    }
+    const rows = await entryRequirementModel.getCountries(dataset.id);
+    const countries = new Map(rows.map(country => [country.country_code, country]));
+    const names = new Map();
+    rows.forEach((country) => {
+      [country.name, ...(country.aliases || [])].forEach(name => names.set(normalizeName(name), country.country_code));
+    });
+
+    this.active = { dataset, countries, names };
+    this.loadedAt = Date.now();
+    return this.active;
+  }
+
+  /**
+   * Country code for a code, name or alias ('FR', 'France'); "City, Country" resolves to the country
+   * @returns {string|null} - ISO 3166-1 alpha-2 code
+   */
+  resolveCountry(value, { countries, names }) {
+    const text = String(value || '').trim();
+    const code = text.toUpperCase();
+    if (countries.has(code)) return code;
+    // Aliases such as 'UK' come before unknown codes, which are kept so that their lookups report "no information"
+    const named = names.get(normalizeName(text));
+    if (named) return named;
+    if (COUNTRY_CODE_PATTERN.test(code)) return code;
+    return names.get(normalizeName(text.split(',').pop())) || null;
+  }
+
+  /**
+   * Entry requirements for a trip
+   * @param {Object} trip - {
+   *   nationality: code or name,
+   *   destinations: [{ country, arrival, departure }] in visiting order (dates default to the trip dates),
+   *   startDate, endDate, transits: countries only connected through, passportExpiry }
+   * @returns {Promise<Object>} - { dataset, nationality, trip, destinations, zones, transits, passport, unresolved, status }
+   */
+  async evaluate({ nationality, destinations = [], startDate, endDate, transits = [], passportExpiry }) {
+    const active = await this.getActiveDataset();
+    const nationalityCode = this.resolveCountry(nationality, active);
+    if (!nationalityCode) {
+      throw createError(`Unknown nationality: ${nationality}`, 400);
+    }
+
+    const unresolved = [];
+    const resolve = (value) => {
+      const code = this.resolveCountry(value, active);
+      if (!code) unresolved.push(value);
+      return code;
+    };
+
+    // Without their own dates every destination is assumed to span the whole trip (an upper bound on the stay)
+    const stays = destinations
+      .map(destination => ({
+        code: resolve(destination.country),
+        arrival: toDate(destination.arrival || startDate),
+        departure: toDate(destination.departure || destination.arrival || endDate || startDate),
+        estimated: !destination.arrival && destinations.length > 1
+      }))
+      .filter(stay => stay.code);
+    const transitCodes = transits.map(resolve).filter(Boolean);
+
+    const codes = [...new Set([...stays.map(stay => stay.code), ...transitCodes])];
+    const rows = await entryRequirementModel.getRequirements(active.dataset.id, nationalityCode, codes);
+    const ruleOn = (code, date) => this.findRule(rows, nationalityCode, code, date || moment().format(DATE_FORMAT));
+
+    const results = stays.map((stay, index) => this.evaluateStay(stay, index, stays, active, ruleOn(stay.code, stay.arrival)));
+    const zones = this.evaluateZones(results, active.dataset.zones || {});
+    const transitResults = this.evaluateTransits(stays, transitCodes, active, ruleOn);
+    const passport = this.evaluatePassport(results, passportExpiry);
+
+    const requirements = [...results, ...transitResults].map(result => result.requirement);
+    let status = 'ok';
+    if (requirements.includes('no_admission')) status = 'not_permitted';
+    else if (results.some(result => result.action_required) || transitResults.some(result => result.action_required)) status = 'action_required';
+    else if (requirements.includes('unknown')) status = 'unknown';
+    const warnings = [...results, ...zones, ...transitResults].reduce((count, result) => count + result.warnings.length, 0) +
+      passport.warnings.length;
+
+    return {
+      dataset: { version: active.dataset.version, published_on: toDate(active.dataset.published_on) },
+      nationality: this.describeCountry(nationalityCode, active),
+      trip: { start_date: toDate(startDate), end_date: toDate(endDate) },
+      status,
+      warnings,
+      destinations: results,
+      zones,
+      transits: transitResults,
+      passport,
+      unresolved
+    };
+  }
+
+  /**
+   * Rule in force on a date: the row with the latest effective_from on or before it
+   */
+  findRule(rows, nationality, destination, date) {
+    if (nationality === destination) return { requirement: 'citizen', multiple_entry: true, transit: 'not_required' };
+    return rows
+      .filter(row => row.destination === destination && toDate(row.effective_from) <= date)
+      .reduce((latest, row) => (!latest || toDate(row.effective_from) > toDate(latest.effective_from) ? row : latest), null);
+  }
+
+  describeCountry(code, { countries }) {
+    const country = countries.get(code);
+    return { code, name: country ? country.name : code, zone: country ? country.zone : null };
+  }
+
+  /**
+   * Requirement, stay length and re-entries for one destination
+   */
+  evaluateStay(stay, index, stays, active, rule) {
+    const country = active.countries.get(stay.code);
+    const { name } = this.describeCountry(stay.code, active);
+    const requirement = rule ? rule.requirement : 'unknown';
+    const stayDays = stay.arrival && stay.departure ? moment(stay.departure).diff(moment(stay.arrival), 'days') + 1 : null;
+    const warnings = [];
+
+    if (stayDays !== null && stayDays < 1) {
+      warnings.push({ code: 'invalid_dates', message: 'Departure is before arrival' });
+    }
+    if (requirement === 'no_admission') {
+      warnings.push({ code: 'no_admission', message: `${name} does not admit travelers of this nationality` });
+    }
+    if (rule && rule.max_stay_days && stayDays > rule.max_stay_days) {
+      warnings.push({
+        code: 'exceeds_max_stay',
+        message: stay.estimated
+          ? `The trip is longer than the ${rule.max_stay_days} days allowed in ${name}; check the days spent there`
+          : `A ${stayDays}-day stay is longer than the ${rule.max_stay_days} days allowed in ${name}`
+      });
+    }
+
+    // Coming back to the country after visiting another one is a second entry
+    const previousVisit = stays.slice(0, index).map(other => other.code).lastIndexOf(stay.code);
+    const reEntry = previousVisit >= 0 && previousVisit < index - 1;
+    if (reEntry && rule && !rule.multiple_entry && !UNRESTRICTED_REQUIREMENTS.includes(requirement)) {
+      warnings.push({
+        code: 'multiple_entry_needed',
+        message: `${name} is entered more than once; a single-entry ${REQUIREMENT_LABELS[requirement].toLowerCase()} does not cover re-entry`
+      });
+    }
+
+    return {
+      country: this.describeCountry(stay.code, active),
+      arrival: stay.arrival,
+      departure: stay.departure,
+      stay_days: stayDays,
+      dates_estimated: stay.estimated,
+      requirement,
+      label: REQUIREMENT_LABELS[requirement],
+      action_required: PRE_TRAVEL_REQUIREMENTS.includes(requirement),
+      max_stay_days: rule ? rule.max_stay_days || null : null,
+      multiple_entry: rule ? rule.multiple_entry : null,
+      transit: rule ? rule.transit : null,
+      effective_from: rule ? toDate(rule.effective_from) : null,
+      notes: [rule && rule.notes, country && country.notes].filter(Boolean),
+      passport: country ? {
+        validity_months: country.passport_validity_months,
+        validity_from: country.passport_validity_from,
+        blank_pages: country.blank_pages
+      } : null,
+      warnings
+    };
+  }
+
+  /**
+   * Shared stay allowance of countries in one zone: days in the zone within any period_days window
+   */
+  evaluateZones(results, zoneDefinitions) {
+    const zones = new Map();
+    results.forEach((result) => {
+      const zone = result.country.zone;
+      if (!zone || !zoneDefinitions[zone]) return;
+      if (!zones.has(zone)) zones.set(zone, []);
+      zones.get(zone).push(result);
+    });
+
+    return [...zones.entries()]
+      .filter(([, members]) => new Set(members.map(member => member.country.code)).size > 1)
+      .map(([code, members]) => {
+        const definition = zoneDefinitions[code];
+        const days = new Set();
+        members.forEach((member) => {
+          if (!member.arrival || !member.departure) return;
+          for (const day = moment(member.arrival); !day.isAfter(member.departure); day.add(1, 'day')) {
+            days.add(day.format(DATE_FORMAT));
+          }
+        });
+        const sortedDays = [...days].sort();
+        const period = definition.period_days || Infinity;
+        const maxDaysInPeriod = sortedDays.reduce((max, day, index) => {
+          const windowStart = moment(day).subtract(period - 1, 'days').format(DATE_FORMAT);
+          return Math.max(max, sortedDays.slice(0, index + 1).filter(other => other >= windowStart).length);
+        }, 0);
+
+        const requirement = members[0].requirement;
+        const freeMovement = members.every(member => ['citizen', 'freedom_of_movement'].includes(member.requirement));
+        const warnings = [];
+        if (!freeMovement && definition.max_stay_days && maxDaysInPeriod > definition.max_stay_days) {
+          warnings.push({
+            code: 'exceeds_zone_stay',
+            message: `${maxDaysInPeriod} days in the ${definition.name} is more than the ${definition.max_stay_days} days allowed` +
+              (definition.period_days ? ` in any ${definition.period_days}-day period` : '')
+          });
+        }
+
+        // Visas for a zone are applied for at the consulate of the main destination (the longest stay)
+        const mainDestination = members.reduce((main, member) => ((member.stay_days || 0) > (main.stay_days || 0) ? member : main));
+        return {
+          code,
+          name: definition.name,
+          countries: [...new Set(members.map(member => member.country.code))],
+          days: sortedDays.length,
+          max_stay_days: freeMovement ? null : definition.max_stay_days || null,
+          period_days: definition.period_days || null,
+          requirement,
+          single_authorization: PRE_TRAVEL_REQUIREMENTS.includes(requirement),
+          main_destination: PRE_TRAVEL_REQUIREMENTS.includes(requirement) ? mainDestination.country : null,
+          warnings
+        };
+      });
+  }
+
+  /**
+   * Transit needs of a multi-country trip: countries only connected through and one-day stops between destinations
+   */
+  evaluateTransits(stays, transitCodes, active, ruleOn) {
+    const stops = transitCodes.map(code => ({ code, date: stays.length > 0 ? stays[0].arrival : null, explicit: true }));
+    stays.forEach((stay, index) => {
+      if (index > 0 && index < stays.length - 1 && stay.arrival && stay.arrival === stay.departure) {
+        stops.push({ code: stay.code, date: stay.arrival, explicit: false });
+      }
+    });
+
+    return stops.map(({ code, date, explicit }) => {
+      const rule = ruleOn(code, date);
+      const country = this.describeCountry(code, active);
+      const transit = rule ? rule.transit : null;
+      const warnings = [];
+      if (!rule) {
+        warnings.push({ code: 'transit_unknown', message: `No transit information for ${country.name}` });
+      } else if (transit === 'required') {
+        warnings.push({
+          code: 'transit_authorization_required',
+          message: `Connecting through ${country.name} needs the same authorization as entering it` +
+            (rule.notes ? ` (${rule.notes})` : '')
+        });
+      } else if (transit === 'airside_only') {
+        warnings.push({
+          code: 'airside_transit_only',
+          message: `Stay in the international transit area in ${country.name}; leaving the airport needs a ${REQUIREMENT_LABELS[rule.requirement].toLowerCase()}`
+        });
+      }
+
+      return {
+        country,
+        date,
+        from_itinerary: !explicit,
+        requirement: rule ? rule.requirement : 'unknown',
+        transit,
+        action_required: transit === 'required' && PRE_TRAVEL_REQUIREMENTS.includes(rule.requirement),
+        warnings
+      };
+    });
+  }
+
+  /**
+   * Date the passport has to be valid until, the strictest of all destinations
+   */
+  evaluatePassport(results, passportExpiry) {
+    let required = null;
+    let blankPages = 0;
+    const warnings = [];
+    results.forEach((result) => {
+      if (!result.passport) return;
+      blankPages = Math.max(blankPages, result.passport.blank_pages);
+      const from = result.passport.validity_from === 'arrival' ? result.arrival : result.departure;
+      if (!from) return;
+
+      const validUntil = moment(from).add(result.passport.validity_months, 'months').format(DATE_FORMAT);
+      result.passport.valid_until = validUntil;
+      if (!required || validUntil > required.date) required = { date: validUntil, country: result.country };
+      if (passportExpiry && toDate(passportExpiry) < validUntil) {
+        warnings.push({
+          code: 'passport_validity',
+          message: `${result.country.name} requires the passport to be valid until ${validUntil}`
+        });
+      }
+    });
+
+    return {
+      valid_until: required ? required.date : null,
+      strictest_country: required ? required.country : null,
+      blank_pages: blankPages,
+      expiry: toDate(passportExpiry),
+      warnings
+    };
+  }
+}
+
+module.exports = EntryRequirementsService;
@@ -0,0 +1,187 @@
+/**
+ * Fare Calendar Service
+ * Finds the lowest fare per travel date around a requested date (±N days) or across a whole month.
+ * Every date, or departure/return pair for round trips, is a separate flight search; they run a few at a
+ * time and go through the search cache, so a calendar right after a search (or a second look at the same month)
+ * costs few API calls. Dates missing from the cache are searched upstream only up to a per-request cap, nearest
+ * to the requested dates first; the rest come back as skipped cells.
+ */
+
+const winston = require('winston');
+const moment = require('moment');
+const FlightSearchService = require('./flightSearchService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'fare-calendar-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const MAX_CONCURRENT_SEARCHES = parseInt(process.env.FARE_CALENDAR_CONCURRENCY) || 3;
+const MAX_UPSTREAM_SEARCHES = parseInt(process.env.FARE_CALENDAR_MAX_UPSTREAM_SEARCHES) || 15;
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Run fn over items with at most `limit` calls in flight, keeping the input order in the results
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+class FareCalendarService {
+  constructor(flightSearch = new FlightSearchService()) {
+    this.flightSearch = flightSearch;
+  }
+
+  /**
+   * Travel dates to search
+   * @param {Object} params - { mode, departureDate, returnDate, flexDays }
+   * @returns {Array<Object>} - [{ departureDate, returnDate }] in the future only
+   */
+  getDatePairs({ mode, departureDate, returnDate, flexDays = 3 }) {
+    const today = moment().startOf('day');
+    const departure = moment(departureDate, DATE_FORMAT);
+    const stayNights = returnDate ? moment(returnDate, DATE_FORMAT).diff(departure, 'days') : null;
+
+    let departures;
+    if (mode === 'month') {
+      const first = moment.max(departure.clone().startOf('month'), today);
+      const last = departure.clone().endOf('month').startOf('day');
+      departures = [];
+      for (const day = first.clone(); day.isSameOrBefore(last); day.add(1, 'day')) departures.push(day.clone());
+    } else {
+      departures = [];
+      for (let offset = -flexDays; offset <= flexDays; offset++) {
+        const day = departure.clone().add(offset, 'days');
+        if (day.isSameOrAfter(today)) departures.push(day);
+      }
+    }
+
+    if (stayNights === null) {
+      return departures.map(day => ({ departureDate: day.format(DATE_FORMAT), returnDate: null }));
+    }
+
+    // A month keeps the requested trip length; ±N days varies both ends for a departure × return matrix
+    if (mode === 'month') {
+      return departures.map(day => ({
+        departureDate: day.format(DATE_FORMAT),
+        returnDate: day.clone().add(stayNights, 'days').format(DATE_FORMAT)
+      }));
+    }
+    const returnBase = moment(returnDate, DATE_FORMAT);
+    const pairs = [];
+    departures.forEach((day) => {
+      for (let offset = -flexDays; offset <= flexDays; offset++) {
+        const back = returnBase.clone().add(offset, 'days');
+        if (back.isSameOrAfter(day)) {
+          pairs.push({ departureDate: day.format(DATE_FORMAT), returnDate: back.format(DATE_FORMAT) });
+        }
+      }
+    });
+    return pairs;
+  }
+
+  /**
+   * Search one date pair
+   * @param {Object} searchParams - Flight search parameters with concrete dates
+   * @param {Object} [options] - { cacheOnly } resolves to null instead of searching upstream on a cache miss;
+   *   { counted } when a cacheOnly lookup already counted the date in the cache stats
+   * @returns {Promise<Object|null>} - { price, resultsCount, cached, error }
+   */
+  async searchDate(searchParams, options = {}) {
+    let results;
+    try {
+      results = await this.flightSearch.searchFlights(searchParams, options);
+      if (results === null) return null;
+    } catch (err) {
+      // A date without flights is an empty cell, not a failure
+      if (err.message.startsWith('No flights found')) {
+        return { price: null, resultsCount: 0, cached: false, error: null };
+      }
+      return { price: null, resultsCount: 0, cached: false, error: err.message };
+    }
+
+    const prices = (results.results?.flights || []).map(flight => flight.price?.total).filter(price => price > 0);
+    return {
+      price: prices.length > 0 ? Math.min(...prices) : null,
+      resultsCount: prices.length,
+      cached: !!results.meta?.cache?.hit,
+      error: null
+    };
+  }
+
+  /**
+   * Build the fare calendar
+   * @param {Object} params - Validated search: { origin, destination, departureDate, returnDate, mode, flexDays,
+   *   adults, children, infants, cabinClass, currency }
+   * @returns {Promise<Object>} - { mode, tripType, currency, stayNights, departureDates, returnDates, cells, cheapest, stats }
+   */
+  async getFareCalendar(params) {
+    const { mode, flexDays, ...searchParams } = params;
+    const pairs = this.getDatePairs({ mode, departureDate: params.departureDate, returnDate: params.returnDate, flexDays });
+
+    const searchFor = pair => ({ ...searchParams, ...pair, returnDate: pair.returnDate || undefined });
+
+    // Cached dates are free; only the ones nearest the requested dates go upstream
+    const cached = await mapWithConcurrency(pairs, MAX_CONCURRENT_SEARCHES,
+      pair => this.searchDate(searchFor(pair), { cacheOnly: true }));
+    const distance = pair => Math.abs(moment(pair.departureDate, DATE_FORMAT).diff(moment(params.departureDate, DATE_FORMAT), 'days'))
+      + (pair.returnDate ? Math.abs(moment(pair.returnDate, DATE_FORMAT).diff(moment(params.returnDate, DATE_FORMAT), 'days')) : 0);
+    const toFetch = pairs
+      .map((pair, index) => index)
+      .filter(index => cached[index] === null)
+      .sort((a, b) => distance(pairs[a]) - distance(pairs[b]))
+      .slice(0, MAX_UPSTREAM_SEARCHES);
+    const fetched = await mapWithConcurrency(toFetch, MAX_CONCURRENT_SEARCHES,
+      index => this.searchDate(searchFor(pairs[index]), { counted: true }));
+    toFetch.forEach((index, i) => { cached[index] = fetched[i]; });
+
+    const cells = pairs.map((pair, index) => ({
+      ...pair,
+      ...(cached[index] || { price: null, resultsCount: 0, cached: false, error: null, skipped: true })
+    }));
+
+    const priced = cells.filter(cell => cell.price !== null);
+    const cheapest = priced.reduce((best, cell) => (!best || cell.price < best.price ? cell : best), null);
+    const stats = {
+      searches: cells.length,
+      fromCache: cells.filter(cell => cell.cached).length,
+      failed: cells.filter(cell => cell.error).length,
+      skipped: cells.filter(cell => cell.skipped).length
+    };
+    logger.info('Fare calendar built', { origin: params.origin, destination: params.destination, mode, ...stats });
+
+    return {
+      mode,
+      tripType: params.returnDate ? 'roundtrip' : 'oneway',
+      currency: searchParams.currency || 'USD',
+      stayNights: params.returnDate ? moment(params.returnDate, DATE_FORMAT).diff(moment(params.departureDate, DATE_FORMAT), 'days') : null,
+      departureDates: [...new Set(cells.map(cell => cell.departureDate))],
+      returnDates: params.returnDate ? [...new Set(cells.map(cell => cell.returnDate))].sort() : [],
+      cells,
+      cheapest,
+      stats
+    };
+  }
+}
+
+module.exports = FareCalendarService;
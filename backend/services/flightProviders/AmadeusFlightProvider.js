@@ -0,0 +1,124 @@
+/**
+ * Amadeus Provider
+ * Adapter over the Amadeus Flight Offers Search API. The client is only created when AMADEUS_CLIENT_ID and
+ * AMADEUS_CLIENT_SECRET are set, since the SDK refuses to start without them.
+ */
+
+const Amadeus = require('amadeus');
+const FlightProvider = require('./FlightProvider');
+const { parseDurationMinutes, toLocalTime, normalizeFlightNumber } = require('./offerUtils');
+
+const MAX_OFFERS = 50;
+
+class AmadeusFlightProvider extends FlightProvider {
+  constructor(options = {}) {
+    super('amadeus', options);
+    this.hostname = process.env.AMADEUS_HOSTNAME || 'test';
+    this.client = options.client || null;
+    if (!this.client && process.env.AMADEUS_CLIENT_ID && process.env.AMADEUS_CLIENT_SECRET) {
+      this.client = new Amadeus({
+        clientId: process.env.AMADEUS_CLIENT_ID,
+        clientSecret: process.env.AMADEUS_CLIENT_SECRET,
+        hostname: this.hostname,
+        logLevel: 'silent'
+      });
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async searchOffers(searchParams) {
+    const {
+      origin,
+      destination,
+      departureDate,
+      returnDate,
+      adults = 1,
+      children = 0,
+      infants = 0,
+      cabinClass = 'ECONOMY',
+      currency = 'USD'
+    } = searchParams;
+
+    let response;
+    try {
+      response = await this.client.shopping.flightOffersSearch.get({
+        originLocationCode: origin,
+        destinationLocationCode: destination,
+        departureDate,
+        ...(returnDate && { returnDate }),
+        adults,
+        ...(children > 0 && { children }),
+        ...(infants > 0 && { infants }),
+        travelClass: String(cabinClass).toUpperCase(),
+        currencyCode: currency,
+        max: MAX_OFFERS
+      });
+    } catch (err) {
+      const status = err.response?.statusCode;
+      if (status === 401) throw new Error('Invalid API key. Please check your Amadeus credentials.');
+      if (status === 429) throw new Error('API rate limit exceeded. Please try again later.');
+      const detail = err.response?.result?.errors?.[0]?.detail || err.description?.[0]?.detail || err.message;
+      throw new Error(`Flight search failed: ${detail || err.code || 'Amadeus error'}`);
+    }
+
+    const carriers = response.result?.dictionaries?.carriers || {};
+    return (response.data || []).map((offer) => {
+      const itineraries = offer.itineraries || [];
+      const segments = itineraries.flatMap(itinerary => itinerary.segments.map(segment => ({
+        flightNumber: normalizeFlightNumber(segment.number, segment.carrierCode),
+        airline: { code: segment.carrierCode, name: carriers[segment.carrierCode] || segment.carrierCode },
+        departure: { airport: segment.departure.iataCode, time: toLocalTime(segment.departure.at), terminal: segment.departure.terminal },
+        arrival: { airport: segment.arrival.iataCode, time: toLocalTime(segment.arrival.at), terminal: segment.arrival.terminal },
+        duration: parseDurationMinutes(segment.duration),
+        aircraft: segment.aircraft?.code
+      })));
+      const outbound = itineraries[0]?.segments || [];
+      const validatingCode = offer.validatingAirlineCodes?.[0] || outbound[0]?.carrierCode;
+      const durations = itineraries.map(itinerary => parseDurationMinutes(itinerary.duration));
+      const total = parseFloat(offer.price?.grandTotal || offer.price?.total || 0);
+      const base = parseFloat(offer.price?.base);
+
+      return {
+        id: `${this.name}:${offer.id}`,
+        provider: this.name,
+        price: {
+          total,
+          currency: offer.price?.currency || currency,
+          pricePerAdult: Math.round(total / adults),
+          // Amadeus quotes the fare before taxes; the difference to the total is taxes and surcharges
+          taxes: isNaN(base) ? 0 : Math.round((total - base) * 100) / 100
+        },
+        airline: { code: validatingCode, name: carriers[validatingCode] || validatingCode },
+        segments,
+        departure: {
+          airport: outbound[0]?.departure.iataCode || origin,
+          time: toLocalTime(outbound[0]?.departure.at),
+          date: departureDate
+        },
+        arrival: {
+          airport: outbound[outbound.length - 1]?.arrival.iataCode || destination,
+          time: toLocalTime(outbound[outbound.length - 1]?.arrival.at),
+          date: outbound[outbound.length - 1]?.arrival.at?.slice(0, 10) || departureDate
+        },
+        duration: { total: durations.includes(null) ? null : durations.reduce((sum, minutes) => sum + minutes, 0) },
+        stops: itineraries.reduce((sum, itinerary) => sum + Math.max(itinerary.segments.length - 1, 0), 0),
+        cabinClass: offer.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.cabin || cabinClass,
+        tripType: itineraries.length > 1 ? 'roundtrip' : 'oneway'
+      };
+    });
+  }
+
+  getStatus() {
+    return {
+      service: 'Amadeus Flight Offers Search',
+      status: this.isConfigured() ? 'configured' : 'not_configured',
+      hostname: this.hostname,
+      ...this.getHealthReport()
+    };
+  }
+}
+
+module.exports = AmadeusFlightProvider;
@@ -0,0 +1,123 @@
+/**
+ * Fixture Flight Provider
+ * Offline provider for development and tests. Offers are built from fixtures/flightOffers.json and picked from a
+ * hash of the search, so the same search always returns the same offers and no network calls are made.
+ *
+ * Routes listed in noFlightRoutes (e.g. AAA-ZZZ) return no offers. Pass { delayMs } or { failWith } to simulate a
+ * slow or failing source.
+ */
+
+const crypto = require('crypto');
+const FlightProvider = require('./FlightProvider');
+const defaultFixture = require('./fixtures/flightOffers.json');
+
+// Add minutes to a local "YYYY-MM-DDTHH:mm" time without involving the server's time zone
+const addMinutes = (localTime, minutes) => new Date(new Date(`${localTime}:00Z`).getTime() + minutes * 60000)
+  .toISOString().slice(0, 16);
+
+class FixtureFlightProvider extends FlightProvider {
+  constructor(options = {}) {
+    super('fixture', { timeoutMs: 2000, ...options });
+    this.fixture = options.fixture || defaultFixture;
+    this.delayMs = options.delayMs || 0;
+    this.failWith = options.failWith || null;
+  }
+
+  async searchOffers(searchParams) {
+    if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    if (this.failWith) throw new Error(this.failWith);
+
+    const { origin, destination, departureDate, returnDate } = searchParams;
+    const route = `${origin}-${destination}`;
+    if (this.fixture.noFlightRoutes.includes(route)) return [];
+
+    const searchHash = crypto.createHash('sha256').update(`${route}|${departureDate}|${returnDate || ''}`).digest();
+    // Flight numbers depend on the route only, so a flight keeps its number from day to day
+    const routeHash = crypto.createHash('sha256').update(route).digest();
+    const schedules = this.fixture.schedules;
+    const start = searchHash[0] % schedules.length;
+    const picked = Array.from({ length: Math.min(this.fixture.offersPerSearch, schedules.length) },
+      (_, index) => schedules[(start + index) % schedules.length]);
+
+    return picked.map((schedule, index) => {
+      const outbound = this.buildSegments(schedule, origin, destination, departureDate, routeHash[index]);
+      const inbound = returnDate
+        ? this.buildSegments(schedule, destination, origin, returnDate, routeHash[index] + 1)
+        : [];
+      const variation = 0.9 + (searchHash[index + 1] / 255) * 0.2;
+
+      return {
+        id: `${this.name}:${route}:${departureDate}:${schedule.carrier}${schedule.number}`,
+        provider: this.name,
+        price: this.buildPrice(searchParams, schedule, variation),
+        airline: { code: schedule.carrier, name: this.fixture.carriers[schedule.carrier] },
+        segments: [...outbound, ...inbound],
+        departure: { airport: origin, time: outbound[0].departure.time, date: departureDate },
+        arrival: {
+          airport: destination,
+          time: outbound[outbound.length - 1].arrival.time,
+          date: outbound[outbound.length - 1].arrival.time.slice(0, 10)
+        },
+        duration: { total: schedule.durationMinutes * (returnDate ? 2 : 1) },
+        stops: schedule.stops * (returnDate ? 2 : 1),
+        cabinClass: searchParams.cabinClass || 'ECONOMY',
+        tripType: returnDate ? 'roundtrip' : 'oneway'
+      };
+    });
+  }
+
+  /**
+   * Split a scheduled flight into segments through the carrier's hubs
+   */
+  buildSegments(schedule, origin, destination, date, numberOffset) {
+    const hubs = [this.fixture.hubs[schedule.carrier], ...this.fixture.secondaryHubs]
+      .filter(hub => hub !== origin && hub !== destination)
+      .slice(0, schedule.stops);
+    const airports = [origin, ...hubs, destination];
+    // Flying time is shared evenly; connections take the rest
+    const layoverMinutes = 75;
+    const flyingMinutes = Math.round((schedule.durationMinutes - layoverMinutes * hubs.length) / (hubs.length + 1));
+
+    let time = `${date}T${schedule.departure}`;
+    return airports.slice(1).map((airport, index) => {
+      const departureTime = time;
+      const arrivalTime = addMinutes(departureTime, flyingMinutes);
+      time = addMinutes(arrivalTime, layoverMinutes);
+      return {
+        flightNumber: `${schedule.carrier}${schedule.number + (numberOffset % 40) * 10 + index}`,
+        airline: { code: schedule.carrier, name: this.fixture.carriers[schedule.carrier] },
+        departure: { airport: airports[index], time: departureTime, terminal: null },
+        arrival: { airport, time: arrivalTime, terminal: null },
+        duration: flyingMinutes,
+        aircraft: null
+      };
+    });
+  }
+
+  buildPrice(searchParams, schedule, variation) {
+    const { origin, destination, returnDate, adults = 1, children = 0, infants = 0, cabinClass = 'ECONOMY', currency = 'USD' } = searchParams;
+    const fixture = this.fixture;
+    const baseFare = fixture.baseFares[`${origin}-${destination}`] || fixture.defaultBaseFare;
+    const perAdult = baseFare * schedule.fareFactor * variation *
+      (fixture.cabinFactors[String(cabinClass).toUpperCase()] || 1) *
+      (returnDate ? fixture.returnFareFactor : 1);
+    const total = perAdult * (adults + children * fixture.childFareFactor + infants * fixture.infantFareFactor);
+
+    return {
+      total: Math.round(total * 100) / 100,
+      currency,
+      pricePerAdult: Math.round(perAdult)
+    };
+  }
+
+  getStatus() {
+    return {
+      service: 'Fixture Flights (offline)',
+      status: 'configured',
+      routesWithFares: Object.keys(this.fixture.baseFares).length,
+      ...this.getHealthReport()
+    };
+  }
+}
+
+module.exports = FixtureFlightProvider;
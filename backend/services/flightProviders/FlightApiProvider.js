@@ -0,0 +1,57 @@
+/**
+ * FlightAPI.io Provider
+ * Adapter over FlightApiService.
+ */
+
+const FlightProvider = require('./FlightProvider');
+const FlightApiService = require('../flightApiService');
+const { parseDurationMinutes, toLocalTime, normalizeFlightNumber } = require('./offerUtils');
+
+class FlightApiProvider extends FlightProvider {
+  constructor(options = {}) {
+    super('flightapi', options);
+    this.service = options.service || new FlightApiService();
+  }
+
+  isConfigured() {
+    return !!this.service.apiKey;
+  }
+
+  async searchOffers(searchParams) {
+    let results;
+    try {
+      results = await this.service.searchFlights(searchParams);
+    } catch (err) {
+      if (err.message.startsWith('No flights found')) return [];
+      throw err;
+    }
+
+    return (results.results?.flights || []).map(flight => ({
+      id: `${this.name}:${flight.id}`,
+      provider: this.name,
+      price: flight.price,
+      airline: flight.airline,
+      segments: flight.segments.map(segment => ({
+        ...segment,
+        flightNumber: normalizeFlightNumber(segment.flightNumber, segment.airline?.code),
+        departure: { ...segment.departure, time: toLocalTime(segment.departure.time, searchParams.departureDate) },
+        arrival: { ...segment.arrival, time: toLocalTime(segment.arrival.time, searchParams.departureDate) }
+      })),
+      departure: { ...flight.departure, time: toLocalTime(flight.departure.time, searchParams.departureDate) },
+      arrival: { ...flight.arrival, time: toLocalTime(flight.arrival.time, searchParams.departureDate) },
+      duration: { total: parseDurationMinutes(flight.duration?.total) },
+      stops: flight.stops,
+      cabinClass: flight.bookingClass,
+      tripType: flight.tripType
+    }));
+  }
+
+  getStatus() {
+    return {
+      ...this.service.getStatus(),
+      ...this.getHealthReport()
+    };
+  }
+}
+
+module.exports = FlightApiProvider;
@@ -0,0 +1,121 @@
+/**
+ * Flight Provider Interface
+ * Every flight source adapter extends this class and implements searchOffers(), returning offers in the common
+ * offer schema below so results from different sources can be merged and compared.
+ *
+ * Offer schema:
+ *   {
+ *     id, provider,
+ *     price: { total, currency, pricePerAdult, taxes? },   // taxes: part of total, when the source itemizes them
+ *     airline: { code, name },
+ *     segments: [{ flightNumber, airline: { code, name }, departure: { airport, time, terminal },
+ *                  arrival: { airport, time, terminal }, duration, aircraft }],
+ *     departure: { airport, time, date }, arrival: { airport, time, date },
+ *     duration: { total },   // minutes, null when unknown
+ *     stops, cabinClass, tripType
+ *   }
+ * Times are local airport times as "YYYY-MM-DDTHH:mm" when the source provides a date, otherwise as given.
+ */
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.FLIGHT_PROVIDER_TIMEOUT_MS) || 15000;
+// Consecutive failures after which a provider is reported as down instead of degraded
+const DOWN_AFTER_FAILURES = 3;
+
+class FlightProvider {
+  /**
+   * @param {string} name - Provider name used in FLIGHT_PROVIDERS and on offers
+   * @param {Object} [options] - { timeoutMs }
+   */
+  constructor(name, options = {}) {
+    if (new.target === FlightProvider) {
+      throw new Error('FlightProvider is an interface and cannot be instantiated directly');
+    }
+    this.name = name;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.health = {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      lastLatencyMs: null,
+      averageLatencyMs: null
+    };
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Search flight offers
+   * @param {Object} searchParams - { origin, destination, departureDate, returnDate?, adults, children, infants,
+   *   cabinClass, currency }
+   * @returns {Promise<Array<Object>>} - Offers in the common schema; an empty array when there are no flights
+   */
+  async searchOffers() {
+    throw new Error(`${this.name}: searchOffers() is not implemented`);
+  }
+
+  /**
+   * Record the outcome of a search for the health report
+   * @param {boolean} success - Whether the search succeeded
+   * @param {number} latencyMs - Time the search took
+   * @param {Error} [error] - Failure reason
+   */
+  recordResult(success, latencyMs, error) {
+    const health = this.health;
+    if (success) {
+      health.successes++;
+      health.consecutiveFailures = 0;
+      health.lastSuccessAt = new Date().toISOString();
+      const count = health.successes;
+      health.averageLatencyMs = Math.round(((health.averageLatencyMs || 0) * (count - 1) + latencyMs) / count);
+    } else {
+      health.failures++;
+      health.consecutiveFailures++;
+      health.lastFailureAt = new Date().toISOString();
+      health.lastError = error?.message || null;
+    }
+    health.lastLatencyMs = latencyMs;
+  }
+
+  /**
+   * Health derived from recent results
+   * @returns {string} - not_configured, unknown, healthy, degraded or down
+   */
+  getHealth() {
+    if (!this.isConfigured()) return 'not_configured';
+    if (this.health.consecutiveFailures >= DOWN_AFTER_FAILURES) return 'down';
+    if (this.health.consecutiveFailures > 0) return 'degraded';
+    return this.health.successes > 0 ? 'healthy' : 'unknown';
+  }
+
+  /**
+   * Get provider status
+   * @returns {Object} - Provider status with health
+   */
+  getStatus() {
+    return {
+      service: this.name,
+      status: this.isConfigured() ? 'configured' : 'not_configured',
+      ...this.getHealthReport()
+    };
+  }
+
+  getHealthReport() {
+    return {
+      provider: this.name,
+      health: this.getHealth(),
+      timeoutMs: this.timeoutMs,
+      ...this.health
+    };
+  }
+}
+
+module.exports = FlightProvider;
@@ -0,0 +1,67 @@
+/**
+ * Google Flights Provider
+ * Adapter over GoogleFlightsService (RapidAPI Google Flights2).
+ */
+
+const FlightProvider = require('./FlightProvider');
+const GoogleFlightsService = require('../googleFlightsService');
+const { parseDurationMinutes, toLocalTime, normalizeFlightNumber } = require('./offerUtils');
+
+class GoogleFlightsProvider extends FlightProvider {
+  constructor(options = {}) {
+    super('google', options);
+    this.service = options.service || new GoogleFlightsService();
+  }
+
+  isConfigured() {
+    return !!this.service.apiKey;
+  }
+
+  async searchOffers(searchParams) {
+    const results = await this.service.searchFlights(searchParams);
+
+    return (results.results?.flights || []).map((flight) => {
+      const segments = flight.segments.map(segment => ({
+        flightNumber: normalizeFlightNumber(segment.flightNumber, segment.airline?.code),
+        airline: segment.airline,
+        departure: {
+          airport: segment.departure.airport,
+          time: toLocalTime(segment.departure.time),
+          terminal: segment.departure.terminal
+        },
+        arrival: {
+          airport: segment.arrival.airport,
+          time: toLocalTime(segment.arrival.time),
+          terminal: segment.arrival.terminal
+        },
+        duration: parseDurationMinutes(segment.duration),
+        aircraft: segment.aircraft
+      }));
+      const first = segments[0];
+      const last = segments[segments.length - 1];
+
+      return {
+        id: `${this.name}:${flight.id}`,
+        provider: this.name,
+        price: { ...flight.price, total: parseFloat(flight.price.total) || 0 },
+        airline: flight.airline,
+        segments,
+        departure: { airport: first?.departure.airport || searchParams.origin, time: first?.departure.time || null, date: searchParams.departureDate },
+        arrival: { airport: last?.arrival.airport || searchParams.destination, time: last?.arrival.time || null, date: last?.arrival.time?.slice(0, 10) || searchParams.departureDate },
+        duration: { total: parseDurationMinutes(flight.duration?.total) },
+        stops: flight.stops,
+        cabinClass: searchParams.cabinClass,
+        tripType: searchParams.returnDate ? 'roundtrip' : 'oneway'
+      };
+    });
+  }
+
+  getStatus() {
+    return {
+      ...this.service.getStatus(),
+      ...this.getHealthReport()
+    };
+  }
+}
+
+module.exports = GoogleFlightsProvider;
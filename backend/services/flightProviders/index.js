@@ -0,0 +1,75 @@
+/**
+ * Flight Provider Registry
+ * Resolves flight source adapters by name. Searches fan out to the providers listed in FLIGHT_PROVIDERS
+ * (comma separated, defaults to 'flightapi,google,amadeus') that are configured. Set FLIGHT_PROVIDERS=fixture to
+ * work offline.
+ */
+
+const FlightApiProvider = require('./FlightApiProvider');
+const GoogleFlightsProvider = require('./GoogleFlightsProvider');
+const AmadeusFlightProvider = require('./AmadeusFlightProvider');
+const FixtureFlightProvider = require('./FixtureFlightProvider');
+
+const DEFAULT_PROVIDERS = 'flightapi,google,amadeus';
+
+const providers = new Map();
+
+/**
+ * Register a provider instance under its name
+ * @param {FlightProvider} provider - Provider adapter instance
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {FlightProvider} - Provider adapter
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    const error = new Error(`Unknown flight provider: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+  return provider;
+};
+
+/**
+ * Names of the providers enabled through FLIGHT_PROVIDERS
+ * @returns {Array<string>}
+ */
+const getEnabledProviderNames = () => (process.env.FLIGHT_PROVIDERS || DEFAULT_PROVIDERS)
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+/**
+ * Providers to search: the requested ones, or every enabled one, that are configured
+ * @param {Array<string>} [names] - Provider names, defaults to the enabled providers
+ * @returns {Array<FlightProvider>} - Provider adapters
+ */
+const getSearchProviders = (names = getEnabledProviderNames()) => names
+  .map(getProvider)
+  .filter(provider => provider.isConfigured());
+
+/**
+ * Every registered provider
+ * @returns {Array<FlightProvider>}
+ */
+const getAllProviders = () => [...providers.values()];
+
+registerProvider(new FlightApiProvider());
+registerProvider(new GoogleFlightsProvider());
+registerProvider(new AmadeusFlightProvider());
+registerProvider(new FixtureFlightProvider());
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getEnabledProviderNames,
+  getSearchProviders,
+  getAllProviders
+};
@@ -0,0 +1,54 @@
+/**
+ * Offer normalization helpers shared by the flight provider adapters
+ */
+
+/**
+ * Parse a flight duration into minutes ("PT5H30M", "5h 30m", "330" or a number of minutes)
+ * @param {string|number} duration - Duration as returned by a flight source
+ * @returns {number|null} - Minutes, or null when unknown
+ */
+const parseDurationMinutes = (duration) => {
+  if (duration === null || duration === undefined || duration === '') return null;
+  if (typeof duration === 'number') return Math.round(duration);
+  if (/^\d+$/.test(duration)) return parseInt(duration);
+
+  const text = String(duration).toUpperCase();
+  const part = (unit) => parseInt(text.match(new RegExp(`(\\d+)\\s*${unit}`))?.[1] || 0);
+  const minutes = part('D') * 24 * 60 + part('H') * 60 + part('M');
+  return minutes > 0 ? minutes : null;
+};
+
+/**
+ * Normalize a local departure/arrival time to "YYYY-MM-DDTHH:mm"
+ * @param {string} time - "2026-11-02T07:30:00", "2026-11-02 07:30" or "07:30"
+ * @param {string} [date] - Date (YYYY-MM-DD) to use when the time has none
+ * @returns {string|null} - Normalized time, the input when it cannot be read, or null when missing
+ */
+const toLocalTime = (time, date) => {
+  if (!time) return null;
+  const full = String(time).match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}):(\d{2})/);
+  if (full) return `${full[1]}T${full[2].padStart(2, '0')}:${full[3]}`;
+  const clock = String(time).match(/^(\d{1,2}):(\d{2})/);
+  if (clock && date) return `${date}T${clock[1].padStart(2, '0')}:${clock[2]}`;
+  return String(time);
+};
+
+/**
+ * Normalize a flight number to carrier code + number ("BA 117", "117" with carrier BA -> "BA117")
+ * @param {string|number} flightNumber - Flight number from the source
+ * @param {string} [carrierCode] - Marketing carrier when the number has none
+ * @returns {string|null} - Normalized flight number
+ */
+const normalizeFlightNumber = (flightNumber, carrierCode) => {
+  if (flightNumber === null || flightNumber === undefined || flightNumber === '') return null;
+  const compact = String(flightNumber).replace(/\s+/g, '').toUpperCase();
+  if (/^\d+$/.test(compact) && carrierCode) return `${String(carrierCode).toUpperCase()}${parseInt(compact)}`;
+  // Drop leading zeros of the numeric part so "BA0117" and "BA117" match
+  return compact.replace(/^([A-Z0-9]{2})0+(\d)/, '$1$2');
+};
+
+module.exports = {
+  parseDurationMinutes,
+  toLocalTime,
+  normalizeFlightNumber
+};
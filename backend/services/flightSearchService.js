@@ -0,0 +1,250 @@
+/**
+ * Flight Search Service
+ * Searches every enabled flight provider (see services/flightProviders) in parallel, each with its own timeout,
+ * and merges their offers. The same flight sold by several sources is kept once, at the cheapest price, with the
+ * other prices listed under `sources`. A slow or failing provider only drops its own offers; the search fails
+ * only when every provider does. Results go through the search cache (services/searchCacheService.js).
+ */
+
+const winston = require('winston');
+const { getSearchProviders, getEnabledProviderNames, getAllProviders } = require('./flightProviders');
+const searchCache = require('./searchCacheService');
+const pricingRules = require('./pricingRulesService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'flight-search-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class FlightSearchService {
+  /**
+   * @param {Object} [options] - { providers } provider names to search instead of FLIGHT_PROVIDERS
+   */
+  constructor(options = {}) {
+    this.providerNames = options.providers || null;
+  }
+
+  getProviders() {
+    return getSearchProviders(this.providerNames || undefined);
+  }
+
+  /**
+   * Run one provider's search, giving up after its timeout
+   * @param {FlightProvider} provider - Provider adapter
+   * @param {Object} searchParams - Flight search parameters
+   * @returns {Promise<Array<Object>>} - Offers
+   */
+  async searchProvider(provider, searchParams) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${provider.name} did not respond within ${provider.timeoutMs}ms`);
+        error.timedOut = true;
+        reject(error);
+      }, provider.timeoutMs);
+    });
+
+    const startedAt = Date.now();
+    try {
+      const offers = await Promise.race([provider.searchOffers(searchParams), timeout]);
+      provider.recordResult(true, Date.now() - startedAt);
+      return offers;
+    } catch (err) {
+      provider.recordResult(false, Date.now() - startedAt, err);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Key identifying the same flight across providers: flight numbers and departure times of every segment
+   * @param {Object} offer - Normalized offer
+   * @returns {string|null} - Key, or null when the offer lacks the details to compare it
+   */
+  getFlightKey(offer) {
+    const segments = offer.segments || [];
+    if (segments.length === 0 || segments.some(segment => !segment.flightNumber || !segment.departure?.time)) {
+      return null;
+    }
+    return segments.map(segment => `${segment.flightNumber}@${segment.departure.time}`).join('+');
+  }
+
+  /**
+   * Keep each flight once, at its cheapest price
+   * @param {Array<Object>} offers - Offers from all providers
+   * @returns {Array<Object>} - De-duplicated offers, cheapest first
+   */
+  dedupeOffers(offers) {
+    const byFlight = new Map();
+    const unmatched = [];
+
+    offers.forEach((offer) => {
+      const key = this.getFlightKey(offer);
+      const source = { provider: offer.provider, offerId: offer.id, price: offer.price.total };
+      if (!key) {
+        unmatched.push({ ...offer, sources: [source] });
+        return;
+      }
+
+      const existing = byFlight.get(key);
+      if (!existing) {
+        byFlight.set(key, { ...offer, sources: [source] });
+      } else if (offer.price.total < existing.price.total) {
+        byFlight.set(key, { ...offer, sources: [...existing.sources, source] });
+      } else {
+        existing.sources.push(source);
+      }
+    });
+
+    return [...byFlight.values(), ...unmatched]
+      .map(offer => ({ ...offer, sources: offer.sources.sort((a, b) => a.price - b.price) }))
+      .sort((a, b) => a.price.total - b.price.total);
+  }
+
+  /**
+   * Search all providers and merge their offers
+   * @param {Object} searchParams - Flight search parameters
+   * @returns {Promise<Object>} - { offers, providers } providers reports each source's outcome
+   */
+  async searchOffers(searchParams) {
+    const providers = this.getProviders();
+    if (providers.length === 0) {
+      throw createError('No flight providers are configured', 503);
+    }
+
+    const settled = await Promise.allSettled(providers.map(provider => this.searchProvider(provider, searchParams)));
+    const report = settled.map((result, index) => ({
+      provider: providers[index].name,
+      status: result.status === 'fulfilled' ? 'ok' : (result.reason.timedOut ? 'timeout' : 'failed'),
+      offers: result.status === 'fulfilled' ? result.value.length : 0,
+      latencyMs: providers[index].health.lastLatencyMs,
+      ...(result.status === 'rejected' && { error: result.reason.message })
+    }));
+
+    const failures = settled.filter(result => result.status === 'rejected');
+    if (failures.length === settled.length) {
+      logger.warn('All flight providers failed', { report });
+      // Keep the provider's message so callers can still recognise rate limits and key problems
+      throw failures[0].reason;
+    }
+
+    const allOffers = settled.filter(result => result.status === 'fulfilled').flatMap(result => result.value);
+    const offers = this.dedupeOffers(allOffers);
+    logger.info('Flight providers searched', {
+      origin: searchParams.origin,
+      destination: searchParams.destination,
+      offers: offers.length,
+      duplicates: allOffers.length - offers.length,
+      providers: report.map(entry => `${entry.provider}:${entry.status}`).join(',')
+    });
+    return { offers, providers: report };
+  }
+
+  /**
+   * Search flights in the shape FlightApiService.searchFlights returns, so existing callers can switch over.
+   * Served from the search cache when possible; meta.cache tells whether it was. The cache holds supplier prices;
+   * pricing rules are applied afterwards so every flight's price carries its breakdown.
+   * @param {Object} searchParams - Flight search parameters
+   * @param {Object} [options] - { cacheOnly } answers from the cache only and resolves to null on a miss;
+   *   { counted } when a cacheOnly lookup already counted this search in the cache hit ratio
+   * @returns {Promise<Object|null>} - { success, searchParams, results: { flights, totalResults, tripType }, meta }
+   */
+  async searchFlights(searchParams, { cacheOnly = false, counted = false } = {}) {
+    const {
+      origin,
+      destination,
+      departureDate,
+      returnDate,
+      adults = 1,
+      children = 0,
+      infants = 0,
+      cabinClass = 'ECONOMY',
+      currency = 'USD'
+    } = searchParams;
+    // Only what providers are sent (and which providers) identifies a search
+    const cacheParams = {
+      providers: this.getProviders().map(provider => provider.name).sort(),
+      origin,
+      destination,
+      departureDate,
+      returnDate,
+      adults,
+      children,
+      infants,
+      cabinClass: String(cabinClass).toUpperCase(),
+      currency
+    };
+
+    const { value, cache } = await searchCache.getOrFetch(
+      'flight_search',
+      cacheParams,
+      () => this.fetchFlights(searchParams),
+      { cacheable: results => results.results.totalResults > 0, cacheOnly, counted }
+    );
+    if (value === null) return null;
+    const priced = await pricingRules.applyToFlightResults(value);
+    return { ...priced, meta: { ...priced.meta, cache } };
+  }
+
+  /**
+   * Search all providers now, bypassing the cache
+   * @param {Object} searchParams - Flight search parameters
+   * @returns {Promise<Object>} - Search results
+   */
+  async fetchFlights(searchParams) {
+    const { offers, providers } = await this.searchOffers(searchParams);
+    return {
+      success: true,
+      searchParams,
+      results: {
+        flights: offers,
+        totalResults: offers.length,
+        tripType: searchParams.returnDate ? 'roundtrip' : 'oneway'
+      },
+      meta: {
+        currency: searchParams.currency || 'USD',
+        searchTime: new Date().toISOString(),
+        provider: providers.filter(entry => entry.status === 'ok').map(entry => entry.provider).join(','),
+        providers
+      }
+    };
+  }
+
+  /**
+   * Status and health of every provider
+   * @returns {Object} - Service status
+   */
+  getStatus() {
+    const searching = this.getProviders().map(provider => provider.name);
+    return {
+      service: 'Flight search',
+      status: searching.length > 0 ? 'configured' : 'not_configured',
+      enabledProviders: this.providerNames || getEnabledProviderNames(),
+      searchingProviders: searching,
+      providers: getAllProviders().map(provider => provider.getStatus()),
+      cache: searchCache.getStats(['flight_search'])
+    };
+  }
+}
+
+module.exports = FlightSearchService;
@@ -0,0 +1,283 @@
+/**
+ * Exchange Rate Service
+ * Stores daily exchange rate snapshots (fx_rates) imported from a rate source (see services/fxRateSources) and
+ * converts amounts at the rate of a given date: the most recent snapshot on or before it. Pairs that are not stored
+ * directly are derived from their inverse or from two rates sharing a base currency (EUR→GBP from USD→EUR and
+ * USD→GBP). A rate older than FX_MAX_RATE_AGE_DAYS is still used but reported as stale.
+ */
+
+const moment = require('moment');
+const winston = require('winston');
+const { fxRateModel } = require('../models/database');
+const { getSource, getAllSources } = require('./fxRateSources');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'fx-rate-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const MAX_RATE_AGE_DAYS = parseInt(process.env.FX_MAX_RATE_AGE_DAYS) || 7;
+// Rates change once a day, so looked up pairs are kept for a few minutes
+const RATE_CACHE_MS = 5 * 60 * 1000;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+const roundRate = rate => Math.round(rate * 1e8) / 1e8;
+const toDateString = value => moment(value || undefined).format('YYYY-MM-DD');
+
+class FxRateService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Load rates from a source and store them
+   * @param {Object} [options] - { source, ...source options (e.g. file) }
+   * @returns {Promise<Object>} - { source, imported, skipped, dates }
+   */
+  async importRates({ source: sourceName, ...options } = {}) {
+    const source = getSource(sourceName);
+    if (!source.isConfigured()) {
+      throw createError(`Exchange rate source ${source.name} is not configured`, 503);
+    }
+
+    const fetched = await source.fetchRates(options);
+    const rates = [];
+    let skipped = 0;
+    fetched.forEach((entry) => {
+      const base = String(entry.base || '').toUpperCase();
+      const quote = String(entry.quote || '').toUpperCase();
+      const date = moment(entry.date, 'YYYY-MM-DD', true);
+      if (!CURRENCY_PATTERN.test(base) || !CURRENCY_PATTERN.test(quote) || base === quote ||
+        !date.isValid() || !(entry.rate > 0)) {
+        skipped++;
+        return;
+      }
+      rates.push({ date: date.format('YYYY-MM-DD'), base, quote, rate: entry.rate });
+    });
+
+    const imported = await fxRateModel.upsertMany(rates, source.name);
+    this.cache.clear();
+
+    const dates = [...new Set(rates.map(rate => rate.date))].sort();
+    logger.info('Exchange rates imported', { source: source.name, imported, skipped, dates: dates.join(',') });
+    return { source: source.name, imported, skipped, dates };
+  }
+
+  /**
+   * Exchange rate between two currencies on a date
+   * @param {string} from - Currency converted from
+   * @param {string} to - Currency converted to
+   * @param {string|Date} [date] - Date of the rate, defaults to today
+   * @returns {Promise<Object>} - { from, to, rate, rateDate, source, stale } 1 from = rate to
+   */
+  async getRate(from, to, date) {
+    const fromCurrency = String(from || '').toUpperCase();
+    const toCurrency = String(to || '').toUpperCase();
+    const day = toDateString(date);
+    if (!CURRENCY_PATTERN.test(fromCurrency) || !CURRENCY_PATTERN.test(toCurrency)) {
+      throw createError(`Invalid currency pair ${from}/${to}`, 400);
+    }
+    if (fromCurrency === toCurrency) {
+      return { from: fromCurrency, to: toCurrency, rate: 1, rateDate: day, source: null, stale: false };
+    }
+
+    const cacheKey = `${fromCurrency}:${toCurrency}:${day}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    const rows = await fxRateModel.getLatestRates([fromCurrency, toCurrency], day);
+    const found = this.resolveRate(rows, fromCurrency, toCurrency);
+    if (!found) {
+      throw createError(`No exchange rate available for ${fromCurrency} to ${toCurrency} on or before ${day}`, 503);
+    }
+
+    const value = {
+      from: fromCurrency,
+      to: toCurrency,
+      rate: roundRate(found.rate),
+      rateDate: found.rateDate,
+      source: found.source,
+      // Future dates use today's rates, so age is measured up to today at most
+      stale: moment.min(moment(day), moment()).diff(moment(found.rateDate), 'days') > MAX_RATE_AGE_DAYS
+    };
+    this.cache.set(cacheKey, { value, expiresAt: Date.now() + RATE_CACHE_MS });
+    return value;
+  }
+
+  /**
+   * Pick the freshest way to express from→to with the stored rates: direct, inverse or through a shared base
+   * @param {Array<Object>} rows - Latest rate of every pair involving either currency
+   * @returns {Object|null} - { rate, rateDate, source }
+   */
+  resolveRate(rows, from, to) {
+    const rates = new Map(rows.map(row => [`${row.base_currency}:${row.quote_currency}`, {
+      rate: parseFloat(row.rate),
+      rateDate: toDateString(row.rate_date),
+      source: row.source
+    }]));
+    const candidates = [];
+
+    const direct = rates.get(`${from}:${to}`);
+    if (direct) candidates.push(direct);
+    const inverse = rates.get(`${to}:${from}`);
+    if (inverse) candidates.push({ ...inverse, rate: 1 / inverse.rate });
+
+    const bases = new Set(rows.map(row => row.base_currency));
+    bases.forEach((base) => {
+      const baseToFrom = rates.get(`${base}:${from}`);
+      const baseToTo = rates.get(`${base}:${to}`);
+      if (baseToFrom && baseToTo) {
+        candidates.push({
+          rate: baseToTo.rate / baseToFrom.rate,
+          // A derived rate is only as recent as the older of its two rates
+          rateDate: baseToFrom.rateDate < baseToTo.rateDate ? baseToFrom.rateDate : baseToTo.rateDate,
+          source: baseToTo.source
+        });
+      }
+    });
+
+    // Prefer the most recent rate; direct rates come first among equally recent ones
+    return candidates.reduce((best, candidate) => (!best || candidate.rateDate > best.rateDate ? candidate : best), null);
+  }
+
+  /**
+   * Convert an amount
+   * @param {number} amount - Amount in the from currency
+   * @param {string} from - Currency converted from
+   * @param {string} to - Currency converted to
+   * @param {string|Date} [date] - Date of the rate, defaults to today
+   * @returns {Promise<Object>} - { amount, currency, original: { amount, currency }, rate }
+   */
+  async convert(amount, from, to, date) {
+    const rate = await this.getRate(from, to, date);
+    const value = parseFloat(amount) || 0;
+    return {
+      amount: roundMoney(value * rate.rate),
+      currency: rate.to,
+      original: { amount: value, currency: rate.from },
+      rate
+    };
+  }
+
+  /**
+   * Convert several priced items into one currency and add them up
+   * @param {Array<Object>} items - Items with price and currency (items without a currency are in the target one)
+   * @param {string} to - Target currency
+   * @param {string|Date} [date] - Date of the rates, defaults to today
+   * @param {Object} [options] - { skipMissing } leaves items without a rate unconverted (converted_price null, left
+   *   out of the total) instead of failing
+   * @returns {Promise<Object>} - { total, currency, items: [{ ...item, converted_price }], rates, missing } rates lists
+   *   each rate used once, missing the currencies skipped for lack of a rate
+   */
+  async convertAll(items, to, date, { skipMissing = false } = {}) {
+    const rates = new Map();
+    const missing = new Set();
+    const converted = [];
+    for (const item of items) {
+      let result;
+      try {
+        result = await this.convert(item.price || 0, item.currency || to, to, date);
+      } catch (err) {
+        if (!skipMissing || err.status !== 503) throw err;
+        missing.add(String(item.currency).toUpperCase());
+        converted.push({ ...item, converted_price: null });
+        continue;
+      }
+      const { amount, rate } = result;
+      if (rate.from !== rate.to) rates.set(`${rate.from}:${rate.to}`, rate);
+      converted.push({ ...item, converted_price: amount });
+    }
+
+    return {
+      total: roundMoney(converted.reduce((sum, item) => sum + (item.converted_price || 0), 0)),
+      currency: String(to).toUpperCase(),
+      items: converted,
+      rates: [...rates.values()],
+      missing: [...missing]
+    };
+  }
+
+  /**
+   * Rates of one day for a base currency, derived where only other pairs are stored
+   * @param {string} base - Base currency
+   * @param {string|Date} [date] - Date, defaults to today
+   * @returns {Promise<Object>} - { base, date, rateDate, rates: { [quote]: rate } }
+   */
+  async getRates(base, date) {
+    const day = toDateString(date);
+    const latest = await fxRateModel.getLatestDate(day);
+    if (!latest) {
+      throw createError('No exchange rates have been imported', 503);
+    }
+    const rateDate = toDateString(latest.rate_date);
+    const baseCurrency = String(base || '').toUpperCase();
+
+    let snapshot = await fxRateModel.getSnapshot(baseCurrency, rateDate);
+    if (snapshot.length > 0) {
+      return {
+        base: baseCurrency,
+        date: day,
+        rateDate,
+        rates: Object.fromEntries(snapshot.map(row => [row.quote_currency, parseFloat(row.rate)]))
+      };
+    }
+
+    // Nothing stored with this base: derive every quote from the stored bases of that day
+    const rows = await fxRateModel.getLatestRates([baseCurrency], rateDate);
+    const storedBase = rows.find(row => row.quote_currency === baseCurrency)?.base_currency;
+    if (!storedBase) {
+      throw createError(`No exchange rates available for ${baseCurrency} on or before ${day}`, 503);
+    }
+    snapshot = await fxRateModel.getSnapshot(storedBase, rateDate);
+    const baseRate = snapshot.find(row => row.quote_currency === baseCurrency);
+    if (!baseRate) {
+      throw createError(`No exchange rates available for ${baseCurrency} on or before ${day}`, 503);
+    }
+
+    const rates = { [storedBase]: roundRate(1 / parseFloat(baseRate.rate)) };
+    snapshot
+      .filter(row => row.quote_currency !== baseCurrency)
+      .forEach((row) => {
+        rates[row.quote_currency] = roundRate(parseFloat(row.rate) / parseFloat(baseRate.rate));
+      });
+    return { base: baseCurrency, date: day, rateDate, rates };
+  }
+
+  /**
+   * Rate sources and the most recent stored snapshot
+   * @returns {Promise<Object>} - Service status
+   */
+  async getStatus() {
+    const latest = await fxRateModel.getLatestDate(toDateString());
+    return {
+      service: 'Exchange rates',
+      defaultSource: process.env.FX_RATE_SOURCE || 'file',
+      sources: getAllSources().map(source => source.getStatus()),
+      latestRateDate: latest ? toDateString(latest.rate_date) : null,
+      latestRateCount: latest ? parseInt(latest.rates) : 0,
+      maxRateAgeDays: MAX_RATE_AGE_DAYS
+    };
+  }
+}
+
+module.exports = FxRateService;
@@ -0,0 +1,65 @@
+/**
+ * File Exchange Rate Source
+ * Imports rates from a CSV or JSON file so rates can be loaded without network access. The file comes from the
+ * import options or FX_RATES_FILE, and defaults to the sample snapshot in fixtures/fxRates.json.
+ *
+ * CSV: a header row with date, base, quote and rate columns, one rate per line:
+ *   date,base,quote,rate
+ *   2026-10-19,USD,EUR,0.9215
+ * JSON: one snapshot or an array of snapshots:
+ *   { "date": "2026-10-19", "base": "USD", "rates": { "EUR": 0.9215, "GBP": 0.7712 } }
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const FxRateSource = require('./FxRateSource');
+
+const DEFAULT_FILE = path.join(__dirname, 'fixtures', 'fxRates.json');
+
+class FileFxRateSource extends FxRateSource {
+  constructor(options = {}) {
+    super('file');
+    this.file = options.file || process.env.FX_RATES_FILE || DEFAULT_FILE;
+  }
+
+  /**
+   * @param {Object} [options] - { file } file to read instead of the configured one
+   */
+  async fetchRates(options = {}) {
+    const file = options.file || this.file;
+    const content = await fs.readFile(file, 'utf8');
+    return path.extname(file).toLowerCase() === '.csv' ? this.parseCsv(content) : this.parseJson(content);
+  }
+
+  parseCsv(content) {
+    const [header, ...lines] = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const columns = (header || '').toLowerCase().split(',').map(column => column.trim());
+    const missing = ['date', 'base', 'quote', 'rate'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Exchange rate CSV is missing the ${missing.join(', ')} column(s)`);
+    }
+
+    return lines.map((line) => {
+      const cells = line.split(',').map(cell => cell.trim());
+      const row = Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+      return { date: row.date, base: row.base, quote: row.quote, rate: parseFloat(row.rate) };
+    });
+  }
+
+  parseJson(content) {
+    const parsed = JSON.parse(content);
+    const snapshots = Array.isArray(parsed) ? parsed : [parsed];
+    return snapshots.flatMap(snapshot => Object.entries(snapshot.rates || {}).map(([quote, rate]) => ({
+      date: snapshot.date,
+      base: snapshot.base,
+      quote,
+      rate: parseFloat(rate)
+    })));
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), file: this.file };
+  }
+}
+
+module.exports = FileFxRateSource;
@@ -0,0 +1,40 @@
+/**
+ * Exchange Rate Source Interface
+ * Every exchange rate source adapter extends this class and implements fetchRates(). Rates are returned as
+ *   [{ date: 'YYYY-MM-DD', base: 'USD', quote: 'EUR', rate: 0.92 }]   // 1 base = rate quote
+ */
+
+class FxRateSource {
+  /**
+   * @param {string} name - Source name used in FX_RATE_SOURCE and stored on fx_rates.source
+   */
+  constructor(name) {
+    if (new.target === FxRateSource) {
+      throw new Error('FxRateSource is an interface and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Whether the source has what it needs (credentials, files) to load rates
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Load exchange rates
+   * @param {Object} [options] - Source specific options
+   * @returns {Promise<Array<Object>>} - Rates in the format above
+   */
+  async fetchRates() {
+    throw new Error(`${this.name}: fetchRates() is not implemented`);
+  }
+
+  getStatus() {
+    return { name: this.name, configured: this.isConfigured() };
+  }
+}
+
+module.exports = FxRateSource;
@@ -0,0 +1,45 @@
+/**
+ * Exchange Rate Source Registry
+ * Resolves rate source adapters by name. The default source comes from FX_RATE_SOURCE (falls back to 'file').
+ */
+
+const FileFxRateSource = require('./FileFxRateSource');
+
+const sources = new Map();
+
+/**
+ * Register a source instance under its name
+ * @param {FxRateSource} source - Source adapter instance
+ */
+const registerSource = (source) => {
+  sources.set(source.name, source);
+};
+
+/**
+ * Get a source by name
+ * @param {string} [name] - Source name, defaults to FX_RATE_SOURCE
+ * @returns {FxRateSource} - Source adapter
+ */
+const getSource = (name = process.env.FX_RATE_SOURCE || 'file') => {
+  const source = sources.get(name);
+  if (!source) {
+    const error = new Error(`Unknown exchange rate source: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+  return source;
+};
+
+/**
+ * Every registered source
+ * @returns {Array<FxRateSource>}
+ */
+const getAllSources = () => [...sources.values()];
+
+registerSource(new FileFxRateSource());
+
+module.exports = {
+  registerSource,
+  getSource,
+  getAllSources
+};
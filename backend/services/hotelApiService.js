@@ -2,10 +2,13 @@
  * Makcorps Hotel API Service
  * Integrates with Makcorps Hotel API for hotel search functionality
  * Documentation: https://docs.makcorps.com/
+ * searchHotels() and getCityHotelMapping() go through the search cache (services/searchCacheService.js).
  */
 
 const axios = require('axios');
 const winston = require('winston');
+const searchCache = require('./searchCacheService');
+const pricingRules = require('./pricingRulesService');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -191,26 +194,61 @@ class HotelApiService {
   }
 
   /**
-   * Search hotels (automatically determines search type)
+   * Search hotels (automatically determines search type), served from the search cache when possible.
+   * Pricing rules are applied to the cached supplier prices.
    * @param {Object} searchParams - Hotel search parameters
-   * @returns {Promise<Object>} - Hotel search results
+   * @returns {Promise<Object>} - Hotel search results; meta.cache tells whether they came from the cache
    */
   async searchHotels(searchParams) {
-    if (searchParams.hotelId) {
-      return this.searchHotelByHotelId(searchParams);
-    } else if (searchParams.cityId) {
-      return this.searchHotelsByCityId(searchParams);
-    } else {
+    const {
+      cityId,
+      hotelId,
+      checkIn,
+      checkOut,
+      adults = 2,
+      children = 0,
+      rooms = 1,
+      currency = 'USD'
+    } = searchParams;
+    if (!hotelId && !cityId) {
       throw new Error('Either cityId or hotelId is required for hotel search');
     }
+
+    const { value, cache } = await searchCache.getOrFetch(
+      'hotel_search',
+      { cityId, hotelId, checkIn, checkOut, adults, children, rooms, currency },
+      () => (hotelId ? this.searchHotelByHotelId(searchParams) : this.searchHotelsByCityId(searchParams)),
+      { cacheable: results => results.results?.totalResults > 0 }
+    );
+    const priced = await pricingRules.applyToHotelResults(value);
+    return { ...priced, meta: { ...priced.meta, cache } };
   }
 
   /**
-   * Get city/hotel mapping data
+   * Get city/hotel mapping data, served from the search cache when possible
    * @param {string} query - Search query for city/hotel
    * @returns {Promise<Object>} - Mapping results
    */
   async getCityHotelMapping(query) {
+    if (!query) {
+      throw new Error('Search query is required');
+    }
+
+    const { value } = await searchCache.getOrFetch(
+      'hotel_mapping',
+      { query: query.trim().toLowerCase() },
+      () => this.fetchCityHotelMapping(query),
+      { cacheable: results => results.data.cities.length > 0 }
+    );
+    return value;
+  }
+
+  /**
+   * Get city/hotel mapping data from the API
+   * @param {string} query - Search query for city/hotel
+   * @returns {Promise<Object>} - Mapping results
+   */
+  async fetchCityHotelMapping(query) {
     try {
       if (!query) {
         throw new Error('Search query is required');
@@ -373,7 +411,8 @@ class HotelApiService {
       status: this.apiKey ? 'configured' : 'not_configured',
       baseURL: this.baseURL,
       hasApiKey: !!this.apiKey,
-      apiKey: this.apiKey ? `${this.apiKey.substring(0, 8)}...` : 'not_set'
+      apiKey: this.apiKey ? `${this.apiKey.substring(0, 8)}...` : 'not_set',
+      cache: searchCache.getStats(['hotel_search', 'hotel_mapping'])
     };
   }
 }
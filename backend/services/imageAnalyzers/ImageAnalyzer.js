@@ -0,0 +1,52 @@
+/**
+ * Image Analyzer Interface
+ * Every inspiration image analyzer extends this class and implements analyze(). An analysis looks like
+ *   {
+ *     location: { latitude, longitude, altitude } | null,   // where the photo was taken, if known
+ *     taken_at: ISO timestamp | null,
+ *     month: 1-12 | null,                                  // month the photo was taken in
+ *     colours: { overall: { blue: 0.4, ... }, top: {...}, bottom: {...} } | null,
+ *     scenes: [{ scene: 'beach', confidence: 0.8 }],     // see SCENES, most confident first
+ *     tags: ['beach', 'sunset']                            // free-form keywords for matching activities
+ *   }
+ */
+
+// Scenes the suggestion builder understands (services/inspirationService.js)
+const SCENES = ['beach', 'snow', 'mountain', 'nature', 'night', 'sunset', 'desert', 'city'];
+
+class ImageAnalyzer {
+  /**
+   * @param {string} name - Analyzer name used in IMAGE_ANALYZER and stored on ai_trip_suggestions.analyzer
+   */
+  constructor(name) {
+    if (new.target === ImageAnalyzer) {
+      throw new Error('ImageAnalyzer is an interface and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Whether the analyzer has what it needs (credentials, models) to analyze images
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Analyze an image
+   * @param {Object} image - { buffer, filename }
+   * @returns {Promise<Object>} - Analysis in the format above
+   */
+  async analyze() {
+    throw new Error(`${this.name}: analyze() is not implemented`);
+  }
+
+  getStatus() {
+    return { name: this.name, configured: this.isConfigured() };
+  }
+}
+
+ImageAnalyzer.SCENES = SCENES;
+
+module.exports = ImageAnalyzer;
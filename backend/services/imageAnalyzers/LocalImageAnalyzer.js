@@ -0,0 +1,196 @@
+/**
+ * Local Image Analyzer
+ * Deterministic analysis without any external service: where and when the photo was taken comes from its EXIF
+ * data, the scene (beach, snow, city, ...) is estimated from the colours of a coarse grid sample
+ * (see imageSampling.js). The same image always gives the same analysis.
+ */
+
+const exif = require('jpeg-exif');
+const ImageAnalyzer = require('./ImageAnalyzer');
+const { sampleImage } = require('./imageSampling');
+
+// Scenes below this confidence are dropped; at most MAX_SCENES are kept
+const MIN_SCENE_CONFIDENCE = 0.25;
+const MAX_SCENES = 3;
+// Altitude (m) from which a photo counts as taken in the mountains
+const MOUNTAIN_ALTITUDE = 1500;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const clamp = value => Math.max(0, Math.min(1, value));
+
+/**
+ * Name the colour of an RGB value
+ * @returns {string} - dark, white, grey, red, orange, sand, yellow, green, turquoise, blue or purple
+ */
+const classifyColour = ({ r, g, b }) => {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const saturation = max === 0 ? 0 : (max - min) / max;
+
+  if (max < 0.2) return 'dark';
+  if (saturation < 0.15) return max > 0.8 ? 'white' : 'grey';
+
+  let hue;
+  const delta = max - min;
+  if (max === r / 255) hue = 60 * (((g - b) / 255 / delta) % 6);
+  else if (max === g / 255) hue = 60 * ((b - r) / 255 / delta + 2);
+  else hue = 60 * ((r - g) / 255 / delta + 4);
+  if (hue < 0) hue += 360;
+
+  if (hue < 15 || hue >= 330) return 'red';
+  if (hue < 45) return saturation < 0.45 ? 'sand' : 'orange';
+  if (hue < 65) return saturation < 0.4 ? 'sand' : 'yellow';
+  if (hue < 160) return 'green';
+  if (hue < 195) return 'turquoise';
+  if (hue < 255) return 'blue';
+  return 'purple';
+};
+
+/**
+ * Share of each colour among the given cells, e.g. { blue: 0.5, sand: 0.25, white: 0.25 }
+ */
+const colourShares = (cells) => {
+  const counts = {};
+  const filled = cells.filter(Boolean);
+  filled.forEach((cell) => {
+    const colour = classifyColour(cell);
+    counts[colour] = (counts[colour] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([colour, count]) => [colour, round(count / filled.length)]));
+};
+
+/**
+ * Decimal degrees from EXIF degrees/minutes/seconds and a N/S/E/W reference
+ */
+const toDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length === 0 || dms.some(part => !Number.isFinite(part))) return null;
+  const [degrees, minutes = 0, seconds = 0] = dms;
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return ['S', 'W'].includes(ref) ? -value : value;
+};
+
+// EXIF dates look like "2026:07:14 19:42:03" (camera local time, no zone)
+const parseExifDate = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const firstNumber = value => (Array.isArray(value) ? value[0] : value);
+
+class LocalImageAnalyzer extends ImageAnalyzer {
+  constructor() {
+    super('local');
+  }
+
+  async analyze({ buffer }) {
+    const metadata = this.readExif(buffer);
+    const sample = sampleImage(buffer);
+
+    const colours = sample && sample.cells.some(Boolean) ? this.describeColours(sample) : null;
+    const scenes = this.detectScenes(colours, metadata);
+
+    return {
+      location: metadata.location,
+      taken_at: metadata.takenAt ? metadata.takenAt.toISOString() : null,
+      month: metadata.takenAt ? metadata.takenAt.getUTCMonth() + 1 : null,
+      colours,
+      scenes,
+      tags: scenes.map(({ scene }) => scene)
+    };
+  }
+
+  /**
+   * Location, capture time and low-light hints from EXIF; empty for images without (readable) EXIF
+   */
+  readExif(buffer) {
+    const metadata = { location: null, takenAt: null, lowLight: false };
+    let tags;
+    try {
+      tags = exif.fromBuffer(buffer);
+    } catch (error) {
+      return metadata; // Corrupt EXIF is treated as missing
+    }
+    if (!tags) return metadata;
+
+    const gps = tags.GPSInfo || {};
+    const latitude = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+      && (latitude !== 0 || longitude !== 0)) {
+      const altitude = firstNumber(gps.GPSAltitude);
+      metadata.location = {
+        latitude: round(latitude, 5),
+        longitude: round(longitude, 5),
+        // GPSAltitudeRef 1 means below sea level
+        altitude: Number.isFinite(altitude) ? round(gps.GPSAltitudeRef === 1 ? -altitude : altitude, 0) : null
+      };
+    }
+
+    const details = tags.SubExif || {};
+    metadata.takenAt = parseExifDate(details.DateTimeOriginal) || parseExifDate(tags.DateTime);
+
+    // Long exposures at high ISO are what cameras do at night
+    const exposure = firstNumber(details.ExposureTime);
+    const iso = firstNumber(details.PhotographicSensitivity);
+    metadata.lowLight = Number.isFinite(exposure) && exposure >= 1 / 15 && Number.isFinite(iso) && iso >= 800;
+    return metadata;
+  }
+
+  /**
+   * Colour shares of the whole image, the top third (sky) and the bottom half (ground, water)
+   */
+  describeColours({ columns, rows, cells }) {
+    const rowCells = (from, to) => cells.slice(from * columns, to * columns);
+    const brightness = cells.filter(Boolean)
+      .reduce((sum, { r, g, b }, index, filled) => sum + (0.299 * r + 0.587 * g + 0.114 * b) / 255 / filled.length, 0);
+
+    return {
+      overall: colourShares(cells),
+      top: colourShares(rowCells(0, Math.max(1, Math.round(rows / 3)))),
+      bottom: colourShares(rowCells(Math.floor(rows / 2), rows)),
+      brightness: round(brightness)
+    };
+  }
+
+  /**
+   * Score each scene from the colours and EXIF hints
+   * @returns {Array<Object>} - [{ scene, confidence }] most confident first
+   */
+  detectScenes(colours, metadata) {
+    const altitude = metadata.location && metadata.location.altitude;
+    const scores = {
+      mountain: Number.isFinite(altitude) && altitude >= MOUNTAIN_ALTITUDE ? 0.6 + Math.min(0.3, (altitude - MOUNTAIN_ALTITUDE) / 5000) : 0,
+      night: metadata.lowLight ? 0.5 : 0
+    };
+
+    if (colours) {
+      const share = (region, ...names) => names.reduce((sum, name) => sum + (colours[region][name] || 0), 0);
+      const sky = share('top', 'blue', 'turquoise') + share('top', 'white') / 2;
+      const water = share('bottom', 'blue', 'turquoise');
+      const sand = share('bottom', 'sand');
+
+      scores.beach = sand > 0.1 && water > 0.1 ? clamp(0.3 + sky / 2 + sand + water) : 0;
+      scores.snow = clamp((share('bottom', 'white') - 0.2) * 2 + share('overall', 'white') / 2);
+      scores.mountain = Math.max(scores.mountain, scores.snow > 0.5 && sky > 0.3 ? 0.5 : 0);
+      scores.nature = clamp(share('overall', 'green') * 1.6);
+      scores.night = clamp(scores.night + Math.max(0, share('overall', 'dark') - 0.3) * 1.5 + (colours.brightness < 0.25 ? 0.3 : 0));
+      scores.sunset = clamp(share('top', 'orange', 'red', 'purple', 'yellow') * 1.5 + (share('bottom', 'dark') > 0.2 ? 0.15 : 0));
+      // Sand without water is desert
+      scores.desert = scores.beach > 0 ? 0 : clamp((share('bottom', 'sand', 'orange') - water) * 1.4);
+      scores.city = clamp(share('overall', 'grey') * 1.3 + (scores.night > 0.5 ? share('overall', 'yellow', 'orange') : 0));
+    }
+
+    return Object.entries(scores)
+      .filter(([, confidence]) => confidence >= MIN_SCENE_CONFIDENCE)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, MAX_SCENES)
+      .map(([scene, confidence]) => ({ scene, confidence: round(confidence) }));
+  }
+}
+
+module.exports = LocalImageAnalyzer;
@@ -0,0 +1,347 @@
+/**
+ * Image Sampling
+ * Reduces an image to a coarse grid of average colours for the local analyzer. PNGs are decoded with pngjs.
+ * Baseline JPEGs are read from the DC coefficient of each 8x8 block (the block's average colour), so no full
+ * decoder is needed. Progressive and CMYK JPEGs are not sampled (null) and are analyzed from their EXIF data only.
+ *
+ * A sample is { width, height, columns, rows, cells } where cells is a row-major array of { r, g, b } (0-255),
+ * or null for cells no pixels fell into.
+ */
+
+const { PNG } = require('pngjs');
+
+const DEFAULT_GRID = { columns: 8, rows: 8 };
+
+const clampByte = value => Math.max(0, Math.min(255, Math.round(value)));
+
+/**
+ * Collects colours into grid cells and averages them
+ */
+class GridAccumulator {
+  constructor(width, height, { columns, rows }) {
+    this.width = width;
+    this.height = height;
+    this.columns = columns;
+    this.rows = rows;
+    this.sums = Array.from({ length: columns * rows }, () => ({ r: 0, g: 0, b: 0, count: 0 }));
+  }
+
+  add(x, y, r, g, b, weight = 1) {
+    const column = Math.min(this.columns - 1, Math.floor((x / this.width) * this.columns));
+    const row = Math.min(this.rows - 1, Math.floor((y / this.height) * this.rows));
+    const cell = this.sums[row * this.columns + column];
+    cell.r += r * weight;
+    cell.g += g * weight;
+    cell.b += b * weight;
+    cell.count += weight;
+  }
+
+  toSample() {
+    return {
+      width: this.width,
+      height: this.height,
+      columns: this.columns,
+      rows: this.rows,
+      cells: this.sums.map(cell => (cell.count > 0
+        ? { r: clampByte(cell.r / cell.count), g: clampByte(cell.g / cell.count), b: clampByte(cell.b / cell.count) }
+        : null))
+    };
+  }
+}
+
+// ====================================
+// PNG
+// ====================================
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Pixels read per image at most; larger images are sampled with a stride
+const MAX_PNG_SAMPLES = 250000;
+
+const samplePng = (buffer, grid) => {
+  const { width, height, data } = PNG.sync.read(buffer);
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_PNG_SAMPLES)));
+  const accumulator = new GridAccumulator(width, height, grid);
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const offset = (y * width + x) * 4;
+      // Skip (mostly) transparent pixels
+      if (data[offset + 3] < 128) continue;
+      accumulator.add(x, y, data[offset], data[offset + 1], data[offset + 2]);
+    }
+  }
+  return accumulator.toSample();
+};
+
+// ====================================
+// Baseline JPEG (DC coefficients only)
+// ====================================
+
+/**
+ * Canonical Huffman table from a DHT segment
+ */
+const buildHuffmanTable = (counts, symbols) => {
+  const maxCode = new Array(17).fill(-1);
+  const valueOffset = new Array(17).fill(0);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = index - code;
+    code += counts[length - 1];
+    index += counts[length - 1];
+    if (counts[length - 1] > 0) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  return { maxCode, valueOffset, symbols };
+};
+
+/**
+ * Reads the entropy-coded data of a scan bit by bit, skipping stuffed zero bytes. Stops (reads zeros) at a marker.
+ */
+class BitReader {
+  constructor(buffer, offset) {
+    this.buffer = buffer;
+    this.offset = offset;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  readBit() {
+    if (this.bitCount === 0) {
+      if (this.offset >= this.buffer.length) return 0;
+      const byte = this.buffer[this.offset];
+      if (byte === 0xff) {
+        const next = this.buffer[this.offset + 1];
+        if (next !== 0x00) return 0;
+        this.offset += 2;
+      } else {
+        this.offset += 1;
+      }
+      this.bits = byte;
+      this.bitCount = 8;
+    }
+    this.bitCount -= 1;
+    return (this.bits >> this.bitCount) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.readBit();
+    return value;
+  }
+
+  decode(table) {
+    let code = this.readBit();
+    for (let length = 1; length <= 16; length++) {
+      if (code <= table.maxCode[length]) return table.symbols[code + table.valueOffset[length]];
+      code = (code << 1) | this.readBit();
+    }
+    throw new Error('Invalid Huffman code in JPEG data');
+  }
+
+  // Skip to the byte after the next RSTn marker and reset the bit buffer
+  restart() {
+    this.bitCount = 0;
+    while (this.offset < this.buffer.length - 1) {
+      if (this.buffer[this.offset] === 0xff && this.buffer[this.offset + 1] >= 0xd0 && this.buffer[this.offset + 1] <= 0xd7) {
+        this.offset += 2;
+        return;
+      }
+      this.offset += 1;
+    }
+  }
+}
+
+// Sign-extend a received DC difference
+const extend = (value, length) => (value < (1 << (length - 1)) ? value - (1 << length) + 1 : value);
+
+/**
+ * Parse the segments of a JPEG up to the first scan
+ * @returns {Object|null} - { frame, quantization, dcTables, acTables, restartInterval, scan, dataOffset }, or null
+ *   when the JPEG is not a baseline YCbCr/greyscale image
+ */
+const parseJpeg = (buffer) => {
+  const quantization = {};
+  const dcTables = {};
+  const acTables = {};
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) { // Fill byte
+      offset += 1;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset + 4, offset + 2 + length);
+
+    switch (marker) {
+      case 0xdb: { // DQT
+        let position = 0;
+        while (position < segment.length) {
+          const precision = segment[position] >> 4;
+          const id = segment[position] & 0x0f;
+          // Only the first (DC) value is needed
+          quantization[id] = precision ? segment.readUInt16BE(position + 1) : segment[position + 1];
+          position += 1 + 64 * (precision ? 2 : 1);
+        }
+        break;
+      }
+      case 0xc0: // SOF0 baseline
+      case 0xc1: { // SOF1 extended sequential (Huffman)
+        const components = [];
+        for (let i = 0; i < segment[5]; i++) {
+          const base = 6 + i * 3;
+          components.push({
+            id: segment[base],
+            h: segment[base + 1] >> 4,
+            v: segment[base + 1] & 0x0f,
+            quantizationId: segment[base + 2]
+          });
+        }
+        if (segment[0] !== 8 || ![1, 3].includes(components.length)) return null;
+        frame = { height: segment.readUInt16BE(1), width: segment.readUInt16BE(3), components };
+        break;
+      }
+      case 0xc4: { // DHT
+        let position = 0;
+        while (position < segment.length) {
+          const tableClass = segment[position] >> 4;
+          const id = segment[position] & 0x0f;
+          const counts = Array.from(segment.subarray(position + 1, position + 17));
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const symbols = Array.from(segment.subarray(position + 17, position + 17 + total));
+          (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(counts, symbols);
+          position += 17 + total;
+        }
+        break;
+      }
+      case 0xdd: // DRI
+        restartInterval = segment.readUInt16BE(0);
+        break;
+      case 0xda: { // SOS
+        if (!frame) return null;
+        const scan = [];
+        for (let i = 0; i < segment[0]; i++) {
+          scan.push({ id: segment[1 + i * 2], dcTableId: segment[2 + i * 2] >> 4, acTableId: segment[2 + i * 2] & 0x0f });
+        }
+        // Sequential images with one scan per component are rare; only interleaved scans are sampled
+        if (scan.length !== frame.components.length) return null;
+        return { frame, quantization, dcTables, acTables, restartInterval, scan, dataOffset: offset + 2 + length };
+      }
+      default:
+        // SOF2 and other frame types (progressive, lossless, arithmetic coding) are not sampled
+        if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) return null;
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const sampleJpeg = (buffer, grid) => {
+  const jpeg = parseJpeg(buffer);
+  if (!jpeg) return null;
+
+  const { frame, quantization, dcTables, acTables, restartInterval, scan } = jpeg;
+  const components = frame.components.map((component) => {
+    const scanComponent = scan.find(item => item.id === component.id);
+    if (!scanComponent) throw new Error('JPEG scan does not cover every component');
+    return {
+      ...component,
+      quantization: quantization[component.quantizationId] || 1,
+      dcTable: dcTables[scanComponent.dcTableId],
+      acTable: acTables[scanComponent.acTableId],
+      predictor: 0
+    };
+  });
+  if (components.some(component => !component.dcTable || !component.acTable)) {
+    throw new Error('JPEG is missing Huffman tables');
+  }
+
+  // Greyscale scans are not interleaved: one block per MCU
+  if (components.length === 1) {
+    components[0].h = 1;
+    components[0].v = 1;
+  }
+  const maxH = Math.max(...components.map(component => component.h));
+  const maxV = Math.max(...components.map(component => component.v));
+  const mcuWidth = 8 * maxH;
+  const mcuHeight = 8 * maxV;
+  const mcusPerLine = Math.ceil(frame.width / mcuWidth);
+  const mcuLines = Math.ceil(frame.height / mcuHeight);
+
+  const reader = new BitReader(buffer, jpeg.dataOffset);
+  const accumulator = new GridAccumulator(frame.width, frame.height, grid);
+
+  // Decode one block and return its average sample value (DC * quantization / 8, level-shifted)
+  const decodeBlock = (component) => {
+    const length = reader.decode(component.dcTable);
+    component.predictor += length ? extend(reader.receive(length), length) : 0;
+    for (let k = 1; k < 64;) {
+      const rs = reader.decode(component.acTable);
+      const run = rs >> 4;
+      const size = rs & 0x0f;
+      if (size === 0) {
+        if (run !== 15) break; // End of block
+        k += 16;
+        continue;
+      }
+      reader.receive(size);
+      k += run + 1;
+    }
+    return (component.predictor * component.quantization) / 8 + 128;
+  };
+
+  for (let mcu = 0; mcu < mcusPerLine * mcuLines; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      components.forEach((component) => { component.predictor = 0; });
+    }
+
+    const values = components.map((component) => {
+      let sum = 0;
+      for (let block = 0; block < component.h * component.v; block++) sum += decodeBlock(component);
+      return sum / (component.h * component.v);
+    });
+
+    const x = (mcu % mcusPerLine) * mcuWidth + mcuWidth / 2;
+    const y = Math.floor(mcu / mcusPerLine) * mcuHeight + mcuHeight / 2;
+    if (x >= frame.width || y >= frame.height) continue; // Padding MCU
+
+    if (values.length === 1) {
+      accumulator.add(x, y, values[0], values[0], values[0]);
+    } else {
+      const [luma, cb, cr] = values;
+      accumulator.add(
+        x, y,
+        luma + 1.402 * (cr - 128),
+        luma - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+        luma + 1.772 * (cb - 128)
+      );
+    }
+  }
+  return accumulator.toSample();
+};
+
+/**
+ * Sample an image into a grid of average colours
+ * @param {Buffer} buffer - Image file contents
+ * @param {Object} [grid] - { columns, rows }
+ * @returns {Object|null} - Sample, or null when the format is not supported
+ */
+const sampleImage = (buffer, grid = DEFAULT_GRID) => {
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return samplePng(buffer, grid);
+  }
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return sampleJpeg(buffer, grid);
+  }
+  return null;
+};
+
+module.exports = {
+  sampleImage
+};
@@ -0,0 +1,45 @@
+/**
+ * Image Analyzer Registry
+ * Resolves inspiration image analyzers by name. The default analyzer comes from IMAGE_ANALYZER (falls back to 'local').
+ */
+
+const LocalImageAnalyzer = require('./LocalImageAnalyzer');
+
+const analyzers = new Map();
+
+/**
+ * Register an analyzer instance under its name
+ * @param {ImageAnalyzer} analyzer - Analyzer instance
+ */
+const registerAnalyzer = (analyzer) => {
+  analyzers.set(analyzer.name, analyzer);
+};
+
+/**
+ * Get an analyzer by name
+ * @param {string} [name] - Analyzer name, defaults to IMAGE_ANALYZER
+ * @returns {ImageAnalyzer} - Analyzer instance
+ */
+const getAnalyzer = (name = process.env.IMAGE_ANALYZER || 'local') => {
+  const analyzer = analyzers.get(name);
+  if (!analyzer) {
+    const error = new Error(`Unknown image analyzer: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+  return analyzer;
+};
+
+/**
+ * Every registered analyzer
+ * @returns {Array<ImageAnalyzer>}
+ */
+const getAllAnalyzers = () => [...analyzers.values()];
+
+registerAnalyzer(new LocalImageAnalyzer());
+
+module.exports = {
+  registerAnalyzer,
+  getAnalyzer,
+  getAllAnalyzers
+};
@@ -0,0 +1,349 @@
+/**
+ * Inspiration Service
+ * Turns uploaded inspiration images (ai_trip_suggestions rows created by POST /api/trips/inspire/image) into trip
+ * ideas. Pending suggestions are claimed by the inspiration worker (jobs/inspirationJob.js), analyzed by the
+ * configured image analyzer (services/imageAnalyzers) and matched against the recommendation engine's knowledge
+ * base and the published listings:
+ *   - suggested_destinations: knowledge base destinations near where the photo was taken or with matching scenes
+ *   - suggested_activities: knowledge base activities and listings at those destinations or matching the scenes
+ *   - suggested_example_trips: example itinerary listings (trip templates) for those destinations or scenes
+ * Failed analyses are retried with exponential backoff. Every status change is pushed to the owner's sockets as
+ * 'inspiration:updated' so the Inspiration step does not have to poll.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const winston = require('winston');
+const { aiTripSuggestionModel, listingModel } = require('../models/database');
+const { getAnalyzer } = require('./imageAnalyzers');
+const { getKnowledgeBaseDestinations } = require('./recommendationEngine');
+const { emitToUser } = require('./socketServer');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'inspiration-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const MAX_ATTEMPTS = parseInt(process.env.INSPIRATION_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_SECONDS = 60;
+// A suggestion still processing after this long is assumed to belong to a crashed worker and claimed again
+const STALE_PROCESSING_MINUTES = 15;
+
+// Photos taken within NEARBY_KM of a destination are "at" it, within REGION_KM "near" it
+const NEARBY_KM = 100;
+const REGION_KM = 800;
+
+const MAX_DESTINATIONS = 5;
+// Score of the fallback destinations offered when the image matches none
+const POPULAR_SCORE = 0.1;
+const MAX_ACTIVITIES = 10;
+const MAX_EXAMPLE_TRIPS = 5;
+const LISTINGS_PER_SEARCH = 5;
+
+// Knowledge base activity tags that fit each scene (see ImageAnalyzer SCENES)
+const SCENE_TAGS = {
+  beach: ['beach', 'snorkelling', 'sunset'],
+  snow: ['snow', 'skiing'],
+  mountain: ['mountain', 'hiking', 'views'],
+  nature: ['nature', 'hiking', 'park', 'garden', 'lakes', 'wildlife'],
+  night: ['nightlife', 'theatre'],
+  sunset: ['sunset', 'views'],
+  desert: ['desert'],
+  city: ['architecture', 'museum', 'iconic', 'art']
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Great-circle distance in km
+ */
+const distanceKm = (from, to) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Listing rows as stored on a suggestion
+const describeListing = listing => ({
+  listing_id: listing.id,
+  title: listing.title,
+  city: listing.location_city || listing.custom_location?.city || null,
+  country: listing.location_country || listing.custom_location?.country || null,
+  price: listing.base_price !== null && listing.base_price !== undefined ? parseFloat(listing.base_price) : null,
+  currency: listing.currency || 'USD',
+  rating: listing.average_rating !== null && listing.average_rating !== undefined ? parseFloat(listing.average_rating) : null
+});
+
+class InspirationService {
+  /**
+   * @param {ImageAnalyzer} [analyzer] - Analyzer to use instead of IMAGE_ANALYZER
+   */
+  constructor(analyzer = null) {
+    this.analyzer = analyzer;
+  }
+
+  /**
+   * Read the uploaded image of a suggestion
+   * @param {Object} suggestion - AI trip suggestion row
+   * @returns {Promise<Object>} - { buffer, filename }
+   */
+  async loadImage(suggestion) {
+    const relativePath = (suggestion.image_url || '').replace(/^\/?uploads\//, '');
+    const file = path.resolve(UPLOADS_DIR, relativePath);
+    if (!relativePath || !file.startsWith(UPLOADS_DIR + path.sep)) {
+      throw createError('Inspiration image path is outside the uploads directory', 400);
+    }
+
+    try {
+      return { buffer: await fs.readFile(file), filename: path.basename(file) };
+    } catch (error) {
+      if (error.code === 'ENOENT') throw createError('Inspiration image no longer exists', 404);
+      throw error;
+    }
+  }
+
+  /**
+   * Knowledge base destinations matching where the photo was taken and what it shows
+   * @param {Object} analysis - Image analysis
+   * @returns {Array<Object>} - [{ key, name, country, score, reasons, distance_km, matched_scenes }] best first
+   */
+  matchDestinations(analysis) {
+    const scenes = analysis.scenes || [];
+    const totalConfidence = scenes.reduce((sum, { confidence }) => sum + confidence, 0);
+
+    const matches = getKnowledgeBaseDestinations().map((destination) => {
+      const reasons = [];
+      let score = 0;
+      let distance = null;
+
+      if (analysis.location && destination.coordinates) {
+        distance = distanceKm(analysis.location, destination.coordinates);
+        if (distance <= NEARBY_KM) {
+          reasons.push('photo_location');
+          score += 1;
+        } else if (distance <= REGION_KM) {
+          reasons.push('near_photo_location');
+          score += 0.5 * (1 - distance / REGION_KM);
+        }
+      }
+
+      const matchedScenes = scenes.filter(({ scene }) => (destination.scenes || []).includes(scene));
+      if (matchedScenes.length > 0) {
+        reasons.push('scene');
+        score += 0.8 * (matchedScenes.reduce((sum, { confidence }) => sum + confidence, 0) / totalConfidence);
+      }
+
+      return {
+        key: destination.key,
+        name: destination.name,
+        country: destination.country,
+        score: round(score),
+        reasons,
+        distance_km: distance !== null ? Math.round(distance) : null,
+        matched_scenes: matchedScenes.map(({ scene }) => scene),
+        notes: destination.notes || null
+      };
+    });
+
+    const matched = matches.filter(match => match.score > 0);
+    // Nothing recognisable in the photo: offer the knowledge base destinations as a starting point
+    if (matched.length === 0) {
+      return matches
+        .map(match => ({ ...match, score: POPULAR_SCORE, reasons: ['popular'] }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(0, MAX_DESTINATIONS);
+    }
+    return matched
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, MAX_DESTINATIONS);
+  }
+
+  /**
+   * Knowledge base activities at the matched destinations, ranked by how well their tags fit the scenes and
+   * whether they are in season in the month the photo was taken
+   */
+  matchKnowledgeBaseActivities(analysis, destinations) {
+    const sceneConfidence = Object.fromEntries((analysis.scenes || []).map(({ scene, confidence }) => [scene, confidence]));
+    const totalConfidence = Object.values(sceneConfidence).reduce((sum, confidence) => sum + confidence, 0);
+    const knowledgeBase = new Map(getKnowledgeBaseDestinations().map(destination => [destination.key, destination]));
+
+    return destinations.flatMap((destination) => {
+      const activities = knowledgeBase.get(destination.key)?.activities || [];
+      return activities.map((activity) => {
+        const tags = activity.tags || [];
+        const matchedScenes = Object.keys(sceneConfidence)
+          .filter(scene => (SCENE_TAGS[scene] || []).some(tag => tags.includes(tag)));
+        const matchedTags = matchedScenes.flatMap(scene => SCENE_TAGS[scene].filter(tag => tags.includes(tag)));
+        // Share of the image's scenes the activity fits (0-1)
+        const relevance = totalConfidence > 0
+          ? matchedScenes.reduce((sum, scene) => sum + sceneConfidence[scene], 0) / totalConfidence
+          : 0;
+        const inSeason = analysis.month ? (activity.seasonal_months || []).includes(analysis.month) : null;
+
+        return {
+          source: 'knowledge_base',
+          id: activity.id,
+          name: activity.name,
+          type: activity.type,
+          destination: destination.name,
+          budget_estimate_per_person: activity.budget_estimate_per_person,
+          matched_tags: [...new Set(matchedTags)],
+          in_season: inSeason,
+          score: round(destination.score * (0.5 + relevance / 2) * (inSeason === false ? 0.5 : 1))
+        };
+      });
+    });
+  }
+
+  /**
+   * Published listings for the matched destinations and for the strongest scene
+   * @param {Object} analysis - Image analysis
+   * @param {Array<Object>} destinations - Matched destinations
+   * @param {boolean} exampleItineraries - Search example itineraries (trip templates) instead of activities
+   */
+  async matchListings(analysis, destinations, exampleItineraries) {
+    // Listings at a destination rank like knowledge base activities that fit half of the scenes
+    const searches = destinations.slice(0, 3).map(destination => ({
+      filters: { city: destination.name },
+      destination: destination.name,
+      score: destination.score * 0.75
+    }));
+    const [topScene] = analysis.scenes || [];
+    if (topScene) {
+      searches.push({ filters: { keyword: topScene.scene }, destination: null, score: topScene.confidence * 0.8 });
+    }
+
+    const matches = new Map();
+    for (const search of searches) {
+      const listings = await listingModel.search(
+        { ...search.filters, isExampleItinerary: exampleItineraries },
+        LISTINGS_PER_SEARCH,
+        0
+      );
+      listings.forEach((listing) => {
+        if (matches.has(listing.id)) return;
+        matches.set(listing.id, {
+          source: 'listing',
+          ...describeListing(listing),
+          ...(exampleItineraries && { total_days: listing.total_days || null }),
+          destination: search.destination,
+          score: round(search.score)
+        });
+      });
+    }
+    return [...matches.values()];
+  }
+
+  /**
+   * Build the suggestions for an analysis
+   * @param {Object} analysis - Image analysis
+   * @returns {Promise<Object>} - { suggested_destinations, suggested_activities, suggested_example_trips }
+   */
+  async buildSuggestions(analysis) {
+    const destinations = this.matchDestinations(analysis);
+
+    const listingActivities = await this.matchListings(analysis, destinations, false);
+    const activities = [...this.matchKnowledgeBaseActivities(analysis, destinations), ...listingActivities]
+      .filter(activity => activity.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_ACTIVITIES);
+
+    const exampleTrips = (await this.matchListings(analysis, destinations, true))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_EXAMPLE_TRIPS);
+
+    return {
+      suggested_destinations: destinations,
+      suggested_activities: activities,
+      suggested_example_trips: exampleTrips
+    };
+  }
+
+  /**
+   * Analyze a claimed suggestion and store the outcome
+   * @param {Object} suggestion - AI trip suggestion row in processing
+   * @returns {Promise<Object>} - Updated AI trip suggestion row
+   */
+  async processSuggestion(suggestion) {
+    let updated;
+    try {
+      const analyzer = this.analyzer || getAnalyzer();
+      const image = await this.loadImage(suggestion);
+      const analysis = await analyzer.analyze(image);
+      const suggestions = await this.buildSuggestions(analysis);
+
+      updated = await aiTripSuggestionModel.markCompleted(suggestion.id, {
+        analyzer: analyzer.name,
+        analysis,
+        ...suggestions
+      });
+    } catch (error) {
+      // A missing or misplaced image will not come back, everything else is retried
+      const retry = ![400, 404].includes(error.status) && suggestion.attempts < MAX_ATTEMPTS;
+      const nextAttemptAt = retry
+        ? new Date(Date.now() + RETRY_BASE_SECONDS * 1000 * 2 ** (suggestion.attempts - 1))
+        : null;
+      logger.warn('Inspiration image analysis failed', {
+        suggestionId: suggestion.id,
+        attempt: suggestion.attempts,
+        retry,
+        error: error.message
+      });
+      updated = await aiTripSuggestionModel.markFailed(suggestion.id, error.message, nextAttemptAt);
+    }
+
+    if (updated) {
+      emitToUser(updated.user_id, 'inspiration:updated', updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Claim and process pending suggestions
+   * @param {number} [limit] - Maximum number of suggestions to process
+   * @returns {Promise<Object>} - { processed, completed, failed, retrying }
+   */
+  async runPending(limit = 5) {
+    const suggestions = await aiTripSuggestionModel.claimPending(limit, STALE_PROCESSING_MINUTES);
+    const summary = { processed: suggestions.length, completed: 0, failed: 0, retrying: 0 };
+
+    for (const suggestion of suggestions) {
+      emitToUser(suggestion.user_id, 'inspiration:updated', suggestion);
+      const updated = await this.processSuggestion(suggestion);
+      if (updated?.processing_status === 'completed') summary.completed++;
+      else if (updated?.processing_status === 'failed') summary.failed++;
+      else summary.retrying++;
+    }
+
+    if (suggestions.length > 0) {
+      logger.info('Inspiration images processed', summary);
+    }
+    return summary;
+  }
+}
+
+module.exports = InspirationService;
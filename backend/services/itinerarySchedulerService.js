@@ -0,0 +1,542 @@
+/**
+ * Itinerary Scheduler Service
+ * Lays out a custom trip's components (flights, hotels, activities, POIs) as a timed plan per day.
+ *
+ * Flights and components with a start time are fixed. Hotel check-in/out are anchored to their usual times
+ * but moved around flights. Everything else is fitted into the free time of its day (or, when it has no date,
+ * of the first day spent in its city) within its opening hours. Problems are reported as conflicts instead of
+ * failing the whole schedule.
+ */
+
+const winston = require('winston');
+const moment = require('moment');
+const RouteOptimizationService = require('./routeOptimizationService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'itinerary-scheduler-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DEFAULT_SETTINGS = {
+  dayStart: 9 * 60,
+  dayEnd: 21 * 60,
+  bufferMinutes: 15,
+  airportBeforeDepartureMinutes: 120,
+  airportAfterArrivalMinutes: 60,
+  checkInTime: 15 * 60,
+  checkOutTime: 11 * 60,
+  hotelTaskMinutes: 30,
+  // Farther than this from the night's hotel counts as being in another city
+  sameCityRadiusKm: 100
+};
+
+// Used when neither the component's times nor its notes say how long it takes
+const DEFAULT_DURATIONS = {
+  activity: 180,
+  guide: 240,
+  meal: 90,
+  transportation: 60,
+  other: 90
+};
+
+const ACCOMMODATION_TYPES = ['accommodation', 'hotel'];
+
+// "14:30" / "14:30:00" -> 870
+const parseTime = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+// 870 -> "14:30"; the end of the day is shown as 23:59 rather than 00:00
+const formatTime = (minutes) => {
+  const clamped = Math.min(Math.max(Math.round(minutes), 0), MINUTES_PER_DAY - 1);
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+};
+
+// DATE columns come back from pg as local-midnight Date objects, request values as ISO strings
+const toDateKey = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return moment(value).format('YYYY-MM-DD');
+  return String(value).slice(0, 10);
+};
+
+const addDays = (dateKey, days) => moment(dateKey, 'YYYY-MM-DD').add(days, 'days').format('YYYY-MM-DD');
+
+const dateRange = (from, to) => {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+const normalizeCity = (city) => String(city || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+// "New York" matches "new york city"; IATA codes only match exactly
+const cityMatches = (city, candidates) => {
+  const name = normalizeCity(city);
+  return candidates.some((candidate) => {
+    const other = normalizeCity(candidate);
+    if (name === other) return true;
+    return name.length > 3 && other.length > 3 && (name.includes(other) || other.includes(name));
+  });
+};
+
+// Amadeus activities store their duration in the notes, e.g. "Duration: PT2H30M" or "Duration: 3 hours"
+const parseDurationMinutes = (text) => {
+  const match = String(text || '').match(/Duration:\s*([^.]+)/i);
+  if (!match) return null;
+  const value = match[1].trim();
+
+  const iso = moment.duration(value);
+  if (/^P/i.test(value) && iso.asMinutes() > 0) return Math.round(iso.asMinutes());
+
+  const hours = value.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i);
+  const minutes = value.match(/(\d+)\s*(?:minutes?|mins?|m)\b/i);
+  if (!hours && !minutes) return null;
+  return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0));
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Flights added from Amadeus keep their airports in custom_location; older ones only in the title ("Flight: JFK to CDG")
+const getFlightAirports = (component) => {
+  const location = component.custom_location || {};
+  const route = String(component.title || '').match(/\b([A-Z]{3})\s+to\s+([A-Z]{3})\b/);
+  return {
+    origin: location.origin || route?.[1] || null,
+    destination: location.destination || route?.[2] || null
+  };
+};
+
+class ItinerarySchedulerService {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Build the day-by-day plan of a custom trip
+   * @param {Object} trip - Custom trip row (start_date, end_date)
+   * @param {Array} components - Rows from tripComponentModel.getByTripId
+   * @param {Object} options - { airportCities: { [iataCode]: cityName } } used to place flights in cities
+   * @returns {Object} - { tripId, startDate, endDate, days, unscheduled, conflicts }
+   */
+  buildSchedule(trip, components, { airportCities = {} } = {}) {
+    const items = components
+      .filter((component) => component.status !== 'cancelled')
+      .map((component) => this.normalizeComponent(component, airportCities));
+
+    const dates = this.collectDates(trip, items);
+    const days = new Map(dates.map((date, index) => [date, {
+      date,
+      dayNumber: index + 1,
+      inTrip: (!trip.start_date || date >= toDateKey(trip.start_date)) && (!trip.end_date || date <= toDateKey(trip.end_date)),
+      cities: [],
+      hotel: null,
+      entries: [],
+      blocked: []
+    }]));
+    const conflicts = [];
+    const unscheduled = [];
+
+    if (days.size === 0) {
+      return { tripId: trip.id, startDate: null, endDate: null, days: [], unscheduled: items.map((item) => ({
+        componentId: item.id,
+        title: item.title,
+        type: item.type,
+        reason: 'The trip and this component have no dates'
+      })), conflicts };
+    }
+
+    const flights = items.filter((item) => item.type === 'flight');
+    const hotels = items.filter((item) => ACCOMMODATION_TYPES.includes(item.type));
+    const others = items.filter((item) => item.type !== 'flight' && !ACCOMMODATION_TYPES.includes(item.type));
+
+    flights.forEach((flight) => this.placeFlight(flight, days, conflicts));
+    this.assignCities(days, flights, hotels, conflicts);
+    hotels.forEach((hotel) => this.placeHotel(hotel, days));
+
+    // Fixed-time components first so flexible ones fill the gaps around them
+    const timed = others.filter((item) => item.date && item.startTime !== null);
+    const flexible = others.filter((item) => item.startTime === null)
+      .sort((a, b) => (a.close ?? MINUTES_PER_DAY) - (b.close ?? MINUTES_PER_DAY));
+    timed.forEach((item) => this.placeTimed(item, days, conflicts));
+    flexible.forEach((item) => this.placeFlexible(item, days, conflicts, unscheduled));
+    others.filter((item) => !item.date && item.startTime !== null)
+      .forEach((item) => unscheduled.push({
+        componentId: item.id,
+        title: item.title,
+        type: item.type,
+        reason: 'Has a start time but no date'
+      }));
+
+    for (const day of days.values()) {
+      if (!day.inTrip) {
+        day.entries.forEach((entry) => conflicts.push({
+          type: 'outside_trip_dates',
+          severity: 'warning',
+          date: day.date,
+          componentIds: [entry.componentId],
+          message: `${entry.title} is on ${day.date}, outside the trip dates`
+        }));
+      }
+    }
+
+    const result = {
+      tripId: trip.id,
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      days: [...days.values()].map(({ blocked, hotel, hotelCoordinates, entries, ...day }) => ({
+        ...day,
+        hotel: hotel ? { componentId: hotel.id, title: hotel.title } : null,
+        entries: entries
+          .sort((a, b) => a.start - b.start)
+          .map(({ start, end, ...entry }) => ({ ...entry, startTime: formatTime(start), endTime: formatTime(end) }))
+      })),
+      unscheduled,
+      conflicts
+    };
+
+    logger.info('Itinerary scheduled', {
+      tripId: trip.id,
+      days: result.days.length,
+      components: items.length,
+      unscheduled: unscheduled.length,
+      conflicts: conflicts.length
+    });
+    return result;
+  }
+
+  /**
+   * Airport codes of the trip's flights, to be resolved to cities before scheduling
+   * @param {Array} components - Rows from tripComponentModel.getByTripId
+   * @returns {Array<string>} - Unique IATA codes
+   */
+  getAirportCodes(components) {
+    const codes = components
+      .filter((component) => component.component_type === 'flight')
+      .flatMap((component) => Object.values(getFlightAirports(component)))
+      .filter(Boolean);
+    return [...new Set(codes)];
+  }
+
+  normalizeComponent(component, airportCities) {
+    const location = component.custom_location || {};
+    const openingHours = location.opening_hours || location.openingHours || {};
+    const startTime = parseTime(component.start_time);
+    const endTime = parseTime(component.end_time);
+    const date = toDateKey(component.start_date);
+    const endDate = toDateKey(component.end_date) || date;
+
+    let duration = null;
+    if (startTime !== null && endTime !== null && endDate === date && endTime > startTime) {
+      duration = endTime - startTime;
+    }
+    duration = duration || parseDurationMinutes(component.notes) || DEFAULT_DURATIONS[component.component_type] || DEFAULT_DURATIONS.other;
+
+    const item = {
+      id: component.id,
+      type: component.component_type,
+      title: component.title,
+      date,
+      endDate,
+      startTime,
+      endTime,
+      duration,
+      open: parseTime(openingHours.open),
+      close: parseTime(openingHours.close),
+      city: location.city || component.location_city || null,
+      coordinates: location.latitude && location.longitude
+        ? { lat: parseFloat(location.latitude), lng: parseFloat(location.longitude) }
+        : null
+    };
+
+    if (item.type === 'flight') {
+      const airports = getFlightAirports(component);
+      item.originCode = airports.origin;
+      item.destinationCode = airports.destination;
+      item.originCity = airportCities[item.originCode] || item.originCode;
+      item.destinationCity = airportCities[item.destinationCode] || item.destinationCode;
+    }
+    return item;
+  }
+
+  // Trip dates, stretched to cover components booked outside them
+  collectDates(trip, items) {
+    const keys = items.flatMap((item) => [item.date, item.endDate]).filter(Boolean);
+    if (trip.start_date) keys.push(toDateKey(trip.start_date));
+    if (trip.end_date) keys.push(toDateKey(trip.end_date));
+    if (keys.length === 0) return [];
+    keys.sort();
+    return dateRange(keys[0], keys[keys.length - 1]);
+  }
+
+  addEntry(day, item, start, end, extra = {}) {
+    const entry = {
+      componentId: item.id,
+      type: item.type,
+      title: item.title,
+      kind: item.type,
+      fixed: true,
+      city: item.city,
+      start,
+      end,
+      ...extra
+    };
+    day.entries.push(entry);
+    return entry;
+  }
+
+  placeFlight(flight, days, conflicts) {
+    const { airportBeforeDepartureMinutes, airportAfterArrivalMinutes } = this.settings;
+    if (!flight.date || flight.startTime === null) {
+      conflicts.push({
+        type: 'missing_time',
+        severity: 'warning',
+        date: flight.date,
+        componentIds: [flight.id],
+        message: `${flight.title} has no departure time, so the day around it cannot be planned`
+      });
+      if (flight.date) this.addEntry(days.get(flight.date), flight, 0, 0, { kind: 'flight', fixed: false, allDay: true });
+      return;
+    }
+
+    const arrivalTime = flight.endTime ?? flight.startTime;
+    for (const date of dateRange(flight.date, flight.endDate)) {
+      const day = days.get(date);
+      const departs = date === flight.date;
+      const arrives = date === flight.endDate;
+      const start = departs ? flight.startTime : 0;
+      const end = arrives ? arrivalTime : MINUTES_PER_DAY;
+
+      const kind = departs && arrives ? 'flight' : departs ? 'flight_departure' : arrives ? 'flight_arrival' : 'flight_in_air';
+      const entry = this.addEntry(day, flight, start, end, { kind, city: departs ? flight.originCity : flight.destinationCity });
+      day.blocked.push({
+        start: departs ? Math.max(0, start - airportBeforeDepartureMinutes) : 0,
+        end: arrives ? Math.min(MINUTES_PER_DAY, end + airportAfterArrivalMinutes) : MINUTES_PER_DAY,
+        entry
+      });
+    }
+  }
+
+  /**
+   * Work out which cities the traveller is in on each day: where flights leave from and land,
+   * where they sleep, and otherwise wherever they were the day before
+   */
+  assignCities(days, flights, hotels, conflicts) {
+    for (const hotel of hotels) {
+      if (!hotel.date) continue;
+      const checkOut = hotel.endDate > hotel.date ? hotel.endDate : addDays(hotel.date, 1);
+      for (const night of dateRange(hotel.date, addDays(checkOut, -1))) {
+        const day = days.get(night);
+        if (!day) continue;
+        if (day.hotel && day.hotel.id !== hotel.id) {
+          conflicts.push({
+            type: 'double_booked_accommodation',
+            severity: 'warning',
+            date: night,
+            componentIds: [day.hotel.id, hotel.id],
+            message: `${day.hotel.title} and ${hotel.title} are both booked for the night of ${night}`
+          });
+          continue;
+        }
+        day.hotel = hotel;
+      }
+    }
+
+    let previousCity = null;
+    let previousHotel = null;
+    for (const day of days.values()) {
+      const cities = [];
+      const departures = flights.filter((flight) => flight.date === day.date && flight.originCity);
+      const arrivals = flights.filter((flight) => flight.endDate === day.date && flight.destinationCity);
+
+      if (departures.length === 0 && arrivals.length === 0 && previousCity) cities.push(previousCity);
+      if (previousHotel?.city && previousHotel.endDate === day.date) cities.push(previousHotel.city);
+      departures.forEach((flight) => cities.push(flight.originCity));
+      arrivals.forEach((flight) => cities.push(flight.destinationCity));
+      if (day.hotel?.city) cities.push(day.hotel.city);
+
+      day.cities = cities.filter((city, index) => cities.findIndex((other) => normalizeCity(other) === normalizeCity(city)) === index);
+      day.hotelCoordinates = day.hotel?.coordinates || (previousHotel?.endDate === day.date ? previousHotel.coordinates : null);
+      const inAir = flights.some((flight) => flight.date <= day.date && flight.endDate > day.date);
+      if (day.inTrip && !day.hotel && !inAir && day.date !== [...days.keys()].pop()) {
+        conflicts.push({
+          type: 'missing_accommodation',
+          severity: 'warning',
+          date: day.date,
+          componentIds: [],
+          message: `No accommodation is booked for the night of ${day.date}`
+        });
+      }
+
+      previousCity = day.hotel?.city || (arrivals.length ? arrivals[arrivals.length - 1].destinationCity : null) ||
+        (day.cities.length ? day.cities[day.cities.length - 1] : previousCity);
+      previousHotel = day.hotel || previousHotel;
+    }
+  }
+
+  placeHotel(hotel, days) {
+    const { checkInTime, checkOutTime, hotelTaskMinutes } = this.settings;
+    if (!hotel.date) return;
+
+    const checkInDay = days.get(hotel.date);
+    let checkIn = hotel.startTime ?? checkInTime;
+    // Check in once the traveller has landed and reached the hotel
+    checkInDay.blocked.forEach((block) => {
+      if (checkIn < block.end && checkIn + hotelTaskMinutes > block.start) checkIn = block.end;
+    });
+    const checkInEntry = this.addEntry(checkInDay, hotel, Math.min(checkIn, MINUTES_PER_DAY - hotelTaskMinutes),
+      Math.min(checkIn + hotelTaskMinutes, MINUTES_PER_DAY), { kind: 'check_in' });
+    checkInDay.blocked.push({ start: checkInEntry.start, end: checkInEntry.end, entry: checkInEntry });
+
+    if (hotel.endDate > hotel.date && days.has(hotel.endDate)) {
+      const checkOutDay = days.get(hotel.endDate);
+      let checkOut = hotel.endTime ?? checkOutTime;
+      // Check out before heading to the airport
+      checkOutDay.blocked.forEach((block) => {
+        if (checkOut - hotelTaskMinutes < block.end && checkOut > block.start) checkOut = block.start;
+      });
+      checkOut = Math.max(checkOut, hotelTaskMinutes);
+      const checkOutEntry = this.addEntry(checkOutDay, hotel, checkOut - hotelTaskMinutes, checkOut, { kind: 'check_out' });
+      checkOutDay.blocked.push({ start: checkOutEntry.start, end: checkOutEntry.end, entry: checkOutEntry });
+    }
+  }
+
+  placeTimed(item, days, conflicts) {
+    const day = days.get(item.date);
+    const start = item.startTime;
+    const end = Math.min(start + item.duration, MINUTES_PER_DAY);
+    const entry = this.addEntry(day, item, start, end);
+
+    day.blocked.filter((block) => overlaps(block, entry)).forEach((block) => conflicts.push({
+      type: 'overlap',
+      severity: 'error',
+      date: day.date,
+      componentIds: [block.entry.componentId, item.id],
+      message: block.entry.start === block.start && block.entry.end === block.end
+        ? `${item.title} overlaps ${block.entry.title}`
+        : `${item.title} leaves too little time around ${block.entry.title}`
+    }));
+    day.blocked.push({ start, end, entry });
+
+    if ((item.open !== null && start < item.open) || (item.close !== null && end > item.close)) {
+      conflicts.push({
+        type: 'outside_opening_hours',
+        severity: 'error',
+        date: day.date,
+        componentIds: [item.id],
+        message: `${item.title} is planned for ${formatTime(start)}-${formatTime(end)} but is only open ` +
+          `${formatTime(item.open ?? 0)}-${formatTime(item.close ?? MINUTES_PER_DAY)}`
+      });
+    }
+    this.checkCity(item, day, conflicts);
+  }
+
+  placeFlexible(item, days, conflicts, unscheduled) {
+    if (item.date) {
+      const day = days.get(item.date);
+      const slot = this.findSlot(item, day);
+      if (slot === null) {
+        conflicts.push({
+          type: 'no_time',
+          severity: 'error',
+          date: day.date,
+          componentIds: [item.id],
+          message: `There is no free ${item.duration}-minute slot on ${day.date} for ${item.title}`
+        });
+        unscheduled.push({ componentId: item.id, title: item.title, type: item.type, reason: `No free time on ${day.date}` });
+        return;
+      }
+      this.placeAt(item, day, slot);
+      this.checkCity(item, day, conflicts);
+      return;
+    }
+
+    // Undated: the first trip day spent in the component's city with room for it, then days whose city is unknown
+    const tripDays = [...days.values()].filter((day) => day.inTrip);
+    const candidates = [
+      ...tripDays.filter((day) => this.isInCity(item, day) === true),
+      ...tripDays.filter((day) => this.isInCity(item, day) === null)
+    ];
+    for (const day of candidates) {
+      const slot = this.findSlot(item, day);
+      if (slot !== null) {
+        this.placeAt(item, day, slot, { suggested: true });
+        return;
+      }
+    }
+    unscheduled.push({
+      componentId: item.id,
+      title: item.title,
+      type: item.type,
+      reason: candidates.length ? 'No free time on the days spent in its city' : `The trip never visits ${item.city || 'its location'}`
+    });
+  }
+
+  placeAt(item, day, start, extra = {}) {
+    const entry = this.addEntry(day, item, start, start + item.duration, { fixed: false, ...extra });
+    day.blocked.push({ start: entry.start, end: entry.end, entry });
+  }
+
+  // Earliest start within the day and opening hours that keeps a buffer to everything already planned
+  findSlot(item, day) {
+    const { dayStart, dayEnd, bufferMinutes } = this.settings;
+    const earliest = Math.max(dayStart, item.open ?? 0);
+    const latestEnd = Math.min(dayEnd, item.close ?? MINUTES_PER_DAY);
+    const blocks = [...day.blocked].sort((a, b) => a.start - b.start);
+
+    let candidate = earliest;
+    for (const block of blocks) {
+      if (candidate + item.duration + bufferMinutes <= block.start) break;
+      if (block.end + bufferMinutes > candidate) candidate = Math.max(candidate, block.end + bufferMinutes);
+    }
+    return candidate + item.duration <= latestEnd ? candidate : null;
+  }
+
+  /**
+   * @returns {boolean|null} - Whether the component is in one of the day's cities, or null when unknown
+   */
+  isInCity(item, day) {
+    if (item.city && day.cities.length) return cityMatches(item.city, day.cities);
+    if (item.coordinates && day.hotelCoordinates) {
+      return RouteOptimizationService.haversineKm(item.coordinates, day.hotelCoordinates) <= this.settings.sameCityRadiusKm;
+    }
+    return null;
+  }
+
+  checkCity(item, day, conflicts) {
+    if (this.isInCity(item, day) !== false) return;
+    conflicts.push({
+      type: 'wrong_city',
+      severity: 'error',
+      date: day.date,
+      componentIds: [item.id],
+      message: item.city && day.cities.length
+        ? `${item.title} is in ${item.city} but on ${day.date} you are in ${day.cities.join(' / ')}`
+        : `${item.title} is far from where you are staying on ${day.date}`
+    });
+  }
+}
+
+ItinerarySchedulerService.getFlightAirports = getFlightAirports;
+
+module.exports = ItinerarySchedulerService;
@@ -0,0 +1,246 @@
+/**
+ * Multi-City Flight Service
+ * Flight providers only price one-way and round-trip searches, so a multi-city trip is searched one leg at a time and
+ * the cheapest flights of each leg are combined into priced itineraries. Legs do not have to connect: when a leg
+ * starts somewhere other than where the previous one ended (open jaw), the gap is reported as a surface segment
+ * the traveller covers on their own.
+ */
+
+const winston = require('winston');
+const FlightSearchService = require('./flightSearchService');
+const { parseDurationMinutes } = require('./flightProviders/offerUtils');
+const { combineBreakdowns } = require('./pricingRulesService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'multi-city-flight-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const MIN_LEGS = 2;
+const MAX_LEGS = 6;
+// Flights per leg that take part in combinations; fewer for long trips to keep the product small (3^6 = 729)
+const OPTIONS_PER_LEG = { 2: 8, 3: 6, 4: 4, 5: 3, 6: 3 };
+// Minimum time between landing and the next leg's departure when both are known
+const MIN_CONNECTION_MINUTES = 90;
+
+/**
+ * Combine a leg's date with a flight time ("14:35" or a full ISO timestamp)
+ * @param {string} date - Leg date (YYYY-MM-DD)
+ * @param {string} time - Time from the flight provider
+ * @returns {Date|null} - Point in time, or null when the time is missing or unreadable
+ */
+const toTimestamp = (date, time) => {
+  if (!time) return null;
+  const value = /^\d{1,2}:\d{2}/.test(time) ? new Date(`${date}T${time.padStart(5, '0')}`) : new Date(time);
+  return isNaN(value.getTime()) ? null : value;
+};
+
+class MultiCityFlightService {
+  constructor(flightSearch = new FlightSearchService()) {
+    this.flightSearch = flightSearch;
+  }
+
+  /**
+   * Check the legs of a multi-city trip
+   * @param {Array<Object>} legs - [{ origin, destination, departureDate }]
+   * @returns {Array<string>} - Problems found, empty when the legs are valid
+   */
+  validateLegs(legs) {
+    const errors = [];
+    if (!Array.isArray(legs) || legs.length < MIN_LEGS || legs.length > MAX_LEGS) {
+      return [`A multi-city trip needs between ${MIN_LEGS} and ${MAX_LEGS} legs`];
+    }
+
+    legs.forEach((leg, index) => {
+      if (leg.origin === leg.destination) {
+        errors.push(`Leg ${index + 1} must fly to a different airport than it departs from`);
+      }
+      if (index > 0 && leg.departureDate < legs[index - 1].departureDate) {
+        errors.push(`Leg ${index + 1} departs before leg ${index}; legs must be in travel order`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Gaps between legs that are not flown (open jaw)
+   * @param {Array<Object>} legs - Trip legs
+   * @returns {Array<Object>} - [{ afterLeg, from, to }]
+   */
+  getSurfaceSegments(legs) {
+    return legs.slice(1)
+      .map((leg, index) => ({ afterLeg: index + 1, from: legs[index].destination, to: leg.origin }))
+      .filter(segment => segment.from !== segment.to);
+  }
+
+  /**
+   * Search every leg as a one-way flight
+   * @param {Array<Object>} legs - Trip legs
+   * @param {Object} options - { adults, children, infants, cabinClass, currency }
+   * @returns {Promise<Array<Array<Object>>>} - Flights per leg, cheapest first
+   */
+  async searchLegs(legs, options) {
+    return Promise.all(legs.map(async (leg, index) => {
+      let searchResults;
+      try {
+        searchResults = await this.flightSearch.searchFlights({ ...options, ...leg });
+      } catch (err) {
+        // Name the leg so the caller knows which part of the trip has no flights
+        const legError = new Error(`Leg ${index + 1} (${leg.origin} → ${leg.destination} on ${leg.departureDate}): ${err.message}`);
+        legError.noFlights = err.message.startsWith('No flights found');
+        legError.status = err.status;
+        throw legError;
+      }
+
+      const flights = (searchResults.results?.flights || [])
+        .filter(flight => flight.price?.total > 0)
+        .sort((a, b) => a.price.total - b.price.total);
+      if (flights.length === 0) {
+        const legError = new Error(`Leg ${index + 1} (${leg.origin} → ${leg.destination} on ${leg.departureDate}): No flights found`);
+        legError.noFlights = true;
+        throw legError;
+      }
+      return flights;
+    }));
+  }
+
+  /**
+   * Whether the next flight leaves late enough after the previous one lands
+   * @returns {boolean} - false only when both times are known and too close
+   */
+  canConnect(previousLeg, previousFlight, nextLeg, nextFlight) {
+    const previousArrival = toTimestamp(previousLeg.departureDate, previousFlight.arrival?.time);
+    const previousDeparture = toTimestamp(previousLeg.departureDate, previousFlight.departure?.time);
+    const nextDeparture = toTimestamp(nextLeg.departureDate, nextFlight.departure?.time);
+    if (!previousArrival || !nextDeparture) return true;
+
+    // A bare arrival time earlier than the departure time lands the next day
+    if (previousDeparture && previousArrival < previousDeparture) {
+      previousArrival.setDate(previousArrival.getDate() + 1);
+    }
+    return nextDeparture - previousArrival >= MIN_CONNECTION_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Combine the flights of each leg into itineraries, cheapest first
+   * @param {Array<Object>} legs - Trip legs
+   * @param {Array<Array<Object>>} legFlights - Flights per leg, cheapest first
+   * @param {Object} options - { currency, maxResults }
+   * @returns {Array<Object>} - Priced itineraries
+   */
+  buildItineraries(legs, legFlights, { currency = 'USD', maxResults = 20 } = {}) {
+    const perLeg = OPTIONS_PER_LEG[legs.length] || 3;
+    const candidates = legFlights.map(flights => flights.slice(0, perLeg));
+    const surfaceSegments = this.getSurfaceSegments(legs);
+
+    const combinations = [];
+    const extend = (chosen) => {
+      const index = chosen.length;
+      if (index === legs.length) {
+        combinations.push(chosen);
+        return;
+      }
+      candidates[index].forEach((flight) => {
+        if (index > 0 && !this.canConnect(legs[index - 1], chosen[index - 1], legs[index], flight)) return;
+        extend([...chosen, flight]);
+      });
+    };
+    extend([]);
+
+    return combinations
+      .map((flights) => {
+        const legMinutes = flights.map(flight => parseDurationMinutes(flight.duration?.total));
+        const legStops = flights.map(flight => flight.stops || 0);
+        const total = flights.reduce((sum, flight) => sum + flight.price.total, 0);
+
+        return {
+          id: flights.map(flight => flight.id).join('|'),
+          legs: legs.map((leg, index) => ({
+            legNumber: index + 1,
+            origin: leg.origin,
+            destination: leg.destination,
+            departureDate: leg.departureDate,
+            flight: flights[index]
+          })),
+          price: {
+            total: Math.round(total * 100) / 100,
+            currency,
+            perLeg: flights.map(flight => flight.price.total),
+            breakdown: combineBreakdowns(flights.map(flight => flight.price.breakdown), currency)
+          },
+          duration: {
+            // Flying time only; null when any leg's duration is unknown
+            totalMinutes: legMinutes.includes(null) ? null : legMinutes.reduce((sum, minutes) => sum + minutes, 0),
+            legs: legMinutes
+          },
+          stops: {
+            total: legStops.reduce((sum, stops) => sum + stops, 0),
+            max: Math.max(...legStops),
+            legs: legStops
+          },
+          openJaw: surfaceSegments.length > 0,
+          surfaceSegments
+        };
+      })
+      .sort((a, b) => a.price.total - b.price.total ||
+        (a.stops.total - b.stops.total) ||
+        ((a.duration.totalMinutes ?? Infinity) - (b.duration.totalMinutes ?? Infinity)))
+      .slice(0, maxResults);
+  }
+
+  /**
+   * Search a multi-city trip
+   * @param {Object} searchParams - { legs, adults, children, infants, cabinClass, currency, maxResults }
+   * @returns {Promise<Object>} - Search results with combined itineraries
+   */
+  async searchMultiCity(searchParams) {
+    const { legs, maxResults, ...options } = searchParams;
+    const errors = this.validateLegs(legs);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const legFlights = await this.searchLegs(legs, options);
+    const itineraries = this.buildItineraries(legs, legFlights, { currency: options.currency, maxResults });
+
+    logger.info('Multi-city search completed', {
+      legs: legs.map(leg => `${leg.origin}-${leg.destination}`).join(','),
+      flightsPerLeg: legFlights.map(flights => flights.length),
+      itineraries: itineraries.length
+    });
+
+    return {
+      success: true,
+      searchParams,
+      results: {
+        itineraries,
+        totalResults: itineraries.length,
+        flightsPerLeg: legFlights.map(flights => flights.length),
+        surfaceSegments: this.getSurfaceSegments(legs),
+        tripType: 'multicity'
+      },
+      meta: {
+        currency: options.currency || 'USD',
+        searchTime: new Date().toISOString()
+      }
+    };
+  }
+}
+
+MultiCityFlightService.MIN_LEGS = MIN_LEGS;
+MultiCityFlightService.MAX_LEGS = MAX_LEGS;
+
+module.exports = MultiCityFlightService;
@@ -0,0 +1,128 @@
+/**
+ * Notification Service
+ * Persists notifications in the notifications table and pushes them to the user's sockets.
+ * Notifying is best-effort: failures are logged and never break the operation that triggered them.
+ */
+
+const winston = require('winston');
+const { notificationModel } = require('../models/database');
+const { emitToUser } = require('./socketServer');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'notification-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Title, message and type shown to the traveler for each booking status
+const BOOKING_STATUS_MESSAGES = {
+  confirmed: { type: 'success', title: 'Booking confirmed', message: 'Your booking {ref} is confirmed. Have a great trip!' },
+  pending_provider_confirmation: { type: 'info', title: 'Awaiting provider confirmation', message: 'Your booking {ref} is waiting for the provider to confirm.' },
+  completed: { type: 'success', title: 'Trip completed', message: 'Your booking {ref} is complete. Tell others how it went by leaving a review.' },
+  cancelled: { type: 'warning', title: 'Booking cancelled', message: 'Your booking {ref} has been cancelled.' },
+  refunded: { type: 'info', title: 'Refund issued', message: 'A refund for your booking {ref} is on its way.' }
+};
+
+// Title, message and type shown to the provider for each verification decision
+const VERIFICATION_STATUS_MESSAGES = {
+  verified: { type: 'success', title: 'Provider profile verified', message: 'Your provider profile has been verified. You can now publish listings.' },
+  rejected: { type: 'warning', title: 'Verification rejected', message: 'Your verification request was not approved. Please review the reason and resubmit your documents.' },
+  suspended: { type: 'error', title: 'Provider account suspended', message: 'Your provider account has been suspended and your listings can no longer be booked.' }
+};
+
+/**
+ * Create a notification for a user and push it over Socket.IO
+ * @param {number} userId - Recipient user ID
+ * @param {Object} notification - { title, message, type, category, data, actionUrl }
+ * @returns {Promise<Object|null>} - The stored notification, or null if it could not be created
+ */
+const notify = async (userId, { title, message, type = 'info', category = 'general', data = {}, actionUrl = null }) => {
+  try {
+    const notification = await notificationModel.create({
+      user_id: userId,
+      title,
+      message,
+      type,
+      category,
+      data,
+      action_url: actionUrl
+    });
+
+    emitToUser(userId, 'notification:new', notification);
+    emitToUser(userId, 'notification:unread_count', { count: await notificationModel.countUnread(userId) });
+    return notification;
+  } catch (err) {
+    logger.error('Failed to create notification', { userId, title, error: err.message });
+    return null;
+  }
+};
+
+/**
+ * Tell the traveler that their booking changed status
+ * @param {Object} booking - Booking row (after the change)
+ * @param {Object} [extra] - { reason } appended to the message
+ * @returns {Promise<Object|null>} - The stored notification, or null for statuses that are not announced
+ */
+const notifyBookingStatusChange = async (booking, { reason } = {}) => {
+  const template = BOOKING_STATUS_MESSAGES[booking.status];
+  if (!template || !booking.traveler_id) return null;
+
+  const message = template.message.replace('{ref}', booking.booking_reference);
+  return notify(booking.traveler_id, {
+    title: template.title,
+    message: reason ? `${message} Reason: ${reason}` : message,
+    type: template.type,
+    category: 'booking',
+    data: { booking_id: booking.id, booking_reference: booking.booking_reference, status: booking.status },
+    actionUrl: '/my-bookings'
+  });
+};
+
+/**
+ * Tell a provider about an admin decision on their verification
+ * @param {Object} profile - Provider profile row (after the change)
+ * @param {Object} [extra] - { reason } appended to the message
+ * @returns {Promise<Object|null>} - The stored notification, or null for statuses that are not announced
+ */
+const notifyProviderVerification = async (profile, { reason } = {}) => {
+  const template = VERIFICATION_STATUS_MESSAGES[profile.verification_status];
+  if (!template || !profile.user_id) return null;
+
+  return notify(profile.user_id, {
+    title: template.title,
+    message: reason ? `${template.message} Reason: ${reason}` : template.message,
+    type: template.type,
+    category: 'provider_verification',
+    data: { provider_id: profile.id, verification_status: profile.verification_status },
+    actionUrl: '/provider/dashboard'
+  });
+};
+
+/**
+ * Push a price alert to a user
+ * @param {number} userId - Recipient user ID
+ * @param {Object} alert - { title, message, data, actionUrl }
+ * @returns {Promise<Object|null>} - The stored notification
+ */
+const notifyPriceAlert = async (userId, { title, message, data = {}, actionUrl = null }) => {
+  return notify(userId, { title, message, type: 'info', category: 'price_alert', data, actionUrl });
+};
+
+module.exports = {
+  notify,
+  notifyBookingStatusChange,
+  notifyProviderVerification,
+  notifyPriceAlert
+};
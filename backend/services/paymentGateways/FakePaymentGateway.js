@@ -0,0 +1,187 @@
+/**
+ * Fake Payment Gateway
+ * Local, in-memory gateway for development and tests. No money moves and no network calls are made.
+ *
+ * Payment method tokens:
+ *   - pm_fake_declined            -> authorization fails (card_declined)
+ *   - pm_fake_insufficient_funds  -> authorization fails (insufficient_funds)
+ *   - any other non-empty token   -> authorization succeeds
+ *
+ * Webhooks are signed as `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`
+ * using PAYMENT_WEBHOOK_SECRET, which is required. Use signPayload() to produce a valid header locally.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PaymentGateway = require('./PaymentGateway');
+
+const DECLINE_REASONS = {
+  pm_fake_declined: 'card_declined',
+  pm_fake_insufficient_funds: 'insufficient_funds'
+};
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+class FakePaymentGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super('fake');
+    this.webhookSecret = options.webhookSecret || process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!this.webhookSecret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is required to verify payment webhooks');
+    }
+    this.intents = new Map();
+    this.refunds = new Map(); // idempotency key -> refund result
+  }
+
+  get signatureHeader() {
+    return 'x-fake-signature';
+  }
+
+  async createIntent({ amount, currency = 'USD', idempotencyKey, metadata = {} }) {
+    if (idempotencyKey) {
+      const existing = [...this.intents.values()].find(i => i.idempotencyKey === idempotencyKey);
+      if (existing) return { id: existing.id, status: existing.status };
+    }
+
+    const intent = {
+      id: `fpi_${uuidv4().replace(/-/g, '')}`,
+      amount: parseFloat(amount),
+      currency,
+      status: 'requires_authorization',
+      capturedAmount: 0,
+      refundedAmount: 0,
+      idempotencyKey,
+      metadata
+    };
+    this.intents.set(intent.id, intent);
+    return { id: intent.id, status: intent.status };
+  }
+
+  async authorize(providerIntentId, paymentMethod) {
+    const intent = this.getIntent(providerIntentId);
+    if (intent.status !== 'requires_authorization') {
+      throw new Error(`Cannot authorize payment intent in status ${intent.status}`);
+    }
+
+    const failureReason = !paymentMethod ? 'missing_payment_method' : DECLINE_REASONS[paymentMethod];
+    intent.status = failureReason ? 'failed' : 'authorized';
+    return { id: intent.id, status: intent.status, ...(failureReason && { failureReason }) };
+  }
+
+  async capture(providerIntentId, amount) {
+    const intent = this.getIntent(providerIntentId);
+    if (intent.status !== 'authorized') {
+      throw new Error(`Cannot capture payment intent in status ${intent.status}`);
+    }
+
+    const captureAmount = amount !== undefined ? parseFloat(amount) : intent.amount;
+    if (captureAmount > intent.amount) {
+      throw new Error('Capture amount exceeds the authorized amount');
+    }
+
+    intent.status = 'captured';
+    intent.capturedAmount = captureAmount;
+    return { id: intent.id, status: intent.status, capturedAmount: captureAmount };
+  }
+
+  async refund(providerIntentId, amount, { idempotencyKey } = {}) {
+    if (idempotencyKey && this.refunds.has(idempotencyKey)) {
+      return this.refunds.get(idempotencyKey);
+    }
+
+    const intent = this.getIntent(providerIntentId);
+    if (!['captured', 'partially_refunded'].includes(intent.status)) {
+      throw new Error(`Cannot refund payment intent in status ${intent.status}`);
+    }
+
+    const refundedAmount = parseFloat((intent.refundedAmount + parseFloat(amount)).toFixed(2));
+    if (refundedAmount > intent.capturedAmount) {
+      throw new Error('Refund amount exceeds the captured amount');
+    }
+
+    intent.refundedAmount = refundedAmount;
+    intent.status = refundedAmount === intent.capturedAmount ? 'refunded' : 'partially_refunded';
+    const result = { id: intent.id, status: intent.status, refundedAmount };
+    if (idempotencyKey) this.refunds.set(idempotencyKey, result);
+    return result;
+  }
+
+  async void(providerIntentId) {
+    const intent = this.getIntent(providerIntentId);
+    if (!['requires_authorization', 'authorized'].includes(intent.status)) {
+      throw new Error(`Cannot void payment intent in status ${intent.status}`);
+    }
+
+    intent.status = 'voided';
+    return { id: intent.id, status: intent.status };
+  }
+
+  constructWebhookEvent(rawBody, signature) {
+    if (!signature) {
+      throw new Error('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(
+      signature.split(',').map(part => part.trim().split('=')).filter(kv => kv.length === 2)
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Malformed webhook signature');
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature timestamp is outside the tolerance window');
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = this.computeSignature(timestamp, body);
+    const received = Buffer.from(parts.v1, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(body);
+    return {
+      id: event.id,
+      type: event.type,
+      data: {
+        intentId: event.data?.intent_id,
+        status: event.data?.status,
+        capturedAmount: event.data?.captured_amount,
+        refundedAmount: event.data?.refunded_amount,
+        failureReason: event.data?.failure_reason
+      }
+    };
+  }
+
+  /**
+   * Build a valid signature header for a payload (local testing helper)
+   * @param {string} body - Raw JSON body that will be posted
+   * @param {number} [timestamp] - Unix seconds, defaults to now
+   * @returns {string} - Signature header value
+   */
+  signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.computeSignature(timestamp, body).toString('hex')}`;
+  }
+
+  computeSignature(timestamp, body) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${body}`).digest();
+  }
+
+  getIntent(providerIntentId) {
+    const intent = this.intents.get(providerIntentId);
+    if (!intent) {
+      throw new Error(`No such payment intent: ${providerIntentId}`);
+    }
+    return intent;
+  }
+
+  getStatus() {
+    return {
+      service: 'Fake Payment Gateway',
+      status: 'operational',
+      intentsInMemory: this.intents.size
+    };
+  }
+}
+
+module.exports = FakePaymentGateway;
@@ -0,0 +1,95 @@
+/**
+ * Payment Gateway Interface
+ * Every payment provider adapter extends this class and implements the methods below.
+ * Amounts are decimal numbers in the intent currency (e.g. 125.50).
+ */
+
+class PaymentGateway {
+  /**
+   * @param {string} name - Provider name stored on payment_intents.provider
+   */
+  constructor(name) {
+    if (new.target === PaymentGateway) {
+      throw new Error('PaymentGateway is an interface and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Create a payment intent at the provider
+   * @param {Object} params - { amount, currency, idempotencyKey, metadata }
+   * @returns {Promise<Object>} - { id, status }
+   */
+  async createIntent() {
+    throw new Error(`${this.name}: createIntent() is not implemented`);
+  }
+
+  /**
+   * Authorize (place a hold on) the intent amount
+   * @param {string} providerIntentId - Provider intent ID
+   * @param {string} paymentMethod - Provider payment method token
+   * @returns {Promise<Object>} - { id, status, failureReason? }
+   */
+  async authorize() {
+    throw new Error(`${this.name}: authorize() is not implemented`);
+  }
+
+  /**
+   * Capture a previously authorized intent
+   * @param {string} providerIntentId - Provider intent ID
+   * @param {number} [amount] - Amount to capture, defaults to the authorized amount
+   * @returns {Promise<Object>} - { id, status, capturedAmount }
+   */
+  async capture() {
+    throw new Error(`${this.name}: capture() is not implemented`);
+  }
+
+  /**
+   * Release an authorization without capturing it
+   * @param {string} providerIntentId - Provider intent ID
+   * @returns {Promise<Object>} - { id, status }
+   */
+  async void() {
+    throw new Error(`${this.name}: void() is not implemented`);
+  }
+
+  /**
+   * Refund part or all of a captured intent
+   * @param {string} providerIntentId - Provider intent ID
+   * @param {number} amount - Amount to refund
+   * @param {Object} [options] - { idempotencyKey } a repeated key returns the earlier refund instead of refunding again
+   * @returns {Promise<Object>} - { id, status, refundedAmount } where refundedAmount is the running total
+   */
+  async refund() {
+    throw new Error(`${this.name}: refund() is not implemented`);
+  }
+
+  /**
+   * Verify a webhook signature and parse the event
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} signature - Signature header value
+   * @returns {Object} - Normalized event { id, type, data: { intentId, status, ... } }
+   * @throws {Error} - If the signature is missing or invalid
+   */
+  constructWebhookEvent() {
+    throw new Error(`${this.name}: constructWebhookEvent() is not implemented`);
+  }
+
+  /**
+   * Header carrying the webhook signature for this provider
+   * @returns {string}
+   */
+  get signatureHeader() {
+    return 'x-payment-signature';
+  }
+
+  /**
+   * Get gateway status
+   * @returns {Object} - Gateway status
+   */
+  getStatus() {
+    return { service: this.name, status: 'unknown' };
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,56 @@
+/**
+ * Payment Gateway Registry
+ * Resolves provider adapters by name. The default provider comes from PAYMENT_PROVIDER. The fake gateway moves no
+ * money, so it is only registered outside production unless PAYMENT_FAKE_GATEWAY=true, and only then is it the
+ * fallback when PAYMENT_PROVIDER is unset.
+ */
+
+const FakePaymentGateway = require('./FakePaymentGateway');
+
+const gateways = new Map();
+
+const fakeGatewayEnabled = () => process.env.NODE_ENV !== 'production' || process.env.PAYMENT_FAKE_GATEWAY === 'true';
+
+/**
+ * Register a gateway instance under its name
+ * @param {PaymentGateway} gateway - Gateway adapter instance
+ */
+const registerGateway = (gateway) => {
+  gateways.set(gateway.name, gateway);
+};
+
+/**
+ * Name of the default provider
+ * @returns {string|null} - PAYMENT_PROVIDER, 'fake' where the fake gateway is enabled, otherwise null
+ */
+const getDefaultProvider = () => process.env.PAYMENT_PROVIDER || (fakeGatewayEnabled() ? 'fake' : null);
+
+/**
+ * Get a gateway by provider name
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {PaymentGateway} - Gateway adapter
+ */
+const getGateway = (name = getDefaultProvider()) => {
+  if (!name) {
+    const error = new Error('No payment provider configured. Set PAYMENT_PROVIDER.');
+    error.status = 503;
+    throw error;
+  }
+  const gateway = gateways.get(name);
+  if (!gateway) {
+    const error = new Error(`Unknown payment provider: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+  return gateway;
+};
+
+if (fakeGatewayEnabled()) {
+  registerGateway(new FakePaymentGateway());
+}
+
+module.exports = {
+  registerGateway,
+  getGateway,
+  getDefaultProvider
+};
@@ -0,0 +1,311 @@
+/**
+ * Payment Service
+ * Drives payment intents through their lifecycle (authorize -> capture | void) and keeps the
+ * related booking in step with ALLOWED_STATUS_TRANSITIONS in utils/bookingUtils.js.
+ */
+
+const winston = require('winston');
+const {
+  paymentModel,
+  bookingModel,
+  bookingComponentModel,
+  customTripModel
+} = require('../models/database');
+const { BOOKING_STATUSES, isValidStatusTransition } = require('../utils/bookingUtils');
+const { getGateway, getDefaultProvider } = require('./paymentGateways');
+const { notifyBookingStatusChange } = require('./notificationService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'payment-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// Intent statuses each intent status may move on to; webhooks that would move an intent anywhere else are ignored
+const INTENT_TRANSITIONS = {
+  requires_authorization: ['authorized', 'captured', 'voided', 'failed'],
+  authorized: ['captured', 'voided', 'failed'],
+  captured: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  refunded: [],
+  voided: [],
+  failed: []
+};
+
+// Booking and payment status each intent status settles the booking into
+const BOOKING_OUTCOMES = {
+  captured: { status: BOOKING_STATUSES.CONFIRMED, payment_status: 'paid', componentStatus: 'confirmed' },
+  voided: { status: BOOKING_STATUSES.CANCELLED, payment_status: 'voided', componentStatus: 'cancelled' },
+  failed: { status: BOOKING_STATUSES.CANCELLED, payment_status: 'failed', componentStatus: 'cancelled' }
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class PaymentService {
+  /**
+   * Create a booking with its components and payment intent, or return the ones already recorded for the
+   * idempotency key. Concurrent requests with the same key create one booking between them.
+   * @param {Object} bookingData - Booking data
+   * @param {Array} componentsData - Booking component data
+   * @param {Object} options - { userId, idempotencyKey, provider, metadata }
+   * @returns {Promise<Object>} - { booking, intent, created }
+   */
+  async createBookingWithIntent(bookingData, componentsData, { userId, idempotencyKey, provider, metadata = {} } = {}) {
+    const existing = await this.findByIdempotencyKey(idempotencyKey);
+    if (existing) return existing;
+
+    const gateway = getGateway(provider);
+    const currency = bookingData.currency || 'USD';
+    const gatewayIntent = await gateway.createIntent({
+      amount: bookingData.total_price,
+      currency,
+      idempotencyKey,
+      metadata: { ...metadata, booking_reference: bookingData.booking_reference }
+    });
+
+    const created = await paymentModel.createBookingWithIntent(bookingData, componentsData, {
+      user_id: userId,
+      provider: gateway.name,
+      provider_intent_id: gatewayIntent.id,
+      idempotency_key: idempotencyKey,
+      amount: bookingData.total_price,
+      currency,
+      status: gatewayIntent.status,
+      metadata
+    });
+    if (!created) {
+      logger.info('Concurrent booking request with the same idempotency key', { idempotencyKey });
+      return this.findByIdempotencyKey(idempotencyKey);
+    }
+
+    logger.info('Payment intent created', { intentId: created.intent.id, bookingId: created.booking.id, provider: gateway.name });
+    return { booking: created.booking, intent: created.intent, created: true };
+  }
+
+  /**
+   * Booking and payment intent already recorded for an idempotency key
+   * @param {string|null} idempotencyKey - Idempotency key
+   * @returns {Promise<Object|null>} - { booking, intent, created: false } or null
+   */
+  async findByIdempotencyKey(idempotencyKey) {
+    if (!idempotencyKey) return null;
+    const intent = await paymentModel.findIntentByIdempotencyKey(idempotencyKey);
+    if (!intent) return null;
+    return { booking: await bookingModel.findById(intent.booking_id), intent, created: false };
+  }
+
+  /**
+   * Authorize an intent with a payment method. A declined authorization cancels the booking.
+   * @param {Object} intent - Payment intent row
+   * @param {string} paymentMethod - Provider payment method token
+   * @returns {Promise<Object>} - Updated payment intent
+   */
+  async authorize(intent, paymentMethod) {
+    if (intent.status !== 'requires_authorization') {
+      throw createError(`Payment intent cannot be authorized from status ${intent.status}`, 409);
+    }
+
+    const result = await getGateway(intent.provider).authorize(intent.provider_intent_id, paymentMethod);
+    return this.applyIntentStatus(intent, result.status, { failureReason: result.failureReason });
+  }
+
+  /**
+   * Capture an authorized intent. Confirms the booking.
+   * @param {Object} intent - Payment intent row
+   * @param {number} [amount] - Amount to capture, defaults to the full intent amount
+   * @returns {Promise<Object>} - Updated payment intent
+   */
+  async capture(intent, amount) {
+    if (intent.status !== 'authorized') {
+      throw createError(`Payment intent cannot be captured from status ${intent.status}`, 409);
+    }
+    if (amount !== undefined && parseFloat(amount) > parseFloat(intent.amount)) {
+      throw createError('Capture amount exceeds the authorized amount', 400);
+    }
+
+    const result = await getGateway(intent.provider).capture(intent.provider_intent_id, amount);
+    return this.applyIntentStatus(intent, result.status, { capturedAmount: result.capturedAmount });
+  }
+
+  /**
+   * Refund part or all of a captured intent. Booking status is left to the caller (see CancellationService).
+   * @param {Object} intent - Payment intent row
+   * @param {number} amount - Amount to refund
+   * @param {Object} [options] - { idempotencyKey } passed to the provider so a retried refund is not paid twice
+   * @returns {Promise<Object>} - Updated payment intent
+   */
+  async refund(intent, amount, { idempotencyKey } = {}) {
+    if (!['captured', 'partially_refunded'].includes(intent.status)) {
+      throw createError(`Payment intent cannot be refunded from status ${intent.status}`, 409);
+    }
+    const refundable = parseFloat(intent.captured_amount) - parseFloat(intent.refunded_amount || 0);
+    if (!(parseFloat(amount) > 0) || parseFloat(amount) > refundable + 0.001) {
+      throw createError(`Refund amount must be between 0 and ${refundable.toFixed(2)}`, 400);
+    }
+
+    const result = await getGateway(intent.provider).refund(intent.provider_intent_id, amount, { idempotencyKey });
+    return this.applyIntentStatus(intent, result.status, { refundedAmount: result.refundedAmount });
+  }
+
+  /**
+   * Release an authorization without capturing. Cancels the booking.
+   * @param {Object} intent - Payment intent row
+   * @returns {Promise<Object>} - Updated payment intent
+   */
+  async void(intent) {
+    if (!['requires_authorization', 'authorized'].includes(intent.status)) {
+      throw createError(`Payment intent cannot be voided from status ${intent.status}`, 409);
+    }
+
+    const result = await getGateway(intent.provider).void(intent.provider_intent_id);
+    return this.applyIntentStatus(intent, result.status);
+  }
+
+  /**
+   * Verify and apply a provider webhook. Duplicate deliveries, unknown statuses and events that would move the
+   * intent backwards (replayed or out of order) are acknowledged and ignored.
+   * @param {string} provider - Provider name from the webhook URL
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - { duplicate, event, intent }
+   */
+  async handleWebhook(provider, rawBody, headers) {
+    const gateway = getGateway(provider);
+
+    let event;
+    try {
+      event = gateway.constructWebhookEvent(rawBody, headers[gateway.signatureHeader]);
+    } catch (error) {
+      logger.warn('Rejected payment webhook', { provider, error: error.message });
+      throw createError(error.message, 400);
+    }
+
+    const recorded = await paymentModel.recordWebhookEvent({
+      provider: gateway.name,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event
+    });
+    if (!recorded) {
+      logger.info('Duplicate payment webhook ignored', { provider, eventId: event.id });
+      return { duplicate: true, event };
+    }
+
+    let intent = await paymentModel.findIntentByProviderIntentId(gateway.name, event.data.intentId);
+    if (!intent) {
+      logger.warn('Payment webhook for unknown intent', { provider, intentId: event.data.intentId });
+    } else if (event.data.status && event.data.status !== intent.status) {
+      if (INTENT_TRANSITIONS[intent.status].includes(event.data.status)) {
+        intent = await this.applyIntentStatus(intent, event.data.status, {
+          capturedAmount: event.data.capturedAmount,
+          refundedAmount: event.data.refundedAmount,
+          failureReason: event.data.failureReason
+        });
+      } else {
+        logger.warn('Payment webhook status change not allowed, ignored', {
+          provider,
+          eventId: event.id,
+          from: intent.status,
+          to: event.data.status
+        });
+      }
+    }
+
+    await paymentModel.markWebhookEventProcessed(recorded.id);
+    return { duplicate: false, event, intent };
+  }
+
+  /**
+   * Persist a new intent status and settle the booking if the status is final
+   * @param {Object} intent - Payment intent row
+   * @param {string} status - New intent status
+   * @param {Object} [details] - { capturedAmount, refundedAmount, failureReason }
+   * @returns {Promise<Object>} - Updated payment intent
+   */
+  async applyIntentStatus(intent, status, { capturedAmount, refundedAmount, failureReason } = {}) {
+    const updates = { status };
+    if (status === 'captured') {
+      updates.captured_amount = capturedAmount !== undefined ? capturedAmount : intent.amount;
+    }
+    if (refundedAmount !== undefined) {
+      updates.refunded_amount = refundedAmount;
+    }
+    if (failureReason) {
+      updates.failure_reason = failureReason;
+    }
+
+    const updatedIntent = await paymentModel.updateIntent(intent.id, updates);
+    logger.info('Payment intent status changed', { intentId: intent.id, from: intent.status, to: status });
+
+    if (BOOKING_OUTCOMES[status] && updatedIntent.booking_id) {
+      await this.settleBooking(updatedIntent.booking_id, BOOKING_OUTCOMES[status]);
+    }
+
+    return updatedIntent;
+  }
+
+  /**
+   * Move a booking (and its components and custom trip) to the outcome of its payment
+   * @param {number} bookingId - Booking ID
+   * @param {Object} outcome - Entry from BOOKING_OUTCOMES
+   * @returns {Promise<Object|null>} - Updated booking, or null if the transition is not allowed
+   */
+  async settleBooking(bookingId, outcome) {
+    const booking = await bookingModel.findById(bookingId);
+    if (!booking) return null;
+
+    if (booking.status !== outcome.status && !isValidStatusTransition(booking.status, outcome.status)) {
+      logger.warn('Booking status transition not allowed', {
+        bookingId,
+        from: booking.status,
+        to: outcome.status
+      });
+      return null;
+    }
+
+    const updatedBooking = await bookingModel.update(bookingId, {
+      status: outcome.status,
+      payment_status: outcome.payment_status
+    });
+    await bookingComponentModel.updateStatusByBookingId(bookingId, outcome.componentStatus);
+
+    if (booking.custom_trip_id && outcome.status === BOOKING_STATUSES.CONFIRMED) {
+      await customTripModel.update(booking.custom_trip_id, { status: 'booked' });
+    }
+    if (booking.status !== updatedBooking.status) {
+      await notifyBookingStatusChange(updatedBooking);
+    }
+
+    return updatedBooking;
+  }
+
+  /**
+   * Get service status
+   * @returns {Object} - Service status
+   */
+  getStatus() {
+    return {
+      service: 'Payment Service',
+      defaultProvider: getDefaultProvider(),
+      gateway: getDefaultProvider() ? getGateway().getStatus() : null
+    };
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,192 @@
+/**
+ * Price Watch Service
+ * Re-checks saved flight price watches against FlightSearchService.searchFlights, stores the cheapest fare of each
+ * check as price history and sends a price alert notification when the fare crosses below the watch's maximum
+ * price (and again whenever it keeps falling noticeably while below it). Failed checks are retried with
+ * exponential backoff so an outage of the flight API does not turn into a burst of requests.
+ */
+
+const winston = require('winston');
+const moment = require('moment');
+const { priceWatchModel } = require('../models/database');
+const FlightSearchService = require('./flightSearchService');
+const { notifyPriceAlert } = require('./notificationService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'price-watch-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.PRICE_WATCH_INTERVAL_MINUTES) || 6 * 60;
+const RETRY_BASE_MINUTES = 15;
+const RETRY_MAX_MINUTES = 24 * 60;
+// While a fare stays below the limit, only a further drop of at least this much is announced again
+const REALERT_DROP_PERCENT = 5;
+const MAX_WATCHES_PER_USER = 20;
+
+const formatPrice = (amount, currency) => `${currency} ${parseFloat(amount).toFixed(2)}`;
+
+class PriceWatchService {
+  constructor(flightSearch = new FlightSearchService()) {
+    this.flightSearch = flightSearch;
+  }
+
+  /**
+   * Search the watched route and return its cheapest fare
+   * @param {Object} watch - Price watch row
+   * @returns {Promise<Object>} - { price, resultsCount } price is null when no fares were found
+   */
+  async findCheapestFare(watch) {
+    const searchResults = await this.flightSearch.searchFlights({
+      origin: watch.origin,
+      destination: watch.destination,
+      departureDate: moment(watch.departure_date).format('YYYY-MM-DD'),
+      returnDate: watch.return_date ? moment(watch.return_date).format('YYYY-MM-DD') : undefined,
+      adults: watch.adults,
+      cabinClass: watch.cabin_class,
+      currency: watch.currency
+    });
+
+    const prices = (searchResults.results?.flights || [])
+      .map(flight => flight.price?.total)
+      .filter(price => price > 0);
+    return {
+      price: prices.length > 0 ? Math.min(...prices) : null,
+      resultsCount: prices.length
+    };
+  }
+
+  /**
+   * Decide whether a newly found fare should be announced
+   * @param {Object} watch - Price watch row (state before this check)
+   * @param {number|null} price - Cheapest fare found now
+   * @returns {Object} - { belowThreshold, alertedPrice, alert } alert is null or 'crossed' / 'dropped'
+   */
+  evaluateAlert(watch, price) {
+    const maxPrice = parseFloat(watch.max_price);
+    const lastAlertedPrice = watch.last_alerted_price !== null ? parseFloat(watch.last_alerted_price) : null;
+
+    // No fares says nothing about the price; keep the previous state
+    if (price === null) {
+      return { belowThreshold: watch.below_threshold, alertedPrice: lastAlertedPrice, alert: null };
+    }
+    if (price > maxPrice) {
+      return { belowThreshold: false, alertedPrice: null, alert: null };
+    }
+    if (!watch.below_threshold || lastAlertedPrice === null) {
+      return { belowThreshold: true, alertedPrice: price, alert: 'crossed' };
+    }
+    if (price <= lastAlertedPrice * (1 - REALERT_DROP_PERCENT / 100)) {
+      return { belowThreshold: true, alertedPrice: price, alert: 'dropped' };
+    }
+    return { belowThreshold: true, alertedPrice: lastAlertedPrice, alert: null };
+  }
+
+  /**
+   * When to retry after consecutive failures (15 min, 30 min, 1 h ... capped at a day)
+   * @param {number} failures - Consecutive failures including the current one
+   * @returns {Date} - Next check time
+   */
+  getRetryAt(failures) {
+    const delayMinutes = Math.min(RETRY_BASE_MINUTES * 2 ** (failures - 1), RETRY_MAX_MINUTES);
+    return moment().add(delayMinutes, 'minutes').toDate();
+  }
+
+  /**
+   * Check one watch now: store the fare, schedule the next check and alert the user when due
+   * @param {Object} watch - Price watch row
+   * @returns {Promise<Object>} - Updated price watch row
+   */
+  async checkWatch(watch) {
+    let fare;
+    try {
+      fare = await this.findCheapestFare(watch);
+    } catch (err) {
+      const failures = watch.consecutive_failures + 1;
+      const retryAt = this.getRetryAt(failures);
+      logger.warn('Price watch check failed', { watchId: watch.id, failures, retryAt, error: err.message });
+      return priceWatchModel.recordFailure(watch.id, err.message, retryAt);
+    }
+
+    const { belowThreshold, alertedPrice, alert } = this.evaluateAlert(watch, fare.price);
+    const updatedWatch = await priceWatchModel.recordCheck(watch.id, {
+      price: fare.price,
+      currency: watch.currency,
+      resultsCount: fare.resultsCount,
+      belowThreshold,
+      alertedPrice,
+      nextCheckAt: moment().add(CHECK_INTERVAL_MINUTES, 'minutes').toDate()
+    });
+
+    if (alert) {
+      await this.sendAlert(updatedWatch, fare.price, alert);
+    }
+    return updatedWatch;
+  }
+
+  async sendAlert(watch, price, alert) {
+    const route = `${watch.origin} → ${watch.destination}`;
+    const dates = moment(watch.departure_date).format('D MMM YYYY') +
+      (watch.return_date ? ` - ${moment(watch.return_date).format('D MMM YYYY')}` : '');
+    const fare = formatPrice(price, watch.currency);
+
+    await notifyPriceAlert(watch.user_id, {
+      title: alert === 'crossed' ? `Fare alert: ${route} now ${fare}` : `${route} dropped again to ${fare}`,
+      message: alert === 'crossed'
+        ? `The cheapest fare for ${route} (${dates}) is ${fare}, below your limit of ${formatPrice(watch.max_price, watch.currency)}.`
+        : `The cheapest fare for ${route} (${dates}) fell further to ${fare}.`,
+      data: {
+        watchId: watch.id,
+        origin: watch.origin,
+        destination: watch.destination,
+        price,
+        maxPrice: parseFloat(watch.max_price),
+        currency: watch.currency
+      }
+    });
+    logger.info('Price alert sent', { watchId: watch.id, userId: watch.user_id, price, alert });
+  }
+
+  /**
+   * Check every watch that is due, one at a time
+   * @param {number} limit - Maximum number of watches per run
+   * @returns {Promise<Object>} - { checked, failed, deactivated }
+   */
+  async runDueWatches(limit = 20) {
+    const deactivated = await priceWatchModel.deactivateDeparted();
+    const watches = await priceWatchModel.getDue(limit);
+
+    let failed = 0;
+    for (const watch of watches) {
+      try {
+        const updated = await this.checkWatch(watch);
+        if (updated.consecutive_failures > 0) failed++;
+      } catch (err) {
+        failed++;
+        logger.error('Failed to process price watch', { watchId: watch.id, error: err.message });
+      }
+    }
+
+    if (watches.length > 0 || deactivated > 0) {
+      logger.info('Price watches checked', { checked: watches.length, failed, deactivated });
+    }
+    return { checked: watches.length, failed, deactivated };
+  }
+}
+
+PriceWatchService.MAX_WATCHES_PER_USER = MAX_WATCHES_PER_USER;
+
+module.exports = PriceWatchService;
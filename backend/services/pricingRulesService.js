@@ -0,0 +1,369 @@
+/**
+ * Pricing Rules Service
+ * Applies the markups configured in pricing_rules to flight, hotel and package prices. A rule matches a price when
+ * its rule_type matches, its route_pattern matches the route ('MAD-*' for flights from Madrid, '*-JFK', 'Paris' for
+ * hotels, a destination for packages; '*' is a wildcard and an empty pattern matches everything) and the travel date
+ * falls inside valid_from / valid_to. Of the matching rules only one is applied: the highest priority, then the most
+ * specific pattern, then the newest rule. Fixed markups only apply to prices in the rule's currency.
+ *
+ * Every priced item carries a breakdown { currency, base, markup, fees, taxes, total, supplierTotal, rule }:
+ * the supplier's taxes and fees are passed through unchanged and the markup is charged on the base fare only.
+ */
+
+const moment = require('moment');
+const winston = require('winston');
+const { pricingRuleModel } = require('../models/database');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'pricing-rules-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const RULE_TYPES = ['flight', 'hotel', 'package'];
+// Active rules are read once per interval instead of on every search; admin changes call invalidateRules()
+const RULES_CACHE_MS = parseInt(process.env.PRICING_RULES_CACHE_MS) || 60 * 1000;
+
+let activeRules = null;
+let loadedAt = 0;
+let loading = null;
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const toDateString = value => (value ? moment(value).format('YYYY-MM-DD') : null);
+
+/**
+ * Whether a route pattern matches any of the route keys
+ * @param {string|null} pattern - Pattern with '*' wildcards; empty matches everything
+ * @param {Array<string>} routeKeys - Keys describing the priced route (e.g. ['MAD-JFK'])
+ * @returns {boolean}
+ */
+const matchesPattern = (pattern, routeKeys) => {
+  const trimmed = (pattern || '').trim();
+  if (trimmed === '' || trimmed === '*') return true;
+
+  const source = trimmed.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return routeKeys.some(key => key && regex.test(String(key).trim()));
+};
+
+// Literal characters in a pattern; breaks priority ties in favour of the more specific rule
+const getSpecificity = pattern => (pattern || '').replace(/[*\s]/g, '').length;
+
+// Newer rules win the remaining ties; an unsaved rule (being simulated) counts as the newest
+const getRecency = rule => rule.id || Number.MAX_SAFE_INTEGER;
+
+/**
+ * Whether a date falls inside a rule's validity window (open ends allowed)
+ * @param {Object} rule - Pricing rule
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+const isWithinWindow = (rule, date) => {
+  const from = toDateString(rule.valid_from);
+  const to = toDateString(rule.valid_to);
+  return (!from || date >= from) && (!to || date <= to);
+};
+
+/**
+ * Rule fields shown on a price breakdown
+ * @param {Object} rule - Pricing rule
+ * @returns {Object}
+ */
+const summarizeRule = rule => ({
+  id: rule.id || null,
+  name: rule.rule_name,
+  routePattern: rule.route_pattern || null,
+  priority: rule.priority || 0,
+  markupType: rule.markup_type,
+  markupValue: parseFloat(rule.markup_value)
+});
+
+/**
+ * Active rules from the database, cached for RULES_CACHE_MS. When the database cannot be read the last loaded rules
+ * keep being used, so searches do not fail because of pricing.
+ * @returns {Promise<Array<Object>>}
+ */
+const getActiveRules = async () => {
+  if (activeRules && Date.now() - loadedAt < RULES_CACHE_MS) return activeRules;
+  if (!loading) {
+    loading = pricingRuleModel.getActive()
+      .then((rules) => {
+        activeRules = rules;
+        loadedAt = Date.now();
+        return rules;
+      })
+      .catch((err) => {
+        logger.warn('Failed to load pricing rules', { error: err.message, usingPrevious: Boolean(activeRules) });
+        return activeRules || [];
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+/**
+ * Reload the rules on the next price (the current ones remain the fallback if that fails)
+ */
+const invalidateRules = () => {
+  loadedAt = 0;
+};
+
+/**
+ * Rules matching a price, best first
+ * @param {Array<Object>} rules - Candidate rules
+ * @param {Object} item - { ruleType, routeKeys, travelDate, currency }
+ * @returns {Array<Object>} - Matching rules in the order they win
+ */
+const getMatchingRules = (rules, { ruleType, routeKeys = [], travelDate, currency = 'USD' }) => {
+  const date = toDateString(travelDate) || moment().format('YYYY-MM-DD');
+  return rules
+    .filter(rule => rule.is_active !== false &&
+      rule.rule_type === ruleType &&
+      matchesPattern(rule.route_pattern, routeKeys) &&
+      isWithinWindow(rule, date) &&
+      (rule.markup_type !== 'fixed' || (rule.currency || 'USD') === currency))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+      getSpecificity(b.route_pattern) - getSpecificity(a.route_pattern) ||
+      getRecency(b) - getRecency(a));
+};
+
+/**
+ * Break a supplier price down and add a rule's markup
+ * @param {Object} item - { amount, taxes, fees, currency } amount is the supplier total including taxes and fees
+ * @param {Object|null} rule - Rule to apply, or null for no markup
+ * @returns {Object} - { currency, base, markup, fees, taxes, total, supplierTotal, rule }
+ */
+const calculateBreakdown = ({ amount, taxes = 0, fees = 0, currency = 'USD' }, rule) => {
+  const supplierTotal = roundMoney(parseFloat(amount) || 0);
+  const supplierTaxes = roundMoney(parseFloat(taxes) || 0);
+  const supplierFees = roundMoney(parseFloat(fees) || 0);
+  const base = roundMoney(Math.max(supplierTotal - supplierTaxes - supplierFees, 0));
+
+  let markup = 0;
+  if (rule) {
+    const value = parseFloat(rule.markup_value) || 0;
+    markup = roundMoney(rule.markup_type === 'percentage' ? base * value / 100 : value);
+  }
+
+  return {
+    currency,
+    base,
+    markup,
+    fees: supplierFees,
+    taxes: supplierTaxes,
+    total: roundMoney(base + markup + supplierFees + supplierTaxes),
+    supplierTotal,
+    rule: rule ? summarizeRule(rule) : null
+  };
+};
+
+/**
+ * Price one item with the active rules
+ * @param {Object} item - { ruleType, routeKeys, travelDate, amount, taxes, fees, currency }
+ * @param {Array<Object>} [rules] - Rules to use instead of the active ones
+ * @returns {Promise<Object>} - Price breakdown
+ */
+const priceItem = async (item, rules) => {
+  if (!RULE_TYPES.includes(item.ruleType)) {
+    throw new Error(`Unknown pricing rule type: ${item.ruleType}`);
+  }
+  const [rule] = getMatchingRules(rules || await getActiveRules(), item);
+  return calculateBreakdown(item, rule || null);
+};
+
+/**
+ * Scale a per-unit price (per adult, per night) along with the total
+ */
+const scalePrice = (unitPrice, breakdown) => {
+  if (!unitPrice || breakdown.supplierTotal <= 0) return unitPrice;
+  return Math.round(unitPrice * breakdown.total / breakdown.supplierTotal);
+};
+
+/**
+ * Apply flight rules to search results. Cached results hold supplier prices, so this runs on every search.
+ * @param {Object} searchResults - Results as returned by FlightSearchService.searchFlights
+ * @returns {Promise<Object>} - Copy of the results with marked-up prices and a breakdown on every flight
+ */
+const applyToFlightResults = async (searchResults) => {
+  const rules = await getActiveRules();
+  const { searchParams = {} } = searchResults;
+  const flights = (searchResults.results?.flights || []).map((flight) => {
+    const routeKeys = [
+      `${flight.departure?.airport || searchParams.origin}-${flight.arrival?.airport || searchParams.destination}`,
+      `${searchParams.origin}-${searchParams.destination}`
+    ];
+    const [rule] = getMatchingRules(rules, {
+      ruleType: 'flight',
+      routeKeys,
+      travelDate: searchParams.departureDate,
+      currency: flight.price.currency
+    });
+    const breakdown = calculateBreakdown({
+      amount: flight.price.total,
+      taxes: flight.price.taxes,
+      fees: flight.price.fees,
+      currency: flight.price.currency
+    }, rule || null);
+
+    return {
+      ...flight,
+      price: {
+        ...flight.price,
+        total: breakdown.total,
+        pricePerAdult: scalePrice(flight.price.pricePerAdult, breakdown),
+        breakdown
+      }
+    };
+  }).sort((a, b) => a.price.total - b.price.total);
+
+  return { ...searchResults, results: { ...searchResults.results, flights } };
+};
+
+/**
+ * Apply hotel rules to search results
+ * @param {Object} searchResults - Results as returned by HotelApiService.searchHotels
+ * @returns {Promise<Object>} - Copy of the results with marked-up prices and a breakdown on every hotel
+ */
+const applyToHotelResults = async (searchResults) => {
+  const rules = await getActiveRules();
+  const { searchParams = {} } = searchResults;
+  const hotels = (searchResults.results?.hotels || []).map((hotel) => {
+    const [rule] = getMatchingRules(rules, {
+      ruleType: 'hotel',
+      routeKeys: [hotel.city, searchParams.city, searchParams.cityId && String(searchParams.cityId)],
+      travelDate: searchParams.checkIn,
+      currency: hotel.price.currency
+    });
+    const breakdown = calculateBreakdown({
+      amount: hotel.price.total,
+      taxes: hotel.price.taxes,
+      fees: hotel.price.fees,
+      currency: hotel.price.currency
+    }, rule || null);
+
+    return {
+      ...hotel,
+      price: {
+        ...hotel.price,
+        total: breakdown.total,
+        perNight: scalePrice(hotel.price.perNight, breakdown),
+        breakdown
+      }
+    };
+  });
+
+  return { ...searchResults, results: { ...searchResults.results, hotels } };
+};
+
+/**
+ * Add up breakdowns of items bought together (e.g. the legs of a multi-city trip)
+ * @param {Array<Object>} breakdowns - Price breakdowns in the same currency
+ * @param {string} currency - Currency
+ * @returns {Object} - Combined breakdown; rules lists each item's rule
+ */
+const combineBreakdowns = (breakdowns, currency) => {
+  const sum = field => roundMoney(breakdowns.reduce((total, breakdown) => total + (breakdown?.[field] || 0), 0));
+  return {
+    currency,
+    base: sum('base'),
+    markup: sum('markup'),
+    fees: sum('fees'),
+    taxes: sum('taxes'),
+    total: sum('total'),
+    supplierTotal: sum('supplierTotal'),
+    rules: breakdowns.map(breakdown => breakdown?.rule || null)
+  };
+};
+
+/**
+ * Scale a breakdown into another currency by the rate its total was converted at
+ * @param {Object} breakdown - Price breakdown
+ * @param {number} convertedTotal - The breakdown's total in the target currency
+ * @param {string} currency - Target currency
+ * @returns {Object} - Breakdown in the target currency
+ */
+const convertBreakdown = (breakdown, convertedTotal, currency) => {
+  const factor = breakdown.total > 0 ? convertedTotal / breakdown.total : 1;
+  const scale = field => roundMoney((breakdown[field] || 0) * factor);
+  return {
+    ...breakdown,
+    currency,
+    base: scale('base'),
+    markup: scale('markup'),
+    fees: scale('fees'),
+    taxes: scale('taxes'),
+    total: roundMoney(convertedTotal),
+    supplierTotal: scale('supplierTotal')
+  };
+};
+
+/**
+ * Price a package (a custom trip) from its components. Components priced with their own flight or hotel rule keep
+ * that markup and are left out of the package rule, so no price is marked up twice; the package rule applies to the
+ * supplier prices of the other components.
+ * @param {Object} trip - Custom trip with destinations (comma separated), start_date and currency
+ * @param {Array<Object>} components - Components with converted_price (in the trip's currency) and an optional
+ *                                     price_breakdown
+ * @returns {Promise<Object>} - Price breakdown; rule is the package rule and componentMarkup the part of the markup
+ *                              charged by the components' own rules
+ */
+const pricePackage = async (trip, components) => {
+  const currency = trip.currency || 'USD';
+  const componentBreakdowns = [];
+  let subtotal = 0;
+
+  components.forEach((component) => {
+    const breakdown = component.price_breakdown;
+    if (breakdown && breakdown.total > 0) {
+      componentBreakdowns.push(convertBreakdown(breakdown, component.converted_price, currency));
+    } else {
+      subtotal += component.converted_price || 0;
+    }
+  });
+
+  const packageBreakdown = await priceItem({
+    ruleType: 'package',
+    routeKeys: (trip.destinations || '').split(',').map(destination => destination.trim()).filter(Boolean),
+    travelDate: trip.start_date,
+    amount: roundMoney(subtotal),
+    currency
+  });
+  if (componentBreakdowns.length === 0) return packageBreakdown;
+
+  // rules lists the package rule first, then each component's own rule
+  const combined = combineBreakdowns([packageBreakdown, ...componentBreakdowns], currency);
+  return {
+    ...combined,
+    rule: packageBreakdown.rule,
+    componentMarkup: roundMoney(combined.markup - packageBreakdown.markup)
+  };
+};
+
+module.exports = {
+  RULE_TYPES,
+  matchesPattern,
+  getMatchingRules,
+  calculateBreakdown,
+  priceItem,
+  pricePackage,
+  applyToFlightResults,
+  applyToHotelResults,
+  combineBreakdowns,
+  getActiveRules,
+  invalidateRules
+};
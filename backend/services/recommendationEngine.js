@@ -47,6 +47,10 @@ const BUDGET_THRESHOLDS_PER_DAY = { // Example thresholds (USD per day per perso
 // populated with travel guides, articles, user reviews, etc.
 const knowledgeBase = {
   paris: {
+    name: 'Paris',
+    country: 'France',
+    coordinates: { latitude: 48.8566, longitude: 2.3522 },
+    scenes: ['city', 'night'],
     activities: [
       { id: 'par001', name: 'Eiffel Tower Visit', type: 'sightseeing', budget_estimate_per_person: 30, tags: ['iconic', 'views', 'architecture'], seasonal_months: [3,4,5,6,7,8,9,10], suitable_for: ['couples', 'families', 'solo'] },
       { id: 'par002', name: 'Louvre Museum Tour', type: 'culture', budget_estimate_per_person: 25, tags: ['art', 'history', 'museum'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['art-lovers', 'history-buffs'] },
@@ -68,6 +72,10 @@ const knowledgeBase = {
     notes: "Paris is known for its art, fashion, gastronomy and culture."
   },
   kyoto: {
+    name: 'Kyoto',
+    country: 'Japan',
+    coordinates: { latitude: 35.0116, longitude: 135.7681 },
+    scenes: ['city', 'nature'],
     activities: [
       { id: 'kyo001', name: 'Kinkaku-ji (Golden Pavilion)', type: 'sightseeing', budget_estimate_per_person: 5, tags: ['temple', 'zen', 'iconic'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['culture-vultures', 'photographers'] },
       { id: 'kyo002', name: 'Fushimi Inari Shrine (Thousand Torii Gates)', type: 'sightseeing', budget_estimate_per_person: 0, tags: ['shrine', 'hiking', 'iconic', 'free'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['hikers', 'photographers'] },
@@ -88,6 +96,102 @@ const knowledgeBase = {
     },
     notes: "Kyoto is famous for its classical Buddhist temples, as well as gardens, imperial palaces, Shinto shrines and traditional wooden houses."
   },
+  bali: {
+    name: 'Bali',
+    country: 'Indonesia',
+    coordinates: { latitude: -8.4095, longitude: 115.1889 },
+    scenes: ['beach', 'nature', 'sunset'],
+    activities: [
+      { id: 'bal001', name: 'Uluwatu Temple Sunset & Kecak Dance', type: 'culture', budget_estimate_per_person: 15, tags: ['temple', 'sunset', 'views', 'traditional'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['couples', 'photographers'] },
+      { id: 'bal002', name: 'Nusa Penida Snorkelling Trip', type: 'adventure', budget_estimate_per_person: 60, tags: ['beach', 'snorkelling', 'wildlife'], seasonal_months: [4,5,6,7,8,9,10], suitable_for: ['families', 'adventurers'] },
+      { id: 'bal003', name: 'Tegallalang Rice Terraces', type: 'nature', budget_estimate_per_person: 5, tags: ['nature', 'photography', 'hiking'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['nature-lovers', 'photographers'] },
+      { id: 'bal004', name: 'Mount Batur Sunrise Trek', type: 'adventure', budget_estimate_per_person: 45, tags: ['hiking', 'mountain', 'views'], seasonal_months: [4,5,6,7,8,9,10], suitable_for: ['hikers', 'adventurers'] },
+      { id: 'bal005', name: 'Seminyak Beach Day', type: 'relaxation', budget_estimate_per_person: 0, tags: ['beach', 'sunset', 'free'], seasonal_months: [4,5,6,7,8,9,10], suitable_for: ['couples', 'budget-travelers'] },
+    ],
+    hotels: [
+        { type: 'Guesthouse', budget_category: BUDGET_CATEGORIES.BUDGET, avg_price_range: [15, 40] },
+        { type: 'Boutique Villa', budget_category: BUDGET_CATEGORIES.MID_RANGE, avg_price_range: [60, 150] },
+        { type: 'Luxury Resort', budget_category: BUDGET_CATEGORIES.LUXURY, avg_price_range: [250, 900] },
+    ],
+    seasonal_info: {
+      "4-10": "Dry season: Sunny days and calm seas. Peak season in July and August.",
+      "11-3": "Wet season: Short tropical downpours, lush scenery and lower prices."
+    },
+    notes: "Bali is known for its beaches, volcanic mountains, rice terraces and Hindu temples."
+  },
+  zermatt: {
+    name: 'Zermatt',
+    country: 'Switzerland',
+    coordinates: { latitude: 46.0207, longitude: 7.7491 },
+    scenes: ['mountain', 'snow', 'nature'],
+    activities: [
+      { id: 'zer001', name: 'Gornergrat Railway', type: 'sightseeing', budget_estimate_per_person: 120, tags: ['mountain', 'views', 'iconic'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['families', 'photographers'] },
+      { id: 'zer002', name: 'Ski Day on the Matterhorn Glacier Paradise', type: 'adventure', budget_estimate_per_person: 95, tags: ['snow', 'skiing', 'mountain'], seasonal_months: [12,1,2,3,4], suitable_for: ['adventurers', 'families'] },
+      { id: 'zer003', name: '5-Lakes Walk', type: 'nature', budget_estimate_per_person: 0, tags: ['hiking', 'nature', 'lakes', 'free'], seasonal_months: [6,7,8,9], suitable_for: ['hikers', 'nature-lovers'] },
+      { id: 'zer004', name: 'Matterhorn Museum', type: 'culture', budget_estimate_per_person: 12, tags: ['history', 'museum', 'mountain'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['history-buffs'] },
+    ],
+    hotels: [
+        { type: 'Mountain Hostel', budget_category: BUDGET_CATEGORIES.BUDGET, avg_price_range: [50, 90] },
+        { type: 'Chalet Hotel', budget_category: BUDGET_CATEGORIES.MID_RANGE, avg_price_range: [150, 300] },
+        { type: 'Luxury Ski Lodge', budget_category: BUDGET_CATEGORIES.LUXURY, avg_price_range: [400, 1500] },
+    ],
+    seasonal_info: {
+      "12-4": "Winter: Ski season with reliable snow, skiing on the glacier all year.",
+      "6-9": "Summer: Hiking season, alpine flowers and clear views of the Matterhorn.",
+      "5-5": "Shoulder season: Some lifts and hotels close between seasons.",
+      "10-11": "Shoulder season: Quiet, some lifts and hotels close between seasons."
+    },
+    notes: "Zermatt is a car-free alpine village at the foot of the Matterhorn."
+  },
+  marrakech: {
+    name: 'Marrakech',
+    country: 'Morocco',
+    coordinates: { latitude: 31.6295, longitude: -7.9811 },
+    scenes: ['desert', 'city', 'sunset'],
+    activities: [
+      { id: 'mar001', name: 'Jemaa el-Fnaa Evening Food Tour', type: 'culinary', budget_estimate_per_person: 35, tags: ['foodie', 'nightlife', 'local-experience'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['food-lovers', 'solo'] },
+      { id: 'mar002', name: 'Agafay Desert Camel Ride at Sunset', type: 'adventure', budget_estimate_per_person: 50, tags: ['desert', 'sunset', 'views'], seasonal_months: [1,2,3,4,5,9,10,11,12], suitable_for: ['couples', 'adventurers'] },
+      { id: 'mar003', name: 'Jardin Majorelle', type: 'culture', budget_estimate_per_person: 15, tags: ['garden', 'art', 'photography'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['art-lovers', 'photographers'] },
+      { id: 'mar004', name: 'Atlas Mountains Day Trip', type: 'nature', budget_estimate_per_person: 40, tags: ['mountain', 'hiking', 'traditional'], seasonal_months: [3,4,5,9,10,11], suitable_for: ['hikers', 'nature-lovers'] },
+    ],
+    hotels: [
+        { type: 'Hostel', budget_category: BUDGET_CATEGORIES.BUDGET, avg_price_range: [10, 30] },
+        { type: 'Riad', budget_category: BUDGET_CATEGORIES.MID_RANGE, avg_price_range: [60, 180] },
+        { type: 'Palace Hotel', budget_category: BUDGET_CATEGORIES.LUXURY, avg_price_range: [300, 1200] },
+    ],
+    seasonal_info: {
+      "3-5": "Spring: Warm days, cool nights. The best time for the desert and the Atlas.",
+      "6-8": "Summer: Very hot, over 40°C is common.",
+      "9-11": "Autumn: Pleasant temperatures and fewer crowds.",
+      "12-2": "Winter: Mild days, cold nights. Snow on the Atlas peaks."
+    },
+    notes: "Marrakech is known for its medina, souks, riads and as a gateway to the Sahara and the Atlas Mountains."
+  },
+  'new york': {
+    name: 'New York',
+    country: 'United States',
+    coordinates: { latitude: 40.7128, longitude: -74.006 },
+    scenes: ['city', 'night'],
+    activities: [
+      { id: 'nyc001', name: 'Top of the Rock Observation Deck', type: 'sightseeing', budget_estimate_per_person: 40, tags: ['views', 'iconic', 'architecture'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['couples', 'families', 'photographers'] },
+      { id: 'nyc002', name: 'Central Park Bike Tour', type: 'nature', budget_estimate_per_person: 30, tags: ['nature', 'park', 'local-experience'], seasonal_months: [4,5,6,7,8,9,10], suitable_for: ['families', 'solo'] },
+      { id: 'nyc003', name: 'Broadway Show', type: 'entertainment', budget_estimate_per_person: 120, tags: ['nightlife', 'theatre', 'iconic'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['couples', 'families'] },
+      { id: 'nyc004', name: 'Metropolitan Museum of Art', type: 'culture', budget_estimate_per_person: 30, tags: ['art', 'history', 'museum'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['art-lovers', 'history-buffs'] },
+      { id: 'nyc005', name: 'Brooklyn Bridge Walk', type: 'sightseeing', budget_estimate_per_person: 0, tags: ['views', 'architecture', 'free'], seasonal_months: [1,2,3,4,5,6,7,8,9,10,11,12], suitable_for: ['budget-travelers', 'photographers'] },
+    ],
+    hotels: [
+        { type: 'Hostel', budget_category: BUDGET_CATEGORIES.BUDGET, avg_price_range: [50, 90] },
+        { type: '3-Star Hotel', budget_category: BUDGET_CATEGORIES.MID_RANGE, avg_price_range: [180, 320] },
+        { type: 'Luxury Hotel', budget_category: BUDGET_CATEGORIES.LUXURY, avg_price_range: [450, 1500] },
+    ],
+    seasonal_info: {
+      "3-5": "Spring: Mild weather and blossoms in the parks.",
+      "6-8": "Summer: Hot and humid, outdoor concerts and events.",
+      "9-11": "Autumn: Crisp weather and autumn colours in Central Park.",
+      "12-2": "Winter: Cold with occasional snow. Holiday lights and ice skating."
+    },
+    notes: "New York is known for its skyline, museums, Broadway theatre and diverse neighbourhoods."
+  },
   // ... more destinations
 };
 
@@ -417,6 +521,14 @@ async function getSeasonalRecommendations(destinationName, month) {
   return { recommendations: recommendations.slice(0,3), seasonalNotes };
 }
 
+/**
+ * Lists the destinations in the knowledge base (used to match inspiration images to places).
+ * @returns {Array<Object>} Destinations with their key, name, country, coordinates, scenes and activities.
+ */
+function getKnowledgeBaseDestinations() {
+  return Object.entries(knowledgeBase).map(([key, destination]) => ({ key, ...destination }));
+}
+
 
 module.exports = {
   analyzeUserBudget,
@@ -425,5 +537,6 @@ module.exports = {
   scoreProviderMatch,
   suggestBudgetOptimizations,
   getSeasonalRecommendations,
+  getKnowledgeBaseDestinations,
   BUDGET_CATEGORIES // Export for use in other modules if needed
 };
@@ -0,0 +1,425 @@
+/**
+ * Route Optimization Service
+ * Orders a set of attractions into an efficient visiting route (a travelling salesman problem with time windows)
+ * and splits it into days according to the trip's pace.
+ *
+ * Travel times come from a locally loaded distance matrix when one covers a pair of stops, otherwise from the
+ * haversine distance scaled by a per-mode detour factor. The order is built with nearest-neighbour and improved
+ * with 2-opt, scoring every candidate by simulating the full itinerary so opening hours and day limits are respected.
+ */
+
+const fs = require('fs');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'route-optimization-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const EARTH_RADIUS_KM = 6371;
+
+// Average door-to-door speeds in cities. detourFactor turns straight-line distance into street distance,
+// overheadMinutes covers parking, waiting for a connection, etc. Costs match the planner's per-km estimates.
+const TRAVEL_MODES = {
+  DRIVING: { speedKmh: 35, detourFactor: 1.3, overheadMinutes: 5, costPerKm: 0.15 },
+  TRANSIT: { speedKmh: 22, detourFactor: 1.4, overheadMinutes: 8, costPerKm: 0.05 },
+  WALKING: { speedKmh: 4.8, detourFactor: 1.25, overheadMinutes: 0, costPerKm: 0 }
+};
+
+// How much each pace fits into one sightseeing day (times are minutes after midnight)
+const PACE_SETTINGS = {
+  relaxed: { dayStart: 10 * 60, dayEnd: 17 * 60, maxStopsPerDay: 3, bufferMinutes: 30 },
+  moderate: { dayStart: 9 * 60, dayEnd: 18 * 60, maxStopsPerDay: 5, bufferMinutes: 15 },
+  fast: { dayStart: 8 * 60, dayEnd: 20 * 60, maxStopsPerDay: 8, bufferMinutes: 5 }
+};
+
+const DEFAULT_VISIT_MINUTES = 90;
+
+// Objective weights: travel time is the baseline, an extra day costs as much as two hours of travel
+// and a missed opening window outweighs any travel saving
+const WAIT_WEIGHT = 0.5;
+const EXTRA_DAY_PENALTY = 120;
+const TIME_WINDOW_PENALTY = 1000;
+const LATENESS_WEIGHT = 10;
+
+const MAX_TWO_OPT_PASSES = 50;
+
+// "09:30" -> 570
+const parseTime = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+// 570 -> "09:30"; times past midnight wrap around
+const formatTime = (minutes) => {
+  const rounded = Math.round(minutes) % (24 * 60);
+  return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const haversineKm = (from, to) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+class RouteOptimizationService {
+  /**
+   * @param {Object} options - { distanceMatrixPath } JSON file shaped { [mode]: { [fromId]: { [toId]: { distanceKm, durationMinutes } } } }
+   */
+  constructor(options = {}) {
+    this.distanceMatrix = this.loadDistanceMatrix(options.distanceMatrixPath || process.env.ROUTE_DISTANCE_MATRIX_PATH);
+  }
+
+  loadDistanceMatrix(filePath) {
+    if (!filePath) return {};
+    try {
+      const matrix = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      logger.info('Loaded distance matrix', { filePath, modes: Object.keys(matrix) });
+      return matrix;
+    } catch (error) {
+      logger.warn('Could not load distance matrix, falling back to haversine distances', { filePath, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Optimize the visiting order of a set of attractions
+   * @param {Object} params
+   * @param {Array} params.attractions - [{ id, name, location: { lat, lng }, visitDurationMinutes, openingHours: { open, close } }]
+   * @param {string} params.travelMode - DRIVING, TRANSIT or WALKING
+   * @param {string} params.pace - relaxed, moderate or fast
+   * @param {Object} params.start - Optional base (e.g. the hotel) { name, location } every day starts and ends at
+   * @param {string} params.startDate - Optional ISO date of the first day
+   * @param {Object} params.distanceMatrix - Optional matrix for this request, shaped { [fromId]: { [toId]: { distanceKm, durationMinutes } } }
+   * @returns {Object} - Optimized route with stops, legs, days and totals
+   */
+  optimizeRoute({ attractions, travelMode = 'DRIVING', pace = 'moderate', start = null, startDate = null, distanceMatrix = null }) {
+    const mode = TRAVEL_MODES[travelMode];
+    const paceSettings = PACE_SETTINGS[pace];
+    if (!mode) throw new Error(`Unsupported travel mode: ${travelMode}`);
+    if (!paceSettings) throw new Error(`Unsupported pace: ${pace}`);
+
+    const nodes = attractions.map((attraction) => ({
+      id: String(attraction.id),
+      name: attraction.name,
+      location: attraction.location,
+      visitMinutes: attraction.visitDurationMinutes || DEFAULT_VISIT_MINUTES,
+      open: parseTime(attraction.openingHours?.open),
+      close: parseTime(attraction.openingHours?.close)
+    }));
+    // The base, when given, is the last node and never part of the order itself
+    const baseIndex = start ? nodes.length : null;
+    if (start) {
+      nodes.push({ id: '__start__', name: start.name || 'Start', location: start.location, visitMinutes: 0, open: null, close: null });
+    }
+
+    const matrix = this.buildMatrix(nodes, mode, { ...(this.distanceMatrix[travelMode] || {}), ...(distanceMatrix || {}) });
+    const context = { nodes, matrix, paceSettings, baseIndex };
+    const stopIndexes = attractions.map((_, index) => index);
+
+    const initial = this.simulate(stopIndexes, context);
+    let best = { order: stopIndexes, schedule: initial };
+    if (stopIndexes.length > 2) {
+      // Nearest-neighbour from the base, or from every possible first stop when there is no base
+      const firstStops = baseIndex !== null ? [null] : stopIndexes;
+      for (const first of firstStops) {
+        const order = this.nearestNeighbour(stopIndexes, first, context);
+        const schedule = this.simulate(order, context);
+        if (schedule.cost < best.schedule.cost) best = { order, schedule };
+      }
+      best = this.twoOpt(best, context);
+    }
+
+    const result = this.buildResult(best, initial, context, { travelMode, pace, startDate, mode });
+    logger.info('Route optimized', {
+      stops: stopIndexes.length,
+      travelMode,
+      pace,
+      days: result.totals.days,
+      savedMinutes: result.improvement.savedMinutes
+    });
+    return result;
+  }
+
+  /**
+   * Pairwise distance, duration and cost between all nodes
+   */
+  buildMatrix(nodes, mode, knownDistances) {
+    return nodes.map((from) => nodes.map((to) => {
+      if (from === to) return { distanceKm: 0, durationMinutes: 0, cost: 0, source: 'none' };
+
+      const known = knownDistances[from.id]?.[to.id];
+      if (known && Number.isFinite(known.distanceKm) && Number.isFinite(known.durationMinutes)) {
+        return {
+          distanceKm: known.distanceKm,
+          durationMinutes: known.durationMinutes,
+          cost: known.distanceKm * mode.costPerKm,
+          source: 'matrix'
+        };
+      }
+
+      const distanceKm = haversineKm(from.location, to.location) * mode.detourFactor;
+      return {
+        distanceKm,
+        durationMinutes: (distanceKm / mode.speedKmh) * 60 + mode.overheadMinutes,
+        cost: distanceKm * mode.costPerKm,
+        source: 'haversine'
+      };
+    }));
+  }
+
+  /**
+   * Greedy tour: always travel to the closest unvisited stop
+   * @param {Array} stopIndexes - Stops to order
+   * @param {number|null} first - Stop to begin with, or null to begin from the base
+   */
+  nearestNeighbour(stopIndexes, first, { matrix, baseIndex }) {
+    const remaining = new Set(stopIndexes);
+    const order = [];
+    let current = first !== null ? first : baseIndex;
+    if (first !== null) {
+      order.push(first);
+      remaining.delete(first);
+    }
+
+    while (remaining.size > 0) {
+      let next = null;
+      for (const candidate of remaining) {
+        if (next === null || matrix[current][candidate].durationMinutes < matrix[current][next].durationMinutes) {
+          next = candidate;
+        }
+      }
+      order.push(next);
+      remaining.delete(next);
+      current = next;
+    }
+    return order;
+  }
+
+  /**
+   * Reverse segments of the route while that lowers the simulated cost
+   */
+  twoOpt(best, context) {
+    let { order, schedule } = best;
+    let improved = true;
+    let passes = 0;
+
+    while (improved && passes < MAX_TWO_OPT_PASSES) {
+      improved = false;
+      passes++;
+      for (let i = 0; i < order.length - 1; i++) {
+        for (let k = i + 1; k < order.length; k++) {
+          const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+          const candidateSchedule = this.simulate(candidate, context);
+          if (candidateSchedule.cost < schedule.cost - 1e-9) {
+            order = candidate;
+            schedule = candidateSchedule;
+            improved = true;
+          }
+        }
+      }
+    }
+    return { order, schedule };
+  }
+
+  /**
+   * Walk the route in order, starting a new day whenever the next stop no longer fits
+   * @returns {Object} - { visits, cost, travelMinutes, waitMinutes, days, violations }
+   */
+  simulate(order, { nodes, matrix, paceSettings, baseIndex }) {
+    const { dayStart, dayEnd, maxStopsPerDay, bufferMinutes } = paceSettings;
+    const visits = [];
+    let day = 1;
+    let clock = dayStart;
+    let previous = baseIndex;
+    let stopsToday = 0;
+    let travelMinutes = 0;
+    let waitMinutes = 0;
+    let violations = 0;
+    let lateness = 0;
+
+    const plan = (stop, from, departAt) => {
+      const node = nodes[stop];
+      const travel = from === null ? 0 : matrix[from][stop].durationMinutes;
+      const arrival = departAt + travel;
+      const begin = node.open !== null ? Math.max(arrival, node.open) : arrival;
+      const end = begin + node.visitMinutes;
+      const closesAt = node.close !== null ? Math.min(node.close, dayEnd) : dayEnd;
+      // With a base, the day also has to leave room for getting back to it
+      const returnMinutes = baseIndex !== null ? matrix[stop][baseIndex].durationMinutes : 0;
+      return {
+        travel, arrival, begin, end,
+        fits: end <= closesAt && end + returnMinutes <= dayEnd,
+        overrun: Math.max(0, end - closesAt)
+      };
+    };
+
+    for (const stop of order) {
+      let slot = plan(stop, previous, clock);
+      if ((!slot.fits || stopsToday >= maxStopsPerDay) && stopsToday > 0) {
+        day++;
+        clock = dayStart;
+        stopsToday = 0;
+        // Without a base the next day simply resumes from the last stop
+        previous = baseIndex !== null ? baseIndex : previous;
+        slot = plan(stop, previous, clock);
+      }
+      if (!slot.fits) {
+        violations++;
+        lateness += slot.overrun;
+      }
+
+      travelMinutes += slot.travel;
+      waitMinutes += slot.begin - slot.arrival;
+      visits.push({ stop, from: previous, day, ...slot });
+      clock = slot.end + bufferMinutes;
+      previous = stop;
+      stopsToday++;
+    }
+
+    if (baseIndex !== null && order.length > 0) {
+      // Count every evening's trip back to the base
+      for (let i = 0; i < visits.length; i++) {
+        const isLastOfDay = i === visits.length - 1 || visits[i + 1].day !== visits[i].day;
+        if (isLastOfDay) travelMinutes += matrix[visits[i].stop][baseIndex].durationMinutes;
+      }
+    }
+
+    return {
+      visits,
+      travelMinutes,
+      waitMinutes,
+      days: order.length > 0 ? day : 0,
+      violations,
+      cost: travelMinutes + waitMinutes * WAIT_WEIGHT + Math.max(0, day - 1) * EXTRA_DAY_PENALTY +
+        violations * TIME_WINDOW_PENALTY + lateness * LATENESS_WEIGHT
+    };
+  }
+
+  /**
+   * Shape the chosen schedule into the API response
+   */
+  buildResult(best, initial, { nodes, matrix, baseIndex }, { travelMode, pace, startDate, mode }) {
+    const { schedule } = best;
+    const dayDate = (day) => {
+      if (!startDate) return null;
+      const date = new Date(startDate);
+      date.setUTCDate(date.getUTCDate() + day - 1);
+      return date.toISOString().split('T')[0];
+    };
+    const makeLeg = (from, to, day) => ({
+      fromId: nodes[from].id === '__start__' ? null : nodes[from].id,
+      from: nodes[from].name,
+      toId: nodes[to].id === '__start__' ? null : nodes[to].id,
+      to: nodes[to].name,
+      day,
+      distanceKm: round(matrix[from][to].distanceKm),
+      durationMinutes: Math.round(matrix[from][to].durationMinutes),
+      cost: round(matrix[from][to].cost),
+      source: matrix[from][to].source
+    });
+
+    const stops = [];
+    const legs = [];
+    const days = [];
+    const warnings = [];
+
+    schedule.visits.forEach((visit, index) => {
+      const node = nodes[visit.stop];
+      if (visit.from !== null) legs.push(makeLeg(visit.from, visit.stop, visit.day));
+
+      const withinOpeningHours = node.close === null || visit.end <= node.close;
+      if (!withinOpeningHours) {
+        warnings.push(`${node.name} closes at ${formatTime(node.close)} and cannot be fully visited on day ${visit.day}`);
+      } else if (!visit.fits) {
+        warnings.push(`Day ${visit.day} runs past the end of the sightseeing day to fit ${node.name}`);
+      }
+
+      stops.push({
+        id: node.id,
+        name: node.name,
+        location: node.location,
+        position: index + 1,
+        day: visit.day,
+        arrivalTime: formatTime(visit.arrival),
+        startTime: formatTime(visit.begin),
+        departureTime: formatTime(visit.end),
+        waitMinutes: Math.round(visit.begin - visit.arrival),
+        visitDurationMinutes: node.visitMinutes,
+        withinOpeningHours
+      });
+
+      const isLastOfDay = index === schedule.visits.length - 1 || schedule.visits[index + 1].day !== visit.day;
+      if (isLastOfDay && baseIndex !== null) legs.push(makeLeg(visit.stop, baseIndex, visit.day));
+    });
+
+    for (let day = 1; day <= schedule.days; day++) {
+      const dayStops = stops.filter((stop) => stop.day === day);
+      const dayLegs = legs.filter((leg) => leg.day === day);
+      days.push({
+        day,
+        date: dayDate(day),
+        stops: dayStops.map((stop) => stop.id),
+        startTime: dayStops[0].arrivalTime,
+        endTime: dayStops[dayStops.length - 1].departureTime,
+        distanceKm: round(dayLegs.reduce((sum, leg) => sum + leg.distanceKm, 0)),
+        travelMinutes: dayLegs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+        cost: round(dayLegs.reduce((sum, leg) => sum + leg.cost, 0))
+      });
+    }
+
+    const totalDistance = legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+    return {
+      travelMode,
+      pace,
+      order: stops.map((stop) => stop.id),
+      stops,
+      legs,
+      days,
+      totals: {
+        distanceKm: round(totalDistance),
+        travelMinutes: legs.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+        visitMinutes: stops.reduce((sum, stop) => sum + stop.visitDurationMinutes, 0),
+        cost: round(totalDistance * mode.costPerKm),
+        currency: 'USD',
+        days: schedule.days,
+        unmetTimeWindows: stops.filter((stop) => !stop.withinOpeningHours).length
+      },
+      improvement: {
+        originalTravelMinutes: Math.round(initial.travelMinutes),
+        optimizedTravelMinutes: Math.round(schedule.travelMinutes),
+        savedMinutes: Math.max(0, Math.round(initial.travelMinutes - schedule.travelMinutes))
+      },
+      warnings
+    };
+  }
+}
+
+RouteOptimizationService.TRAVEL_MODES = TRAVEL_MODES;
+RouteOptimizationService.PACE_SETTINGS = PACE_SETTINGS;
+RouteOptimizationService.haversineKm = haversineKm;
+
+module.exports = RouteOptimizationService;
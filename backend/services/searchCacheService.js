@@ -0,0 +1,328 @@
+/**
+ * Search Cache Service
+ * Multi-tier cache for flight and hotel searches: an in-process LRU, then Redis, then the flight_cache /
+ * hotel_cache tables. Reads go down the tiers and copy a hit back up; writes go to every tier.
+ *
+ * Each data type has a fresh and a stale period. Fresh entries are returned as they are; stale entries are still
+ * returned right away while one background request refreshes them (stale-while-revalidate). Identical searches
+ * running at the same time share one upstream request. Hit ratios per type are reported through getStats().
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const database = require('../models/database');
+
+const { flightCacheModel, hotelCacheModel } = database;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'search-cache-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const MINUTE = 60;
+
+// freshSeconds: served as is; staleSeconds: served while revalidating, after that the entry expires
+const CACHE_POLICIES = {
+  flight_search: { freshSeconds: 30 * MINUTE, staleSeconds: 30 * MINUTE, table: flightCacheModel },
+  hotel_search: { freshSeconds: 60 * MINUTE, staleSeconds: 60 * MINUTE, table: hotelCacheModel },
+  hotel_mapping: { freshSeconds: 7 * 24 * 60 * MINUTE, staleSeconds: 24 * 60 * MINUTE, table: null }
+};
+
+const MAX_MEMORY_ENTRIES = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500;
+const REDIS_PREFIX = 'search_cache:';
+
+// Least recently used entries are dropped first; a Map keeps insertion order, so re-inserting marks as recent
+const memory = new Map();
+const inFlight = new Map();
+const stats = {};
+
+const getPolicy = (type) => {
+  const policy = CACHE_POLICIES[type];
+  if (!policy) throw new Error(`Unknown search cache type: ${type}`);
+  return policy;
+};
+
+const getTypeStats = (type) => {
+  if (!stats[type]) {
+    stats[type] = {
+      requests: 0,
+      hits: { memory: 0, redis: 0, postgres: 0 },
+      misses: 0,
+      staleServed: 0,
+      coalesced: 0,
+      revalidations: 0,
+      errors: 0
+    };
+  }
+  return stats[type];
+};
+
+/**
+ * Sort object keys and drop empty values so equivalent parameters produce the same key
+ * @param {*} value - Parameters
+ * @returns {*} - Canonical form
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      const item = value[key];
+      if (item !== undefined && item !== null && item !== '') result[key] = canonicalize(item);
+      return result;
+    }, {});
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Cache key of a search
+ * @param {string} type - Data type (flight_search, hotel_search, hotel_mapping)
+ * @param {Object} params - Search parameters
+ * @returns {string} - Cache key
+ */
+const getCacheKey = (type, params) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(canonicalize(params))).digest('hex');
+  return `${type}_${hash}`;
+};
+
+const getRedis = () => {
+  const client = database.redisClient;
+  return client && client.isReady ? client : null;
+};
+
+const rememberInMemory = (key, entry) => {
+  memory.delete(key);
+  memory.set(key, entry);
+  while (memory.size > MAX_MEMORY_ENTRIES) {
+    memory.delete(memory.keys().next().value);
+  }
+};
+
+/**
+ * Look an entry up in each tier, copying a lower tier hit into the tiers above it
+ * @returns {Promise<Object|null>} - { entry, tier } entry is { value, freshUntil, staleUntil } in ms
+ */
+const lookup = async (type, key) => {
+  const policy = getPolicy(type);
+  const now = Date.now();
+
+  const cached = memory.get(key);
+  if (cached && cached.staleUntil > now) {
+    rememberInMemory(key, cached);
+    return { entry: cached, tier: 'memory' };
+  }
+  if (cached) memory.delete(key);
+
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const raw = await redis.get(REDIS_PREFIX + key);
+      const entry = raw ? JSON.parse(raw) : null;
+      if (entry && entry.staleUntil > now) {
+        rememberInMemory(key, entry);
+        return { entry, tier: 'redis' };
+      }
+    } catch (err) {
+      logger.warn('Search cache Redis read failed', { type, error: err.message });
+    }
+  }
+
+  if (policy.table) {
+    try {
+      const row = await policy.table.get(key);
+      if (row) {
+        const entry = {
+          value: row.results,
+          freshUntil: new Date(row.created_at).getTime() + policy.freshSeconds * 1000,
+          staleUntil: new Date(row.expires_at).getTime()
+        };
+        rememberInMemory(key, entry);
+        await writeRedis(key, entry);
+        return { entry, tier: 'postgres' };
+      }
+    } catch (err) {
+      logger.warn('Search cache database read failed', { type, error: err.message });
+    }
+  }
+
+  return null;
+};
+
+const writeRedis = async (key, entry) => {
+  const redis = getRedis();
+  if (!redis) return;
+  try {
+    const ttlSeconds = Math.ceil((entry.staleUntil - Date.now()) / 1000);
+    if (ttlSeconds > 0) {
+      await redis.set(REDIS_PREFIX + key, JSON.stringify(entry), { EX: ttlSeconds });
+    }
+  } catch (err) {
+    logger.warn('Search cache Redis write failed', { error: err.message });
+  }
+};
+
+/**
+ * Store a value in every tier
+ * @param {string} type - Data type
+ * @param {string} key - Cache key
+ * @param {Object} params - Search parameters (kept with the database row)
+ * @param {*} value - Value to cache
+ */
+const store = async (type, key, params, value) => {
+  const policy = getPolicy(type);
+  const now = Date.now();
+  const entry = {
+    value,
+    freshUntil: now + policy.freshSeconds * 1000,
+    staleUntil: now + (policy.freshSeconds + policy.staleSeconds) * 1000
+  };
+
+  rememberInMemory(key, entry);
+  await writeRedis(key, entry);
+  if (policy.table) {
+    try {
+      await policy.table.set(key, params, value, new Date(entry.staleUntil));
+    } catch (err) {
+      logger.warn('Search cache database write failed', { type, error: err.message });
+    }
+  }
+};
+
+/**
+ * Fetch from upstream and cache the result; concurrent calls for the same key share one request
+ */
+const fetchAndStore = (type, key, params, fetcher, cacheable) => {
+  if (inFlight.has(key)) {
+    getTypeStats(type).coalesced++;
+    return inFlight.get(key);
+  }
+
+  const request = (async () => {
+    try {
+      const value = await fetcher();
+      if (cacheable(value)) await store(type, key, params, value);
+      return value;
+    } catch (err) {
+      getTypeStats(type).errors++;
+      throw err;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, request);
+  return request;
+};
+
+/**
+ * Get a search result from the cache, or fetch and cache it
+ * @param {string} type - Data type (flight_search, hotel_search, hotel_mapping)
+ * @param {Object} params - Search parameters; they make up the cache key
+ * @param {Function} fetcher - Async function returning the fresh result
+ * @param {Object} [options] - { cacheable } predicate deciding whether a fetched result is stored; { cacheOnly }
+ *   never calls upstream: a miss returns a null value and a stale hit is not revalidated; { counted } leaves the
+ *   request out of the hit ratio because a cacheOnly lookup for it already counted it
+ * @returns {Promise<Object>} - { value, cache: { hit, tier, stale } }
+ */
+const getOrFetch = async (type, params, fetcher, { cacheable = () => true, cacheOnly = false, counted = false } = {}) => {
+  const typeStats = getTypeStats(type);
+  const key = getCacheKey(type, params);
+  if (!counted) typeStats.requests++;
+
+  const found = await lookup(type, key);
+  if (found) {
+    if (!counted) typeStats.hits[found.tier]++;
+    const stale = found.entry.freshUntil <= Date.now();
+    if (stale) {
+      if (!counted) typeStats.staleServed++;
+      if (!cacheOnly && !inFlight.has(key)) {
+        typeStats.revalidations++;
+        fetchAndStore(type, key, params, fetcher, cacheable).catch((err) => {
+          logger.warn('Search cache revalidation failed', { type, error: err.message });
+        });
+      }
+    }
+    return { value: found.entry.value, cache: { hit: true, tier: found.tier, stale } };
+  }
+
+  if (!counted) typeStats.misses++;
+  if (cacheOnly) return { value: null, cache: { hit: false, tier: null, stale: false } };
+  const value = await fetchAndStore(type, key, params, fetcher, cacheable);
+  return { value, cache: { hit: false, tier: null, stale: false } };
+};
+
+/**
+ * Delete expired rows from flight_cache and hotel_cache, and expired entries from memory
+ * @returns {Promise<Object>} - Deleted counts per table
+ */
+const purgeExpired = async () => {
+  const now = Date.now();
+  for (const [key, entry] of memory) {
+    if (entry.staleUntil <= now) memory.delete(key);
+  }
+
+  const [flightRows, hotelRows] = await Promise.all([
+    flightCacheModel.deleteExpired(),
+    hotelCacheModel.deleteExpired()
+  ]);
+  return { flight_cache: flightRows, hotel_cache: hotelRows };
+};
+
+/**
+ * Cache statistics with hit ratios
+ * @param {Array<string>} [types] - Data types to report, defaults to all
+ * @returns {Object} - Statistics per type plus the tiers in use
+ */
+const getStats = (types = Object.keys(CACHE_POLICIES)) => {
+  const byType = types.reduce((result, type) => {
+    const typeStats = getTypeStats(type);
+    const hits = typeStats.hits.memory + typeStats.hits.redis + typeStats.hits.postgres;
+    result[type] = {
+      ...typeStats,
+      hits: { ...typeStats.hits, total: hits },
+      hitRatio: typeStats.requests > 0 ? Math.round((hits / typeStats.requests) * 1000) / 1000 : null,
+      freshSeconds: CACHE_POLICIES[type].freshSeconds,
+      staleSeconds: CACHE_POLICIES[type].staleSeconds
+    };
+    return result;
+  }, {});
+
+  return {
+    tiers: {
+      memory: { entries: memory.size, maxEntries: MAX_MEMORY_ENTRIES },
+      redis: getRedis() ? 'connected' : 'unavailable',
+      postgres: 'flight_cache, hotel_cache'
+    },
+    inFlight: inFlight.size,
+    types: byType
+  };
+};
+
+/**
+ * Forget all in-process entries and statistics
+ */
+const clearMemory = () => {
+  memory.clear();
+  Object.keys(stats).forEach(type => delete stats[type]);
+};
+
+module.exports = {
+  getCacheKey,
+  getOrFetch,
+  purgeExpired,
+  getStats,
+  clearMemory
+};
@@ -0,0 +1,108 @@
+/**
+ * Socket.IO Server
+ * Authenticates sockets with the same JWT access token as the REST API and puts every
+ * connection in a per-user room, so services can push events to a user on all their devices.
+ */
+
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const { query } = require('../models/database');
+const { getPermissionsForRole } = require('../utils/permissions');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'socket-server' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+let ioInstance = null;
+
+/**
+ * Room name for a user's sockets
+ * @param {number} userId - User ID
+ * @returns {string} - Room name
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+// Resolve the socket's user from the token in the handshake (auth.token or a Bearer header)
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+  if (!token) {
+    return next(new Error('Authentication token required.'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_jwt_secret_change_in_production');
+    const result = await query(
+      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = $1',
+      [decoded.userId]
+    );
+    const user = result.rows[0];
+    if (!user || !user.is_active) {
+      return next(new Error('User not found or deactivated.'));
+    }
+
+    socket.user = {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      permissions: getPermissionsForRole(user.role)
+    };
+    next();
+  } catch (err) {
+    logger.warn('Socket authentication failed', { error: err.message });
+    next(new Error('Invalid or expired token.'));
+  }
+};
+
+/**
+ * Attach authentication and per-user rooms to the Socket.IO server
+ * @param {Server} io - Socket.IO server
+ */
+const initializeSocketServer = (io) => {
+  ioInstance = io;
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.user.id));
+    logger.info(`Socket.IO: User ${socket.user.id} connected (${socket.id})`);
+
+    socket.on('disconnect', () => {
+      logger.info(`Socket.IO: User ${socket.user.id} disconnected (${socket.id})`);
+    });
+  });
+};
+
+/**
+ * Emit an event to every connected socket of a user
+ * @param {number} userId - User ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ * @returns {boolean} - False if the socket server is not running (e.g. in scripts)
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!ioInstance) return false;
+  ioInstance.to(userRoom(userId)).emit(event, payload);
+  return true;
+};
+
+module.exports = {
+  initializeSocketServer,
+  emitToUser,
+  userRoom
+};
@@ -0,0 +1,241 @@
+/**
+ * Trip Optimization Service
+ * AI review of a trip (saved or a trip builder draft) through the AI gateway using the trip-optimization prompt.
+ * The model's changes come back as diffs against the trip as it was sent, so the trip builder can apply them
+ * one by one:
+ *   { id, category, title, reason, estimated_savings,
+ *     diff: { operation: 'update' | 'remove' | 'add' | 'update_trip', component_id?, changes?: [{ field, before, after }], component? } }
+ * Diff fields use the component's own field names (drafts store hotel dates as check_in_date/check_out_date and
+ * activity dates as activity_date/activity_time), and components without an id are referenced as '#<index>'.
+ * Changes that reference unknown components or change nothing are returned in rejected_changes.
+ */
+
+const AiGatewayService = require('./aiGatewayService');
+
+const FEATURE = 'trip_optimization';
+const PROMPT_ID = 'trip-optimization';
+// Keeps the prompt within a sensible size for very large trips
+const MAX_COMPONENTS = 60;
+
+// Field names the trip builder uses for each prompt field, in order of preference
+const FIELD_ALIASES = {
+  title: ['title', 'name'],
+  start_date: ['start_date', 'check_in_date', 'activity_date', 'date'],
+  end_date: ['end_date', 'check_out_date'],
+  start_time: ['start_time', 'activity_time', 'time'],
+  end_time: ['end_time'],
+  price: ['price', 'total_price'],
+  notes: ['notes']
+};
+
+// Field names used by drafts when a component does not have the field yet
+const DRAFT_FIELD_NAMES = {
+  hotel: { start_date: 'check_in_date', end_date: 'check_out_date' },
+  activity: { start_date: 'activity_date', start_time: 'activity_time' },
+  poi: { start_date: 'activity_date', start_time: 'activity_time' }
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+};
+
+const toTime = (value) => {
+  const match = value && String(value).match(/^(\d{1,2}):(\d{2})/);
+  return match ? `${pad(match[1])}:${match[2]}` : null;
+};
+
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+};
+
+const NORMALIZERS = {
+  title: value => (value ? String(value) : null),
+  start_date: toDate,
+  end_date: toDate,
+  start_time: toTime,
+  end_time: toTime,
+  price: toPrice,
+  notes: value => (value ? String(value) : null)
+};
+
+const toDestinationList = (destinations) => {
+  if (Array.isArray(destinations)) return destinations.map(String).map(d => d.trim()).filter(Boolean);
+  if (typeof destinations === 'string') return destinations.split(',').map(d => d.trim()).filter(Boolean);
+  return [];
+};
+
+const componentKey = (component, index) => (component.id !== undefined && component.id !== null ? String(component.id) : `#${index}`);
+
+class TripOptimizationService {
+  /**
+   * @param {AiGatewayService} [gateway] - Gateway to send prompts through
+   */
+  constructor(gateway = new AiGatewayService()) {
+    this.gateway = gateway;
+  }
+
+  /**
+   * Reduce a trip to the prompt input and remember where each prompt field came from
+   * @param {Object} trip - Trip with components (saved trip row or trip builder draft)
+   * @returns {Object} - { input, components: Map of id -> { component, type, fields: { promptField: sourceField } } }
+   */
+  buildPromptInput(trip) {
+    const draft = !trip.traveler_id;
+    const components = new Map();
+    const promptComponents = [];
+
+    (trip.components || []).slice(0, MAX_COMPONENTS).forEach((component, index) => {
+      const id = componentKey(component, index);
+      const type = component.component_type || 'other';
+      const fields = {};
+      const values = {};
+
+      Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+        const source = aliases.find(alias => component[alias] !== undefined && component[alias] !== null && component[alias] !== '');
+        fields[field] = source || (draft && DRAFT_FIELD_NAMES[type]?.[field]) || field;
+        values[field] = source ? NORMALIZERS[field](component[source]) : null;
+      });
+
+      components.set(id, { component, type, fields, values });
+      promptComponents.push({
+        id,
+        type,
+        ...Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null)),
+        currency: component.currency || trip.currency || 'USD',
+        location: component.location_city || component.custom_location?.address || component.location || undefined
+      });
+    });
+
+    const destinations = toDestinationList(trip.destinations);
+    return {
+      input: {
+        trip: {
+          title: trip.title || trip.trip_name || null,
+          destinations,
+          start_date: toDate(trip.start_date),
+          end_date: toDate(trip.end_date),
+          budget: toPrice(trip.budget_amount ?? trip.budget_max),
+          currency: trip.currency || 'USD',
+          travelers: parseInt(trip.number_of_travelers) || 1
+        },
+        components: promptComponents
+      },
+      components,
+      draft
+    };
+  }
+
+  /**
+   * Turn a validated model change into a diff, or explain why it cannot be applied
+   * @returns {Object} - { diff } or { rejected: reason }
+   */
+  toDiff(change, context, removed) {
+    const { input, components, draft } = context;
+
+    if (change.operation === 'update_trip') {
+      const changes = [];
+      Object.entries(change.fields).forEach(([field, value]) => {
+        if (field === 'destinations') {
+          const before = input.trip.destinations.join(', ');
+          const after = value.join(', ');
+          if (before !== after) changes.push({ field, before, after });
+        } else if (input.trip[field] !== value) {
+          changes.push({ field, before: input.trip[field], after: value });
+        }
+      });
+      return changes.length ? { diff: { operation: 'update_trip', changes } } : { rejected: 'Change does not alter the trip' };
+    }
+
+    if (change.operation === 'add') {
+      const { component_type, location, ...fields } = change.component;
+      const names = draft ? DRAFT_FIELD_NAMES[component_type] || {} : {};
+      const component = {
+        component_type,
+        currency: input.trip.currency,
+        status: 'planned'
+      };
+      Object.entries(fields).forEach(([field, value]) => {
+        component[names[field] || field] = value;
+      });
+      if (location) {
+        if (draft) component.location = location;
+        else component.custom_location = { address: location };
+      }
+      return { diff: { operation: 'add', component } };
+    }
+
+    const componentId = String(change.component_id);
+    const target = components.get(componentId);
+    if (!target) return { rejected: `Unknown component ${componentId}` };
+    if (removed.has(componentId)) return { rejected: `Component ${componentId} is already removed by another change` };
+
+    if (change.operation === 'remove') {
+      removed.add(componentId);
+      return { diff: { operation: 'remove', component_id: componentId, component: { component_type: target.type, title: target.values.title } } };
+    }
+
+    const changes = Object.entries(change.fields)
+      .filter(([field, value]) => target.values[field] !== value)
+      .map(([field, value]) => ({ field: target.fields[field], before: target.values[field], after: value }));
+    if (changes.length === 0) return { rejected: 'Change does not alter the component' };
+    return { diff: { operation: 'update', component_id: componentId, changes } };
+  }
+
+  /**
+   * Ask the AI provider to optimize a trip
+   * @param {number} userId - Requesting user (limits and usage are counted per user)
+   * @param {Object} trip - Trip with components
+   * @returns {Promise<Object>} - { summary, overall_score, categories, changes, rejected_changes, meta }
+   */
+  async optimize(userId, trip) {
+    const context = this.buildPromptInput(trip);
+    if (context.input.trip.destinations.length === 0 && context.components.size === 0) {
+      const error = new Error('Add some destinations, flights, hotels or activities before optimizing the trip');
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await this.gateway.run({ userId, feature: FEATURE, promptId: PROMPT_ID, input: context.input });
+    const { summary, overall_score, categories, changes } = result.output;
+
+    const removed = new Set();
+    const diffs = [];
+    const rejected = [];
+    changes.forEach((change, index) => {
+      const { diff, rejected: reason } = this.toDiff(change, context, removed);
+      const entry = {
+        id: `chg-${index + 1}`,
+        category: change.category,
+        title: change.title,
+        reason: change.reason,
+        estimated_savings: change.estimated_savings ?? null
+      };
+      if (diff) diffs.push({ ...entry, diff });
+      else rejected.push({ ...entry, rejected_reason: reason });
+    });
+
+    return {
+      summary,
+      overall_score,
+      currency: context.input.trip.currency,
+      categories,
+      changes: diffs,
+      rejected_changes: rejected,
+      meta: {
+        provider: result.provider,
+        model: result.model,
+        prompt_version: result.prompt_version,
+        attempts: result.attempts,
+        usage: result.usage
+      }
+    };
+  }
+}
+
+module.exports = TripOptimizationService;
@@ -0,0 +1,493 @@
+/**
+ * Voucher Service
+ * Renders the downloadable PDF documents of a trip: the itinerary of a custom trip and the voucher of a booking.
+ * Both list the flight segments, hotel stays and the day-by-day plan built by the itinerary scheduler. Once a
+ * booking is confirmed they also carry one voucher per activity with a QR code of the booking reference, which
+ * providers scan at check-in, and an emergency contacts page.
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const winston = require('winston');
+const moment = require('moment');
+const {
+  bookingModel,
+  customTripModel,
+  tripComponentModel,
+  listingModel,
+  locationModel
+} = require('../models/database');
+const ItinerarySchedulerService = require('./itinerarySchedulerService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'voucher-service' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const VOUCHER_STATUSES = ['confirmed', 'completed'];
+const ACCOMMODATION_TYPES = ['accommodation', 'hotel'];
+
+const SUPPORT_CONTACT = {
+  email: process.env.SUPPORT_EMAIL || 'support@adventureconnect.local',
+  phone: process.env.SUPPORT_PHONE || null
+};
+
+// Countries whose general emergency number is not 112 (which works from mobile phones across the EU and most of the world)
+const EMERGENCY_NUMBERS = {
+  US: '911',
+  CA: '911',
+  MX: '911',
+  GB: '999 or 112',
+  AU: '000 (112 from mobiles)',
+  NZ: '111',
+  JP: '110 police, 119 fire and ambulance',
+  CN: '110 police, 120 ambulance',
+  BR: '190 police, 192 ambulance',
+  ZA: '10111 police, 10177 ambulance (112 from mobiles)',
+  TH: '191 police, 1669 ambulance'
+};
+const DEFAULT_EMERGENCY_NUMBER = '112';
+
+const ENTRY_LABELS = {
+  flight_departure: 'Departs',
+  flight_arrival: 'Lands',
+  flight_in_air: 'In the air',
+  check_in: 'Check in',
+  check_out: 'Check out'
+};
+
+const PAGE_MARGIN = 50;
+const QR_SIZE = 90;
+const VOUCHER_HEIGHT = QR_SIZE + 20;
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#2563eb',
+  border: '#d1d5db'
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const formatDate = (value) => (value ? moment(value).format('ddd D MMM YYYY') : 'Date to be confirmed');
+const formatTime = (value) => (value ? String(value).slice(0, 5) : null);
+
+const formatAddress = (component) => {
+  const location = component.custom_location || {};
+  return [
+    location.address,
+    location.city || component.location_city,
+    location.country || component.location_country
+  ].filter(Boolean).join(', ') || component.location_name || null;
+};
+
+const countryCodeOf = (component) => {
+  const country = component.custom_location?.country;
+  return country && /^[A-Za-z]{2}$/.test(country) ? country.toUpperCase() : null;
+};
+
+// ====================================
+// PDF Layout Helpers
+// ====================================
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+// Start a new page when the next block would not fit on this one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+};
+
+const drawHeading = (doc, text) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.accent).text(text, PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth(doc), y).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+  doc.moveDown(0.5);
+};
+
+const drawLine = (doc, text, { bold = false, muted = false, size = 10, indent = 0 } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+    .fontSize(size)
+    .fillColor(muted ? COLORS.muted : COLORS.text)
+    .text(text, PAGE_MARGIN + indent, doc.y, { width: contentWidth(doc) - indent });
+};
+
+// Bold label kept on the same page as the first lines under it
+const drawLabel = (doc, text) => {
+  ensureSpace(doc, 40);
+  drawLine(doc, text, { bold: true });
+};
+
+class VoucherService {
+  constructor() {
+    this.itineraryScheduler = new ItinerarySchedulerService();
+  }
+
+  /**
+   * Render the voucher of a booking
+   * @param {Object} booking - Booking row
+   * @returns {Promise<Buffer>} - PDF document
+   */
+  async generateBookingVoucher(booking) {
+    if (!VOUCHER_STATUSES.includes(booking.status)) {
+      throw createError('Vouchers are available once the booking is confirmed.', 400);
+    }
+
+    const bookingWithComponents = await bookingModel.getWithComponents(booking.id);
+    let content;
+    if (booking.custom_trip_id) {
+      const trip = await customTripModel.findById(booking.custom_trip_id);
+      content = await this.collectTripContent(trip, bookingWithComponents);
+    } else {
+      content = await this.collectListingContent(bookingWithComponents);
+    }
+
+    const pdf = await this.render({ documentTitle: 'Booking Voucher', booking: bookingWithComponents, ...content });
+    logger.info('Booking voucher generated', { bookingId: booking.id, vouchers: content.vouchers.length });
+    return pdf;
+  }
+
+  /**
+   * Render the itinerary of a custom trip; vouchers are included once its latest booking is confirmed
+   * @param {Object} trip - Custom trip row
+   * @returns {Promise<Buffer>} - PDF document
+   */
+  async generateTripItinerary(trip) {
+    const latestBooking = await bookingModel.findLatestByCustomTripId(trip.id);
+    const booking = latestBooking && VOUCHER_STATUSES.includes(latestBooking.status)
+      ? await bookingModel.getWithComponents(latestBooking.id)
+      : null;
+
+    const content = await this.collectTripContent(trip, booking);
+    const pdf = await this.render({ documentTitle: 'Trip Itinerary', booking, ...content });
+    logger.info('Trip itinerary generated', { tripId: trip.id, bookingId: booking?.id || null });
+    return pdf;
+  }
+
+  // Everything the document shows about a custom trip, with the booking's provider details when booked
+  async collectTripContent(trip, booking) {
+    const bookingComponents = new Map((booking?.components || []).map(bc => [bc.component_id, bc]));
+    const components = (await tripComponentModel.getByTripId(trip.id))
+      .filter(component => component.status !== 'cancelled' && bookingComponents.get(component.id)?.status !== 'cancelled');
+
+    const airports = await this.getAirports(components);
+    const airportCities = Object.fromEntries(Object.entries(airports).map(([code, location]) => [code, location.city || location.name]));
+    const schedule = this.itineraryScheduler.buildSchedule(trip, components, { airportCities });
+
+    const flights = components.filter(component => component.component_type === 'flight');
+    const stays = components.filter(component => ACCOMMODATION_TYPES.includes(component.component_type));
+    const vouchers = booking
+      ? components
+        .filter(component => component.component_type !== 'flight' && !ACCOMMODATION_TYPES.includes(component.component_type))
+        .map(component => this.toVoucher(component, bookingComponents.get(component.id)))
+      : [];
+
+    // Destinations are where the flights land and where the traveler stays or does things
+    const countryCodes = new Set(components.map(countryCodeOf).filter(Boolean));
+    flights.forEach((flight) => {
+      const { destination } = ItinerarySchedulerService.getFlightAirports(flight);
+      if (airports[destination]?.country_code) countryCodes.add(airports[destination].country_code);
+    });
+
+    return {
+      title: trip.title || 'Your Adventure',
+      startDate: trip.start_date,
+      endDate: trip.end_date,
+      travelers: trip.number_of_travelers,
+      flights,
+      stays,
+      schedule,
+      vouchers,
+      airports,
+      providers: this.collectProviders(booking),
+      countryCodes: [...countryCodes]
+    };
+  }
+
+  // Listing bookings have no trip components: the listing itself is the one thing to show a voucher for
+  async collectListingContent(booking) {
+    const listing = booking.listing_id ? await listingModel.findById(booking.listing_id) : null;
+    const component = {
+      id: `listing-${booking.listing_id}`,
+      component_type: 'activity',
+      title: listing?.title || booking.trip_title || 'Booked experience',
+      start_date: booking.start_date,
+      end_date: booking.end_date,
+      custom_location: listing?.custom_location,
+      location_name: listing?.location_name,
+      location_city: listing?.location_city,
+      location_country: listing?.location_country
+    };
+    const provider = listing
+      ? { provider_business_name: listing.provider_business_name, provider_first_name: listing.provider_first_name, provider_last_name: listing.provider_last_name }
+      : {};
+
+    const trip = { id: null, start_date: booking.start_date, end_date: booking.end_date };
+    return {
+      title: component.title,
+      startDate: booking.start_date,
+      endDate: booking.end_date,
+      travelers: booking.number_of_travelers,
+      flights: [],
+      stays: [],
+      schedule: this.itineraryScheduler.buildSchedule(trip, [component]),
+      vouchers: [this.toVoucher(component, provider)],
+      airports: {},
+      providers: provider.provider_business_name ? [{ name: provider.provider_business_name }] : [],
+      countryCodes: [countryCodeOf(component)].filter(Boolean)
+    };
+  }
+
+  /**
+   * Look up the airports of the trip's flights, including each segment's
+   * @param {Array} components - Trip components
+   * @returns {Promise<Object>} - { [iataCode]: location }
+   */
+  async getAirports(components) {
+    const codes = new Set(this.itineraryScheduler.getAirportCodes(components));
+    components.filter(component => component.component_type === 'flight').forEach((component) => {
+      (component.custom_location?.segments || []).forEach((segment) => {
+        codes.add(segment.from);
+        codes.add(segment.to);
+      });
+    });
+
+    const airports = {};
+    await Promise.all([...codes].map(async (code) => {
+      const location = await locationModel.findByIataCode(code);
+      if (location) airports[code] = location;
+    }));
+    return airports;
+  }
+
+  toVoucher(component, bookingComponent = {}) {
+    const startTime = formatTime(component.start_time);
+    const endTime = formatTime(component.end_time);
+    return {
+      title: component.title,
+      date: formatDate(component.start_date),
+      time: startTime ? (endTime ? `${startTime}-${endTime}` : startTime) : null,
+      address: formatAddress(component),
+      provider: bookingComponent.provider_business_name ||
+        [bookingComponent.provider_first_name, bookingComponent.provider_last_name].filter(Boolean).join(' ') || null,
+      providerReference: bookingComponent.provider_confirmation_reference || null
+    };
+  }
+
+  collectProviders(booking) {
+    const providers = new Map();
+    (booking?.components || []).forEach((bc) => {
+      if (!bc.provider_id || bc.status === 'cancelled' || providers.has(bc.provider_id)) return;
+      providers.set(bc.provider_id, {
+        name: bc.provider_business_name || [bc.provider_first_name, bc.provider_last_name].filter(Boolean).join(' '),
+        email: bc.provider_email,
+        phone: bc.provider_phone
+      });
+    });
+    return [...providers.values()];
+  }
+
+  // ====================================
+  // Rendering
+  // ====================================
+
+  async render(content) {
+    const { documentTitle, booking, title } = content;
+    const qrCode = booking
+      ? await QRCode.toBuffer(booking.booking_reference, { type: 'png', margin: 1, width: QR_SIZE * 3 })
+      : null;
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `${documentTitle} - ${title}`, Author: 'AdventureConnect' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this.renderHeader(doc, content, qrCode);
+    this.renderFlights(doc, content);
+    this.renderStays(doc, content);
+    this.renderDayPlan(doc, content);
+    this.renderVouchers(doc, content, qrCode);
+    this.renderEmergencyContacts(doc, content);
+
+    doc.end();
+    return finished;
+  }
+
+  renderHeader(doc, { documentTitle, booking, title, startDate, endDate, travelers }, qrCode) {
+    const top = doc.y;
+    const textWidth = contentWidth(doc) - (qrCode ? QR_SIZE + 20 : 0);
+
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(`AdventureConnect - ${documentTitle}`, PAGE_MARGIN, top, { width: textWidth });
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text(title, { width: textWidth });
+    doc.moveDown(0.3);
+    drawLine(doc, `${formatDate(startDate)} - ${formatDate(endDate)}`);
+    if (travelers) drawLine(doc, `${travelers} traveler${travelers === 1 ? '' : 's'}`);
+
+    if (booking) {
+      doc.moveDown(0.3);
+      drawLine(doc, `Booking reference: ${booking.booking_reference}`, { bold: true, size: 12 });
+      drawLine(doc, `Status: ${booking.status}`, { muted: true });
+      if (booking.first_name || booking.last_name) {
+        drawLine(doc, `Lead traveler: ${[booking.first_name, booking.last_name].filter(Boolean).join(' ')}`, { muted: true });
+      }
+      doc.image(qrCode, PAGE_MARGIN + contentWidth(doc) - QR_SIZE, top, { width: QR_SIZE, height: QR_SIZE });
+      doc.y = Math.max(doc.y, top + QR_SIZE);
+    } else {
+      doc.moveDown(0.3);
+      drawLine(doc, 'Not booked yet. Vouchers are added once the booking is confirmed.', { muted: true });
+    }
+  }
+
+  renderFlights(doc, { flights, airports }) {
+    if (flights.length === 0) return;
+    drawHeading(doc, 'Flights');
+
+    const airportLabel = (code) => (airports[code] ? `${code} (${airports[code].name})` : code);
+    flights.forEach((flight) => {
+      ensureSpace(doc, 50);
+      drawLine(doc, flight.title, { bold: true });
+      const segments = flight.custom_location?.segments || [];
+      if (segments.length === 0) {
+        const times = [formatTime(flight.start_time), formatTime(flight.end_time)].filter(Boolean).join(' - ');
+        drawLine(doc, `${formatDate(flight.start_date)}${times ? `, ${times}` : ''}`, { indent: 10 });
+      }
+      segments.forEach((segment) => {
+        const departure = moment(segment.departureAt);
+        const arrival = moment(segment.arrivalAt);
+        const flightNumber = `${segment.carrier || ''}${segment.flightNumber || ''}`;
+        drawLine(doc, `${airportLabel(segment.from)} -> ${airportLabel(segment.to)}${flightNumber ? `  ${flightNumber}` : ''}`, { indent: 10 });
+        drawLine(doc, `Departs ${departure.format('ddd D MMM HH:mm')}, arrives ${arrival.format(arrival.isSame(departure, 'day') ? 'HH:mm' : 'ddd D MMM HH:mm')} (local times)`,
+          { indent: 10, muted: true });
+      });
+      doc.moveDown(0.4);
+    });
+  }
+
+  renderStays(doc, { stays }) {
+    if (stays.length === 0) return;
+    drawHeading(doc, 'Accommodation');
+
+    stays.forEach((stay) => {
+      ensureSpace(doc, 50);
+      drawLine(doc, stay.title, { bold: true });
+      const address = formatAddress(stay);
+      if (address) drawLine(doc, address, { indent: 10 });
+      const nights = stay.end_date ? moment(stay.end_date).diff(moment(stay.start_date), 'days') : null;
+      drawLine(doc, `Check in ${formatDate(stay.start_date)}${stay.end_date ? `, check out ${formatDate(stay.end_date)}` : ''}` +
+        `${nights > 0 ? ` (${nights} night${nights === 1 ? '' : 's'})` : ''}`, { indent: 10, muted: true });
+      doc.moveDown(0.4);
+    });
+  }
+
+  renderDayPlan(doc, { schedule }) {
+    if (!schedule.days.some(day => day.entries.length > 0)) return;
+    drawHeading(doc, 'Day-by-Day Plan');
+
+    schedule.days.forEach((day) => {
+      ensureSpace(doc, 40);
+      const cities = day.cities.length > 0 ? ` - ${day.cities.join(' -> ')}` : '';
+      drawLine(doc, `Day ${day.dayNumber}: ${formatDate(day.date)}${cities}`, { bold: true });
+      if (day.entries.length === 0) drawLine(doc, 'Free day', { indent: 10, muted: true });
+      day.entries.forEach((entry) => {
+        const time = entry.allDay ? 'Time TBD' : `${entry.startTime}-${entry.endTime}`;
+        const label = ENTRY_LABELS[entry.kind] ? `${ENTRY_LABELS[entry.kind]}: ` : '';
+        drawLine(doc, `${time.padEnd(12)}${label}${entry.title}${entry.suggested ? ' (suggested time)' : ''}`, { indent: 10 });
+      });
+      if (day.hotel) drawLine(doc, `Overnight: ${day.hotel.title}`, { indent: 10, muted: true });
+      doc.moveDown(0.4);
+    });
+
+    if (schedule.unscheduled.length > 0) {
+      drawLabel(doc, 'Not yet scheduled');
+      schedule.unscheduled.forEach(item => drawLine(doc, `${item.title}: ${item.reason}`, { indent: 10, muted: true }));
+    }
+  }
+
+  renderVouchers(doc, { vouchers, booking }, qrCode) {
+    if (!booking || vouchers.length === 0) return;
+    drawHeading(doc, 'Activity Vouchers');
+
+    const width = contentWidth(doc);
+    const textWidth = width - QR_SIZE - 40;
+    vouchers.forEach((voucher) => {
+      ensureSpace(doc, VOUCHER_HEIGHT + 10);
+      const top = doc.y;
+      doc.rect(PAGE_MARGIN, top, width, VOUCHER_HEIGHT).lineWidth(1).strokeColor(COLORS.border).stroke();
+      doc.image(qrCode, PAGE_MARGIN + width - QR_SIZE - 10, top + 10, { width: QR_SIZE, height: QR_SIZE });
+
+      const line = (text, font = 'Helvetica', size = 9) => doc.font(font).fontSize(size).fillColor(COLORS.text)
+        .text(text, PAGE_MARGIN + 12, doc.y, { width: textWidth, height: size + 4, ellipsis: true });
+      doc.y = top + 10;
+      line(voucher.title, 'Helvetica-Bold', 12);
+      doc.moveDown(0.2);
+      line(`${voucher.date}${voucher.time ? `, ${voucher.time}` : ''}`);
+      if (voucher.address) line(voucher.address);
+      if (voucher.provider) line(`Provider: ${voucher.provider}`);
+      line(`Booking reference: ${booking.booking_reference}`, 'Helvetica-Bold');
+      if (voucher.providerReference) line(`Provider confirmation: ${voucher.providerReference}`);
+
+      doc.y = top + VOUCHER_HEIGHT + 10;
+    });
+  }
+
+  renderEmergencyContacts(doc, { booking, countryCodes, airports, providers }) {
+    drawHeading(doc, 'Emergency Contacts');
+
+    const countryNames = Object.fromEntries(Object.values(airports)
+      .filter(location => location.country_code)
+      .map(location => [location.country_code, location.country]));
+    drawLabel(doc, 'Local emergency services');
+    if (countryCodes.length === 0) {
+      drawLine(doc, `${DEFAULT_EMERGENCY_NUMBER} (works from mobile phones in most countries)`, { indent: 10 });
+    }
+    countryCodes.forEach((code) => {
+      drawLine(doc, `${countryNames[code] || code}: ${EMERGENCY_NUMBERS[code] || DEFAULT_EMERGENCY_NUMBER}`, { indent: 10 });
+    });
+
+    doc.moveDown(0.4);
+    drawLabel(doc, 'AdventureConnect support');
+    drawLine(doc, [SUPPORT_CONTACT.email, SUPPORT_CONTACT.phone].filter(Boolean).join(' | '), { indent: 10 });
+    if (booking) drawLine(doc, `Quote booking reference ${booking.booking_reference}`, { indent: 10, muted: true });
+
+    if (providers.length > 0) {
+      doc.moveDown(0.4);
+      drawLabel(doc, 'Your providers');
+      providers.forEach((provider) => {
+        drawLine(doc, [provider.name, provider.email, provider.phone].filter(Boolean).join(' | '), { indent: 10 });
+      });
+    }
+
+    const contact = booking?.traveler_contact_info || {};
+    if (contact.phone || contact.email) {
+      doc.moveDown(0.4);
+      drawLabel(doc, 'Contact details we have for you');
+      drawLine(doc, [contact.phone, contact.email].filter(Boolean).join(' | '), { indent: 10 });
+    }
+  }
+}
+
+module.exports = VoucherService;
@@ -5,6 +5,8 @@ const moment = require('moment');
 const BOOKING_REFERENCE_PREFIX = 'ACN'; // AdventureConnect
 const PLATFORM_FEE_PERCENTAGE = 0.10; // 10% platform fee
 
+let fxRateService = null; // Created on first use by convertCurrency
+
 // ====================================
 // 1. Booking Reference Generation and Validation
 // ====================================
@@ -97,6 +99,18 @@ const formatBookingConfirmationEmailHTML = (booking, traveler, components) => {
   const subtotal = calculateSubtotal(components);
   const platformFee = calculatePlatformFee(subtotal);
   const total = calculateBookingTotal(subtotal, platformFee);
+  const currency = booking.currency || 'USD';
+  // Bookings priced by the pricing rules engine carry the exact breakdown that was charged
+  const breakdown = booking.price_breakdown;
+  const paymentSummaryHTML = breakdown
+    ? `<p>Base Price: ${currency} ${Number(breakdown.base).toFixed(2)}</p>
+        <p>Service Markup: ${currency} ${Number(breakdown.markup).toFixed(2)}</p>
+        <p>Fees: ${currency} ${Number(breakdown.fees).toFixed(2)}</p>
+        <p>Taxes: ${currency} ${Number(breakdown.taxes).toFixed(2)}</p>
+        <p><strong>Total Amount: ${currency} ${Number(breakdown.total).toFixed(2)}</strong></p>`
+    : `<p>Subtotal: ${currency} ${subtotal.toFixed(2)}</p>
+        <p>Platform Fee: ${currency} ${platformFee.toFixed(2)}</p>
+        <p><strong>Total Amount: ${currency} ${total.toFixed(2)}</strong></p>`;
 
   let componentsHTML = '<ul>';
   components.forEach(comp => {
@@ -131,9 +145,7 @@ const formatBookingConfirmationEmailHTML = (booking, traveler, components) => {
         ${componentsHTML}
 
         <h3>Payment Summary:</h3>
-        <p>Subtotal: ${booking.currency || 'USD'} ${subtotal.toFixed(2)}</p>
-        <p>Platform Fee: ${booking.currency || 'USD'} ${platformFee.toFixed(2)}</p>
-        <p><strong>Total Amount: ${booking.currency || 'USD'} ${total.toFixed(2)}</strong></p>
+        ${paymentSummaryHTML}
 
         ${booking.special_requests ? `<p><strong>Special Requests:</strong> ${booking.special_requests}</p>` : ''}
         
@@ -303,26 +315,109 @@ const formatCurrency = (amount, currency = 'USD', locale = 'en-US') => {
 };
 
 /**
- * Converts an amount from one currency to another. (Placeholder)
- * NOTE: This is a placeholder. Real implementation requires an exchange rate API.
+ * Converts an amount from one currency to another.
+ * Uses the given rates object when provided, otherwise the stored daily rates (services/fxRateService.js).
  * @param {number} amount - The amount to convert.
  * @param {string} fromCurrency - The source currency code.
  * @param {string} toCurrency - The target currency code.
  * @param {Object} [rates] - Optional exchange rates object (e.g., { USD: 1, EUR: 0.92 }).
+ * @param {string|Date} [date] - Date of the stored rate to use (defaults to today).
  * @returns {Promise<number|null>} Converted amount or null if conversion fails.
  */
-const convertCurrency = async (amount, fromCurrency, toCurrency, rates) => {
+const convertCurrency = async (amount, fromCurrency, toCurrency, rates, date) => {
   if (fromCurrency === toCurrency) {
     return parseFloat(amount.toFixed(2));
   }
-  // Placeholder: In a real app, fetch rates from an API (e.g., Open Exchange Rates, Fixer.io)
-  // For demonstration, if rates are provided:
   if (rates && rates[fromCurrency] && rates[toCurrency]) {
     const amountInBase = amount / rates[fromCurrency]; // Convert to base (e.g., USD)
     return parseFloat((amountInBase * rates[toCurrency]).toFixed(2));
   }
-  console.warn(`Currency conversion for ${fromCurrency} to ${toCurrency} not implemented or rates unavailable.`);
-  return null; // Indicate conversion failure
+  try {
+    // Required here: the service loads the database models, which most users of these helpers never need
+    const FxRateService = require('../services/fxRateService');
+    fxRateService = fxRateService || new FxRateService();
+    const conversion = await fxRateService.convert(amount, fromCurrency, toCurrency, date);
+    return conversion.amount;
+  } catch (err) {
+    console.warn(`Currency conversion for ${fromCurrency} to ${toCurrency} failed: ${err.message}`);
+    return null; // Indicate conversion failure
+  }
+};
+
+// ====================================
+// 7. Cancellation Policies and Refunds
+// ====================================
+
+/**
+ * Cancellation policy tiers. Each tier lists refund thresholds from most to least generous;
+ * a cancellation gets the first refund whose hoursBeforeStart it meets, otherwise nothing.
+ */
+const CANCELLATION_POLICIES = {
+  flexible: [
+    { hoursBeforeStart: 24, refundPercentage: 100 }
+  ],
+  moderate: [
+    { hoursBeforeStart: 5 * 24, refundPercentage: 100 },
+    { hoursBeforeStart: 24, refundPercentage: 50 }
+  ],
+  strict: [
+    { hoursBeforeStart: 14 * 24, refundPercentage: 100 },
+    { hoursBeforeStart: 7 * 24, refundPercentage: 50 }
+  ]
+};
+
+const DEFAULT_CANCELLATION_POLICY = 'moderate';
+
+/**
+ * Resolves a listing's cancellation policy to a known tier name.
+ * @param {string} [policy] - Policy stored on the listing.
+ * @returns {string} Tier name, falling back to DEFAULT_CANCELLATION_POLICY.
+ */
+const resolveCancellationPolicy = (policy) => {
+  const name = typeof policy === 'string' ? policy.trim().toLowerCase() : '';
+  return CANCELLATION_POLICIES[name] ? name : DEFAULT_CANCELLATION_POLICY;
+};
+
+/**
+ * Calculates the refund percentage for a cancellation.
+ * @param {string} policy - Cancellation policy tier name.
+ * @param {number|null} hoursBeforeStart - Hours between cancellation and service start. Null if the start is unknown.
+ * @returns {number} Refund percentage (0-100).
+ */
+const getRefundPercentage = (policy, hoursBeforeStart) => {
+  const tiers = CANCELLATION_POLICIES[resolveCancellationPolicy(policy)];
+  if (hoursBeforeStart === null || hoursBeforeStart === undefined) {
+    return tiers[0].refundPercentage; // No start date to measure against
+  }
+  const tier = tiers.find(t => hoursBeforeStart >= t.hoursBeforeStart);
+  return tier ? tier.refundPercentage : 0;
+};
+
+/**
+ * Quotes the refund for a single booking component.
+ * @param {Object} component - Booking component with price, currency, provider_id and cancellation_policy.
+ * @param {Date|string|null} startsAt - When the component's service starts.
+ * @param {Date} [cancelledAt=new Date()] - When the cancellation happens.
+ * @returns {Object} Quote with policy, hours_before_start, refund_percentage and refund_amount.
+ */
+const quoteComponentRefund = (component, startsAt, cancelledAt = new Date()) => {
+  const policy = resolveCancellationPolicy(component.cancellation_policy);
+  const hoursBeforeStart = startsAt
+    ? parseFloat(moment(startsAt).diff(moment(cancelledAt), 'hours', true).toFixed(2))
+    : null;
+  const refundPercentage = getRefundPercentage(policy, hoursBeforeStart);
+  const price = parseFloat(component.price) || 0;
+
+  return {
+    booking_component_id: component.id,
+    provider_id: component.provider_id || null,
+    cancellation_policy: policy,
+    hours_before_start: hoursBeforeStart,
+    component_price: price,
+    refund_percentage: refundPercentage,
+    refund_amount: parseFloat((price * refundPercentage / 100).toFixed(2)),
+    currency: component.currency
+  };
 };
 
 module.exports = {
@@ -343,4 +438,9 @@ module.exports = {
   addDurationToDate,
   formatCurrency,
   convertCurrency,
+  CANCELLATION_POLICIES,
+  DEFAULT_CANCELLATION_POLICY,
+  resolveCancellationPolicy,
+  getRefundPercentage,
+  quoteComponentRefund,
 };
@@ -0,0 +1,115 @@
+// backend/utils/emailTemplates.js
+
+// ====================================
+// 1. Shared Layout
+// ====================================
+
+/**
+ * Escapes user-provided text for safe inclusion in email HTML.
+ * @param {string} value - Raw text.
+ * @returns {string} HTML-escaped text.
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wraps email content in the common AdventureConnect layout.
+ * @param {string} title - Heading shown at the top of the email.
+ * @param {string} body - Inner HTML.
+ * @returns {string} HTML string for the email body.
+ */
+const wrapEmailHTML = (title, body) => `
+    <html>
+      <head><style>body { font-family: Arial, sans-serif; line-height: 1.6; } h1 { color: #333; } .button { display: inline-block; padding: 12px 24px; background: #2563eb; color: #fff !important; text-decoration: none; border-radius: 6px; } .note { font-size: 0.9em; color: #555; } .footer { margin-top: 30px; font-size: 0.9em; color: #777; }</style></head>
+      <body>
+        <h1>${title}</h1>
+        ${body}
+        <div class="footer">
+          <p>Best regards,</p>
+          <p>The AdventureConnect Team</p>
+        </div>
+      </body>
+    </html>
+  `;
+
+// A button plus the raw link for mail clients that block buttons
+const actionLinkHTML = (url, label) => `
+        <p><a class="button" href="${escapeHtml(url)}">${label}</a></p>
+        <p class="note">If the button does not work, copy this link into your browser:<br/>${escapeHtml(url)}</p>`;
+
+// ====================================
+// 2. Account Emails
+// ====================================
+
+/**
+ * Formats the welcome email sent after registration, including the email verification link.
+ * @param {Object} user - The new user object.
+ * @param {string} verificationUrl - Link to the email verification page.
+ * @param {number} expiresInHours - How long the link stays valid.
+ * @returns {string} HTML string for the email body.
+ */
+const formatWelcomeEmailHTML = (user, verificationUrl, expiresInHours) => wrapEmailHTML(
+  'Welcome to AdventureConnect!',
+  `
+        <p>Dear ${escapeHtml(user.first_name) || 'Traveler'},</p>
+        <p>Thank you for joining AdventureConnect${user.role === 'provider' ? ' as a service provider' : ''}! Please confirm your email address to finish setting up your account.</p>
+        ${actionLinkHTML(verificationUrl, 'Verify Email Address')}
+        <p class="note">This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>`
+);
+
+/**
+ * Formats the email sent when a user asks for a new verification link.
+ * @param {Object} user - The user object.
+ * @param {string} verificationUrl - Link to the email verification page.
+ * @param {number} expiresInHours - How long the link stays valid.
+ * @returns {string} HTML string for the email body.
+ */
+const formatEmailVerificationHTML = (user, verificationUrl, expiresInHours) => wrapEmailHTML(
+  'Verify Your Email Address',
+  `
+        <p>Dear ${escapeHtml(user.first_name) || 'Traveler'},</p>
+        <p>Here is your new link to confirm your email address. Earlier verification links no longer work.</p>
+        ${actionLinkHTML(verificationUrl, 'Verify Email Address')}
+        <p class="note">This link expires in ${expiresInHours} hours.</p>`
+);
+
+/**
+ * Formats the password reset email.
+ * @param {Object} user - The user object.
+ * @param {string} resetUrl - Link to the password reset page.
+ * @param {number} expiresInMinutes - How long the link stays valid.
+ * @returns {string} HTML string for the email body.
+ */
+const formatPasswordResetEmailHTML = (user, resetUrl, expiresInMinutes) => wrapEmailHTML(
+  'Reset Your Password',
+  `
+        <p>Dear ${escapeHtml(user.first_name) || 'Traveler'},</p>
+        <p>We received a request to reset the password for your AdventureConnect account.</p>
+        ${actionLinkHTML(resetUrl, 'Choose a New Password')}
+        <p class="note">This link can be used once and expires in ${expiresInMinutes} minutes. If you did not ask to reset your password, you can ignore this email; your password will not change.</p>`
+);
+
+/**
+ * Formats the confirmation sent after a password has been changed.
+ * @param {Object} user - The user object.
+ * @returns {string} HTML string for the email body.
+ */
+const formatPasswordChangedEmailHTML = (user) => wrapEmailHTML(
+  'Your Password Was Changed',
+  `
+        <p>Dear ${escapeHtml(user.first_name) || 'Traveler'},</p>
+        <p>The password for your AdventureConnect account was just changed and you have been signed out of all devices.</p>
+        <p class="note">If you did not make this change, reset your password right away and contact our support team.</p>`
+);
+
+module.exports = {
+  escapeHtml,
+  formatWelcomeEmailHTML,
+  formatEmailVerificationHTML,
+  formatPasswordResetEmailHTML,
+  formatPasswordChangedEmailHTML
+};
@@ -0,0 +1,187 @@
+// backend/utils/icalendar.js
+
+// ====================================
+// 1. Dates, Times and Time Zones
+// ====================================
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Offset of a time zone from UTC at a given instant.
+ * @param {Date} instant - The moment to evaluate (DST aware).
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Paris'.
+ * @returns {number} Offset in milliseconds (positive east of UTC).
+ */
+const getTimeZoneOffsetMs = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const value = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value)]));
+  return Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second) - instant.getTime();
+};
+
+/**
+ * Converts a wall-clock time at a place to the UTC instant it happens.
+ * @param {string} date - Local date, YYYY-MM-DD.
+ * @param {string} time - Local time, HH:mm (seconds are ignored).
+ * @param {string} timeZone - IANA time zone.
+ * @returns {Date|null} UTC instant, or null if the time zone is unknown.
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  try {
+    // The second pass corrects the offset when the first guess lands across a DST change
+    const firstGuess = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+    return new Date(wallClock - getTimeZoneOffsetMs(new Date(firstGuess), timeZone));
+  } catch (err) {
+    return null; // RangeError: invalid time zone
+  }
+};
+
+/**
+ * Adds minutes to a local date and time without involving any time zone.
+ * @param {Object} moment - { date: 'YYYY-MM-DD', time: 'HH:mm' }.
+ * @param {number} minutes - Minutes to add.
+ * @returns {Object} { date, time } of the later wall-clock moment.
+ */
+const addMinutesToLocal = ({ date, time }, minutes) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, mins] = time.split(':').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes));
+  return {
+    date: `${result.getUTCFullYear()}-${pad(result.getUTCMonth() + 1)}-${pad(result.getUTCDate())}`,
+    time: `${pad(result.getUTCHours())}:${pad(result.getUTCMinutes())}`
+  };
+};
+
+const formatUtcDateTime = (instant) =>
+  `${instant.getUTCFullYear()}${pad(instant.getUTCMonth() + 1)}${pad(instant.getUTCDate())}T` +
+  `${pad(instant.getUTCHours())}${pad(instant.getUTCMinutes())}${pad(instant.getUTCSeconds())}Z`;
+
+/**
+ * Formats a DTSTART/DTEND property.
+ * Timed values with a known time zone are written in UTC; without one they stay "floating" local times,
+ * and values without a time become all-day dates.
+ * @param {string} name - Property name.
+ * @param {Object} value - { date: 'YYYY-MM-DD', time?: 'HH:mm', timeZone?: string }.
+ * @returns {string} Content line.
+ */
+const formatDateTimeProperty = (name, { date, time, timeZone }) => {
+  const compactDate = date.replace(/-/g, '');
+  if (!time) return `${name};VALUE=DATE:${compactDate}`;
+
+  const utc = timeZone ? zonedTimeToUtc(date, time, timeZone) : null;
+  if (utc) return `${name}:${formatUtcDateTime(utc)}`;
+  return `${name}:${compactDate}T${time.replace(':', '').slice(0, 4)}00`;
+};
+
+// ====================================
+// 2. Content Lines
+// ====================================
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11).
+ * @param {string} value - Raw text.
+ * @returns {string} Escaped text.
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets per physical line, never splitting a UTF-8 character.
+ * @param {string} line - Unfolded content line.
+ * @returns {string} Folded line.
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// ====================================
+// 3. Calendar Assembly
+// ====================================
+
+/**
+ * Builds a VEVENT.
+ * @param {Object} event - { uid, summary, description, location, start, end, geo: { lat, lng }, status, url, lastModified }.
+ * @param {Date} stamp - DTSTAMP of the calendar.
+ * @returns {Array<string>} Unfolded content lines.
+ */
+const buildEventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`,
+    formatDateTimeProperty('DTSTART', event.start),
+    formatDateTimeProperty('DTEND', event.end),
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo) lines.push(`GEO:${event.geo.lat};${event.geo.lng}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtcDateTime(new Date(event.lastModified))}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Builds an iCalendar (.ics) document.
+ * @param {Object} calendar - { name, events, refreshIntervalHours } (refresh hint for subscribed feeds).
+ * @returns {string} The calendar, with CRLF line endings.
+ */
+const buildCalendar = ({ name, events, refreshIntervalHours = null }) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AdventureConnect//Trip Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (refreshIntervalHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshIntervalHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshIntervalHours}H`);
+  }
+  events.forEach(event => lines.push(...buildEventLines(event, stamp)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  zonedTimeToUtc,
+  addMinutesToLocal,
+  formatDateTimeProperty,
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,82 @@
+// backend/utils/permissions.js
+
+// ====================================
+// 1. Roles and Permissions
+// ====================================
+
+const ROLES = {
+  TRAVELER: 'traveler',
+  PROVIDER: 'provider',
+  AGENT: 'agent',
+  ADMIN: 'admin',
+};
+
+// Permissions grant access beyond a user's own resources; owning a resource never needs one
+const PERMISSIONS = {
+  TRIPS_READ_ANY: 'trips:read_any',
+  TRIPS_MANAGE_ANY: 'trips:manage_any',
+  BOOKINGS_READ_ANY: 'bookings:read_any',
+  BOOKINGS_MANAGE_ANY: 'bookings:manage_any',
+  PAYMENTS_MANAGE_ANY: 'payments:manage_any',
+  LISTINGS_MANAGE_OWN: 'listings:manage_own',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  PROVIDERS_VERIFY: 'providers:verify',
+  PRICING_MANAGE: 'pricing:manage',
+  TRAVEL_REQUIREMENTS_MANAGE: 'travel_requirements:manage',
+  AI_USAGE_READ: 'ai_usage:read',
+  USERS_MANAGE: 'users:manage',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.TRAVELER]: [],
+  [ROLES.PROVIDER]: [PERMISSIONS.LISTINGS_MANAGE_OWN],
+  // Agents plan trips on behalf of travelers, so they can see (but not pay for) anyone's trips and bookings
+  [ROLES.AGENT]: [PERMISSIONS.TRIPS_READ_ANY, PERMISSIONS.BOOKINGS_READ_ANY],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// ====================================
+// 2. Permission Checks
+// ====================================
+
+/**
+ * Gets the permissions granted to a role.
+ * @param {string} role - The user's role.
+ * @returns {Array<string>} Permissions for the role (empty for unknown roles).
+ */
+const getPermissionsForRole = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+/**
+ * Checks whether a user holds a permission.
+ * @param {object} user - The authenticated user (req.user).
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean} True if the user's role grants the permission.
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const permissions = user.permissions || getPermissionsForRole(user.role);
+  return permissions.includes(permission);
+};
+
+/**
+ * Ownership check used by routes after loading a resource: the owner always has access,
+ * anyone else only with the given permission (omit it for owner-only actions).
+ * @param {object} user - The authenticated user (req.user).
+ * @param {number} ownerId - User ID that owns the resource.
+ * @param {string} [permission] - Permission that grants access to resources of other users.
+ * @returns {boolean} True if the user may access the resource.
+ */
+const canAccessResource = (user, ownerId, permission = null) => {
+  if (!user) return false;
+  if (ownerId !== null && ownerId !== undefined && Number(ownerId) === Number(user.id)) return true;
+  return permission ? hasPermission(user, permission) : false;
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission,
+  canAccessResource,
+};
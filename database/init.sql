@@ -16,7 +16,7 @@ CREATE TABLE IF NOT EXISTS users (
     profile_image_url TEXT,
     bio TEXT,
     preferences JSONB DEFAULT '{}',
-    role VARCHAR(20) DEFAULT 'traveler' CHECK (role IN ('traveler', 'agent', 'admin')),
+    role VARCHAR(20) DEFAULT 'traveler' CHECK (role IN ('traveler', 'provider', 'agent', 'admin')),
     is_active BOOLEAN DEFAULT true,
     email_verified BOOLEAN DEFAULT false,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -43,8 +43,10 @@ CREATE TABLE IF NOT EXISTS bookings (
     booking_data JSONB NOT NULL,
     total_price DECIMAL(10,2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'USD',
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed')),
-    payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed', 'refunded')),
+    payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed', 'voided', 'partially_refunded', 'refunded')),
+    price_breakdown JSONB, -- base, markup, fees, taxes and the pricing rule applied
+    exchange_rates JSONB, -- exchange rates used to price the booking and show it in the traveler's currency
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -92,6 +94,7 @@ CREATE TABLE IF NOT EXISTS pricing_rules (
     rule_name VARCHAR(100) NOT NULL,
     rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('flight', 'hotel', 'package')),
     route_pattern VARCHAR(100), -- e.g., 'MAD-*' for all flights from Madrid
+    priority INTEGER NOT NULL DEFAULT 0, -- the matching rule with the highest priority is applied
     markup_type VARCHAR(20) NOT NULL CHECK (markup_type IN ('percentage', 'fixed')),
     markup_value DECIMAL(8,4) NOT NULL,
     currency VARCHAR(3) DEFAULT 'USD',
@@ -102,6 +105,10 @@ CREATE TABLE IF NOT EXISTS pricing_rules (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Breakdown of a component priced with a flight or hotel rule (its price is the marked-up total), so package pricing
+-- does not mark it up again. trip_components is created with the custom trip tables.
+ALTER TABLE IF EXISTS trip_components ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+
 -- User favorites
 CREATE TABLE IF NOT EXISTS user_favorites (
     id SERIAL PRIMARY KEY,
@@ -136,11 +143,390 @@ CREATE TABLE IF NOT EXISTS notifications (
     title VARCHAR(200) NOT NULL,
     message TEXT NOT NULL,
     type VARCHAR(20) DEFAULT 'info' CHECK (type IN ('info', 'success', 'warning', 'error')),
+    category VARCHAR(50) DEFAULT 'general',
+    data JSONB DEFAULT '{}',
     is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
     action_url TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payment intents (one per payment attempt on a booking)
+CREATE TABLE IF NOT EXISTS payment_intents (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    provider VARCHAR(50) NOT NULL,
+    provider_intent_id VARCHAR(255),
+    idempotency_key VARCHAR(255) UNIQUE,
+    amount DECIMAL(10,2) NOT NULL,
+    captured_amount DECIMAL(10,2) DEFAULT 0,
+    refunded_amount DECIMAL(10,2) DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'USD',
+    status VARCHAR(30) DEFAULT 'requires_authorization' CHECK (status IN ('requires_authorization', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed')),
+    failure_reason TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment provider webhook events (deduplicated by provider event id)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, event_id)
+);
+
+-- Booking cancellations (one per cancelled booking)
+CREATE TABLE IF NOT EXISTS booking_cancellations (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    refund_amount DECIMAL(10,2) DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'USD',
+    payment_intent_id INTEGER REFERENCES payment_intents(id) ON DELETE SET NULL,
+    payment_action VARCHAR(10) DEFAULT 'none' CHECK (payment_action IN ('none', 'refund', 'void')),
+    refunded_before DECIMAL(10,2) DEFAULT 0, -- Amount the intent had already refunded when the cancellation was recorded
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed')), -- Pending until the refund or void went through
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-component refund lines of a cancellation (visible to the component's provider)
+CREATE TABLE IF NOT EXISTS booking_cancellation_items (
+    id SERIAL PRIMARY KEY,
+    cancellation_id INTEGER REFERENCES booking_cancellations(id) ON DELETE CASCADE,
+    booking_component_id INTEGER,
+    provider_id INTEGER,
+    cancellation_policy VARCHAR(20) NOT NULL CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict')),
+    hours_before_start DECIMAL(10,2),
+    component_price DECIMAL(10,2) NOT NULL,
+    refund_percentage DECIMAL(5,2) NOT NULL,
+    refund_amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reviews (one per completed booking, published after moderation)
+CREATE TABLE IF NOT EXISTS reviews (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    listing_id INTEGER NOT NULL,
+    provider_id INTEGER,
+    reviewer_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(200),
+    comment TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    moderation_note TEXT,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    provider_response TEXT,
+    provider_responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Conversations between a traveler and a provider, scoped to a listing or a booking
+CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    traveler_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    provider_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    provider_id INTEGER,
+    listing_id INTEGER,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    subject VARCHAR(255),
+    last_message_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (listing_id IS NOT NULL OR booking_id IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT,
+    attachments JSONB DEFAULT '[]',
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Named wishlists; share_token is set while the read-only share link is enabled
+CREATE TABLE IF NOT EXISTS wishlists (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    share_token VARCHAR(64) UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id SERIAL PRIMARY KEY,
+    wishlist_id INTEGER REFERENCES wishlists(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('listing', 'hotel', 'flight', 'destination')),
+    listing_id INTEGER,
+    external_reference_id VARCHAR(255),
+    title VARCHAR(255) NOT NULL,
+    item_data JSONB DEFAULT '{}',
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens are stored as SHA-256 hashes. Each login starts a family; every refresh
+-- revokes the presented token and issues its successor in the same family.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use tokens for email verification and password reset links. The link carries a
+-- signed JWT whose jti is stored here; used_at is set the moment the link is redeemed.
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    jti VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of admin decisions (provider verification, suspensions, ...)
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(50) NOT NULL,
+    target_id INTEGER NOT NULL,
+    previous_status VARCHAR(50),
+    new_status VARCHAR(50),
+    reason TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Private calendar subscription feeds. The feed URL carries a random token; only its
+-- SHA-256 hash is stored, so a new URL is issued whenever the user rotates it.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved flight price watches, re-checked in the background by jobs/priceWatchJob.js.
+-- below_threshold remembers which side of max_price the last fare was on, so an alert is
+-- only sent when the fare crosses it (or keeps falling below it).
+CREATE TABLE IF NOT EXISTS price_watches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    origin VARCHAR(3) NOT NULL,
+    destination VARCHAR(3) NOT NULL,
+    departure_date DATE NOT NULL,
+    return_date DATE,
+    adults INTEGER DEFAULT 1 CHECK (adults > 0),
+    cabin_class VARCHAR(20) DEFAULT 'ECONOMY' CHECK (cabin_class IN ('ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST')),
+    currency VARCHAR(3) DEFAULT 'USD',
+    max_price DECIMAL(10,2) NOT NULL CHECK (max_price > 0),
+    is_active BOOLEAN DEFAULT true,
+    last_price DECIMAL(10,2),
+    lowest_price DECIMAL(10,2),
+    below_threshold BOOLEAN DEFAULT false,
+    last_alerted_price DECIMAL(10,2),
+    last_checked_at TIMESTAMP,
+    next_check_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    consecutive_failures INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cheapest fare found by each check of a price watch (NULL when the search found no fares)
+CREATE TABLE IF NOT EXISTS price_watch_history (
+    id SERIAL PRIMARY KEY,
+    watch_id INTEGER NOT NULL REFERENCES price_watches(id) ON DELETE CASCADE,
+    price DECIMAL(10,2),
+    currency VARCHAR(3) DEFAULT 'USD',
+    results_count INTEGER DEFAULT 0,
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily exchange rate snapshots: 1 base_currency = rate quote_currency on rate_date.
+-- Cross rates are derived from pairs sharing a base currency.
+CREATE TABLE IF NOT EXISTS fx_rates (
+    id SERIAL PRIMARY KEY,
+    rate_date DATE NOT NULL,
+    base_currency VARCHAR(3) NOT NULL,
+    quote_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+    source VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (rate_date, base_currency, quote_currency)
+);
+
+-- Entry requirements (visas, stay limits, passport validity) from a locally maintained dataset.
+-- Every import is stored as a new version; exactly one version is active and is used for lookups.
+CREATE TABLE IF NOT EXISTS entry_requirement_datasets (
+    id SERIAL PRIMARY KEY,
+    version VARCHAR(50) UNIQUE NOT NULL,
+    source VARCHAR(255),
+    published_on DATE,
+    notes TEXT,
+    -- Groups of countries sharing one stay allowance, e.g. {"SCHENGEN": {"name": "Schengen Area", "max_stay_days": 90, "period_days": 180}}
+    zones JSONB NOT NULL DEFAULT '{}',
+    country_count INTEGER NOT NULL DEFAULT 0,
+    requirement_count INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT false,
+    imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    activated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS entry_requirement_countries (
+    dataset_id INTEGER NOT NULL REFERENCES entry_requirement_datasets(id) ON DELETE CASCADE,
+    country_code VARCHAR(2) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    aliases JSONB NOT NULL DEFAULT '[]',
+    zone VARCHAR(20),
+    -- Months the passport must remain valid after arrival in or departure from the country
+    passport_validity_months INTEGER NOT NULL DEFAULT 0,
+    passport_validity_from VARCHAR(10) NOT NULL DEFAULT 'departure' CHECK (passport_validity_from IN ('arrival', 'departure')),
+    blank_pages INTEGER NOT NULL DEFAULT 0,
+    notes TEXT,
+    PRIMARY KEY (dataset_id, country_code)
+);
+
+-- Requirement for citizens of nationality entering destination, from effective_from on (a later row replaces it)
+CREATE TABLE IF NOT EXISTS entry_requirements (
+    id SERIAL PRIMARY KEY,
+    dataset_id INTEGER NOT NULL REFERENCES entry_requirement_datasets(id) ON DELETE CASCADE,
+    nationality VARCHAR(2) NOT NULL,
+    destination VARCHAR(2) NOT NULL,
+    requirement VARCHAR(30) NOT NULL CHECK (requirement IN ('freedom_of_movement', 'visa_free', 'eta', 'evisa', 'visa_on_arrival', 'visa_required', 'no_admission')),
+    max_stay_days INTEGER,
+    multiple_entry BOOLEAN NOT NULL DEFAULT true,
+    transit VARCHAR(20) NOT NULL DEFAULT 'not_required' CHECK (transit IN ('not_required', 'airside_only', 'required')),
+    effective_from DATE NOT NULL DEFAULT '2000-01-01',
+    notes TEXT,
+    UNIQUE (dataset_id, nationality, destination, effective_from)
+);
+
+-- Trip ideas from an uploaded inspiration image. New rows are 'pending' until the inspiration worker
+-- (jobs/inspirationJob.js) analyzes the image; failed analyses are retried from next_attempt_at.
+CREATE TABLE IF NOT EXISTS ai_trip_suggestions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    image_url VARCHAR(500) NOT NULL,
+    suggested_destinations JSONB DEFAULT '{}',
+    suggested_activities JSONB DEFAULT '{}',
+    suggested_example_trips JSONB DEFAULT '{}',
+    processing_status VARCHAR(20) DEFAULT 'pending' CHECK (processing_status IN ('pending', 'processing', 'completed', 'failed')),
+    analyzer VARCHAR(50),
+    -- What the analyzer found: location, capture time, colours and scenes
+    analysis JSONB,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processing_started_at TIMESTAMP,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per AI gateway request (services/aiGatewayService.js): usage accounting and the per-user rate limits.
+-- Requests rejected by the rate limit are not recorded.
+CREATE TABLE IF NOT EXISTS ai_usage_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    feature VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    -- Prompt template and version, e.g. trip-optimization@1
+    prompt_version VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'invalid_output', 'provider_error')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring availability for a provider listing or one of its components (services/availabilityRuleService.js):
+-- every listed weekday (0 = Sunday) at each start time ("HH:MM") between valid_from and valid_until. Rules are
+-- expanded into service_availability slots over a rolling horizon; an open-ended rule has no valid_until.
+CREATE TABLE IF NOT EXISTS availability_rules (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL,
+    listing_id INTEGER,
+    component_id INTEGER,
+    name VARCHAR(100),
+    weekdays JSONB NOT NULL,
+    start_times JSONB NOT NULL,
+    duration_minutes INTEGER CHECK (duration_minutes > 0),
+    valid_from DATE NOT NULL,
+    valid_until DATE,
+    capacity INTEGER NOT NULL CHECK (capacity >= 0),
+    price_override DECIMAL(10,2) CHECK (price_override >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((listing_id IS NULL) <> (component_id IS NULL)),
+    CHECK (valid_until IS NULL OR valid_until >= valid_from)
+);
+
+-- Dates on which a listing or component takes no bookings, whatever its slots say
+CREATE TABLE IF NOT EXISTS availability_blackouts (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL,
+    listing_id INTEGER,
+    component_id INTEGER,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((listing_id IS NULL) <> (component_id IS NULL)),
+    CHECK (end_date >= start_date)
+);
+
+-- Seasonal prices for slots generated by availability rules, optionally only on some weekdays.
+-- When seasons overlap the most recently created one applies.
+CREATE TABLE IF NOT EXISTS availability_seasonal_prices (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL,
+    listing_id INTEGER,
+    component_id INTEGER,
+    name VARCHAR(100),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    weekdays JSONB,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((listing_id IS NULL) <> (component_id IS NULL)),
+    CHECK (end_date >= start_date)
+);
+
+-- Slots generated by a rule point back at it; slots without a rule are managed by hand.
+-- service_availability is created with the provider listing tables.
+ALTER TABLE IF EXISTS service_availability ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES availability_rules(id) ON DELETE SET NULL;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
@@ -167,6 +553,7 @@ CREATE INDEX IF NOT EXISTS idx_locations_country ON locations(country_code);
 
 CREATE INDEX IF NOT EXISTS idx_pricing_rules_type ON pricing_rules(rule_type);
 CREATE INDEX IF NOT EXISTS idx_pricing_rules_active ON pricing_rules(is_active);
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_priority ON pricing_rules(rule_type, priority DESC) WHERE is_active = true;
 
 CREATE INDEX IF NOT EXISTS idx_user_favorites_user_id ON user_favorites(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_favorites_type ON user_favorites(favorite_type);
@@ -176,6 +563,50 @@ CREATE INDEX IF NOT EXISTS idx_custom_trips_status ON custom_trips(status);
 
 CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(is_read);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_booking_id ON payment_intents(booking_id);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_provider_intent ON payment_intents(provider, provider_intent_id);
+CREATE INDEX IF NOT EXISTS idx_payment_intents_status ON payment_intents(status);
+
+CREATE INDEX IF NOT EXISTS idx_booking_cancellation_items_cancellation_id ON booking_cancellation_items(cancellation_id);
+CREATE INDEX IF NOT EXISTS idx_booking_cancellation_items_provider_id ON booking_cancellation_items(provider_id);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_listing_id ON reviews(listing_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_provider_id ON reviews(provider_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
+CREATE INDEX IF NOT EXISTS idx_conversations_traveler_id ON conversations(traveler_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_provider_user_id ON conversations(provider_user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_listing_scope ON conversations(traveler_id, listing_id) WHERE booking_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_booking_scope ON conversations(booking_id, provider_user_id) WHERE booking_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created ON messages(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_attachments ON messages USING GIN (attachments jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_wishlists_user_id ON wishlists(user_id);
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_wishlist_id ON wishlist_items(wishlist_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_listing ON wishlist_items(wishlist_id, listing_id) WHERE item_type = 'listing';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_external ON wishlist_items(wishlist_id, item_type, external_reference_id) WHERE external_reference_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_expires_at ON user_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_target ON admin_audit_logs(target_type, target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_created_at ON admin_audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_price_watches_user_id ON price_watches(user_id);
+CREATE INDEX IF NOT EXISTS idx_price_watches_due ON price_watches(next_check_at) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_price_watch_history_watch ON price_watch_history(watch_id, checked_at);
+CREATE INDEX IF NOT EXISTS idx_fx_rates_pair_date ON fx_rates(base_currency, quote_currency, rate_date DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_entry_requirement_datasets_active ON entry_requirement_datasets(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_ai_trip_suggestions_user_id ON ai_trip_suggestions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_trip_suggestions_queue ON ai_trip_suggestions(next_attempt_at) WHERE processing_status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_user_created ON ai_usage_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_availability_rules_listing_id ON availability_rules(listing_id) WHERE listing_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_availability_rules_component_id ON availability_rules(component_id) WHERE component_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_availability_blackouts_listing ON availability_blackouts(listing_id, start_date) WHERE listing_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_availability_blackouts_component ON availability_blackouts(component_id, start_date) WHERE component_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_availability_seasonal_prices_listing ON availability_seasonal_prices(listing_id, start_date) WHERE listing_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_availability_seasonal_prices_component ON availability_seasonal_prices(component_id, start_date) WHERE component_id IS NOT NULL;
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -191,6 +622,12 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECU
 CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_pricing_rules_updated_at BEFORE UPDATE ON pricing_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_custom_trips_updated_at BEFORE UPDATE ON custom_trips FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_payment_intents_updated_at BEFORE UPDATE ON payment_intents FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_wishlists_updated_at BEFORE UPDATE ON wishlists FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_price_watches_updated_at BEFORE UPDATE ON price_watches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_availability_rules_updated_at BEFORE UPDATE ON availability_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Insert some sample locations (major airports)
 INSERT INTO locations (iata_code, icao_code, name, city, country, country_code, type, latitude, longitude, timezone) VALUES
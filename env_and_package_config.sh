@@ -6,6 +6,12 @@
 AMADEUS_CLIENT_ID=your_amadeus_client_id_here
 AMADEUS_CLIENT_SECRET=your_amadeus_client_secret_here
 
+# Flight search providers (comma separated: flightapi, google, amadeus, fixture; fixture works offline)
+FLIGHT_PROVIDERS=flightapi,google,amadeus
+FLIGHT_PROVIDER_TIMEOUT_MS=15000
+FLIGHTAPI_KEY=your_flightapi_key_here
+RAPIDAPI_KEY=your_rapidapi_key_here
+
 # Server Configuration
 NODE_ENV=development
 PORT=5000
@@ -18,9 +24,49 @@ REDIS_HOST=localhost
 REDIS_PORT=6379
 REDIS_PASSWORD=
 
+# Search cache (in-process LRU size and how often expired flight_cache/hotel_cache rows are purged)
+SEARCH_CACHE_MAX_ENTRIES=500
+SEARCH_CACHE_PURGE_INTERVAL_MS=1800000
+
+# Pricing rules (how long active markup rules are kept in memory before re-reading pricing_rules)
+PRICING_RULES_CACHE_MS=60000
+
+# Exchange rates (FX_RATE_SOURCE=file imports FX_RATES_FILE, a CSV or JSON snapshot; defaults to the bundled sample)
+FX_RATE_SOURCE=file
+FX_RATES_FILE=
+FX_RATE_IMPORT_INTERVAL_MS=86400000
+FX_MAX_RATE_AGE_DAYS=7
+
+# Entry requirements (dataset imported by scripts/import-entry-requirements.js; defaults to database/entry-requirements.json)
+ENTRY_REQUIREMENTS_FILE=
+
+# Inspiration images (IMAGE_ANALYZER=local reads EXIF location and estimates the scene from the image colours)
+IMAGE_ANALYZER=local
+INSPIRATION_POLL_INTERVAL_MS=30000
+INSPIRATION_BATCH_SIZE=5
+INSPIRATION_MAX_ATTEMPTS=3
+
+# AI gateway (AI_PROVIDER=gemini or mock; the Gemini key is only used by the backend)
+AI_PROVIDER=gemini
+GEMINI_API_KEY=your_gemini_api_key
+GEMINI_MODEL=gemini-1.5-flash
+AI_REQUEST_TIMEOUT_MS=30000
+AI_MAX_ATTEMPTS=2
+AI_RATE_LIMIT_PER_HOUR=10
+AI_RATE_LIMIT_PER_DAY=50
+AI_DAILY_TOKEN_LIMIT=100000
+
+# Provider availability (recurring rules are expanded into slots this many days ahead)
+AVAILABILITY_HORIZON_DAYS=180
+AVAILABILITY_EXPANSION_INTERVAL_MS=21600000
+
 # JWT Secret for authentication
 JWT_SECRET=your_super_secure_jwt_secret_here
 
+# Payments (PAYMENT_PROVIDER=fake uses the local in-memory gateway; in production it also needs PAYMENT_FAKE_GATEWAY=true)
+PAYMENT_PROVIDER=fake
+PAYMENT_WEBHOOK_SECRET=your_payment_webhook_secret_here
+
 # CORS Settings
 CORS_ORIGIN=http://localhost:3000
 
@@ -1,14 +1,30 @@
 // frontend/src/App.js
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import { BrowserRouter as Router, Routes, Route, Link, Outlet, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { GoogleMapsProvider } from './contexts/GoogleMapsContext';
+import { SocketProvider } from './contexts/SocketContext';
 import GlobalErrorBoundary from './components/GlobalErrorBoundary';
 import TripCustomizationEngine from './components/TripCustomizationEngine';
-import { User, LogOut, Settings, Menu, X, Home, Compass } from 'lucide-react';
+import MyBookingsPage from './components/MyBookingsPage';
+import MessagesPage from './components/MessagesPage';
+import WishlistsPage from './components/WishlistsPage';
+import SharedWishlistPage from './components/SharedWishlistPage';
+import ListingDetailPage from './components/ListingDetailPage';
+import ProviderDashboard from './components/ProviderDashboard';
+import AdminDashboard from './components/AdminDashboard';
+import SettingsPage from './components/SettingsPage';
+import VerifyEmailPage from './components/auth/VerifyEmailPage';
+import ForgotPasswordPage from './components/auth/ForgotPasswordPage';
+import ResetPasswordPage from './components/auth/ResetPasswordPage';
+import NotificationBell from './components/NotificationBell';
+import { User, LogOut, Settings, Menu, X, Home, Compass, MessageSquare, Heart, Briefcase, ShieldCheck, Mail } from 'lucide-react';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
 // Simple HomePage Component  
 const HomePage = () => {
   return (
@@ -46,6 +62,32 @@ const ProtectedRoute = ({ children, roles }) => {
   return children;
 };
 
+// Reminds users who have not confirmed their email yet and lets them request a new link
+const EmailVerificationBanner = () => {
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await axios.post(`${API_URL}/auth/resend-verification`);
+      toast.success(`${response.data.message}. Check your inbox.`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send verification email.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex flex-wrap items-center justify-between gap-2">
+      <span className="flex items-center"><Mail className="h-4 w-4 mr-2" />Please verify your email address using the link we sent you.</span>
+      <button onClick={handleResend} disabled={sending} className="font-medium underline hover:text-yellow-900 disabled:opacity-50">
+        {sending ? 'Sending...' : 'Resend verification email'}
+      </button>
+    </div>
+  );
+};
+
 const Layout = () => {
   const { user, logout, isAuthenticated } = useAuth();
   const [showUserMenu, setShowUserMenu] = useState(false);
@@ -81,6 +123,7 @@ const Layout = () => {
             </nav>
 
             <div className="hidden md:flex items-center space-x-4">
+              <NotificationBell />
               {isAuthenticated ? (
                 <div className="relative">
                   <button
@@ -98,6 +141,25 @@ const Layout = () => {
                         <p className="text-sm font-medium text-gray-900">{user?.firstName} {user?.lastName}</p>
                         <p className="text-xs text-gray-500 capitalize">{user?.role?.replace('_', ' ')}</p>
                       </div>
+                      {user?.role === 'provider' && (
+                        <Link to="/provider/dashboard" onClick={() => setShowUserMenu(false)} className="w-full px-4 py-2 text-left text-gray-700 hover:bg-gray-100 flex items-center space-x-2">
+                          <Briefcase className="h-4 w-4" /><span>Provider Dashboard</span>
+                        </Link>
+                      )}
+                      {user?.role === 'admin' && (
+                        <Link to="/admin" onClick={() => setShowUserMenu(false)} className="w-full px-4 py-2 text-left text-gray-700 hover:bg-gray-100 flex items-center space-x-2">
+                          <ShieldCheck className="h-4 w-4" /><span>Admin Console</span>
+                        </Link>
+                      )}
+                      <Link to="/messages" onClick={() => setShowUserMenu(false)} className="w-full px-4 py-2 text-left text-gray-700 hover:bg-gray-100 flex items-center space-x-2">
+                        <MessageSquare className="h-4 w-4" /><span>Messages</span>
+                      </Link>
+                      <Link to="/wishlists" onClick={() => setShowUserMenu(false)} className="w-full px-4 py-2 text-left text-gray-700 hover:bg-gray-100 flex items-center space-x-2">
+                        <Heart className="h-4 w-4" /><span>Wishlists</span>
+                      </Link>
+                      <Link to="/settings" onClick={() => setShowUserMenu(false)} className="w-full px-4 py-2 text-left text-gray-700 hover:bg-gray-100 flex items-center space-x-2">
+                        <Settings className="h-4 w-4" /><span>Settings</span>
+                      </Link>
                       <button onClick={handleLogout} className="w-full px-4 py-2 text-left text-red-600 hover:bg-red-50 flex items-center space-x-2">
                         <LogOut className="h-4 w-4" /><span>Sign Out</span>
                       </button>
@@ -131,6 +193,7 @@ const Layout = () => {
         </div>
       </header>
       <main className="flex-grow max-w-7xl mx-auto py-6 px-4 w-full">
+        {user && user.emailVerified === false && <EmailVerificationBanner />}
         <Outlet />
       </main>
       {(showUserMenu || showMobileMenu) && (
@@ -145,20 +208,35 @@ const App = () => {
     <GlobalErrorBoundary>
       <GoogleMapsProvider>
         <AuthProvider>
-          <Router>
-            <ToastContainer position="bottom-right" autoClose={5000} hideProgressBar={false} newestOnTop={false} closeOnClick rtl={false} pauseOnFocusLoss draggable pauseOnHover />
-            <Routes>
-              <Route element={<Layout />}>
-                <Route path="/" element={<HomePage />} />
+          <SocketProvider>
+            <Router>
+              <ToastContainer position="bottom-right" autoClose={5000} hideProgressBar={false} newestOnTop={false} closeOnClick rtl={false} pauseOnFocusLoss draggable pauseOnHover />
+              <Routes>
+                <Route element={<Layout />}>
+                  <Route path="/" element={<HomePage />} />
                 
-                {/* Trip Customization Routes */}
-                <Route path="/customize-trip" element={<TripCustomizationEngine />} />
-                <Route path="/customize-trip/:tripId" element={<TripCustomizationEngine />} />
+                  {/* Trip Customization Routes */}
+                  <Route path="/customize-trip" element={<TripCustomizationEngine />} />
+                  <Route path="/customize-trip/:tripId" element={<TripCustomizationEngine />} />
+                  <Route path="/my-bookings" element={<ProtectedRoute><MyBookingsPage /></ProtectedRoute>} />
+                  <Route path="/messages" element={<ProtectedRoute><MessagesPage /></ProtectedRoute>} />
+                  <Route path="/messages/:conversationId" element={<ProtectedRoute><MessagesPage /></ProtectedRoute>} />
+                  <Route path="/wishlists" element={<ProtectedRoute><WishlistsPage /></ProtectedRoute>} />
+                  <Route path="/wishlists/shared/:shareToken" element={<SharedWishlistPage />} />
+                  <Route path="/wishlists/:wishlistId" element={<ProtectedRoute><WishlistsPage /></ProtectedRoute>} />
+                  <Route path="/listings/:listingId" element={<ListingDetailPage />} />
+                  <Route path="/settings" element={<ProtectedRoute><SettingsPage /></ProtectedRoute>} />
+                  <Route path="/verify-email" element={<VerifyEmailPage />} />
+                  <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                  <Route path="/reset-password" element={<ResetPasswordPage />} />
+                  <Route path="/provider/dashboard" element={<ProtectedRoute roles={['provider']}><ProviderDashboard /></ProtectedRoute>} />
+                  <Route path="/admin" element={<ProtectedRoute roles={['admin']}><AdminDashboard /></ProtectedRoute>} />
                 
-                <Route path="*" element={<NotFoundPage />} />
-              </Route>
-            </Routes>
-          </Router>
+                  <Route path="*" element={<NotFoundPage />} />
+                </Route>
+              </Routes>
+            </Router>
+          </SocketProvider>
         </AuthProvider>
       </GoogleMapsProvider>
     </GlobalErrorBoundary>
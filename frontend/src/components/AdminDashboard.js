@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { ShieldCheck, CheckCircle, XCircle, Ban, RotateCcw, FileText, History, Loader2 } from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const STATUS_TABS = ['pending', 'verified', 'rejected', 'suspended', 'all'];
+
+const STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  verified: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  suspended: 'bg-gray-200 text-gray-800'
+};
+
+// Decisions available for each verification status; mirrors VERIFICATION_ACTIONS in backend/routes/admin.js
+const ACTIONS = {
+  approve: { label: 'Approve', from: ['pending', 'rejected'], requiresReason: false, icon: <CheckCircle className="h-4 w-4 mr-1" />, className: 'bg-green-600 text-white hover:bg-green-700' },
+  reject: { label: 'Reject', from: ['pending'], requiresReason: true, icon: <XCircle className="h-4 w-4 mr-1" />, className: 'bg-red-600 text-white hover:bg-red-700' },
+  suspend: { label: 'Suspend', from: ['pending', 'verified'], requiresReason: true, icon: <Ban className="h-4 w-4 mr-1" />, className: 'border border-red-300 text-red-700 hover:bg-red-50' },
+  reinstate: { label: 'Reinstate', from: ['suspended'], requiresReason: false, icon: <RotateCcw className="h-4 w-4 mr-1" />, className: 'bg-blue-600 text-white hover:bg-blue-700' }
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_BADGES[status] || 'bg-gray-100 text-gray-600'}`}>
+    {status || 'not submitted'}
+  </span>
+);
+
+const AdminDashboard = () => {
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedProvider, setSelectedProvider] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [auditLog, setAuditLog] = useState([]);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+
+  const fetchProviders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/admin/providers`, { params: { status: statusFilter, limit: 50 } });
+      setProviders(response.data.providers);
+    } catch (err) {
+      console.error("Error fetching providers:", err);
+      toast.error(err.response?.data?.message || "Failed to load providers.");
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchProviders();
+  }, [fetchProviders]);
+
+  const fetchAuditLog = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/audit-log`, { params: { limit: 50 } });
+      setAuditLog(response.data.logs);
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      toast.error(err.response?.data?.message || "Failed to load audit log.");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (showAuditLog) fetchAuditLog();
+  }, [showAuditLog, fetchAuditLog]);
+
+  const openProvider = async (providerId) => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/providers/${providerId}`);
+      setSelectedProvider(response.data);
+      setReason('');
+    } catch (err) {
+      console.error("Error fetching provider details:", err);
+      toast.error(err.response?.data?.message || "Failed to load provider details.");
+    }
+  };
+
+  const handleDecision = async (action) => {
+    if (ACTIONS[action].requiresReason && !reason.trim()) {
+      toast.error(`Please enter a reason to ${action} this provider.`);
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_URL}/admin/providers/${selectedProvider.id}/${action}`, { reason: reason.trim() || null });
+      toast.success(response.data.message);
+      await openProvider(selectedProvider.id);
+      await fetchProviders();
+      if (showAuditLog) await fetchAuditLog();
+    } catch (err) {
+      console.error(`Error trying to ${action} provider:`, err);
+      toast.error(err.response?.data?.message || "Failed to update the provider.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ShieldCheck className="h-7 w-7 mr-2 text-blue-600" /> Provider Verification
+        </h1>
+        <button
+          onClick={() => setShowAuditLog(prev => !prev)}
+          className="px-3 py-2 text-sm border rounded-lg hover:bg-gray-50 flex items-center"
+        >
+          <History className="h-4 w-4 mr-1" /> {showAuditLog ? 'Hide Audit Log' : 'Show Audit Log'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUS_TABS.map(status => (
+          <button
+            key={status}
+            onClick={() => { setStatusFilter(status); setSelectedProvider(null); }}
+            className={`px-4 py-2 rounded-lg text-sm font-medium capitalize ${statusFilter === status ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border hover:bg-gray-50'}`}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <aside className="bg-white rounded-lg shadow p-4 h-fit">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          ) : providers.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-10">No providers in this queue.</p>
+          ) : (
+            <ul className="divide-y">
+              {providers.map(provider => (
+                <li key={provider.id}>
+                  <button
+                    onClick={() => openProvider(provider.id)}
+                    className={`w-full text-left px-2 py-3 rounded-md ${selectedProvider?.id === provider.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium text-gray-900 truncate">{provider.business_name || `${provider.first_name} ${provider.last_name}`}</span>
+                      <StatusBadge status={provider.verification_status} />
+                    </div>
+                    <p className="text-xs text-gray-500 truncate">{provider.email} · {provider.verification_documents.length} document(s)</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+
+        <section className="md:col-span-2 bg-white rounded-lg shadow p-6">
+          {!selectedProvider ? (
+            <p className="text-gray-500 text-center py-10">Select a provider to review their documents.</p>
+          ) : (
+            <>
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-900">{selectedProvider.business_name || 'Unnamed business'}</h2>
+                  <p className="text-sm text-gray-500">
+                    {selectedProvider.business_type || 'Business type not set'} · {selectedProvider.years_experience ?? 0} years experience
+                  </p>
+                </div>
+                <StatusBadge status={selectedProvider.verification_status} />
+              </div>
+
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm mb-6">
+                <div><dt className="text-gray-500">Specialties</dt><dd className="text-gray-900">{selectedProvider.specialty_areas?.join(', ') || 'Not set'}</dd></div>
+                <div><dt className="text-gray-500">Languages</dt><dd className="text-gray-900">{selectedProvider.languages?.join(', ') || 'Not set'}</dd></div>
+                <div className="sm:col-span-2"><dt className="text-gray-500">Certifications</dt><dd className="text-gray-900">{selectedProvider.certifications?.join(', ') || 'None listed'}</dd></div>
+              </dl>
+
+              <h3 className="font-semibold text-gray-900 mb-2">Verification Documents</h3>
+              {selectedProvider.verification_documents.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-6">No documents uploaded.</p>
+              ) : (
+                <ul className="mb-6 space-y-1">
+                  {selectedProvider.verification_documents.map((url, index) => (
+                    <li key={url}>
+                      <a href={url} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline flex items-center">
+                        <FileText className="h-4 w-4 mr-1" /> Document {index + 1}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h3 className="font-semibold text-gray-900 mb-2">Decision</h3>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={3}
+                maxLength={1000}
+                placeholder="Reason (required to reject or suspend, shared with the provider)"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 mb-3"
+              />
+              <div className="flex flex-wrap gap-2 mb-6">
+                {Object.entries(ACTIONS)
+                  .filter(([, config]) => config.from.includes(selectedProvider.verification_status))
+                  .map(([action, config]) => (
+                    <button
+                      key={action}
+                      onClick={() => handleDecision(action)}
+                      disabled={submitting}
+                      className={`px-4 py-2 text-sm rounded-lg flex items-center disabled:opacity-50 ${config.className}`}
+                    >
+                      {config.icon} {config.label}
+                    </button>
+                  ))}
+              </div>
+
+              <h3 className="font-semibold text-gray-900 mb-2">History</h3>
+              {selectedProvider.history.length === 0 ? (
+                <p className="text-sm text-gray-500">No decisions recorded yet.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {selectedProvider.history.map(entry => (
+                    <li key={entry.id} className="border-l-2 border-gray-200 pl-3">
+                      <p className="text-gray-900">
+                        <span className="capitalize font-medium">{entry.action}</span> by {entry.admin_first_name} {entry.admin_last_name}
+                        <span className="text-gray-500"> · {new Date(entry.created_at).toLocaleString()}</span>
+                      </p>
+                      {entry.reason && <p className="text-gray-600">{entry.reason}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+
+      {showAuditLog && (
+        <section className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Audit Log</h2>
+          {auditLog.length === 0 ? (
+            <p className="text-sm text-gray-500">No admin decisions recorded yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">When</th>
+                    <th className="py-2 pr-4">Admin</th>
+                    <th className="py-2 pr-4">Action</th>
+                    <th className="py-2 pr-4">Target</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {auditLog.map(entry => (
+                    <tr key={entry.id}>
+                      <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                      <td className="py-2 pr-4">{entry.admin_first_name} {entry.admin_last_name}</td>
+                      <td className="py-2 pr-4 capitalize">{entry.action}</td>
+                      <td className="py-2 pr-4">{entry.target_type.replace('_', ' ')} #{entry.target_id}</td>
+                      <td className="py-2 pr-4 whitespace-nowrap">{entry.previous_status || '—'} → {entry.new_status}</td>
+                      <td className="py-2 text-gray-600">{entry.reason || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,493 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { CalendarDays, ChevronLeft, ChevronRight, Loader2, Trash2, Repeat, Ban, DollarSign, PlusCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+// The backend accepts at most a year of dates per bulk request
+const MAX_SELECTION_DAYS = 366;
+
+const ACTIONS = [
+  { key: 'slots', label: 'Add slots', icon: PlusCircle },
+  { key: 'rule', label: 'Recurring rule', icon: Repeat },
+  { key: 'blackout', label: 'Block dates', icon: Ban },
+  { key: 'price', label: 'Seasonal price', icon: DollarSign }
+];
+
+const EMPTY_FORM = { times: '09:00', duration: '', capacity: '10', price: '', name: '', reason: '', weekdays: [] };
+
+const pad = value => String(value).padStart(2, '0');
+const toDateKey = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const fromDateKey = key => new Date(`${key}T00:00:00`);
+// Dates may come back from the API as full timestamps
+const dateKeyOf = value => (value ? String(value).slice(0, 10) : '');
+
+const addDays = (key, days) => {
+  const date = fromDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+const datesBetween = (start, end) => {
+  const dates = [];
+  for (let key = start; key <= end && dates.length < MAX_SELECTION_DAYS; key = addDays(key, 1)) dates.push(key);
+  return dates;
+};
+
+const formatDate = key => fromDateKey(key).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+const parseTimes = value => value.split(',').map(time => time.trim()).filter(Boolean)
+  .map(time => (/^\d:\d{2}$/.test(time) ? `0${time}` : time));
+
+// Six weeks starting on the Sunday on or before the 1st of the month
+const buildMonthGrid = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = toDateKey(new Date(first.getFullYear(), first.getMonth(), 1 - first.getDay()));
+  return Array.from({ length: 42 }, (_, index) => addDays(start, index));
+};
+
+const describeExpansion = (expansion) => {
+  if (!expansion) return '';
+  const parts = [];
+  if (expansion.created) parts.push(`${expansion.created} slot(s) added`);
+  if (expansion.updated) parts.push(`${expansion.updated} updated`);
+  if (expansion.removed) parts.push(`${expansion.removed} removed`);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+};
+
+const AvailabilityCalendar = ({ listings }) => {
+  const { token } = useAuth();
+  const [listingId, setListingId] = useState(listings[0]?.id || '');
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [calendar, setCalendar] = useState({ rules: [], blackouts: [], seasonal_prices: [], slots: [] });
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [selection, setSelection] = useState(null);
+  const [dragAnchor, setDragAnchor] = useState(null);
+  const [action, setAction] = useState('slots');
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const grid = buildMonthGrid(month);
+  const authHeaders = { headers: { Authorization: `Bearer ${token}` } };
+
+  const fetchCalendar = useCallback(async () => {
+    if (!listingId || !token) return;
+    const days = buildMonthGrid(month);
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/providers/availability/calendar`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { listing_id: listingId, startDate: days[0], endDate: days[days.length - 1] }
+      });
+      setCalendar(response.data);
+    } catch (err) {
+      console.error("Error fetching availability calendar:", err);
+      toast.error(err.response?.data?.message || "Failed to load availability.");
+    } finally {
+      setLoading(false);
+    }
+  }, [listingId, month, token]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  useEffect(() => {
+    if (!listingId && listings.length > 0) setListingId(listings[0].id);
+  }, [listings, listingId]);
+
+  // Finish a drag even when the mouse is released outside the calendar
+  useEffect(() => {
+    if (!dragAnchor) return undefined;
+    const endDrag = () => setDragAnchor(null);
+    window.addEventListener('mouseup', endDrag);
+    return () => window.removeEventListener('mouseup', endDrag);
+  }, [dragAnchor]);
+
+  const startSelection = (key) => {
+    setDragAnchor(key);
+    setSelection({ start: key, end: key });
+  };
+
+  const extendSelection = (key) => {
+    if (!dragAnchor) return;
+    setSelection(key < dragAnchor ? { start: key, end: dragAnchor } : { start: dragAnchor, end: key });
+  };
+
+  const selectedDates = selection ? datesBetween(selection.start, selection.end) : [];
+  const isSelected = key => selection && key >= selection.start && key <= selection.end;
+
+  // Preselect the weekdays of a short selection for a new rule
+  useEffect(() => {
+    if (!selection || dragAnchor) return;
+    const days = datesBetween(selection.start, selection.end);
+    setForm(prev => ({
+      ...prev,
+      weekdays: days.length <= 7 ? [...new Set(days.map(key => fromDateKey(key).getDay()))].sort() : prev.weekdays
+    }));
+  }, [selection, dragAnchor]);
+
+  const slotsByDate = calendar.slots.reduce((byDate, slot) => {
+    const key = dateKeyOf(slot.available_date);
+    (byDate[key] = byDate[key] || []).push(slot);
+    return byDate;
+  }, {});
+
+  const blackoutFor = key => calendar.blackouts.find(b => key >= dateKeyOf(b.start_date) && key <= dateKeyOf(b.end_date));
+
+  // Newest season first, as on the server
+  const seasonFor = key => calendar.seasonal_prices.find(s => key >= dateKeyOf(s.start_date) && key <= dateKeyOf(s.end_date) &&
+    (!s.weekdays || s.weekdays.includes(fromDateKey(key).getDay())));
+
+  const updateForm = changes => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleWeekday = (day) => {
+    updateForm({ weekdays: form.weekdays.includes(day) ? form.weekdays.filter(d => d !== day) : [...form.weekdays, day].sort() });
+  };
+
+  const reportConflicts = (expansion) => {
+    if (expansion?.conflicts?.length > 0) {
+      toast.warn(`${expansion.conflicts.length} booked slot(s) no longer match your rules. Their bookings were kept, but the slots are closed to new bookings.`);
+    }
+  };
+
+  const submitSelection = async () => {
+    if (!selection) return;
+    const times = parseTimes(form.times);
+    const price = form.price === '' ? null : parseFloat(form.price);
+    const duration = form.duration === '' ? null : parseInt(form.duration, 10);
+
+    setSaving(true);
+    try {
+      if (action === 'slots') {
+        const response = await axios.post(`${API_URL}/providers/availability/bulk`, {
+          listing_id: listingId,
+          dates: selectedDates,
+          start_times: times.length > 0 ? times : undefined,
+          duration_minutes: duration,
+          max_bookings: parseInt(form.capacity, 10) || 0,
+          price_override: price
+        }, authHeaders);
+        toast.success(`${response.data.created.length} slot(s) added${response.data.skipped ? `, ${response.data.skipped} already existed` : ''}.`);
+      } else if (action === 'rule') {
+        if (form.weekdays.length === 0 || times.length === 0) {
+          toast.warn("Pick at least one weekday and one start time.");
+          return;
+        }
+        const response = await axios.post(`${API_URL}/providers/availability/rules`, {
+          listing_id: listingId,
+          name: form.name || null,
+          weekdays: form.weekdays,
+          start_times: times,
+          duration_minutes: duration,
+          valid_from: selection.start,
+          valid_until: selection.end,
+          capacity: parseInt(form.capacity, 10) || 0,
+          price_override: price
+        }, authHeaders);
+        toast.success(`Recurring rule saved${describeExpansion(response.data.expansion)}.`);
+        reportConflicts(response.data.expansion);
+      } else if (action === 'blackout') {
+        const response = await axios.post(`${API_URL}/providers/availability/blackouts`, {
+          listing_id: listingId,
+          start_date: selection.start,
+          end_date: selection.end,
+          reason: form.reason || null
+        }, authHeaders);
+        toast.success(`Dates blocked${describeExpansion(response.data.expansion)}.`);
+        reportConflicts(response.data.expansion);
+      } else if (action === 'price') {
+        if (price === null) {
+          toast.warn("Enter the seasonal price.");
+          return;
+        }
+        const response = await axios.post(`${API_URL}/providers/availability/seasonal-prices`, {
+          listing_id: listingId,
+          name: form.name || null,
+          start_date: selection.start,
+          end_date: selection.end,
+          weekdays: form.weekdays.length > 0 && form.weekdays.length < 7 ? form.weekdays : null,
+          price
+        }, authHeaders);
+        toast.success(`Seasonal price saved${describeExpansion(response.data.expansion)}.`);
+      }
+      setSelection(null);
+      fetchCalendar();
+    } catch (err) {
+      console.error("Error saving availability:", err);
+      toast.error(err.response?.data?.message || "Failed to save availability.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeItem = async (path, successMessage) => {
+    try {
+      const response = await axios.delete(`${API_URL}/providers/availability/${path}`, authHeaders);
+      toast.success(`${successMessage}${describeExpansion(response.data.expansion)}.`);
+      reportConflicts(response.data.expansion);
+      fetchCalendar();
+    } catch (err) {
+      console.error("Error removing availability item:", err);
+      toast.error(err.response?.data?.message || "Failed to remove.");
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      const response = await axios.put(`${API_URL}/providers/availability/rules/${rule.id}`, { is_active: !rule.is_active }, authHeaders);
+      toast.success(`Rule ${rule.is_active ? 'paused' : 'resumed'}${describeExpansion(response.data.expansion)}.`);
+      reportConflicts(response.data.expansion);
+      fetchCalendar();
+    } catch (err) {
+      console.error("Error updating availability rule:", err);
+      toast.error(err.response?.data?.message || "Failed to update the rule.");
+    }
+  };
+
+  if (listings.length === 0) {
+    return (
+      <div className="text-center py-8 bg-gray-50 rounded-lg">
+        <p className="text-gray-500">Create a listing to manage its availability.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <select
+          value={listingId}
+          onChange={(e) => { setListingId(e.target.value); setSelection(null); }}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          {listings.map(listing => (
+            <option key={listing.id} value={listing.id}>{listing.title}</option>
+          ))}
+        </select>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() - 1, 1))} className="p-2 rounded hover:bg-gray-100" title="Previous month">
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <span className="w-40 text-center font-medium text-gray-700">{MONTHS[month.getMonth()]} {month.getFullYear()}</span>
+          <button onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() + 1, 1))} className="p-2 rounded hover:bg-gray-100" title="Next month">
+            <ChevronRight className="h-5 w-5" />
+          </button>
+          {loading && <Loader2 className="h-5 w-5 animate-spin text-blue-600" />}
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500">Click or drag across days to select them, then choose what to do with the selection.</p>
+
+      {/* Month grid */}
+      <div className="select-none">
+        <div className="grid grid-cols-7 gap-1 mb-1">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="text-xs font-medium text-gray-500 text-center">{day}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7 gap-1">
+          {grid.map((key) => {
+            const daySlots = slotsByDate[key] || [];
+            const openSlots = daySlots.filter(slot => slot.is_available && !slot.blacked_out);
+            const capacity = openSlots.reduce((sum, slot) => sum + (slot.max_bookings || 0), 0);
+            const booked = daySlots.reduce((sum, slot) => sum + (slot.current_bookings || 0), 0);
+            const blackout = blackoutFor(key);
+            const season = seasonFor(key);
+            const inMonth = fromDateKey(key).getMonth() === month.getMonth();
+
+            return (
+              <div
+                key={key}
+                onMouseDown={() => startSelection(key)}
+                onMouseEnter={() => extendSelection(key)}
+                title={blackout ? `Blocked${blackout.reason ? `: ${blackout.reason}` : ''}` : undefined}
+                className={`h-20 p-1 rounded border cursor-pointer text-xs flex flex-col justify-between
+                  ${blackout ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'}
+                  ${isSelected(key) ? 'ring-2 ring-blue-500 bg-blue-50' : ''}
+                  ${inMonth ? '' : 'opacity-40'}`}
+              >
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-700">{fromDateKey(key).getDate()}</span>
+                  {season && <span className="px-1 rounded bg-amber-100 text-amber-800">{parseFloat(season.price)}</span>}
+                </div>
+                {blackout ? (
+                  <span className="text-red-600">Blocked</span>
+                ) : openSlots.length > 0 ? (
+                  <span className="text-green-700">{openSlots.length} slot{openSlots.length === 1 ? '' : 's'} · {booked}/{capacity}</span>
+                ) : daySlots.length > 0 ? (
+                  <span className="text-gray-500">Closed</span>
+                ) : null}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Selection actions */}
+      {selection && !dragAnchor && (
+        <div className="p-4 border border-blue-200 bg-blue-50 rounded-lg space-y-4">
+          <div className="flex justify-between items-center">
+            <h3 className="font-medium text-blue-900">
+              {selection.start === selection.end
+                ? formatDate(selection.start)
+                : `${formatDate(selection.start)} – ${formatDate(selection.end)} (${selectedDates.length} days)`}
+            </h3>
+            <button onClick={() => setSelection(null)} className="text-sm text-blue-700 hover:underline">Clear</button>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {ACTIONS.map(({ key, label, icon: Icon }) => (
+              <button
+                key={key}
+                onClick={() => setAction(key)}
+                className={`flex items-center px-3 py-1.5 rounded-md text-sm ${action === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+              >
+                <Icon className="h-4 w-4 mr-1" />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            {(action === 'rule' || action === 'price') && (
+              <label className="flex flex-col">
+                <span className="text-gray-600 mb-1">Name (optional)</span>
+                <input value={form.name} onChange={(e) => updateForm({ name: e.target.value })} className="border border-gray-300 rounded px-2 py-1" placeholder={action === 'rule' ? 'Summer schedule' : 'High season'} />
+              </label>
+            )}
+            {(action === 'slots' || action === 'rule') && (
+              <>
+                <label className="flex flex-col">
+                  <span className="text-gray-600 mb-1">Start times</span>
+                  <input value={form.times} onChange={(e) => updateForm({ times: e.target.value })} className="border border-gray-300 rounded px-2 py-1" placeholder="09:00, 14:00" />
+                </label>
+                <label className="flex flex-col">
+                  <span className="text-gray-600 mb-1">Duration (minutes)</span>
+                  <input type="number" min="1" value={form.duration} onChange={(e) => updateForm({ duration: e.target.value })} className="border border-gray-300 rounded px-2 py-1" />
+                </label>
+                <label className="flex flex-col">
+                  <span className="text-gray-600 mb-1">Capacity per slot</span>
+                  <input type="number" min="0" value={form.capacity} onChange={(e) => updateForm({ capacity: e.target.value })} className="border border-gray-300 rounded px-2 py-1" />
+                </label>
+              </>
+            )}
+            {action !== 'blackout' && (
+              <label className="flex flex-col">
+                <span className="text-gray-600 mb-1">{action === 'price' ? 'Seasonal price' : 'Price override (optional)'}</span>
+                <input type="number" min="0" step="0.01" value={form.price} onChange={(e) => updateForm({ price: e.target.value })} className="border border-gray-300 rounded px-2 py-1" />
+              </label>
+            )}
+            {action === 'blackout' && (
+              <label className="flex flex-col md:col-span-2">
+                <span className="text-gray-600 mb-1">Reason (optional)</span>
+                <input value={form.reason} onChange={(e) => updateForm({ reason: e.target.value })} className="border border-gray-300 rounded px-2 py-1" placeholder="Closed for maintenance" />
+              </label>
+            )}
+          </div>
+
+          {(action === 'rule' || action === 'price') && (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-600">{action === 'rule' ? 'Repeats on' : 'Only on (optional)'}</span>
+              {WEEKDAYS.map((day, index) => (
+                <button
+                  key={day}
+                  onClick={() => toggleWeekday(index)}
+                  className={`px-2 py-1 rounded border ${form.weekdays.includes(index) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                >
+                  {day}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={submitSelection}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            {saving ? <Loader2 className="h-4 w-4 inline animate-spin mr-1" /> : null}
+            Save
+          </button>
+        </div>
+      )}
+
+      {/* Rules, blackouts and seasonal prices */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+        <div>
+          <h3 className="font-medium text-gray-700 mb-2 flex items-center"><Repeat className="h-4 w-4 mr-1" /> Recurring rules</h3>
+          {calendar.rules.length === 0 && <p className="text-gray-500">No rules yet.</p>}
+          {calendar.rules.map(rule => (
+            <div key={rule.id} className={`p-2 mb-2 border rounded ${rule.is_active ? 'border-gray-200' : 'border-gray-200 opacity-60'}`}>
+              <div className="flex justify-between items-start">
+                <div>
+                  <p className="font-medium text-gray-800">{rule.name || 'Rule'}{rule.is_active ? '' : ' (paused)'}</p>
+                  <p className="text-gray-600">{rule.weekdays.map(day => WEEKDAYS[day]).join('/')} at {rule.start_times.join(', ')}</p>
+                  <p className="text-gray-500">
+                    {formatDate(dateKeyOf(rule.valid_from))} – {rule.valid_until ? formatDate(dateKeyOf(rule.valid_until)) : 'open-ended'} · capacity {rule.capacity}
+                    {rule.price_override !== null && ` · ${parseFloat(rule.price_override)}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button onClick={() => toggleRule(rule)} className="text-blue-600 hover:underline">{rule.is_active ? 'Pause' : 'Resume'}</button>
+                  <button onClick={() => removeItem(`rules/${rule.id}`, 'Rule deleted')} className="text-red-600 hover:text-red-800" title="Delete rule">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <h3 className="font-medium text-gray-700 mb-2 flex items-center"><Ban className="h-4 w-4 mr-1" /> Blocked dates</h3>
+          {calendar.blackouts.length === 0 && <p className="text-gray-500">No blocked dates.</p>}
+          {calendar.blackouts.map(blackout => (
+            <div key={blackout.id} className="p-2 mb-2 border border-gray-200 rounded flex justify-between items-start">
+              <div>
+                <p className="text-gray-800">{formatDate(dateKeyOf(blackout.start_date))} – {formatDate(dateKeyOf(blackout.end_date))}</p>
+                {blackout.reason && <p className="text-gray-500">{blackout.reason}</p>}
+              </div>
+              <button onClick={() => removeItem(`blackouts/${blackout.id}`, 'Dates unblocked')} className="text-red-600 hover:text-red-800" title="Remove blackout">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <h3 className="font-medium text-gray-700 mb-2 flex items-center"><DollarSign className="h-4 w-4 mr-1" /> Seasonal prices</h3>
+          {calendar.seasonal_prices.length === 0 && <p className="text-gray-500">No seasonal prices.</p>}
+          {calendar.seasonal_prices.map(season => (
+            <div key={season.id} className="p-2 mb-2 border border-gray-200 rounded flex justify-between items-start">
+              <div>
+                <p className="font-medium text-gray-800">{season.name || 'Season'} · {parseFloat(season.price)}</p>
+                <p className="text-gray-500">
+                  {formatDate(dateKeyOf(season.start_date))} – {formatDate(dateKeyOf(season.end_date))}
+                  {season.weekdays && ` · ${season.weekdays.map(day => WEEKDAYS[day]).join('/')}`}
+                </p>
+              </div>
+              <button onClick={() => removeItem(`seasonal-prices/${season.id}`, 'Seasonal price removed')} className="text-red-600 hover:text-red-800" title="Remove seasonal price">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-400 flex items-center">
+        <CalendarDays className="h-4 w-4 mr-1" />
+        Recurring rules are turned into bookable slots up to {calendar.horizon_days || 180} days ahead.
+      </p>
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
@@ -1,5 +1,106 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+// Price history of a watch as a small line chart, with the alert threshold dashed
+const PriceSparkline = ({ history, maxPrice, width = 160, height = 40 }) => {
+  const prices = history.filter(point => point.price !== null).map(point => parseFloat(point.price));
+  if (prices.length < 2) {
+    return <div className="text-xs text-gray-400" style={{ width }}>{prices.length === 0 ? 'No prices yet' : 'Not enough data'}</div>;
+  }
+
+  const threshold = parseFloat(maxPrice);
+  const low = Math.min(...prices, threshold);
+  const high = Math.max(...prices, threshold);
+  const range = high - low || 1;
+  const x = (index) => (index / (prices.length - 1)) * (width - 4) + 2;
+  const y = (price) => height - 2 - ((price - low) / range) * (height - 4);
+  const points = prices.map((price, index) => `${x(index)},${y(price)}`).join(' ');
+  const last = prices[prices.length - 1];
+
+  return (
+    <svg width={width} height={height} className="overflow-visible">
+      <line x1="0" x2={width} y1={y(threshold)} y2={y(threshold)} stroke="#10b981" strokeDasharray="3 3" strokeWidth="1" />
+      <polyline points={points} fill="none" stroke="#2563eb" strokeWidth="1.5" />
+      <circle cx={x(prices.length - 1)} cy={y(last)} r="2.5" fill={last <= threshold ? '#10b981' : '#2563eb'} />
+    </svg>
+  );
+};
+
+// Background from green (cheapest) to red (most expensive) for a fare calendar cell
+const fareColor = (price, low, high) => {
+  if (price === null) return '#f3f4f6';
+  const ratio = high > low ? (price - low) / (high - low) : 0;
+  return `hsl(${Math.round(120 * (1 - ratio))}, 70%, 85%)`;
+};
+
+const parseDay = (date) => new Date(`${date}T00:00:00`);
+const formatDay = (date, options) => parseDay(date).toLocaleDateString('en-US', options);
+
+// Lowest fare per day: a departure × return matrix for flexible round trips, a month-style grid otherwise
+const FareCalendarHeatmap = ({ calendar, selected, onSelect }) => {
+  const prices = calendar.cells.filter(cell => cell.price !== null).map(cell => cell.price);
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  const isSelected = (cell) => cell.departureDate === selected.departureDate && (!cell.returnDate || cell.returnDate === selected.returnDate);
+
+  const renderCell = (cell, label) => (
+    <button
+      key={`${cell.departureDate}-${cell.returnDate}`}
+      onClick={() => cell.price !== null && onSelect(cell)}
+      disabled={cell.price === null}
+      title={cell.error || (cell.skipped ? 'Not searched' : (cell.price === null ? 'No flights' : ''))}
+      style={{ backgroundColor: fareColor(cell.price, low, high) }}
+      className={`w-full h-14 rounded text-xs flex flex-col items-center justify-center ${
+        isSelected(cell) ? 'ring-2 ring-blue-600' : ''
+      } ${cell.price === null ? 'text-gray-400 cursor-default' : 'text-gray-800 hover:ring-2 hover:ring-blue-300'}`}
+    >
+      {label && <span className="text-gray-500">{label}</span>}
+      <span className="font-semibold">{cell.price !== null ? Math.round(cell.price) : (cell.error ? '!' : '—')}</span>
+    </button>
+  );
+
+  if (calendar.tripType === 'roundtrip' && calendar.mode === 'flexible') {
+    const cellFor = (departureDate, returnDate) => calendar.cells.find(cell => cell.departureDate === departureDate && cell.returnDate === returnDate);
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full border-separate" style={{ borderSpacing: 4 }}>
+          <thead>
+            <tr>
+              <th className="text-xs text-gray-500 font-medium text-left">Depart ↓ / Return →</th>
+              {calendar.returnDates.map(date => (
+                <th key={date} className="text-xs text-gray-600 font-medium">{formatDay(date, { weekday: 'short', day: 'numeric', month: 'short' })}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {calendar.departureDates.map(departureDate => (
+              <tr key={departureDate}>
+                <td className="text-xs text-gray-600 font-medium pr-2 whitespace-nowrap">{formatDay(departureDate, { weekday: 'short', day: 'numeric', month: 'short' })}</td>
+                {calendar.returnDates.map(returnDate => {
+                  const cell = cellFor(departureDate, returnDate);
+                  return <td key={returnDate}>{cell ? renderCell(cell) : <div className="h-14" />}</td>;
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  // Pad the first week so each date sits under its weekday
+  const leadingBlanks = parseDay(calendar.cells[0].departureDate).getDay();
+  return (
+    <div className="grid grid-cols-7 gap-1">
+      {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+        <div key={day} className="text-xs text-gray-500 font-medium text-center">{day}</div>
+      ))}
+      {Array.from({ length: leadingBlanks }, (_, index) => <div key={`blank-${index}`} />)}
+      {calendar.cells.map(cell => renderCell(cell, formatDay(cell.departureDate, { day: 'numeric', month: 'short' })))}
+    </div>
+  );
+};
 
 const FlightSearch = ({ onFlightSelect }) => {
   const [searchParams, setSearchParams] = useState({
@@ -17,9 +118,29 @@ const FlightSearch = ({ onFlightSelect }) => {
   const [searchResults, setSearchResults] = useState(null);
   const [showOriginDropdown, setShowOriginDropdown] = useState(false);
   const [showDestinationDropdown, setShowDestinationDropdown] = useState(false);
+  const [watches, setWatches] = useState([]);
+  const [watchMaxPrice, setWatchMaxPrice] = useState('');
+  const [isSavingWatch, setIsSavingWatch] = useState(false);
+  const [dateFlexibility, setDateFlexibility] = useState('exact');
+  const [fareCalendar, setFareCalendar] = useState(null);
+
+  const { isAuthenticated } = useAuth();
 
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+  const fetchWatches = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/flights/watches`);
+      setWatches(response.data.data.watches);
+    } catch (error) {
+      console.error('Error fetching price watches:', error);
+    }
+  }, [API_BASE_URL]);
+
+  useEffect(() => {
+    if (isAuthenticated) fetchWatches();
+  }, [isAuthenticated, fetchWatches]);
+
   const searchLocations = async (query, setSuggestions) => {
     if (query.length < 2) {
       setSuggestions([]);
@@ -110,6 +231,96 @@ const FlightSearch = ({ onFlightSelect }) => {
     }
   };
 
+  const handleFareCalendar = async () => {
+    const originCode = extractIataCode(searchParams.origin);
+    const destinationCode = extractIataCode(searchParams.destination);
+
+    if (!originCode || !destinationCode || !searchParams.departureDate) {
+      alert('Please fill in all required fields');
+      return;
+    }
+
+    setIsSearching(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/flights/fare-calendar`, {
+        origin: originCode,
+        destination: destinationCode,
+        departureDate: searchParams.departureDate,
+        ...(searchParams.tripType === 'roundtrip' && searchParams.returnDate ? { returnDate: searchParams.returnDate } : {}),
+        mode: dateFlexibility,
+        adults: searchParams.adults
+      });
+      setFareCalendar(response.data.data);
+    } catch (error) {
+      console.error('Error loading fare calendar:', error);
+      alert(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to load the fare calendar. Please try again.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  // Picking a day from the calendar switches back to an exact-date search for it
+  const handleSelectCalendarDay = (cell) => {
+    setSearchParams(prev => ({
+      ...prev,
+      departureDate: cell.departureDate,
+      returnDate: cell.returnDate || prev.returnDate
+    }));
+    setDateFlexibility('exact');
+  };
+
+  const handleCreateWatch = async () => {
+    const originCode = extractIataCode(searchParams.origin);
+    const destinationCode = extractIataCode(searchParams.destination);
+
+    if (!originCode || !destinationCode || !searchParams.departureDate || !(parseFloat(watchMaxPrice) > 0)) {
+      alert('Pick a route, a departure date and the price you would pay to track this flight');
+      return;
+    }
+
+    setIsSavingWatch(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/flights/watches`, {
+        origin: originCode,
+        destination: destinationCode,
+        departureDate: searchParams.departureDate,
+        returnDate: searchParams.tripType === 'roundtrip' && searchParams.returnDate ? searchParams.returnDate : null,
+        adults: searchParams.adults,
+        maxPrice: parseFloat(watchMaxPrice)
+      });
+      setWatches(prev => [response.data.data.watch, ...prev]);
+      setWatchMaxPrice('');
+    } catch (error) {
+      console.error('Error creating price watch:', error);
+      alert(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to track this flight. Please try again.');
+    } finally {
+      setIsSavingWatch(false);
+    }
+  };
+
+  const handleToggleWatch = async (watch) => {
+    try {
+      await axios.patch(`${API_BASE_URL}/flights/watches/${watch.id}`, { isActive: !watch.is_active });
+      fetchWatches();
+    } catch (error) {
+      console.error('Error updating price watch:', error);
+      alert(error.response?.data?.message || 'Failed to update the price watch.');
+    }
+  };
+
+  const handleDeleteWatch = async (watch) => {
+    if (!window.confirm(`Stop tracking ${watch.origin} → ${watch.destination}? Its price history will be deleted.`)) return;
+    try {
+      await axios.delete(`${API_BASE_URL}/flights/watches/${watch.id}`);
+      setWatches(prev => prev.filter(w => w.id !== watch.id));
+    } catch (error) {
+      console.error('Error deleting price watch:', error);
+      alert('Failed to delete the price watch.');
+    }
+  };
+
+  const formatWatchDate = (date) => new Date(date).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+
   const formatTime = (dateTimeString) => {
     return new Date(dateTimeString).toLocaleTimeString('en-US', {
       hour: '2-digit',
@@ -150,6 +361,15 @@ const FlightSearch = ({ onFlightSelect }) => {
           >
             One Way
           </button>
+          <select
+            value={dateFlexibility}
+            onChange={(e) => setDateFlexibility(e.target.value)}
+            className="ml-auto px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="exact">Exact dates</option>
+            <option value="flexible">Flexible: ±3 days</option>
+            <option value="month">Flexible: whole month</option>
+          </select>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
@@ -263,24 +483,141 @@ const FlightSearch = ({ onFlightSelect }) => {
 
         {/* Search Button */}
         <button
-          onClick={handleSearch}
+          onClick={dateFlexibility === 'exact' ? handleSearch : handleFareCalendar}
           disabled={!searchParams.origin || !searchParams.destination || !searchParams.departureDate || isSearching}
           className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 flex items-center justify-center space-x-2"
         >
           {isSearching ? (
             <>
               <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-              <span>Searching flights...</span>
+              <span>{dateFlexibility === 'exact' ? 'Searching flights...' : 'Comparing fares...'}</span>
             </>
           ) : (
             <>
-              <span>🔍</span>
-              <span>Search Flights</span>
+              <span>{dateFlexibility === 'exact' ? '🔍' : '📆'}</span>
+              <span>{dateFlexibility === 'exact' ? 'Search Flights' : 'Show Fare Calendar'}</span>
             </>
           )}
         </button>
+
+        {/* Price Watch */}
+        {isAuthenticated && (
+          <div className="mt-4 flex flex-col sm:flex-row sm:items-center gap-3 p-4 bg-blue-50 rounded-lg">
+            <span className="text-sm text-gray-700 flex-1">🔔 Not ready to book? Get notified when this route drops below your price.</span>
+            <input
+              type="number"
+              min="1"
+              value={watchMaxPrice}
+              onChange={(e) => setWatchMaxPrice(e.target.value)}
+              placeholder="Max price (USD)"
+              className="w-40 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={handleCreateWatch}
+              disabled={!searchParams.origin || !searchParams.destination || !searchParams.departureDate || !watchMaxPrice || isSavingWatch}
+              className="bg-white border border-blue-600 text-blue-600 hover:bg-blue-100 disabled:border-gray-300 disabled:text-gray-400 font-medium py-2 px-4 rounded-lg text-sm"
+            >
+              {isSavingWatch ? 'Saving...' : 'Track Price'}
+            </button>
+          </div>
+        )}
       </div>
 
+      {/* Fare Calendar */}
+      {fareCalendar && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h3 className="text-xl font-bold text-gray-800">
+                Fare Calendar {fareCalendar.mode === 'month' && `· ${formatDay(fareCalendar.cells[0]?.departureDate || searchParams.departureDate, { month: 'long', year: 'numeric' })}`}
+              </h3>
+              <p className="text-sm text-gray-500">
+                Lowest {fareCalendar.tripType === 'roundtrip' ? 'round-trip' : 'one-way'} fare in {fareCalendar.currency}
+                {fareCalendar.tripType === 'roundtrip' && fareCalendar.mode === 'month' && ` for a ${fareCalendar.stayNights}-night stay`}
+                . Pick a day to search it.
+              </p>
+            </div>
+            <button onClick={() => setFareCalendar(null)} className="text-gray-400 hover:text-gray-600">✕</button>
+          </div>
+
+          {fareCalendar.cells.length === 0 ? (
+            <p className="text-gray-500 text-center py-6">No upcoming dates to compare.</p>
+          ) : (
+            <FareCalendarHeatmap calendar={fareCalendar} selected={searchParams} onSelect={handleSelectCalendarDay} />
+          )}
+
+          {fareCalendar.cheapest && (
+            <div className="mt-4 text-sm text-gray-700">
+              💡 Cheapest: <span className="font-semibold text-green-700">{fareCalendar.currency} {Math.round(fareCalendar.cheapest.price)}</span>
+              {' '}departing {formatDay(fareCalendar.cheapest.departureDate, { weekday: 'short', day: 'numeric', month: 'short' })}
+              {fareCalendar.cheapest.returnDate && `, returning ${formatDay(fareCalendar.cheapest.returnDate, { weekday: 'short', day: 'numeric', month: 'short' })}`}
+            </div>
+          )}
+          {fareCalendar.stats.failed > 0 && (
+            <div className="mt-2 text-xs text-amber-600">Prices for {fareCalendar.stats.failed} date(s) could not be loaded (marked !).</div>
+          )}
+          {fareCalendar.stats.skipped > 0 && (
+            <div className="mt-2 text-xs text-gray-500">{fareCalendar.stats.skipped} date(s) further from your dates were not searched (marked —).</div>
+          )}
+        </div>
+      )}
+
+      {/* Watch List */}
+      {isAuthenticated && watches.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-4">Tracked Flights ({watches.length})</h3>
+          <div className="divide-y divide-gray-100">
+            {watches.map((watch) => (
+              <div key={watch.id} className={`py-4 flex flex-col md:flex-row md:items-center gap-4 ${watch.is_active ? '' : 'opacity-60'}`}>
+                <div className="flex-1">
+                  <div className="font-semibold text-gray-800">
+                    {watch.origin} → {watch.destination}
+                    {!watch.is_active && <span className="ml-2 text-xs font-normal text-gray-500">(paused)</span>}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {formatWatchDate(watch.departure_date)}
+                    {watch.return_date && ` - ${formatWatchDate(watch.return_date)}`}
+                    {` · ${watch.adults} adult${watch.adults > 1 ? 's' : ''} · ${watch.cabin_class.replace('_', ' ').toLowerCase()}`}
+                  </div>
+                  {watch.last_error && watch.consecutive_failures > 0 && (
+                    <div className="text-xs text-amber-600 mt-1">Last check failed, retrying automatically</div>
+                  )}
+                </div>
+
+                <PriceSparkline history={watch.history || []} maxPrice={watch.max_price} />
+
+                <div className="text-right w-40">
+                  <div className={`text-lg font-bold ${watch.below_threshold ? 'text-green-600' : 'text-gray-800'}`}>
+                    {watch.last_price !== null
+                      ? `${watch.currency} ${parseFloat(watch.last_price).toFixed(0)}`
+                      : (watch.last_checked_at ? 'No fares' : 'Checking...')}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Alert below {watch.currency} {parseFloat(watch.max_price).toFixed(0)}
+                    {watch.lowest_price !== null && ` · low ${parseFloat(watch.lowest_price).toFixed(0)}`}
+                  </div>
+                </div>
+
+                <div className="flex md:flex-col gap-2">
+                  <button
+                    onClick={() => handleToggleWatch(watch)}
+                    className="text-xs px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  >
+                    {watch.is_active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteWatch(watch)}
+                    className="text-xs px-3 py-1 rounded border border-red-200 text-red-600 hover:bg-red-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Results */}
       {searchResults && (
         <div className="space-y-6">
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import { useGoogleMaps } from '../contexts/GoogleMapsContext';
 import { toast } from 'react-toastify';
 import { 
@@ -17,9 +18,19 @@ import {
   ChevronDown,
   ChevronUp,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  Calendar
 } from 'lucide-react';
 
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} mins`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
 const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [attractions, setAttractions] = useState([]);
@@ -27,6 +38,8 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
   const [routeAnalysis, setRouteAnalysis] = useState(null);
   const [selectedAttractions, setSelectedAttractions] = useState([]);
   const [travelMode, setTravelMode] = useState('DRIVING');
+  const [pace, setPace] = useState(tripData.preferences?.pace || 'moderate');
+  const [routeDays, setRouteDays] = useState([]);
   const [showDetails, setShowDetails] = useState(false);
   const [planningStep, setPlanningStep] = useState('input');
   
@@ -172,29 +185,51 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
     toast.info('Optimizing your route...');
 
     try {
-      // Simple optimization without Google APIs
-      const optimized = [...attractionsToOptimize]; // Simple copy for now
-      setOptimizedRoute(optimized);
+      const response = await axios.post(`${API_URL}/trip-customization/optimize-route`, {
+        attractions: attractionsToOptimize.map(attraction => ({
+          id: attraction.id,
+          name: attraction.name,
+          location: attraction.location,
+          visitDurationMinutes: attraction.visitDurationMinutes,
+          openingHours: attraction.openingHours
+        })),
+        travelMode,
+        pace,
+        startDate: tripData.startDate || undefined
+      });
+      const route = response.data.data;
 
-      // Generate sample analysis
-      const totalDistance = optimized.length * 15; // 15km between each
-      const totalDuration = optimized.length * 30; // 30 minutes between each
+      // Keep the full attraction details, in the order the optimizer chose
+      const stopsById = Object.fromEntries(route.stops.map(stop => [stop.id, stop]));
+      const optimized = route.order.map(id => ({
+        ...attractionsToOptimize.find(attraction => String(attraction.id) === id),
+        schedule: stopsById[id]
+      }));
+      setOptimizedRoute(optimized);
+      setRouteDays(route.days);
 
-      setRouteAnalysis({
-        totalDistance: totalDistance.toFixed(1) + ' km',
-        totalDuration: totalDuration + ' minutes',
-        estimatedCost: calculateEstimatedCost(totalDistance * 1000, travelMode),
+      const analysis = {
+        totalDistance: route.totals.distanceKm.toFixed(1) + ' km',
+        totalDuration: formatMinutes(route.totals.travelMinutes),
+        estimatedCost: `$${route.totals.cost.toFixed(2)}`,
         attractionsCount: optimized.length,
-        legs: optimized.slice(0, -1).map((attraction, index) => ({
-          from: attraction.name,
-          to: optimized[index + 1].name,
-          distance: '15 km',
-          duration: '30 mins'
+        days: route.totals.days,
+        savedMinutes: route.improvement.savedMinutes,
+        warnings: route.warnings,
+        legs: route.legs.map(leg => ({
+          from: leg.from,
+          to: leg.to,
+          day: leg.day,
+          distance: `${leg.distanceKm.toFixed(1)} km`,
+          duration: formatMinutes(leg.durationMinutes),
+          cost: leg.cost
         }))
-      });
+      };
+      setRouteAnalysis(analysis);
 
       setPlanningStep('review');
       toast.success('Route optimized successfully!');
+      route.warnings.forEach(warning => toast.warning(warning));
 
       // Update trip data
       updateTripData({
@@ -202,8 +237,10 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
           ...tripData.routePlanning,
           intelligentRoute: {
             attractions: optimized,
-            analysis: routeAnalysis,
-            travelMode: travelMode,
+            analysis,
+            days: route.days,
+            travelMode,
+            pace,
             lastUpdated: new Date().toISOString()
           }
         }
@@ -211,22 +248,12 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
 
     } catch (error) {
       console.error('Error optimizing route:', error);
-      toast.error('Failed to optimize route');
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to optimize route');
     } finally {
       setIsLoading(false);
     }
   };
 
-  const calculateEstimatedCost = (distanceMeters, mode) => {
-    const distanceKm = distanceMeters / 1000;
-    const costs = {
-      'DRIVING': distanceKm * 0.15,
-      'TRANSIT': distanceKm * 0.05,
-      'WALKING': 0
-    };
-    return costs[mode] ? `$${costs[mode].toFixed(2)}` : 'N/A';
-  };
-
   const toggleAttractionSelection = (attraction) => {
     const isSelected = selectedAttractions.some(a => a.id === attraction.id);
     if (isSelected) {
@@ -262,6 +289,15 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
             <option value="TRANSIT">🚌 Public Transit</option>
             <option value="WALKING">🚶 Walking</option>
           </select>
+          <select
+            value={pace}
+            onChange={(e) => setPace(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="relaxed">Relaxed pace</option>
+            <option value="moderate">Moderate pace</option>
+            <option value="fast">Fast pace</option>
+          </select>
         </div>
       </div>
 
@@ -403,26 +439,44 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
             <Navigation className="h-5 w-5 mr-2 text-green-600" />
             Optimized Route ({optimizedRoute.length} stops)
           </h4>
-          <div className="space-y-3">
-            {optimizedRoute.map((attraction, index) => (
-              <div key={attraction.id} className="flex items-center p-3 bg-gray-50 rounded-lg">
-                <div className="w-8 h-8 bg-blue-600 text-white rounded-full flex items-center justify-center text-sm font-medium mr-3">
-                  {index + 1}
+          <div className="space-y-6">
+            {routeDays.map(day => (
+              <div key={day.day}>
+                <div className="flex items-center justify-between mb-2 text-sm">
+                  <span className="flex items-center font-semibold text-gray-800">
+                    <Calendar className="h-4 w-4 mr-2 text-blue-600" />
+                    Day {day.day}{day.date && ` · ${new Date(day.date).toLocaleDateString()}`}
+                  </span>
+                  <span className="text-gray-500">
+                    {day.startTime} - {day.endTime} · {day.distanceKm.toFixed(1)} km · {formatMinutes(day.travelMinutes)} travel
+                  </span>
                 </div>
-                <div className="flex-1">
-                  <h6 className="font-medium">{attraction.name}</h6>
-                  <p className="text-sm text-gray-600">{attraction.address}</p>
-                  <div className="flex items-center text-xs text-gray-500 mt-1">
-                    <Star className="h-3 w-3 text-yellow-400 mr-1" />
-                    {attraction.rating.toFixed(1)}
-                    <span className="mx-2">•</span>
-                    <Clock className="h-3 w-3 mr-1" />
-                    <span className="text-green-600">Open</span>
-                  </div>
+                <div className="space-y-3">
+                  {optimizedRoute.filter(attraction => attraction.schedule.day === day.day).map(attraction => (
+                    <div key={attraction.id} className="flex items-center p-3 bg-gray-50 rounded-lg">
+                      <div className="w-8 h-8 bg-blue-600 text-white rounded-full flex items-center justify-center text-sm font-medium mr-3">
+                        {attraction.schedule.position}
+                      </div>
+                      <div className="flex-1">
+                        <h6 className="font-medium">{attraction.name}</h6>
+                        <p className="text-sm text-gray-600">{attraction.address}</p>
+                        <div className="flex items-center text-xs text-gray-500 mt-1">
+                          <Star className="h-3 w-3 text-yellow-400 mr-1" />
+                          {attraction.rating.toFixed(1)}
+                          <span className="mx-2">•</span>
+                          <Clock className="h-3 w-3 mr-1" />
+                          <span>
+                            {attraction.schedule.startTime} - {attraction.schedule.departureTime}
+                            {attraction.schedule.waitMinutes > 0 && ` (opens after a ${formatMinutes(attraction.schedule.waitMinutes)} wait)`}
+                          </span>
+                          {!attraction.schedule.withinOpeningHours && (
+                            <span className="ml-2 text-red-600">Outside opening hours</span>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
                 </div>
-                {index < optimizedRoute.length - 1 && (
-                  <ArrowRight className="h-4 w-4 text-gray-400 ml-2" />
-                )}
               </div>
             ))}
           </div>
@@ -436,7 +490,7 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
             <CheckCircle className="h-5 w-5 mr-2" />
             Route Analysis
           </h4>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
             <div className="text-center">
               <div className="text-2xl font-bold text-green-700">{routeAnalysis.totalDistance}</div>
               <div className="text-sm text-green-600">Total Distance</div>
@@ -449,6 +503,10 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
               <div className="text-2xl font-bold text-green-700">{routeAnalysis.estimatedCost}</div>
               <div className="text-sm text-green-600">Estimated Cost</div>
             </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-700">{routeAnalysis.days}</div>
+              <div className="text-sm text-green-600">{routeAnalysis.days === 1 ? 'Day' : 'Days'}</div>
+            </div>
             <div className="text-center">
               <div className="text-2xl font-bold text-green-700 flex items-center justify-center">
                 {getTravelModeIcon(travelMode)}
@@ -457,6 +515,12 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
             </div>
           </div>
 
+          {routeAnalysis.savedMinutes > 0 && (
+            <p className="text-sm text-green-700 mb-2">
+              Saves {formatMinutes(routeAnalysis.savedMinutes)} of travel compared to visiting in the order selected.
+            </p>
+          )}
+
           {/* Detailed Route Steps */}
           {routeAnalysis.legs && (
             <div className="mt-4">
@@ -480,9 +544,10 @@ const IntelligentRoutePlanner = ({ tripData, updateTripData }) => {
                           <span className="font-medium text-sm">{leg.from}</span>
                           <ArrowRight className="h-4 w-4 mx-2 text-gray-400" />
                           <span className="font-medium text-sm">{leg.to}</span>
+                          <span className="ml-2 text-xs text-gray-500">Day {leg.day}</span>
                         </div>
                         <div className="text-right">
-                          <div className="text-xs text-gray-600">{leg.distance}</div>
+                          <div className="text-xs text-gray-600">{leg.distance}{leg.cost > 0 && ` · $${leg.cost.toFixed(2)}`}</div>
                           <div className="text-xs text-blue-600 font-medium">{leg.duration}</div>
                         </div>
                       </div>
@@ -0,0 +1,159 @@
+// frontend/src/components/ItineraryDayPlan.js
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { CalendarDays, Plane, Bed, MapPin, Clock, AlertCircle, AlertTriangle, RefreshCw, Loader2 } from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const ENTRY_LABELS = {
+  flight_departure: 'Departs',
+  flight_arrival: 'Lands',
+  flight_in_air: 'In the air',
+  check_in: 'Check in',
+  check_out: 'Check out'
+};
+
+const entryIcon = (entry) => {
+  if (entry.type === 'flight') return <Plane className="h-4 w-4 text-blue-600" />;
+  if (entry.kind === 'check_in' || entry.kind === 'check_out') return <Bed className="h-4 w-4 text-purple-600" />;
+  return <MapPin className="h-4 w-4 text-green-600" />;
+};
+
+// Timed day-by-day plan built by the server from the trip's saved flights, hotels and activities
+const ItineraryDayPlan = ({ tripId, token }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSchedule = useCallback(async () => {
+    if (!tripId || !token) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`${API_URL}/trips/custom/${tripId}/schedule`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSchedule(response.data);
+    } catch (err) {
+      console.error("Error fetching trip schedule:", err);
+      setError(err.response?.data?.message || "Failed to build the day plan.");
+    } finally {
+      setLoading(false);
+    }
+  }, [tripId, token]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  if (!tripId) return null;
+
+  const conflictsForDay = (date) => (schedule?.conflicts || []).filter(conflict => conflict.date === date);
+  const hasEntries = schedule?.days.some(day => day.entries.length > 0);
+
+  return (
+    <div className="p-4 bg-white border border-gray-200 rounded-lg space-y-4">
+      <div className="flex justify-between items-center">
+        <h4 className="text-lg font-semibold text-gray-800 flex items-center">
+          <CalendarDays className="h-5 w-5 mr-2 text-indigo-600" />
+          Timed Day Plan
+        </h4>
+        <button
+          onClick={fetchSchedule}
+          disabled={loading}
+          className="px-3 py-1 bg-indigo-500 text-white text-xs rounded hover:bg-indigo-600 disabled:opacity-50 flex items-center"
+        >
+          {loading ? <Loader2 className="h-3 w-3 mr-1 animate-spin" /> : <RefreshCw className="h-3 w-3 mr-1" />}
+          Rebuild Plan
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center">
+          <AlertCircle className="h-4 w-4 mr-1" /> {error}
+        </p>
+      )}
+
+      {schedule && !hasEntries && (
+        <p className="text-sm text-gray-500">
+          Add flights, hotels and activities to your trip and they will be laid out here day by day.
+        </p>
+      )}
+
+      {schedule && hasEntries && (
+        <>
+          {schedule.conflicts.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm">
+              <p className="font-medium text-red-800 mb-1">
+                {schedule.conflicts.length} scheduling {schedule.conflicts.length === 1 ? 'issue' : 'issues'} found
+              </p>
+              <p className="text-red-700 text-xs">Each one is shown on its day below.</p>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {schedule.days.map(day => (
+              <div key={day.date} className={`p-3 rounded border ${day.inTrip ? 'border-gray-200' : 'border-dashed border-gray-300 bg-gray-50'}`}>
+                <div className="flex justify-between items-center mb-2">
+                  <span className="font-semibold text-gray-800 text-sm">
+                    Day {day.dayNumber} · {new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short' })}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {day.cities.length > 0 ? day.cities.join(' → ') : 'Location unknown'}
+                    {day.hotel && ` · 🛏 ${day.hotel.title}`}
+                  </span>
+                </div>
+
+                {day.entries.length === 0 ? (
+                  <p className="text-xs text-gray-400">Free day</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {day.entries.map((entry, index) => (
+                      <li key={`${entry.componentId}-${entry.kind}-${index}`} className="flex items-center text-sm">
+                        <span className="w-24 flex-shrink-0 text-xs text-gray-500 flex items-center">
+                          <Clock className="h-3 w-3 mr-1" />
+                          {entry.allDay ? 'Time TBD' : `${entry.startTime}-${entry.endTime}`}
+                        </span>
+                        <span className="mr-2">{entryIcon(entry)}</span>
+                        <span className="text-gray-800">
+                          {ENTRY_LABELS[entry.kind] && <span className="text-gray-500">{ENTRY_LABELS[entry.kind]}: </span>}
+                          {entry.title}
+                        </span>
+                        {entry.suggested && (
+                          <span className="ml-2 px-1.5 py-0.5 bg-blue-100 text-blue-700 text-xs rounded">suggested slot</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {conflictsForDay(day.date).map((conflict, index) => (
+                  <p
+                    key={index}
+                    className={`mt-2 text-xs flex items-start ${conflict.severity === 'error' ? 'text-red-600' : 'text-amber-600'}`}
+                  >
+                    <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                    {conflict.message}
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {schedule.unscheduled.length > 0 && (
+            <div className="p-3 bg-amber-50 border border-amber-200 rounded text-sm">
+              <p className="font-medium text-amber-800 mb-1">Not yet scheduled</p>
+              <ul className="text-amber-700 text-xs space-y-1">
+                {schedule.unscheduled.map(item => (
+                  <li key={item.componentId}>• {item.title}: {item.reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ItineraryDayPlan;
@@ -5,7 +5,7 @@ import { toast } from 'react-toastify';
 import {
   MapPin, Star, Users, CalendarDays, Clock, FileText, CheckCircle, XCircle,
   ImageIcon, DollarSign, MessageSquare, UserCircle, ShieldCheck, ThumbsUp,
-  ListChecks, GalleryThumbnails, ShoppingCart, ChevronLeft, ChevronRight, Share2, AlertTriangle, Loader2, Maximize, X as XIcon
+  ListChecks, GalleryThumbnails, ShoppingCart, ChevronLeft, ChevronRight, Share2, AlertTriangle, Loader2, Maximize, X as XIcon, Heart
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -54,6 +54,107 @@ const ImageModal = ({ isOpen, onClose, images, currentIndex, setCurrentIndex })
 };
 
 
+const REVIEWS_PER_PAGE = 5;
+
+const ListingReviews = ({ listingId }) => {
+  const [reviews, setReviews] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 });
+  const [averageRating, setAverageRating] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`${API_URL}/reviews/listings/${listingId}`, {
+          params: { page, limit: REVIEWS_PER_PAGE }
+        });
+        setReviews(response.data.reviews || []);
+        setPagination(response.data.pagination);
+        setAverageRating(response.data.average_rating);
+      } catch (err) {
+        console.error("Error fetching reviews:", err);
+        toast.error("Failed to load reviews.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReviews();
+  }, [listingId, page]);
+
+  if (loading && reviews.length === 0) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (pagination.total === 0) {
+    return (
+      <div className="mt-4 p-4 bg-gray-50 rounded-md text-center">
+        <Star className="h-10 w-10 text-yellow-400 mx-auto mb-2" />
+        <p className="text-gray-500">No reviews yet. Travelers who complete this adventure can leave the first one.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center mb-4 text-gray-700">
+        <Star className="h-5 w-5 mr-1 text-yellow-500 fill-current" />
+        <span className="font-semibold mr-1">{averageRating?.toFixed(1)}</span>
+        <span className="text-sm text-gray-500">({pagination.total} review{pagination.total === 1 ? '' : 's'})</span>
+      </div>
+      <ul className="space-y-5">
+        {reviews.map(review => (
+          <li key={review.id} className="border-b border-gray-100 pb-4 last:border-b-0">
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-medium text-gray-800">{review.reviewer_first_name} {review.reviewer_last_initial ? `${review.reviewer_last_initial}.` : ''}</span>
+              <span className="text-xs text-gray-500">{new Date(review.created_at).toLocaleDateString()}</span>
+            </div>
+            <div className="flex mb-2" aria-label={`${review.rating} out of 5 stars`}>
+              {[1, 2, 3, 4, 5].map(n => (
+                <Star key={n} className={`h-4 w-4 ${n <= review.rating ? 'text-yellow-500 fill-current' : 'text-gray-300'}`} />
+              ))}
+            </div>
+            {review.title && <h4 className="font-semibold text-gray-800 mb-1">{review.title}</h4>}
+            {review.comment && <p className="text-gray-700 text-sm whitespace-pre-line">{review.comment}</p>}
+            {review.provider_response && (
+              <div className="mt-3 ml-4 p-3 bg-blue-50 border-l-4 border-blue-300 rounded-r-md">
+                <p className="text-xs font-semibold text-blue-700 mb-1">Response from the provider</p>
+                <p className="text-sm text-gray-700 whitespace-pre-line">{review.provider_response}</p>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center mt-6 space-x-4">
+          <button
+            onClick={() => setPage(p => p - 1)}
+            disabled={page <= 1 || loading}
+            className="p-2 rounded-full border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+            aria-label="Previous page"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <span className="text-sm text-gray-600">Page {pagination.page} of {pagination.totalPages}</span>
+          <button
+            onClick={() => setPage(p => p + 1)}
+            disabled={page >= pagination.totalPages || loading}
+            className="p-2 rounded-full border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-40"
+            aria-label="Next page"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const ListingDetailPage = () => {
   const { listingId } = useParams();
   const navigate = useNavigate();
@@ -64,6 +165,11 @@ const ListingDetailPage = () => {
   const [error, setError] = useState(null);
   const [showImageModal, setShowImageModal] = useState(false);
   const [currentImageInModal, setCurrentImageInModal] = useState(0);
+  const [showContactForm, setShowContactForm] = useState(false);
+  const [contactMessage, setContactMessage] = useState('');
+  const [sendingContact, setSendingContact] = useState(false);
+  const [wishlists, setWishlists] = useState(null);
+  const [showWishlistPicker, setShowWishlistPicker] = useState(false);
 
   const fetchListingDetails = useCallback(async () => {
     setLoading(true);
@@ -92,6 +198,69 @@ const ListingDetailPage = () => {
     fetchListingDetails();
   }, [fetchListingDetails]);
 
+  const handleContactProvider = () => {
+    if (!isAuthenticated) {
+      toast.info("Please sign in to contact the provider.");
+      return;
+    }
+    setShowContactForm(!showContactForm);
+  };
+
+  const handleSendContactMessage = async (e) => {
+    e.preventDefault();
+    if (!contactMessage.trim()) return;
+    setSendingContact(true);
+    try {
+      const response = await axios.post(`${API_URL}/messages/conversations`, {
+        listing_id: listing.id,
+        content: contactMessage.trim()
+      });
+      toast.success("Message sent to the provider.");
+      setContactMessage('');
+      setShowContactForm(false);
+      navigate(`/messages/${response.data.conversation.id}`);
+    } catch (err) {
+      console.error("Error contacting provider:", err);
+      toast.error(err.response?.data?.message || "Failed to send your message.");
+    } finally {
+      setSendingContact(false);
+    }
+  };
+
+  const handleToggleWishlistPicker = async () => {
+    if (!isAuthenticated) {
+      toast.info("Please sign in to save this listing.");
+      return;
+    }
+    setShowWishlistPicker(!showWishlistPicker);
+    if (wishlists === null) {
+      try {
+        const response = await axios.get(`${API_URL}/wishlists`);
+        setWishlists(response.data || []);
+      } catch (err) {
+        console.error("Error fetching wishlists:", err);
+        toast.error("Failed to load your wishlists.");
+      }
+    }
+  };
+
+  const handleSaveToWishlist = async (wishlistId) => {
+    try {
+      let targetId = wishlistId;
+      if (!targetId) {
+        const created = await axios.post(`${API_URL}/wishlists`, { name: 'My Wishlist' });
+        targetId = created.data.id;
+        setWishlists([created.data]);
+      }
+      await axios.post(`${API_URL}/wishlists/${targetId}/items`, { item_type: 'listing', listing_id: listing.id });
+      toast.success("Saved to your wishlist.");
+      setShowWishlistPicker(false);
+    } catch (err) {
+      console.error("Error saving to wishlist:", err);
+      toast.error(err.response?.data?.message || "Failed to save to wishlist.");
+    }
+  };
+
   const handleImageClick = (index) => {
     setCurrentImageInModal(index);
     setShowImageModal(true);
@@ -285,11 +454,51 @@ const ListingDetailPage = () => {
                 Book Now (Placeholder)
               </button>
               <button 
-                onClick={() => toast.info("Messaging functionality is under development.")}
+                onClick={handleContactProvider}
                 className="mt-3 w-full text-blue-600 hover:text-blue-700 font-medium py-2 border border-blue-600 rounded-lg hover:bg-blue-50 transition flex items-center justify-center"
               >
-                <MessageSquare className="h-5 w-5 mr-2" /> Message Provider
+                <MessageSquare className="h-5 w-5 mr-2" /> Contact Provider
               </button>
+              {showContactForm && (
+                <form onSubmit={handleSendContactMessage} className="mt-3 space-y-2">
+                  <textarea
+                    value={contactMessage}
+                    onChange={(e) => setContactMessage(e.target.value)}
+                    rows={4}
+                    maxLength={5000}
+                    placeholder="Ask the provider about availability, group size, special requests..."
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={sendingContact || !contactMessage.trim()}
+                    className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 rounded-lg transition disabled:opacity-50 flex items-center justify-center"
+                  >
+                    {sendingContact ? <Loader2 className="h-5 w-5 animate-spin" /> : 'Send Message'}
+                  </button>
+                </form>
+              )}
+              <button
+                onClick={handleToggleWishlistPicker}
+                className="mt-3 w-full text-gray-700 hover:text-gray-900 font-medium py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition flex items-center justify-center"
+              >
+                <Heart className="h-5 w-5 mr-2 text-red-500" /> Save to Wishlist
+              </button>
+              {showWishlistPicker && wishlists && (
+                <div className="mt-2 border rounded-lg divide-y">
+                  {wishlists.length === 0 ? (
+                    <button onClick={() => handleSaveToWishlist(null)} className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50">
+                      Create "My Wishlist" and save
+                    </button>
+                  ) : (
+                    wishlists.map(wishlist => (
+                      <button key={wishlist.id} onClick={() => handleSaveToWishlist(wishlist.id)} className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50">
+                        {wishlist.name}
+                      </button>
+                    ))
+                  )}
+                </div>
+              )}
             </div>
 
             <div className="bg-white p-6 rounded-xl shadow-lg">
@@ -334,14 +543,10 @@ const ListingDetailPage = () => {
           </aside>
         </div>
 
-        {/* Reviews Section - Placeholder */}
+        {/* Reviews Section */}
         <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg mt-8">
           <Section title="Traveler Reviews" icon={<ThumbsUp />}>
-            <p className="text-gray-600">Review section is under development. Real reviews and ability to add your own will appear here soon!</p>
-            <div className="mt-4 p-4 bg-gray-50 rounded-md text-center">
-                <Star className="h-10 w-10 text-yellow-400 mx-auto mb-2" />
-                <p className="text-gray-500">No reviews yet, or review display is coming soon.</p>
-            </div>
+            <ListingReviews listingId={listing.id} />
           </Section>
         </div>
       </div>
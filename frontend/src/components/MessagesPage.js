@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { useParams, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { MessageSquare, Paperclip, Send, Loader2, X, FileText, ArrowLeft } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const SERVER_URL = API_URL.replace(/\/api\/?$/, '');
+const MAX_ATTACHMENTS = 5;
+
+const fileUrl = (url) => (url && url.startsWith('/') ? `${SERVER_URL}${url}` : url);
+
+// Attachments need the auth header, so they are fetched as blobs instead of linked directly
+const useAttachmentBlob = (attachment) => {
+  const [blobUrl, setBlobUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    axios.get(fileUrl(attachment.url), { responseType: 'blob' })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setBlobUrl(objectUrl);
+      })
+      .catch(err => console.error('Error loading attachment:', err));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.url]);
+
+  return blobUrl;
+};
+
+const downloadAttachment = async (attachment) => {
+  try {
+    const response = await axios.get(fileUrl(attachment.url), { responseType: 'blob' });
+    const objectUrl = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = attachment.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+  } catch (err) {
+    console.error('Error downloading attachment:', err);
+    toast.error('Failed to download attachment.');
+  }
+};
+
+const ImageAttachment = ({ attachment }) => {
+  const blobUrl = useAttachmentBlob(attachment);
+  if (!blobUrl) {
+    return <div className="h-20 w-20 rounded border bg-gray-100 flex items-center justify-center"><Loader2 className="h-4 w-4 animate-spin text-gray-400" /></div>;
+  }
+  return (
+    <a href={blobUrl} target="_blank" rel="noopener noreferrer">
+      <img src={blobUrl} alt={attachment.name} className="max-h-40 rounded border" />
+    </a>
+  );
+};
+
+const MessageAttachments = ({ attachments }) => {
+  if (!attachments || attachments.length === 0) return null;
+  return (
+    <div className="mt-2 space-y-1">
+      {attachments.map((attachment, idx) => (
+        attachment.mime_type?.startsWith('image/') ? (
+          <ImageAttachment key={attachment.id || idx} attachment={attachment} />
+        ) : (
+          <button key={attachment.id || idx} type="button" onClick={() => downloadAttachment(attachment)} className="flex items-center text-xs underline">
+            <FileText className="h-4 w-4 mr-1 flex-shrink-0" /> {attachment.name}
+          </button>
+        )
+      ))}
+    </div>
+  );
+};
+
+const MessagesPage = () => {
+  const { user } = useAuth();
+  const socket = useSocket();
+  const { conversationId } = useParams();
+  const navigate = useNavigate();
+  const activeId = conversationId ? parseInt(conversationId, 10) : null;
+
+  const [conversations, setConversations] = useState([]);
+  const [loadingConversations, setLoadingConversations] = useState(true);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMessages, setLoadingMessages] = useState(false);
+  const [content, setContent] = useState('');
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const bottomRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const conversationsRef = useRef([]);
+
+  const activeConversation = conversations.find(c => c.id === activeId);
+  conversationsRef.current = conversations;
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/messages/conversations`, { params: { limit: 50 } });
+      setConversations(response.data.conversations || []);
+    } catch (err) {
+      console.error("Error fetching conversations:", err);
+      toast.error(err.response?.data?.message || "Failed to load conversations.");
+    } finally {
+      setLoadingConversations(false);
+    }
+  }, []);
+
+  const markAsRead = useCallback(async (id) => {
+    try {
+      await axios.put(`${API_URL}/messages/conversations/${id}/read`);
+      setConversations(prev => prev.map(c => c.id === id ? { ...c, unread_count: 0 } : c));
+    } catch (err) {
+      console.error("Error marking conversation as read:", err);
+    }
+  }, []);
+
+  const fetchMessages = useCallback(async (id, before = null) => {
+    setLoadingMessages(true);
+    try {
+      const response = await axios.get(`${API_URL}/messages/conversations/${id}/messages`, {
+        params: before ? { before } : {}
+      });
+      setMessages(prev => before ? [...response.data.messages, ...prev] : response.data.messages);
+      setHasMore(response.data.has_more);
+      if (!before) markAsRead(id);
+    } catch (err) {
+      console.error("Error fetching messages:", err);
+      toast.error(err.response?.data?.message || "Failed to load messages.");
+    } finally {
+      setLoadingMessages(false);
+    }
+  }, [markAsRead]);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    setMessages([]);
+    setHasMore(false);
+    if (activeId) fetchMessages(activeId);
+  }, [activeId, fetchMessages]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  // Live delivery: append to the open thread, otherwise bump the conversation in the list
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleNewMessage = ({ conversation_id: incomingId, message }) => {
+      const fromOther = message.sender_id !== user?.id;
+
+      if (incomingId === activeId) {
+        setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+        if (fromOther) markAsRead(incomingId);
+      }
+
+      if (!conversationsRef.current.some(c => c.id === incomingId)) {
+        fetchConversations(); // A conversation someone else just started
+        return;
+      }
+      setConversations(prev => {
+        const updated = prev.map(c => c.id === incomingId ? {
+          ...c,
+          last_message: message.content,
+          last_message_sender_id: message.sender_id,
+          last_message_at: message.created_at,
+          unread_count: fromOther && incomingId !== activeId ? (c.unread_count || 0) + 1 : c.unread_count
+        } : c);
+        return updated.sort((a, b) =>
+          new Date(b.last_message_at || b.created_at) - new Date(a.last_message_at || a.created_at));
+      });
+    };
+
+    socket.on('message:new', handleNewMessage);
+    return () => {
+      socket.off('message:new', handleNewMessage);
+    };
+  }, [socket, activeId, user, markAsRead, fetchConversations]);
+
+  const handleFilesSelected = (e) => {
+    const selected = Array.from(e.target.files || []);
+    if (files.length + selected.length > MAX_ATTACHMENTS) {
+      toast.warn(`You can attach up to ${MAX_ATTACHMENTS} files per message.`);
+    }
+    setFiles(prev => [...prev, ...selected].slice(0, MAX_ATTACHMENTS));
+    e.target.value = '';
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!activeId || (!content.trim() && files.length === 0)) return;
+
+    const formData = new FormData();
+    formData.append('content', content.trim());
+    files.forEach(file => formData.append('attachments', file));
+
+    setSending(true);
+    try {
+      const response = await axios.post(`${API_URL}/messages/conversations/${activeId}/messages`, formData);
+      const message = response.data;
+      setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+      setContent('');
+      setFiles([]);
+    } catch (err) {
+      console.error("Error sending message:", err);
+      toast.error(err.response?.data?.message || "Failed to send message.");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderConversationList = () => {
+    if (loadingConversations) {
+      return (
+        <div className="flex justify-center py-10">
+          <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+        </div>
+      );
+    }
+    if (conversations.length === 0) {
+      return (
+        <div className="p-6 text-center text-gray-500 text-sm">
+          <MessageSquare className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+          No conversations yet. Contact a provider from one of their listings to get started.
+        </div>
+      );
+    }
+    return conversations.map(conversation => (
+      <button
+        key={conversation.id}
+        onClick={() => navigate(`/messages/${conversation.id}`)}
+        className={`w-full text-left px-4 py-3 border-b hover:bg-gray-50 ${conversation.id === activeId ? 'bg-blue-50' : ''}`}
+      >
+        <div className="flex justify-between items-center">
+          <span className="text-sm font-semibold text-gray-900 truncate">
+            {conversation.other_first_name} {conversation.other_last_name}
+          </span>
+          {conversation.unread_count > 0 && (
+            <span className="ml-2 bg-blue-600 text-white text-xs font-semibold rounded-full px-2 py-0.5">
+              {conversation.unread_count}
+            </span>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 truncate">
+          {conversation.subject || conversation.listing_title}
+          {conversation.booking_reference && ` · Ref ${conversation.booking_reference}`}
+        </p>
+        <p className="text-xs text-gray-600 truncate mt-0.5">
+          {conversation.last_message_sender_id === user?.id && 'You: '}
+          {conversation.last_message || (conversation.last_message_at ? 'Attachment' : '')}
+        </p>
+      </button>
+    ));
+  };
+
+  const renderThread = () => {
+    if (!activeId) {
+      return (
+        <div className="flex-1 flex items-center justify-center text-gray-500 text-sm">
+          Select a conversation to read messages.
+        </div>
+      );
+    }
+    return (
+      <>
+        <div className="px-4 py-3 border-b flex items-center">
+          <button onClick={() => navigate('/messages')} className="md:hidden mr-2 p-1 rounded hover:bg-gray-100">
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <div>
+            <h2 className="text-base font-semibold text-gray-900">
+              {activeConversation ? `${activeConversation.other_first_name || ''} ${activeConversation.other_last_name || ''}` : 'Conversation'}
+            </h2>
+            {activeConversation && (
+              <p className="text-xs text-gray-500">{activeConversation.subject || activeConversation.listing_title}</p>
+            )}
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {hasMore && (
+            <div className="text-center">
+              <button
+                onClick={() => fetchMessages(activeId, messages[0]?.id)}
+                disabled={loadingMessages}
+                className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                Load earlier messages
+              </button>
+            </div>
+          )}
+          {loadingMessages && messages.length === 0 && (
+            <div className="flex justify-center py-10">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          )}
+          {messages.map(message => {
+            const mine = message.sender_id === user?.id;
+            return (
+              <div key={message.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-md rounded-lg px-3 py-2 ${mine ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                  {message.content && <p className="text-sm whitespace-pre-wrap">{message.content}</p>}
+                  <MessageAttachments attachments={message.attachments} />
+                  <p className={`text-[11px] mt-1 ${mine ? 'text-blue-100' : 'text-gray-400'}`}>
+                    {new Date(message.created_at).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+          <div ref={bottomRef} />
+        </div>
+        <form onSubmit={handleSend} className="border-t p-3">
+          {files.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {files.map((file, idx) => (
+                <span key={idx} className="inline-flex items-center bg-gray-100 text-xs text-gray-700 rounded px-2 py-1">
+                  <Paperclip className="h-3 w-3 mr-1" /> {file.name}
+                  <button type="button" onClick={() => setFiles(prev => prev.filter((_, i) => i !== idx))} className="ml-1 text-gray-500 hover:text-red-600">
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex items-end space-x-2">
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="p-2 rounded-lg text-gray-600 hover:bg-gray-100"
+              aria-label="Attach files"
+            >
+              <Paperclip className="h-5 w-5" />
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept="image/*,.pdf,.doc,.docx,.txt"
+              onChange={handleFilesSelected}
+              className="hidden"
+            />
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) handleSend(e);
+              }}
+              rows={2}
+              maxLength={5000}
+              placeholder="Write a message..."
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+            />
+            <button
+              type="submit"
+              disabled={sending || (!content.trim() && files.length === 0)}
+              className="p-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              aria-label="Send message"
+            >
+              {sending ? <Loader2 className="h-5 w-5 animate-spin" /> : <Send className="h-5 w-5" />}
+            </button>
+          </div>
+        </form>
+      </>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow flex h-[calc(100vh-10rem)] overflow-hidden">
+      <aside className={`w-full md:w-80 border-r flex-shrink-0 flex flex-col ${activeId ? 'hidden md:flex' : 'flex'}`}>
+        <div className="px-4 py-3 border-b">
+          <h1 className="text-lg font-semibold text-gray-900 flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2 text-blue-600" /> Messages
+          </h1>
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {renderConversationList()}
+        </div>
+      </aside>
+      <section className={`flex-1 flex-col ${activeId ? 'flex' : 'hidden md:flex'}`}>
+        {renderThread()}
+      </section>
+    </div>
+  );
+};
+
+export default MessagesPage;
@@ -3,7 +3,7 @@ import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { Briefcase, CalendarDays, MapPin, Info, Clock, CheckCircle, XCircle, RefreshCw, Edit3, Eye, PlusCircle, FileText, DollarSign, Users, Loader2, AlertCircle, Trash2 } from 'lucide-react';
+import { Briefcase, CalendarDays, MapPin, Info, Clock, CheckCircle, XCircle, RefreshCw, Edit3, Eye, PlusCircle, FileText, DollarSign, Users, Loader2, AlertCircle, Trash2, Copy } from 'lucide-react';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -15,6 +15,8 @@ const MyBookingsPage = () => {
   const [trips, setTrips] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [feedUrls, setFeedUrls] = useState(null);
 
   const fetchUserTripsAndBookings = useCallback(async () => {
     if (!token) {
@@ -44,6 +46,82 @@ const MyBookingsPage = () => {
     fetchUserTripsAndBookings();
   }, [fetchUserTripsAndBookings]);
 
+  useEffect(() => {
+    if (!token) return;
+    axios.get(`${API_URL}/calendar/subscription`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(response => setCalendarFeed(response.data))
+      .catch(err => console.error("Error fetching calendar subscription:", err));
+  }, [token]);
+
+  // Authenticated downloads cannot be plain links, so fetch the file and save it through an object URL
+  const downloadFile = async (path, fileName, type) => {
+    const response = await axios.get(`${API_URL}${path}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      responseType: 'blob',
+    });
+    const url = window.URL.createObjectURL(new Blob([response.data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleAddToCalendar = async (trip) => {
+    try {
+      await downloadFile(`/trips/custom/${trip.id}/calendar.ics`, `${(trip.title || 'trip').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.ics`, 'text/calendar');
+    } catch (err) {
+      console.error("Error exporting trip calendar:", err);
+      toast.error("Failed to export this trip to your calendar.");
+    }
+  };
+
+  const handleDownloadVoucher = async (trip) => {
+    try {
+      await downloadFile(`/bookings/${trip.booking_id}/voucher.pdf`, `voucher-${trip.booking_reference}.pdf`, 'application/pdf');
+    } catch (err) {
+      console.error("Error downloading booking voucher:", err);
+      toast.error("Failed to download the booking voucher.");
+    }
+  };
+
+  // Creating the feed again replaces its URL, so a leaked link can be shut off
+  const handleSubscribeCalendar = async () => {
+    if (calendarFeed?.active && !window.confirm("Create a new subscription link? Calendars using the current link will stop updating.")) {
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_URL}/calendar/subscription`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const { url, webcalUrl, ...feed } = response.data;
+      setCalendarFeed(feed);
+      setFeedUrls({ url, webcalUrl });
+    } catch (err) {
+      console.error("Error creating calendar subscription:", err);
+      toast.error(err.response?.data?.message || "Failed to create calendar subscription.");
+    }
+  };
+
+  const handleUnsubscribeCalendar = async () => {
+    if (!window.confirm("Turn off your calendar subscription? Subscribed calendars will stop receiving your bookings.")) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_URL}/calendar/subscription`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setCalendarFeed({ active: false });
+      setFeedUrls(null);
+      toast.success("Calendar subscription turned off.");
+    } catch (err) {
+      console.error("Error removing calendar subscription:", err);
+      toast.error(err.response?.data?.message || "Failed to turn off calendar subscription.");
+    }
+  };
+
   const categorizeTrips = () => {
     const now = new Date();
     const draftTrips = trips.filter(trip => trip.status === 'draft' || trip.status === 'planned');
@@ -54,13 +132,30 @@ const MyBookingsPage = () => {
 
   const { draftTrips, upcomingBookings, pastBookings } = categorizeTrips();
 
-  const handleCancelBooking = async (tripId) => {
-    // Placeholder for cancellation logic
-    // In a real app, this would call a backend endpoint:
-    // POST /api/trips/custom/:tripId/cancel or /api/bookings/:bookingId/cancel
-    toast.info(`Cancellation for trip ID ${tripId} initiated (Placeholder).`);
-    // Optimistically update UI or re-fetch:
-    // setTrips(prev => prev.map(t => t.id === tripId ? {...t, status: 'cancelled'} : t));
+  const handleCancelBooking = async (trip) => {
+    if (!trip.booking_id) {
+      toast.error("No booking found for this trip.");
+      return;
+    }
+    try {
+      const { data: quote } = await axios.get(`${API_URL}/bookings/${trip.booking_id}/cancellation-quote`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const refundText = quote.payment_action === 'refund'
+        ? `You will be refunded ${quote.currency} ${quote.refund_amount.toFixed(2)} of ${quote.currency} ${quote.amount_paid.toFixed(2)} paid.`
+        : "You have not been charged for this booking.";
+      if (!window.confirm(`Cancel booking ${quote.booking_reference}? ${refundText}`)) {
+        return;
+      }
+      const response = await axios.post(`${API_URL}/bookings/${trip.booking_id}/cancel`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      toast.success(response.data.message || "Booking cancelled.");
+      fetchUserTripsAndBookings(); // Re-fetch to update the list
+    } catch (err) {
+      console.error("Error cancelling booking:", err);
+      toast.error(err.response?.data?.message || "Failed to cancel booking.");
+    }
   };
   
   const handleDeleteDraft = async (tripId) => {
@@ -182,9 +277,25 @@ const MyBookingsPage = () => {
               <Eye className="h-4 w-4 mr-1.5" /> View Booking
             </button>
           )}
+          {trip.status === 'booked' && (
+            <button
+              onClick={() => handleAddToCalendar(trip)}
+              className="flex-1 text-center min-w-[100px] bg-indigo-500 hover:bg-indigo-600 text-white font-medium py-2 px-3 rounded-md text-sm transition duration-150 ease-in-out flex items-center justify-center"
+            >
+              <CalendarDays className="h-4 w-4 mr-1.5" /> Add to Calendar
+            </button>
+          )}
+          {trip.booking_id && (trip.booking_status === 'confirmed' || trip.booking_status === 'completed') && (
+            <button
+              onClick={() => handleDownloadVoucher(trip)}
+              className="flex-1 text-center min-w-[100px] bg-teal-500 hover:bg-teal-600 text-white font-medium py-2 px-3 rounded-md text-sm transition duration-150 ease-in-out flex items-center justify-center"
+            >
+              <FileText className="h-4 w-4 mr-1.5" /> Voucher (PDF)
+            </button>
+          )}
           {trip.status === 'booked' && new Date(trip.start_date) > now && ( // Only allow cancel for future bookings
             <button
-              onClick={() => handleCancelBooking(trip.id)}
+              onClick={() => handleCancelBooking(trip)}
               className="flex-1 text-center min-w-[100px] bg-gray-300 hover:bg-gray-400 text-gray-700 font-medium py-2 px-3 rounded-md text-sm transition duration-150 ease-in-out flex items-center justify-center"
             >
               <XCircle className="h-4 w-4 mr-1.5" /> Cancel
@@ -282,6 +393,59 @@ const MyBookingsPage = () => {
         {user && <p className="text-gray-600 mt-1 text-sm md:text-base">Manage your adventure plans, {user.firstName}.</p>}
       </header>
 
+      <div className="mb-6 bg-white p-4 rounded-lg shadow">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center">
+            <CalendarDays className="h-6 w-6 mr-3 text-indigo-600" />
+            <div>
+              <h2 className="font-semibold text-gray-800">Calendar Subscription</h2>
+              <p className="text-sm text-gray-600">
+                {calendarFeed?.active
+                  ? 'Your confirmed bookings are published to a private calendar feed.'
+                  : 'Subscribe once and your confirmed bookings show up in Google, Apple or Outlook Calendar automatically.'}
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleSubscribeCalendar}
+              className="bg-indigo-500 hover:bg-indigo-600 text-white font-medium py-2 px-3 rounded-md text-sm flex items-center"
+            >
+              <RefreshCw className="h-4 w-4 mr-1.5" />
+              {calendarFeed?.active ? 'New Link' : 'Subscribe'}
+            </button>
+            {calendarFeed?.active && (
+              <button
+                onClick={handleUnsubscribeCalendar}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-medium py-2 px-3 rounded-md text-sm flex items-center"
+              >
+                <XCircle className="h-4 w-4 mr-1.5" /> Turn Off
+              </button>
+            )}
+          </div>
+        </div>
+        {feedUrls && (
+          <div className="mt-3 p-3 bg-indigo-50 border border-indigo-200 rounded">
+            <p className="text-xs text-indigo-800 mb-2">
+              Add this URL to your calendar app as a subscription. Keep it private: anyone with the link can see your bookings. It is only shown once.
+            </p>
+            <div className="flex gap-2">
+              <input readOnly value={feedUrls.url} className="flex-1 text-xs px-2 py-1 border border-indigo-200 rounded bg-white" onFocus={(e) => e.target.select()} />
+              <button
+                onClick={() => { navigator.clipboard.writeText(feedUrls.url); toast.success("Subscription link copied."); }}
+                className="px-2 py-1 bg-white border border-indigo-200 rounded text-indigo-700 hover:bg-indigo-100"
+                title="Copy link"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+              <a href={feedUrls.webcalUrl} className="px-2 py-1 bg-indigo-500 text-white rounded text-xs flex items-center hover:bg-indigo-600">
+                Open in Calendar App
+              </a>
+            </div>
+          </div>
+        )}
+      </div>
+
       <div className="mb-6 border-b border-gray-200">
         <nav className="-mb-px flex space-x-2 sm:space-x-4 overflow-x-auto" aria-label="Tabs">
           <TabButton label="Drafts & Planned" isActive={activeTab === 'drafts'} onClick={() => setActiveTab('drafts')} count={draftTrips.length} />
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Bell, CheckCheck, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const TYPE_DOT_COLORS = {
+  success: 'bg-green-500',
+  warning: 'bg-yellow-500',
+  error: 'bg-red-500',
+  info: 'bg-blue-500'
+};
+
+const NotificationBell = () => {
+  const { isAuthenticated } = useAuth();
+  const socket = useSocket();
+  const navigate = useNavigate();
+
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/notifications`, { params: { limit: 10 } });
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unread_count || 0);
+    } catch (err) {
+      console.error("Error fetching notifications:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchNotifications();
+    } else {
+      setNotifications([]);
+      setUnreadCount(0);
+    }
+  }, [isAuthenticated, fetchNotifications]);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleNew = (notification) => {
+      setNotifications(prev => [notification, ...prev].slice(0, 10));
+      toast.info(notification.title);
+    };
+    const handleUnreadCount = ({ count }) => setUnreadCount(count);
+
+    socket.on('notification:new', handleNew);
+    socket.on('notification:unread_count', handleUnreadCount);
+    return () => {
+      socket.off('notification:new', handleNew);
+      socket.off('notification:unread_count', handleUnreadCount);
+    };
+  }, [socket]);
+
+  const handleOpenNotification = async (notification) => {
+    if (!notification.is_read) {
+      try {
+        await axios.put(`${API_URL}/notifications/${notification.id}/read`);
+        setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, is_read: true } : n));
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (err) {
+        console.error("Error marking notification as read:", err);
+      }
+    }
+    if (notification.action_url) {
+      setIsOpen(false);
+      navigate(notification.action_url);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put(`${API_URL}/notifications/read-all`);
+      setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error("Error marking all notifications as read:", err);
+      toast.error("Failed to mark notifications as read.");
+    }
+  };
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-full hover:bg-gray-100 transition"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <Bell className="h-5 w-5 text-gray-700" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-red-600 text-white text-[10px] font-semibold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border z-30">
+            <div className="flex items-center justify-between px-4 py-2 border-b">
+              <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+              {unreadCount > 0 && (
+                <button onClick={handleMarkAllRead} className="text-xs text-blue-600 hover:text-blue-800 flex items-center">
+                  <CheckCheck className="h-4 w-4 mr-1" /> Mark all as read
+                </button>
+              )}
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              {loading && notifications.length === 0 ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+                </div>
+              ) : notifications.length === 0 ? (
+                <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up.</p>
+              ) : (
+                notifications.map(notification => (
+                  <button
+                    key={notification.id}
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`w-full text-left px-4 py-3 border-b last:border-b-0 hover:bg-gray-50 flex items-start space-x-3 ${notification.is_read ? '' : 'bg-blue-50'}`}
+                  >
+                    <span className={`mt-1.5 h-2 w-2 rounded-full flex-shrink-0 ${TYPE_DOT_COLORS[notification.type] || TYPE_DOT_COLORS.info}`} />
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-sm font-medium text-gray-900">{notification.title}</span>
+                      <span className="block text-xs text-gray-600 mt-0.5">{notification.message}</span>
+                      <span className="block text-[11px] text-gray-400 mt-1">{new Date(notification.created_at).toLocaleString()}</span>
+                    </span>
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -4,6 +4,7 @@ import axios from 'axios';
 import { Link } from 'react-router-dom';
 import { LayoutDashboard, ListChecks, CalendarDays, UserCircle, BarChart3, PlusCircle, Edit, AlertCircle, Loader2, Eye, Trash2, DollarSign, Tag, Info, CheckCircle, XCircle } from 'lucide-react';
 import { toast } from 'react-toastify';
+import AvailabilityCalendar from './AvailabilityCalendar';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -98,6 +99,7 @@ const ProviderDashboard = () => {
       case 'verified': return { text: 'Verified', color: 'text-green-600', icon: <CheckCircle className="h-4 w-4 mr-1" /> };
       case 'pending': return { text: 'Pending Verification', color: 'text-yellow-600', icon: <Loader2 className="h-4 w-4 mr-1 animate-spin" /> };
       case 'rejected': return { text: 'Verification Rejected', color: 'text-red-600', icon: <XCircle className="h-4 w-4 mr-1" /> };
+      case 'suspended': return { text: 'Account Suspended', color: 'text-red-600', icon: <AlertCircle className="h-4 w-4 mr-1" /> };
       default: return { text: 'Not Submitted', color: 'text-gray-500', icon: <Info className="h-4 w-4 mr-1" /> };
     }
   };
@@ -156,8 +158,9 @@ const ProviderDashboard = () => {
               <Info className="h-5 w-5 inline mr-1" />
               Your profile is currently <strong>{profile.verification_status || 'not submitted'}</strong>. 
               {profile.verification_status === 'pending' && " It's under review. You'll be notified once it's processed."}
-              {profile.verification_status !== 'pending' && profile.verification_status !== 'verified' && " Please complete your profile and submit for verification to publish listings."}
-              {profile.verification_status !== 'verified' && 
+              {profile.verification_status === 'suspended' && " Your listings are hidden until an administrator reinstates your account."}
+              {!['pending', 'verified', 'suspended'].includes(profile.verification_status) && " Please complete your profile and submit for verification to publish listings."}
+              {!['verified', 'suspended'].includes(profile.verification_status) && 
                 <Link to="/provider/profile/verify" className="font-semibold underline ml-1 hover:text-yellow-800">
                   {profile.verification_documents ? 'Update Verification' : 'Submit for Verification'}
                 </Link>
@@ -270,6 +273,18 @@ const ProviderDashboard = () => {
         )}
       </section>
 
+      {/* Availability Section */}
+      <section className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+        <div className="flex items-center mb-4">
+          <CalendarDays className="h-8 w-8 text-blue-600 mr-3" />
+          <h2 className="text-xl font-semibold text-gray-700">Availability</h2>
+        </div>
+        <p className="text-gray-600 mb-4">
+          Set recurring schedules, block dates and adjust seasonal prices for your listings.
+        </p>
+        <AvailabilityCalendar listings={listings} />
+      </section>
+
       {/* Other sections like Bookings, Analytics will be added later */}
       <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-8">
          <section className="bg-white p-6 rounded-xl shadow-lg">
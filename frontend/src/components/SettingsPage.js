@@ -1,9 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
 import { Settings, UserCog, BellRing, CreditCard, Shield, Lock, Palette, Globe } from 'lucide-react';
 
 const SettingsPage = () => {
-  const { user } = useAuth(); // For future use, e.g., displaying user-specific settings
+  const { user, logoutAllDevices } = useAuth();
+  const navigate = useNavigate();
+  const [loggingOut, setLoggingOut] = useState(false);
+
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm("Sign out of AdventureConnect on all devices, including this one?")) return;
+    setLoggingOut(true);
+    const result = await logoutAllDevices();
+    setLoggingOut(false);
+    if (result.success) {
+      toast.success("You have been signed out of all devices.");
+      navigate('/');
+    } else {
+      toast.error(result.error);
+    }
+  };
 
   const SettingsSection = ({ title, icon, children, statusText = "Feature under development." }) => (
     <div className="bg-white p-6 rounded-xl shadow-lg mb-6">
@@ -80,6 +97,14 @@ const SettingsPage = () => {
             <li>Data Download Request - Coming Soon</li>
             <li>Account Deletion - Coming Soon</li>
           </ul>
+          <p className="mt-3">Lost a device or signed in on a shared computer? End every active session at once.</p>
+          <button
+            onClick={handleLogoutAllDevices}
+            disabled={loggingOut}
+            className="mt-1 flex items-center text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+          >
+            <Lock className="h-4 w-4 mr-1" /> {loggingOut ? 'Signing out...' : 'Log Out of All Devices'}
+          </button>
           <button className="mt-3 text-sm text-blue-500 hover:text-blue-600 disabled:opacity-50" disabled>
             Manage Security Settings (Coming Soon)
           </button>
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useParams, Link } from 'react-router-dom';
+import { Heart, Loader2, AlertCircle } from 'lucide-react';
+import { ITEM_TYPE_ICONS } from './WishlistsPage';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Read-only view of a wishlist opened through its share link
+const SharedWishlistPage = () => {
+  const { shareToken } = useParams();
+  const [wishlist, setWishlist] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSharedWishlist = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/wishlists/shared/${shareToken}`);
+        setWishlist(response.data);
+      } catch (err) {
+        console.error("Error fetching shared wishlist:", err);
+        setError(err.response?.data?.message || "Failed to load this wishlist.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSharedWishlist();
+  }, [shareToken]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <Loader2 className="h-12 w-12 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-20 bg-white rounded-lg shadow p-6">
+        <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto bg-white rounded-lg shadow p-6">
+      <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+        <Heart className="h-6 w-6 mr-2 text-red-500" /> {wishlist.name}
+      </h1>
+      {wishlist.description && <p className="text-gray-600 mt-3">{wishlist.description}</p>}
+
+      {wishlist.items.length === 0 ? (
+        <p className="text-gray-500 text-center py-10">Nothing has been saved to this wishlist yet.</p>
+      ) : (
+        <ul className="divide-y mt-6">
+          {wishlist.items.map(item => (
+            <li key={item.id} className="py-3 flex items-center space-x-3">
+              {ITEM_TYPE_ICONS[item.item_type]}
+              <div className="min-w-0">
+                {item.item_type === 'listing' ? (
+                  <Link to={`/listings/${item.listing_id}`} className="font-medium text-gray-900 hover:text-blue-600 truncate block">
+                    {item.listing_title || item.title}
+                  </Link>
+                ) : (
+                  <p className="font-medium text-gray-900 truncate">{item.title}</p>
+                )}
+                <p className="text-xs text-gray-500 capitalize">{item.item_type}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SharedWishlistPage;
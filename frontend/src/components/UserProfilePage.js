@@ -1,5 +1,6 @@
 import React from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { Link } from 'react-router-dom';
 import { User, Settings, Briefcase, Star, Edit2, Shield, Bell, Heart, Camera } from 'lucide-react';
 
 const UserProfilePage = () => {
@@ -90,9 +91,9 @@ const UserProfilePage = () => {
           
           <SectionCard title="Wishlist" icon={<Heart />}>
             <p>Access your saved adventures and dream trips.</p>
-            <button className="mt-4 text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50" disabled>
-              View My Wishlist (Coming Soon)
-            </button>
+            <Link to="/wishlists" className="mt-4 inline-block text-sm text-blue-600 hover:text-blue-700 font-medium">
+              View My Wishlists
+            </Link>
           </SectionCard>
 
           <SectionCard title="Account Settings" icon={<Shield />}>
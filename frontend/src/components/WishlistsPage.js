@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Heart, Plus, Trash2, Share2, Link as LinkIcon, Compass, Loader2, Hotel, Plane, MapPin, Star } from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+export const ITEM_TYPE_ICONS = {
+  listing: <Star className="h-5 w-5 text-yellow-500" />,
+  hotel: <Hotel className="h-5 w-5 text-indigo-500" />,
+  flight: <Plane className="h-5 w-5 text-blue-500" />,
+  destination: <MapPin className="h-5 w-5 text-green-600" />
+};
+
+export const wishlistShareUrl = (shareToken) => `${window.location.origin}/wishlists/shared/${shareToken}`;
+
+const WishlistsPage = () => {
+  const { wishlistId } = useParams();
+  const navigate = useNavigate();
+  const activeId = wishlistId ? parseInt(wishlistId, 10) : null;
+
+  const [wishlists, setWishlists] = useState([]);
+  const [activeWishlist, setActiveWishlist] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [converting, setConverting] = useState(false);
+
+  const fetchWishlists = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/wishlists`);
+      setWishlists(response.data || []);
+    } catch (err) {
+      console.error("Error fetching wishlists:", err);
+      toast.error(err.response?.data?.message || "Failed to load wishlists.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchWishlist = useCallback(async (id) => {
+    try {
+      const response = await axios.get(`${API_URL}/wishlists/${id}`);
+      setActiveWishlist(response.data);
+    } catch (err) {
+      console.error("Error fetching wishlist:", err);
+      toast.error(err.response?.data?.message || "Failed to load wishlist.");
+      setActiveWishlist(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWishlists();
+  }, [fetchWishlists]);
+
+  useEffect(() => {
+    if (activeId) {
+      fetchWishlist(activeId);
+    } else {
+      setActiveWishlist(null);
+    }
+  }, [activeId, fetchWishlist]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    try {
+      const response = await axios.post(`${API_URL}/wishlists`, { name: newName.trim() });
+      setNewName('');
+      await fetchWishlists();
+      navigate(`/wishlists/${response.data.id}`);
+    } catch (err) {
+      console.error("Error creating wishlist:", err);
+      toast.error(err.response?.data?.message || "Failed to create wishlist.");
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the wishlist "${activeWishlist.name}"?`)) return;
+    try {
+      await axios.delete(`${API_URL}/wishlists/${activeWishlist.id}`);
+      toast.success("Wishlist deleted.");
+      await fetchWishlists();
+      navigate('/wishlists');
+    } catch (err) {
+      console.error("Error deleting wishlist:", err);
+      toast.error(err.response?.data?.message || "Failed to delete wishlist.");
+    }
+  };
+
+  const handleRemoveItem = async (itemId) => {
+    try {
+      await axios.delete(`${API_URL}/wishlists/${activeWishlist.id}/items/${itemId}`);
+      setActiveWishlist(prev => ({ ...prev, items: prev.items.filter(item => item.id !== itemId) }));
+      setWishlists(prev => prev.map(w => w.id === activeWishlist.id ? { ...w, item_count: w.item_count - 1 } : w));
+    } catch (err) {
+      console.error("Error removing wishlist item:", err);
+      toast.error(err.response?.data?.message || "Failed to remove item.");
+    }
+  };
+
+  const handleToggleShare = async () => {
+    try {
+      if (activeWishlist.share_token) {
+        await axios.delete(`${API_URL}/wishlists/${activeWishlist.id}/share`);
+        setActiveWishlist(prev => ({ ...prev, share_token: null }));
+        toast.info("Share link disabled.");
+      } else {
+        const response = await axios.post(`${API_URL}/wishlists/${activeWishlist.id}/share`);
+        setActiveWishlist(prev => ({ ...prev, share_token: response.data.share_token }));
+        await navigator.clipboard?.writeText(wishlistShareUrl(response.data.share_token));
+        toast.success("Share link copied to clipboard.");
+      }
+    } catch (err) {
+      console.error("Error updating wishlist sharing:", err);
+      toast.error(err.response?.data?.message || "Failed to update sharing.");
+    }
+  };
+
+  const handleConvert = async () => {
+    setConverting(true);
+    try {
+      const response = await axios.post(`${API_URL}/wishlists/${activeWishlist.id}/convert`, {});
+      toast.success("Your wishlist is now a draft trip. Add dates and details to finish planning.");
+      navigate(`/customize-trip/${response.data.id}`);
+    } catch (err) {
+      console.error("Error converting wishlist:", err);
+      toast.error(err.response?.data?.message || "Failed to create a trip from this wishlist.");
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <Loader2 className="h-12 w-12 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <aside className="bg-white rounded-lg shadow p-4 h-fit">
+        <h1 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+          <Heart className="h-5 w-5 mr-2 text-red-500" /> My Wishlists
+        </h1>
+        <form onSubmit={handleCreate} className="flex space-x-2 mb-4">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={100}
+            placeholder="New wishlist name"
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button type="submit" className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700" aria-label="Create wishlist">
+            <Plus className="h-5 w-5" />
+          </button>
+        </form>
+        {wishlists.length === 0 ? (
+          <p className="text-sm text-gray-500">No wishlists yet. Create one to start saving ideas.</p>
+        ) : (
+          <ul className="space-y-1">
+            {wishlists.map(wishlist => (
+              <li key={wishlist.id}>
+                <Link
+                  to={`/wishlists/${wishlist.id}`}
+                  className={`flex justify-between items-center px-3 py-2 rounded-md text-sm ${wishlist.id === activeId ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'}`}
+                >
+                  <span className="truncate">{wishlist.name}</span>
+                  <span className="text-xs text-gray-500">{wishlist.item_count}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </aside>
+
+      <section className="md:col-span-2 bg-white rounded-lg shadow p-6">
+        {!activeWishlist ? (
+          <p className="text-gray-500 text-center py-10">Select a wishlist to see what you've saved.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap justify-between items-start gap-3 mb-4">
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900">{activeWishlist.name}</h2>
+                {activeWishlist.description && <p className="text-gray-600 mt-1">{activeWishlist.description}</p>}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={handleToggleShare} className="px-3 py-2 text-sm border rounded-lg hover:bg-gray-50 flex items-center">
+                  <Share2 className="h-4 w-4 mr-1" /> {activeWishlist.share_token ? 'Stop Sharing' : 'Share'}
+                </button>
+                <button
+                  onClick={handleConvert}
+                  disabled={converting || activeWishlist.items.length === 0}
+                  className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center"
+                >
+                  {converting ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Compass className="h-4 w-4 mr-1" />} Plan a Trip
+                </button>
+                <button onClick={handleDelete} className="px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 flex items-center">
+                  <Trash2 className="h-4 w-4 mr-1" /> Delete
+                </button>
+              </div>
+            </div>
+
+            {activeWishlist.share_token && (
+              <div className="mb-4 p-3 bg-blue-50 rounded-md text-sm text-blue-800 flex items-center">
+                <LinkIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                <span className="truncate">{wishlistShareUrl(activeWishlist.share_token)}</span>
+              </div>
+            )}
+
+            {activeWishlist.items.length === 0 ? (
+              <p className="text-gray-500 text-center py-10">This wishlist is empty. Save listings, hotels, flights and destinations to it.</p>
+            ) : (
+              <ul className="divide-y">
+                {activeWishlist.items.map(item => (
+                  <li key={item.id} className="py-3 flex items-center justify-between">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      {ITEM_TYPE_ICONS[item.item_type]}
+                      <div className="min-w-0">
+                        {item.item_type === 'listing' ? (
+                          <Link to={`/listings/${item.listing_id}`} className="font-medium text-gray-900 hover:text-blue-600 truncate block">
+                            {item.listing_title || item.title}
+                          </Link>
+                        ) : (
+                          <p className="font-medium text-gray-900 truncate">{item.title}</p>
+                        )}
+                        <p className="text-xs text-gray-500 capitalize">
+                          {item.item_type}
+                          {item.listing_base_price && ` · ${item.listing_currency} ${parseFloat(item.listing_base_price).toFixed(2)}`}
+                        </p>
+                      </div>
+                    </div>
+                    <button onClick={() => handleRemoveItem(item.id)} className="p-2 text-gray-400 hover:text-red-600" aria-label="Remove item">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default WishlistsPage;
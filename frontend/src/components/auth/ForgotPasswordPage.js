@@ -0,0 +1,86 @@
+// frontend/src/components/auth/ForgotPasswordPage.js
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { Mail, Send, CheckCircle } from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setError(null);
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_URL}/auth/forgot-password`, { email });
+      setSentMessage(response.data.message);
+    } catch (err) {
+      console.error("Error requesting password reset:", err);
+      setError(err.response?.data?.message || "Failed to request a password reset.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (sentMessage) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8 text-center">
+        <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Check Your Inbox</h1>
+        <p className="text-gray-600 mb-6">{sentMessage} The link expires in one hour.</p>
+        <Link to="/" className="text-blue-600 hover:text-blue-700 font-medium">Back to home</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8">
+      <div className="text-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Forgot Your Password?</h1>
+        <p className="text-gray-600 mt-2">Enter your account email and we'll send you a link to choose a new one.</p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-600 text-sm">{error}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+          <div className="relative">
+            <Mail className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="Enter your email"
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200 flex items-center justify-center space-x-2"
+        >
+          <Send className="h-5 w-5" />
+          <span>{submitting ? 'Sending...' : 'Send Reset Link'}</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
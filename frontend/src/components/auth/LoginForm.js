@@ -1,5 +1,6 @@
 // frontend/src/components/auth/LoginForm.js
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { Eye, EyeOff, LogIn, Mail, Lock } from 'lucide-react';
 
@@ -116,6 +117,11 @@ const LoginForm = ({ onToggleForm, onClose }) => {
           {formErrors.password && (
             <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>
           )}
+          <div className="mt-2 text-right">
+            <Link to="/forgot-password" onClick={onClose} className="text-sm text-blue-600 hover:text-blue-700">
+              Forgot password?
+            </Link>
+          </div>
         </div>
 
         {/* Submit Button */}
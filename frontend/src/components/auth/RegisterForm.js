@@ -109,9 +109,9 @@ const RegisterForm = ({ onToggleForm, onClose }) => {
             </button>
             <button
               type="button"
-              onClick={() => setFormData(prev => ({ ...prev, role: 'service_provider' }))}
+              onClick={() => setFormData(prev => ({ ...prev, role: 'provider' }))}
               className={`p-3 border rounded-lg text-sm font-medium transition ${
-                formData.role === 'service_provider'
+                formData.role === 'provider'
                   ? 'border-blue-500 bg-blue-50 text-blue-700'
                   : 'border-gray-300 text-gray-700 hover:border-gray-400'
               }`}
@@ -0,0 +1,127 @@
+// frontend/src/components/auth/ResetPasswordPage.js
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useSearchParams, Link } from 'react-router-dom';
+import { Lock, Eye, EyeOff, CheckCircle, AlertCircle } from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Landing page of the link in the password reset email
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError(null);
+    setSubmitting(true);
+    try {
+      await axios.post(`${API_URL}/auth/reset-password`, { token, password: formData.password });
+      // Every session was revoked server-side, including this browser's
+      localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+      setDone(true);
+    } catch (err) {
+      console.error("Error resetting password:", err);
+      setError(err.response?.data?.message || "Failed to reset your password.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8 text-center">
+        <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+        <p className="text-gray-600 mb-6">This password reset link is incomplete.</p>
+        <Link to="/forgot-password" className="text-blue-600 hover:text-blue-700 font-medium">Request a new link</Link>
+      </div>
+    );
+  }
+
+  if (done) {
+    return (
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8 text-center">
+        <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Password Updated</h1>
+        <p className="text-gray-600 mb-6">Your password has been reset and you were signed out of all devices. Sign in with your new password.</p>
+        <a href="/" className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">Back to home</a>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8">
+      <div className="text-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Choose a New Password</h1>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-600 text-sm">{error}</p>
+          {error.includes('link') && (
+            <Link to="/forgot-password" className="text-sm font-medium text-red-700 underline">Request a new link</Link>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {['password', 'confirmPassword'].map(field => (
+          <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {field === 'password' ? 'New Password' : 'Confirm New Password'}
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+              <input
+                type={showPassword ? 'text' : 'password'}
+                name={field}
+                value={formData[field]}
+                onChange={handleChange}
+                className="w-full pl-10 pr-12 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              {field === 'password' && (
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-3 text-gray-400 hover:text-gray-600"
+                >
+                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200"
+        >
+          {submitting ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,73 @@
+// frontend/src/components/auth/VerifyEmailPage.js
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { useSearchParams, Link } from 'react-router-dom';
+import { CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Landing page of the link in the welcome / verification email
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Links are single-use, so never redeem the same token twice (e.g. StrictMode double effects)
+  const redeemedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || redeemedRef.current) return;
+    redeemedRef.current = true;
+
+    const verifyEmail = async () => {
+      try {
+        const response = await axios.post(`${API_URL}/auth/verify-email`, { token });
+        setStatus('success');
+        setMessage(response.data.message);
+        if (isAuthenticated) await refreshUser();
+      } catch (err) {
+        console.error("Error verifying email:", err);
+        setStatus('error');
+        setMessage(err.response?.data?.message || "Failed to verify your email.");
+      }
+    };
+    verifyEmail();
+  }, [token, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow p-8 text-center">
+      {status === 'verifying' && (
+        <>
+          <Loader2 className="h-12 w-12 animate-spin text-blue-600 mx-auto mb-4" />
+          <p className="text-gray-600">Verifying your email address...</p>
+        </>
+      )}
+      {status === 'success' && (
+        <>
+          <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Email Verified</h1>
+          <p className="text-gray-600 mb-6">{message}. You're all set to start planning.</p>
+          <Link to="/" className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium">
+            Continue
+          </Link>
+        </>
+      )}
+      {status === 'error' && (
+        <>
+          <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Verification Failed</h1>
+          <p className="text-gray-600 mb-6">{message}</p>
+          <p className="text-sm text-gray-500">
+            {isAuthenticated
+              ? 'You can request a new link from the banner at the top of the page.'
+              : 'Sign in to request a new verification link.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
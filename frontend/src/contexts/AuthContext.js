@@ -1,5 +1,5 @@
 // frontend/src/contexts/AuthContext.js
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 
 const AuthContext = createContext();
@@ -19,6 +19,38 @@ export const AuthProvider = ({ children }) => {
 
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+  // Refresh tokens are single-use: concurrent 401s must share one /auth/refresh call,
+  // otherwise the second call presents an already rotated token and the server revokes the session
+  const refreshPromiseRef = useRef(null);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    setUser(null);
+    setError(null);
+  }, []);
+
+  const refreshTokens = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      const refreshToken = localStorage.getItem('refreshToken');
+      refreshPromiseRef.current = (refreshToken
+        ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+        : Promise.reject(new Error('No refresh token'))
+      )
+        .then((response) => {
+          const { accessToken, refreshToken: newRefreshToken } = response.data;
+          localStorage.setItem('accessToken', accessToken);
+          localStorage.setItem('refreshToken', newRefreshToken);
+          return accessToken;
+        })
+        .finally(() => {
+          refreshPromiseRef.current = null;
+        });
+    }
+    return refreshPromiseRef.current;
+  }, [API_BASE_URL]);
+
   // Configure axios interceptors
   useEffect(() => {
     // Request interceptor to add auth token
@@ -38,29 +70,21 @@ export const AuthProvider = ({ children }) => {
       (response) => response,
       async (error) => {
         const originalRequest = error.config;
+        // A 401 from the auth endpoints themselves must not trigger another refresh
+        const isAuthRequest = /\/auth\/(refresh|login|logout)/.test(originalRequest?.url || '');
 
-        if (error.response?.status === 401 && !originalRequest._retry) {
+        if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest) {
           originalRequest._retry = true;
 
           try {
-            const refreshToken = localStorage.getItem('refreshToken');
-            if (refreshToken) {
-              const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-                refreshToken
-              });
-
-              const { accessToken, refreshToken: newRefreshToken } = response.data;
-              
-              localStorage.setItem('accessToken', accessToken);
-              localStorage.setItem('refreshToken', newRefreshToken);
-
-              // Retry original request with new token
-              originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-              return axios(originalRequest);
-            }
+            const accessToken = await refreshTokens();
+
+            // Retry original request with new token
+            originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+            return axios(originalRequest);
           } catch (refreshError) {
-            // Refresh failed, logout user
-            logout();
+            // Refresh token is invalid, expired or was revoked: the session is over
+            clearSession();
             return Promise.reject(refreshError);
           }
         }
@@ -73,7 +97,7 @@ export const AuthProvider = ({ children }) => {
       axios.interceptors.request.eject(requestInterceptor);
       axios.interceptors.response.eject(responseInterceptor);
     };
-  }, [API_BASE_URL]);
+  }, [refreshTokens, clearSession]);
 
   // Check if user is logged in on app start
   useEffect(() => {
@@ -83,12 +107,14 @@ export const AuthProvider = ({ children }) => {
 
       if (token && userData) {
         try {
-          // Verify token is still valid
-          await axios.get(`${API_BASE_URL}/auth/verify`, {
+          // Verify token is still valid and pick up changes such as a verified email
+          const response = await axios.get(`${API_BASE_URL}/auth/verify`, {
             headers: { Authorization: `Bearer ${token}` }
           });
           
-          setUser(JSON.parse(userData));
+          const freshUser = response.data.user || JSON.parse(userData);
+          localStorage.setItem('user', JSON.stringify(freshUser));
+          setUser(freshUser);
         } catch (error) {
           // Token is invalid, clear storage
           localStorage.removeItem('accessToken');
@@ -166,12 +192,30 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      // Clear all stored data
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('refreshToken');
-      localStorage.removeItem('user');
-      setUser(null);
-      setError(null);
+      clearSession();
+    }
+  };
+
+  // Re-reads the logged-in user, e.g. after the email address was verified
+  const refreshUser = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/auth/verify`);
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+      setUser(response.data.user);
+    } catch (error) {
+      console.error('Refresh user error:', error);
+    }
+  }, [API_BASE_URL]);
+
+  // Revokes every session of the user, including the ones on other devices
+  const logoutAllDevices = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout-all`);
+      clearSession();
+      return { success: true };
+    } catch (error) {
+      console.error('Logout all devices error:', error);
+      return { success: false, error: error.response?.data?.message || 'Failed to log out of all devices' };
     }
   };
 
@@ -182,6 +226,8 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAllDevices,
+    refreshUser,
     isAuthenticated: !!user
   };
 
@@ -0,0 +1,49 @@
+// frontend/src/contexts/SocketContext.js
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
+
+const SocketContext = createContext();
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || API_URL.replace(/\/api\/?$/, '');
+
+// One Socket.IO connection per signed-in session, shared by notifications and messaging
+export const SocketProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [socket, setSocket] = useState(null);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSocket(null);
+      return undefined;
+    }
+
+    // The token is read on every (re)connect so rotated access tokens are picked up
+    const newSocket = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('accessToken') })
+    });
+    newSocket.on('connect_error', (err) => console.warn('Socket connection error:', err.message));
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.disconnect();
+    };
+  }, [isAuthenticated]);
+
+  return (
+    <SocketContext.Provider value={socket}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
+
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (context === undefined) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
+
+export default SocketContext;